@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Command-Line Client
+ * ═══════════════════════════════════════════════
+ *
+ * Usage:
+ *   cinesonics generate "rain on neon streets" [--out dir/]
+ *   cinesonics batch scenes.txt --out dir/
+ *   cinesonics status
+ *
+ * Talks to a CINESONICS server's /api/v1 (--server, CINESONICS_SERVER) with
+ * an optional access key (--key, CINESONICS_KEY), within that server's
+ * quota; or, with --local, runs the generation core here against the
+ * providers configured in .env.  See lib/cli/ for the clients and the
+ * resumable batch runner.
+ *
+ * Exit codes: 0 done, 1 a scene failed or the batch stopped early, 2 usage error.
+ */
+
+require('dotenv').config();
+const fs   = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createRemoteClient, createLocalClient } = require('../lib/cli/clients');
+const { runBatch, runScene, readScenes, slugify } = require('../lib/cli/batch');
+const { resolveGenerationOptions } = require('../lib/options');
+const { resolveCoverOptions } = require('../lib/covers');
+
+const USAGE = `Usage:
+  cinesonics generate "<vibe>" [--out DIR]     one soundtrack (JSON + cover) into DIR (default: .)
+  cinesonics batch <scenes.txt> --out DIR      one per line of the file; run again to resume
+  cinesonics status                            your remaining generations
+
+Source:
+  --server URL          CINESONICS server (default: $CINESONICS_SERVER or http://localhost:3000)
+  --key KEY             access key for it (default: $CINESONICS_KEY)
+  --local               generate here with the providers in .env — no server, no quota
+
+Options:
+  --tracks N | MIN-MAX  --runtime MINUTES  --era 1980s  --mix score|songs|mixed
+  --instrumentation TEXT  --language NAME  --style NAME  --aspect square|banner|poster`;
+
+const FLAGS = {
+    out:             { type: 'string' },
+    server:          { type: 'string' },
+    key:             { type: 'string' },
+    local:           { type: 'boolean' },
+    tracks:          { type: 'string' },
+    runtime:         { type: 'string' },
+    era:             { type: 'string' },
+    mix:             { type: 'string' },
+    instrumentation: { type: 'string' },
+    language:        { type: 'string' },
+    style:           { type: 'string' },
+    aspect:          { type: 'string' },
+    help:            { type: 'boolean', short: 'h' },
+};
+
+/** A usage error: printed with the usage text, exit code 2. */
+function usageError(message) {
+    const err = new Error(message);
+    err.usage = true;
+    return err;
+}
+
+// ═══════════════════════════════════════════════
+// Arguments
+// ═══════════════════════════════════════════════
+
+/** The { options, cover } body for client.generate(), checked like the server does. */
+function buildRequest(flags) {
+    const raw = {};
+    if (flags.tracks !== undefined) {
+        const [min, max = min] = flags.tracks.split('-').map(Number);
+        raw.tracks = { min, max };
+    }
+    if (flags.runtime !== undefined) raw.runtime = Number(flags.runtime);
+    for (const key of ['era', 'mix', 'instrumentation', 'language']) {
+        if (flags[key] !== undefined) raw[key] = flags[key];
+    }
+    const options = resolveGenerationOptions(raw);
+    if (options.errors.length) throw usageError(`Invalid options: ${options.errors.join('; ')}`);
+
+    const rawCover = {};
+    if (flags.style  !== undefined) rawCover.style  = flags.style;
+    if (flags.aspect !== undefined) rawCover.aspect = flags.aspect;
+    const cover = resolveCoverOptions(rawCover);
+    if (cover.errors.length) throw usageError(`Invalid cover options: ${cover.errors.join('; ')}`);
+
+    return { options: options.options, cover: { style: cover.options.style, aspect: cover.options.aspect } };
+}
+
+function createClient(flags) {
+    if (flags.local) {
+        const client  = createLocalClient(process.env);
+        const missing = client.missingConfig();
+        if (missing) throw new Error(`Local generation is not configured: ${missing}`);
+        return client;
+    }
+    return createRemoteClient({
+        server: flags.server || process.env.CINESONICS_SERVER || 'http://localhost:3000',
+        key:    flags.key    || process.env.CINESONICS_KEY    || undefined,
+    });
+}
+
+// ═══════════════════════════════════════════════
+// Output
+// ═══════════════════════════════════════════════
+
+/** "2 left for you, 9 site-wide · resets 2026-10-20T00:00:00.000Z" */
+function quotaLine({ user, global, resetsAt }) {
+    const parts = [];
+    if (user   !== null && user   !== undefined) parts.push(`${user} left for you`);
+    if (global !== null && global !== undefined) parts.push(`${global} site-wide`);
+    if (!parts.length) return 'no limit';
+    return `${parts.join(', ')}${resetsAt ? ` · resets ${resetsAt}` : ''}`;
+}
+
+const fromStatus = standing => ({ user: standing.userRemaining, global: standing.globalRemaining, resetsAt: standing.resetsAt });
+
+function printTracklist(tracklist) {
+    console.log(`${tracklist.albumTitle} — ${tracklist.albumArtist}  (${tracklist.genre} · ${tracklist.tracks.length} tracks)`);
+    tracklist.tracks.forEach((track, i) => {
+        console.log(`  ${String(i + 1).padStart(2)}. ${track.title} — ${track.artist}  ${track.duration}`);
+    });
+}
+
+/** Current quota from the server, printed; null for local runs. */
+async function showStatus(client) {
+    const standing = await client.status();
+    console.log(`Quota: ${standing ? quotaLine(fromStatus(standing)) : 'none (local providers)'}`);
+    return standing;
+}
+
+// ═══════════════════════════════════════════════
+// Commands
+// ═══════════════════════════════════════════════
+
+async function generateCommand(positionals, flags) {
+    const vibe = positionals.join(' ').trim();
+    if (!vibe) throw usageError('generate needs a vibe.');
+
+    const request = buildRequest(flags);
+    const client  = createClient(flags);
+    const outDir  = path.resolve(flags.out || '.');
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const result = await runScene({ vibe, name: slugify(vibe), outDir, client, request });
+    if (result.status === 'quota') {
+        console.error(`No generations left: ${quotaLine(fromStatus(result.standing))}`);
+        return 1;
+    }
+
+    printTracklist(result.record.tracklist);
+    console.log(`\nSaved ${path.join(outDir, `${slugify(vibe)}.json`)} and ${path.join(outDir, result.record.cover.file)}`);
+    if (result.record.permalink) console.log(`Permalink: ${result.record.permalink}`);
+    if (result.remaining)        console.log(`Quota: ${quotaLine(result.remaining)}`);
+    return 0;
+}
+
+async function batchCommand(positionals, flags) {
+    const [file] = positionals;
+    if (!file)      throw usageError('batch needs a scenes file.');
+    if (!flags.out) throw usageError('batch needs --out DIR.');
+
+    const scenes = readScenes(fs.readFileSync(file, 'utf8'));
+    if (!scenes.length) throw usageError(`${file} has no scenes (one per line; # starts a comment).`);
+
+    const request = buildRequest(flags);
+    const client  = createClient(flags);
+    console.log(`${scenes.length} scene${scenes.length === 1 ? '' : 's'} → ${path.resolve(flags.out)}`);
+    await showStatus(client);
+
+    const summary = await runBatch({
+        scenes,
+        outDir: path.resolve(flags.out),
+        client,
+        request,
+        report: (scene, vibe, outcome) => {
+            const label = `[${scene}/${scenes.length}]`;
+            if (outcome.status === 'failed')     return console.log(`${label} failed     ${vibe} — ${outcome.error.message}`);
+            if (outcome.status === 'quota')      return;
+            if (outcome.status === 'skipped')    return console.log(`${label} done       ${vibe}`);
+            const left = outcome.remaining ? `  (${quotaLine(outcome.remaining)})` : '';
+            console.log(`${label} ${outcome.status.padEnd(10)} ${outcome.record.tracklist.albumTitle}${left}`);
+        },
+    });
+
+    console.log(`\n${summary.generated} generated, ${summary.resumed} resumed, ${summary.skipped} already done, ${summary.failed} failed.`);
+    if (summary.stopped) {
+        const why = summary.stopped.reason === 'quota'
+            ? `no generations left${summary.stopped.resetsAt ? ` until ${summary.stopped.resetsAt}` : ''}`
+            : summary.stopped.message;
+        console.log(`Stopped at scene ${summary.stopped.scene}: ${why}.  Run the same command again to resume.`);
+    }
+    return summary.stopped || summary.failed ? 1 : 0;
+}
+
+async function statusCommand(positionals, flags) {
+    await showStatus(createClient(flags));
+    return 0;
+}
+
+const COMMANDS = { generate: generateCommand, batch: batchCommand, status: statusCommand };
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: FLAGS, allowPositionals: true });
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const [command, ...positionals] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        console.log(USAGE);
+        return parsed.values.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}".\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return await COMMANDS[command](positionals, parsed.values);
+    } catch (err) {
+        if (err.usage) {
+            console.error(`${err.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(err.cause ? `${err.message}: ${err.cause.message}` : err.message);
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
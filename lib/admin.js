@@ -0,0 +1,148 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Admin Dashboard API
+ * ═══════════════════════════════════════════════
+ *
+ * The /admin page (public/admin.html) and the JSON endpoints behind it.
+ * Every endpoint needs `Authorization: Bearer <ADMIN_TOKEN>`; without
+ * ADMIN_TOKEN set, the whole area answers 404.
+ *
+ *   GET    /api/admin/stats?days=7  — generation counts by day and hour, outcomes
+ *                                     by error type, top vibes, quick-vibe presets,
+ *                                     cache use and upstream circuit state
+ *   GET    /api/admin/quota         — site-wide usage, active boost, usage per caller
+ *   POST   /api/admin/quota/reset   — { id }: clear one caller's usage (IP or key:<id>)
+ *   POST   /api/admin/quota/boost   — { extra, hours }: raise the site-wide limit for a while
+ *   DELETE /api/admin/quota/boost   — end the boost early
+ *
+ * Environment variables (read by lib/app.js):
+ *   ADMIN_TOKEN            — enables the dashboard; at least 16 characters
+ *   EVENTS_RETENTION_DAYS  — how long the usage log is kept (default 30)
+ */
+
+const crypto  = require('crypto');
+const express = require('express');
+const path    = require('path');
+const { validate, formatErrors } = require('./schema');
+const { summarize } = require('./events');
+
+const ADMIN_HTML = path.join(__dirname, '..', 'public', 'admin.html');
+const MAX_DAYS   = 90;
+
+const RESET_SCHEMA = {
+    type: 'object',
+    required: ['id'],
+    additionalProperties: false,
+    properties: { id: { type: 'string', minLength: 1, maxLength: 200 } },
+};
+
+const BOOST_SCHEMA = {
+    type: 'object',
+    required: ['extra', 'hours'],
+    additionalProperties: false,
+    properties: {
+        extra: { type: 'integer', minimum: 1, maximum: 10000 },
+        hours: { type: 'integer', minimum: 1, maximum: 168 },
+    },
+};
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.token]  — ADMIN_TOKEN; the router is inert without it
+ * @param {object} opts.events   — lib/events.js log
+ * @param {object} opts.quota    — lib/quota.js accounting
+ * @param {object} opts.policy   — the loaded quota policy
+ * @param {object} opts.providers
+ * @returns {express.Router}
+ */
+function createAdminRouter({ token, events, quota, policy, providers }) {
+    if (token !== undefined && token.length < 16) {
+        throw new Error('ADMIN_TOKEN must be at least 16 characters');
+    }
+
+    const router   = express.Router();
+    const expected = token ? digest(token) : null;
+
+    /** Middleware: 404 while the dashboard is off, 401 without the admin token. */
+    function requireAdmin(req, res, next) {
+        if (!expected) {
+            return res.status(404).json({ error: 'Not found.' });
+        }
+        const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        if (!match || !crypto.timingSafeEqual(digest(match[1]), expected)) {
+            return res.status(401).json({ error: 'Admin token required.', type: 'admin_auth' });
+        }
+        next();
+    }
+
+    async function quotaOverview() {
+        return { policy: { userLimit: policy.userLimit, globalLimit: policy.globalLimit, window: policy.window }, ...await quota.overview() };
+    }
+
+    // ─── GET /admin — the dashboard page (asks for the token itself) ──
+
+    router.get('/admin', (req, res) => {
+        if (!expected) return res.status(404).send('Not found');
+        res.sendFile(ADMIN_HTML);
+    });
+
+    // ─── GET /api/admin/stats — usage analytics from the event log ──
+
+    router.get('/api/admin/stats', requireAdmin, async (req, res) => {
+        const days = req.query.days === undefined ? 7 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+            return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_DAYS}.` });
+        }
+
+        const now = Date.now();
+        const log = await events.since(now - days * 24 * 60 * 60 * 1000);
+        res.json({
+            generatedAt: new Date(now).toISOString(),
+            days,
+            timeZone:    policy.timezone,
+            ...summarize(log, { now, days, timeZone: policy.timezone }),
+            upstream:    { text: providers.text.circuit(), image: providers.image.circuit() },
+        });
+    });
+
+    // ─── GET /api/admin/quota — current consumption ──
+
+    router.get('/api/admin/quota', requireAdmin, async (req, res) => {
+        res.json(await quotaOverview());
+    });
+
+    // ─── POST /api/admin/quota/reset — give one caller their quota back ──
+
+    router.post('/api/admin/quota/reset', requireAdmin, async (req, res) => {
+        const errors = formatErrors(validate(RESET_SCHEMA, req.body));
+        if (errors.length) {
+            return res.status(400).json({ error: `Invalid reset request: ${errors.join('; ')}` });
+        }
+        await quota.resetCaller(req.body.id);
+        res.json(await quotaOverview());
+    });
+
+    // ─── POST / DELETE /api/admin/quota/boost — temporary site-wide headroom ──
+
+    router.post('/api/admin/quota/boost', requireAdmin, async (req, res) => {
+        const errors = formatErrors(validate(BOOST_SCHEMA, req.body));
+        if (errors.length) {
+            return res.status(400).json({ error: `Invalid boost: ${errors.join('; ')}` });
+        }
+        await quota.boostGlobal(req.body.extra, req.body.hours * 60 * 60 * 1000);
+        res.json(await quotaOverview());
+    });
+
+    router.delete('/api/admin/quota/boost', requireAdmin, async (req, res) => {
+        await quota.boostGlobal(0);
+        res.json(await quotaOverview());
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
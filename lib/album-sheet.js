@@ -0,0 +1,189 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Album Sheet & Share Card  (server side)
+ * ═══════════════════════════════════════════════
+ *
+ * Cover on the left, album details and the tracklist on the right —
+ * the same layout the browser draws on a canvas (public/js/export.js).
+ * The share card is the same idea at 1200×630, the size link previews
+ * use, with only the first few tracks.
+ * Rendered with jimp, whose bundled bitmap fonts only cover ASCII, so
+ * text is folded to plain Latin first.
+ */
+
+const { Jimp, loadFont, measureText } = require('jimp');
+const { SANS_16_WHITE, SANS_32_WHITE } = require('jimp/fonts');
+const { durationSeconds, totalRuntime } = require('../public/js/formats');
+const { createLogger } = require('./log');
+
+const log = createLogger({ component: 'export' });
+
+const SHEET = {
+    width:      1600,
+    height:     900,
+    margin:     60,
+    coverSize:  780,
+    background: 0x05050aff,
+    panel:      0x12122aff,
+    rule:       0x00f0ff66,
+    rowHeight:  36,
+};
+
+const CARD = {
+    width:     1200,
+    height:    630,
+    margin:    50,
+    tracks:    5,
+    rowHeight: 34,
+    quality:   85,
+};
+
+let fontsPromise = null;
+
+function fonts() {
+    fontsPromise ??= Promise.all([loadFont(SANS_32_WHITE), loadFont(SANS_16_WHITE)])
+        .then(([large, small]) => ({ large, small }));
+    return fontsPromise;
+}
+
+/** Fold typographic punctuation and accents to ASCII the bitmap fonts can draw. */
+function latin(text) {
+    return String(text || '')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201c\u201d]/g, '"')
+        .replace(/[\u2013\u2014\u00b7]/g, '-')
+        .replace(/\u2026/g, '...')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7e]/g, '');
+}
+
+/** Cut `text` down (with "...") until it fits `maxWidth` pixels. */
+function fit(font, text, maxWidth) {
+    if (measureText(font, text) <= maxWidth) return text;
+    let cut = text;
+    while (cut.length > 1 && measureText(font, `${cut}...`) > maxWidth) cut = cut.slice(0, -1);
+    return `${cut.trimEnd()}...`;
+}
+
+function rect(width, height, color) {
+    return new Jimp({ width, height, color });
+}
+
+/** The cover resized to fill `size`×`size`, or null if it's missing or unreadable. */
+async function coverArt(cover, size) {
+    if (!cover) return null;
+    try {
+        return (await Jimp.read(cover)).cover({ w: size, h: size });
+    } catch (err) {
+        log.warn('Unreadable cover, drawing without it', { err });
+        return null;
+    }
+}
+
+/** "12 tracks  /  38:10" */
+function footerText(tracklist) {
+    const count = (tracklist.tracks || []).length;
+    return `${count} track${count === 1 ? '' : 's'}  /  ${totalRuntime(tracklist)}`;
+}
+
+/**
+ * @param {object} tracklist        — normalized tracklist
+ * @param {Buffer|null} [cover]     — cover image bytes (any format jimp reads)
+ * @returns {Promise<Buffer>} PNG
+ */
+async function renderAlbumSheet(tracklist, cover = null) {
+    const { large, small } = await fonts();
+    const { width, height, margin, coverSize, rowHeight } = SHEET;
+
+    const sheet = rect(width, height, SHEET.background);
+
+    // ── Cover (or an empty panel if it couldn't be loaded) ──
+    const art = await coverArt(cover, coverSize);
+    sheet.composite(art || rect(coverSize, coverSize, SHEET.panel), margin, margin);
+
+    // ── Album details ──
+    const x      = margin * 2 + coverSize;
+    const column = width - x - margin;
+    let y        = margin;
+
+    sheet.print({ font: large, x, y, text: fit(large, latin(tracklist.albumTitle), column) });
+    y += 48;
+    sheet.print({ font: small, x, y, text: fit(small, latin(tracklist.albumArtist), column) });
+    y += 28;
+    const tags = [tracklist.genre, tracklist.vibeTag].filter(Boolean).map(latin).join('  /  ');
+    sheet.print({ font: small, x, y, text: fit(small, tags.toUpperCase(), column) });
+    y += 40;
+    sheet.composite(rect(column, 2, SHEET.rule), x, y);
+    y += 20;
+
+    // ── Tracklist ──
+    const tracks = tracklist.tracks || [];
+    tracks.forEach((track, i) => {
+        const duration = durationSeconds(track.duration) ? track.duration : '';
+        const durWidth = measureText(small, duration);
+        const label    = `${String(i + 1).padStart(2, '0')}   ${latin(track.title)} - ${latin(track.artist)}`;
+
+        sheet.print({ font: small, x, y, text: fit(small, label, column - durWidth - 24) });
+        sheet.print({ font: small, x: x + column - durWidth, y, text: duration });
+        y += rowHeight;
+    });
+
+    // ── Footer ──
+    const footerY = margin + coverSize - 20;
+    sheet.composite(rect(column, 2, SHEET.rule), x, footerY - 16);
+    sheet.print({ font: small, x, y: footerY, text: footerText(tracklist) });
+    const brand = 'CINESONICS';
+    sheet.print({ font: small, x: x + column - measureText(small, brand), y: footerY, text: brand });
+
+    return sheet.getBuffer('image/png');
+}
+
+/**
+ * The 1200×630 link-preview image: cover, title, tags and the first few tracks.
+ * @param {object} tracklist        — normalized tracklist
+ * @param {Buffer|null} [cover]     — cover image bytes (any format jimp reads)
+ * @returns {Promise<Buffer>} JPEG
+ */
+async function renderShareCard(tracklist, cover = null) {
+    const { large, small } = await fonts();
+    const { width, height, margin, rowHeight } = CARD;
+
+    const card = rect(width, height, SHEET.background);
+    const art  = await coverArt(cover, height);
+    card.composite(art || rect(height, height, SHEET.panel), 0, 0);
+
+    const x      = height + margin;
+    const column = width - x - margin;
+    let y        = margin;
+
+    card.print({ font: large, x, y, text: fit(large, latin(tracklist.albumTitle), column) });
+    y += 48;
+    card.print({ font: small, x, y, text: fit(small, latin(tracklist.albumArtist), column) });
+    y += 28;
+    const tags = [tracklist.genre, tracklist.vibeTag].filter(Boolean).map(latin).join('  /  ');
+    card.print({ font: small, x, y, text: fit(small, tags.toUpperCase(), column) });
+    y += 40;
+    card.composite(rect(column, 2, SHEET.rule), x, y);
+    y += 20;
+
+    const tracks = tracklist.tracks || [];
+    tracks.slice(0, CARD.tracks).forEach((track, i) => {
+        const label = `${String(i + 1).padStart(2, '0')}   ${latin(track.title)}`;
+        card.print({ font: small, x, y, text: fit(small, label, column) });
+        y += rowHeight;
+    });
+    if (tracks.length > CARD.tracks) {
+        card.print({ font: small, x, y, text: `+ ${tracks.length - CARD.tracks} more` });
+    }
+
+    const footerY = height - margin - 16;
+    card.composite(rect(column, 2, SHEET.rule), x, footerY - 16);
+    card.print({ font: small, x, y: footerY, text: footerText(tracklist) });
+    const brand = 'CINESONICS';
+    card.print({ font: small, x: x + column - measureText(small, brand), y: footerY, text: brand });
+
+    return card.getBuffer('image/jpeg', { quality: CARD.quality });
+}
+
+module.exports = { renderAlbumSheet, renderShareCard };
@@ -0,0 +1,104 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — API v1  (versioned public surface)
+ * ═══════════════════════════════════════════════
+ *
+ * /api/v1/<path> is answered by the same handlers as /api/<path> (lib/app.js),
+ * with a contract on top that the unversioned routes never had:
+ *
+ *   - only the operations in the OpenAPI document (lib/openapi.js) exist;
+ *     anything else is 404, a known path with another method 405
+ *   - JSON bodies are validated against the document before a handler runs
+ *   - every error has the same body:
+ *       { error: { code, message, requestId, details? } }
+ *     `code` is the handler's `type` where it has one, else one per status
+ *   - redirects and Location headers stay inside /api/v1
+ *
+ * GET /api/v1/openapi.json serves the document itself.
+ */
+
+const express = require('express');
+const { validate, formatErrors } = require('./schema');
+const { OPENAPI_DOCUMENT, ERROR_CODES } = require('./openapi');
+
+const PREFIX = '/api/v1';
+
+const parseJson = express.json();
+
+/** '/soundtracks/{id}/cover' → /^\/soundtracks\/[^/]+\/cover$/ */
+function pathPattern(template) {
+    const parts = template.split(/\{[^}]+\}/).map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${parts.join('[^/]+')}$`);
+}
+
+const ROUTES = Object.entries(OPENAPI_DOCUMENT.paths)
+    .map(([template, operations]) => ({ pattern: pathPattern(template), operations }));
+
+/**
+ * The document's operation for `method` on `pathname` (relative to /api/v1).
+ * @returns {{ operation: object } | { allowed: string[] } | null} allowed when only the method is wrong
+ */
+function findOperation(method, pathname) {
+    const route = ROUTES.find(r => r.pattern.test(pathname));
+    if (!route) return null;
+    const operation = route.operations[method === 'HEAD' ? 'get' : method.toLowerCase()];
+    return operation ? { operation } : { allowed: Object.keys(route.operations).map(m => m.toUpperCase()) };
+}
+
+/** A handler's `{ error, type?, details? }` as the v1 error body. */
+function envelope(status, { error, type, details }, requestId) {
+    return {
+        error: {
+            code:    type || ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]),
+            message: error,
+            requestId,
+            ...(details ? { details } : {}),
+        },
+    };
+}
+
+/**
+ * Middleware, mounted before express.json(): serves /api/v1 requests by
+ * checking them against the document and handing them on as /api/<path>
+ * (with req.apiVersion set).  Other requests pass straight through.
+ */
+function apiV1(req, res, next) {
+    if (req.path !== PREFIX && !req.path.startsWith(`${PREFIX}/`)) return next();
+
+    const json = res.json.bind(res);
+    res.json = body => json(res.statusCode >= 400 && typeof body?.error === 'string' ? envelope(res.statusCode, body, req.id) : body);
+
+    // res.redirect() goes through res.location()
+    const location = res.location.bind(res);
+    res.location = url => location(/^\/api\/(?!v1\/)/.test(url) ? PREFIX + url.slice('/api'.length) : url);
+
+    const fail = (status, error, details) => res.status(status).json({ error, details });
+
+    const pathname = req.path.slice(PREFIX.length);
+    if (pathname === '/openapi.json' && (req.method === 'GET' || req.method === 'HEAD')) {
+        return res.json(OPENAPI_DOCUMENT);
+    }
+
+    const found = findOperation(req.method, pathname);
+    if (!found) return fail(404, 'Not found.');
+    if (!found.operation) {
+        res.set('Allow', found.allowed.join(', '));
+        return fail(405, `${req.method} is not supported here. Use ${found.allowed.join(' or ')}.`);
+    }
+
+    parseJson(req, res, err => {
+        if (err) return fail(err.status || 400, err.type === 'entity.parse.failed' ? 'The request body is not valid JSON.' : err.message);
+
+        const schema = found.operation.requestBody?.content['application/json'].schema;
+        const errors = schema ? validate(schema, req.body) : [];
+        if (errors.length) {
+            return fail(400, `Invalid request: ${formatErrors(errors).join('; ')}`, errors);
+        }
+
+        req.apiVersion = 'v1';
+        req.url        = `/api${req.url.slice(PREFIX.length)}`;
+        next();
+    });
+}
+
+module.exports = { apiV1 };
@@ -0,0 +1,1035 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Express Application
+ * ═══════════════════════════════════════════════
+ *
+ * Builds the app without listening, so server.js can serve it and the
+ * test suite can exercise it in-process.  The app:
+ *   1. Serves the static frontend
+ *   2. Proxies requests to the AI providers — Pollinations.ai by default
+ *      (API keys stay server-side; see lib/providers)
+ *   3. Enforces rate limits (policy in lib/quota.js, defaults shown):
+ *        - Per-user: 2 generations / day  (by IP)
+ *        - Global:  11 generations / day  (entire site)
+ *      Both reset at midnight UTC, or follow a rolling window.
+ *   4. Persists counters and cover tokens via lib/storage (survives restarts)
+ *   5. Saves every soundtrack to the library (lib/library.js) for permalinks
+ *      (with link-preview tags and a share card, lib/permalink-page.js),
+ *      with its cover variants (lib/covers.js), fetched in the background
+ *      (lib/cover-tokens.js) and served by content hash (lib/cover-store.js),
+ *      in other sizes and formats on request (lib/cover-images.js); these,
+ *      album sheets and share cards are drawn in a worker (lib/image-jobs.js)
+ *   6. Renders saved soundtracks to WAV in background workers (lib/render)
+ *   7. Caches tracklists and covers for identical requests (lib/cache.js)
+ *   8. Logs every generate and cover request for the admin dashboard
+ *      (lib/events.js, lib/admin.js)
+ *   9. Writes structured JSON logs (lib/log.js) and serves Prometheus
+ *      metrics at GET /metrics (lib/metrics.js)
+ *  10. Moderates vibes and refine requests before generation, and the
+ *      generated titles and names after it (lib/moderation.js); rejections
+ *      are 400 with `type: 'moderation'` and cost no quota
+ *  11. Serves the same API under /api/v1 with an OpenAPI document, request
+ *      validation and one error format (lib/api-v1.js, lib/openapi.js)
+ *  12. Scores screenplay excerpts: one album, a cue or two per scene
+ *      (lib/screenplay.js, lib/cue-sheet.js)
+ *
+ * Every response carries an X-Request-Id header (the client's own, if it
+ * sent a sane one), which is also in every log line written for the
+ * request and in the body of every JSON error.
+ *
+ * Upstream calls go through lib/upstream.js (timeouts, retries, circuit
+ * breaker) and are cancelled when the browser disconnects.  An unreachable
+ * upstream is reported as 503 with `type: 'upstream_unavailable'` and a
+ * Retry-After header.  A quota rejection (429) carries RateLimit-Limit,
+ * RateLimit-Remaining, RateLimit-Reset and Retry-After headers.
+ *
+ * Environment variables (set in .env or hosting dashboard):
+ *   POLLINATIONS_API_KEY  — Your Pollinations.ai API key
+ *   AI_PROVIDER           — "pollinations" (default), "openai" or "mock"
+ *   STORAGE_DRIVER        — "file" (default) or "memory"
+ *   STORAGE_PATH          — Store file for the file driver (default: data/store.json)
+ *   BLOB_PATH             — Saved cover images for the file driver (default: data/blobs)
+ *   COVER_STORE_MAX_MB    — Cover retention by size and age, see lib/cover-store.js
+ *   COVER_RETENTION_DAYS
+ *   QUOTA_*               — Quota policy, see lib/quota.js
+ *   ACCESS_KEYS_FILE      — Issued access keys (default: data/access-keys.json)
+ *   TRUST_PROXY_HOPS      — Reverse proxies in front of the app (default: 1)
+ *   RENDER_*              — WAV render limits, see lib/render/jobs.js
+ *   CACHE_TTL_SECONDS     — How long identical requests reuse a result, see lib/cache.js
+ *   UPSTREAM_*            — Timeouts, retries, circuit breaker, see lib/upstream.js
+ *   ADMIN_TOKEN           — Enables the /admin dashboard, see lib/admin.js
+ *   EVENTS_PATH           — Usage log journal for the file driver (default: data/events.jsonl)
+ *   EVENTS_RETENTION_DAYS — How long the usage log is kept (default: 30)
+ *   LOG_LEVEL, LOG_FORMAT — Log verbosity and format, see lib/log.js
+ *   METRICS_TOKEN         — Protects /metrics, see lib/metrics.js
+ *   MODERATION_*          — Rules file and external provider, see lib/moderation.js
+ */
+
+const express  = require('express');
+const crypto   = require('crypto');
+const fs       = require('fs');
+const path     = require('path');
+const { createStorage, createBlobStore, createEventJournal } = require('./storage');
+const { loadQuotaPolicy, createQuota } = require('./quota');
+const { createAuth } = require('./auth');
+const { resolveCoverOptions, coverSpec } = require('./covers');
+const { createCoverStore }  = require('./cover-store');
+const { createCoverTokens } = require('./cover-tokens');
+const { imageOptions, variantName } = require('./cover-images');
+const { createImageJobs } = require('./image-jobs');
+const { resolveGenerationOptions } = require('./options');
+const { generateTracklist, refineTracklist, generateScore, REFINE_SCHEMA } = require('./generate');
+const { parseScreenplay, MAX_SCENES } = require('./screenplay');
+const { SCORE_SCHEMA }      = require('./cue-sheet');
+const { normalizeTracklist, diffTracklists, REFINE_TRACK_COUNT } = require('./tracklist');
+const { validate, formatErrors } = require('./schema');
+const { createProviders }   = require('./providers');
+const { createLibrary, toPublic } = require('./library');
+const { createCache, createCachedImageProvider, cacheKey, normalizeVibe } = require('./cache');
+const { createEventLog, importStoredEvents, failureType, loadQuickVibes } = require('./events');
+const { createAdminRouter } = require('./admin');
+const { apiV1 }             = require('./api-v1');
+const { createModerator, moderationError } = require('./moderation');
+const { renderPermalinkPage } = require('./permalink-page');
+const { createRenderQueue, toPublicJob } = require('./render/jobs');
+const { createLogger, configure: configureLogs, withRequestContext } = require('./log');
+const metrics               = require('./metrics');
+const SoundtrackFormats     = require('../public/js/formats');
+
+const COVER_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const INDEX_HTML         = path.join(__dirname, '..', 'public', 'index.html');
+const REQUEST_ID         = /^[\w.-]{1,64}$/;   // what we accept from a client's X-Request-Id
+
+const log = createLogger({ component: 'server' });
+
+/** The request's query string with its "?", or '' — passed on by redirects. */
+function querySuffix(req) {
+    const at = req.originalUrl.indexOf('?');
+    return at < 0 ? '' : req.originalUrl.slice(at);
+}
+
+/**
+ * RateLimit-* and Retry-After headers for a 429 from quota.check(): the
+ * limit that was hit, none of it left, and seconds until it frees up
+ * (no reset headers when it never will, e.g. a limit of 0).
+ */
+function rateLimitHeaders({ limit, resetsAt }) {
+    const headers = { 'RateLimit-Limit': String(limit), 'RateLimit-Remaining': '0' };
+    if (resetsAt) {
+        const seconds = String(Math.max(1, Math.ceil((resetsAt - Date.now()) / 1000)));
+        headers['RateLimit-Reset'] = seconds;
+        headers['Retry-After']     = seconds;
+    }
+    return headers;
+}
+
+/**
+ * Middleware: give the request an ID (X-Request-Id, echoed back), run the
+ * rest of it in that log context, add the ID to JSON error bodies, and
+ * log + count it once the response is finished.
+ */
+function requestContext(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const json = res.json.bind(res);
+    res.json = body => json(res.statusCode >= 400 && typeof body?.error === 'string' ? { ...body, requestId: req.id } : body);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        // The route pattern, not the URL — ids and tokens would make every request its own series
+        const pattern = req.route && req.baseUrl + req.route.path;
+        const route   = pattern ? (req.apiVersion ? pattern.replace(/^\/api/, `/api/${req.apiVersion}`) : pattern)
+                      : res.statusCode < 400 ? 'static' : 'unmatched';
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+
+        // 'finish' fires outside the request's log context, so the ID is passed explicitly
+        const fields = {
+            requestId: req.id,
+            method:    req.method,
+            route,
+            status:    res.statusCode,
+            ms:        Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        };
+        if (route === 'static') log.debug('Request', fields);
+        else                    log.info('Request', fields);
+    });
+
+    withRequestContext({ requestId: req.id }, next);
+}
+
+/**
+ * @param {object} [env] — configuration, normally process.env
+ * @returns {{ app, storage, library, renders, policy, providers, close: () => Promise<void> }}
+ *          close() stops background timers and render workers, then flushes the event journal and the store
+ */
+function createApp(env = process.env) {
+    const app = express();
+
+    configureLogs({ level: env.LOG_LEVEL || undefined, format: env.LOG_FORMAT || undefined });
+
+    // ─── Trust proxy (for correct client IP behind Render / Railway / etc.) ───
+    // Set to the number of proxies that append to X-Forwarded-For; anything
+    // further left in that header is client-supplied and can't be trusted.
+    app.set('trust proxy', Number(env.TRUST_PROXY_HOPS ?? 1));
+    app.use(requestContext);
+    app.use(apiV1);
+    app.use(express.json());
+
+    // ─── Serve static frontend files ──────────────────────────────────────────
+    app.use(express.static(path.join(__dirname, '..', 'public')));
+
+    // ═══════════════════════════════════════════════
+    // Rate-Limiting Store  (persistent, policy-driven)
+    // ═══════════════════════════════════════════════
+
+    /*
+     * Storage keys are documented with their owners: lib/quota.js,
+     * lib/library.js, lib/cover-tokens.js, lib/cover-store.js and
+     * lib/render/jobs.js.
+     */
+    const storage   = createStorage(env);
+    const blobs     = createBlobStore(env);
+    const covers    = createCoverStore({
+        storage,
+        blobs,
+        maxBytes: Number(env.COVER_STORE_MAX_MB || 512) * 1024 * 1024,
+        maxAgeMs: Number(env.COVER_RETENTION_DAYS ?? 90) * 24 * 60 * 60 * 1000,
+    });
+    const library   = createLibrary({ storage, blobs: covers });
+    const imageJobs = createImageJobs();
+    const renders   = createRenderQueue({
+        storage,
+        blobs,
+        maxSeconds:  Number(env.RENDER_MAX_SECONDS || 900),
+        maxPending:  Number(env.RENDER_MAX_PENDING || 4),
+        concurrency: Number(env.RENDER_CONCURRENCY || 1),
+    });
+    const policy    = loadQuotaPolicy(env);
+    const quota     = createQuota({ storage, policy });
+    const providers = createProviders(env);
+    const cache     = createCache({ storage, ttlMs: Number(env.CACHE_TTL_SECONDS ?? 21600) * 1000 });
+    const images    = createCachedImageProvider(providers.image, { cache, blobs: covers });
+    const auth      = createAuth(env.ACCESS_KEYS_FILE ? { file: path.resolve(env.ACCESS_KEYS_FILE) } : {});
+    const moderator = createModerator(env);
+    const journal   = createEventJournal(env, { retentionMs: Number(env.EVENTS_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000 });
+    const events    = createEventLog({ journal, presets: loadQuickVibes(INDEX_HTML) });
+    importStoredEvents(storage, journal)
+        .then(moved => moved && log.info('Moved usage events out of the store', { moved }))
+        .catch(err => log.error('Could not move usage events out of the store', { err }));
+    const coverTokens = createCoverTokens({ storage, images, covers, library, ttlMs: COVER_TOKEN_TTL_MS });
+
+    app.use(createAdminRouter({ token: env.ADMIN_TOKEN || undefined, events, quota, policy, providers }));
+
+    // ─── GET /metrics — Prometheus scrape target ──
+    // Open unless METRICS_TOKEN is set; then it needs `Authorization: Bearer <METRICS_TOKEN>`.
+
+    const metricsToken = env.METRICS_TOKEN ? crypto.createHash('sha256').update(env.METRICS_TOKEN).digest() : null;
+
+    app.get('/metrics', (req, res) => {
+        if (metricsToken) {
+            const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+            const given = match && crypto.createHash('sha256').update(match[1]).digest();
+            if (!given || !crypto.timingSafeEqual(given, metricsToken)) {
+                return res.status(401).json({ error: 'Metrics token required.', type: 'metrics_auth' });
+            }
+        }
+        res.type('text/plain; version=0.0.4').send(metrics.renderMetrics());
+    });
+
+    /**
+     * Client IP as resolved by Express under the `trust proxy` setting —
+     * i.e. the address our own proxies saw, not a spoofable header value.
+     */
+    function clientIp(req) {
+        return req.ip || req.socket?.remoteAddress || 'unknown';
+    }
+
+    /** Reply with a quota rejection from quota.check(); true if there was one. */
+    function rejected(req, res, rejection) {
+        if (rejection) {
+            metrics.quotaRejections.inc({ endpoint: req.route.path, type: rejection.type });
+            if (rejection.status === 429) res.set(rateLimitHeaders(rejection));
+            res.status(rejection.status).json({ error: rejection.error, type: rejection.type });
+        }
+        return Boolean(rejection);
+    }
+
+    /**
+     * A signal that aborts when the client disconnects before the response
+     * is complete — pass it upstream so nobody pays for an unseen result.
+     */
+    function abortOnDisconnect(res) {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+        return controller.signal;
+    }
+
+    /**
+     * Reply to a failed upstream-backed request: an unavailable upstream gets
+     * 503 + Retry-After and its own message, a moderation rejection 400 and
+     * its own message, anything else `status` + `message`.
+     */
+    function upstreamFailed(res, err, status, message) {
+        if (err.type === 'upstream_unavailable') {
+            res.set('Retry-After', String(err.retryAfter));
+            return res.status(503).json({ error: err.message, type: err.type });
+        }
+        if (err.type === 'moderation') {
+            return res.status(err.status).json({ error: err.message, type: err.type });
+        }
+        res.status(status).json({ error: message });
+    }
+
+    /**
+     * Moderate user text (lib/moderation.js).  If it's turned away, reply and
+     * return why — 'moderation', or 'upstream_unavailable' when the moderation
+     * provider is down and MODERATION_ON_ERROR=reject — else null.
+     */
+    async function flagged(res, check) {
+        let err;
+        try {
+            const verdict = await check();
+            if (!verdict) return null;
+            err = moderationError(verdict);
+        } catch (failure) {
+            err = failure;
+        }
+        upstreamFailed(res, err, 503, err.message);
+        return err.type;
+    }
+
+    /** Middleware: attach req.caller (access key or anonymous IP). */
+    function identifyCaller(req, res, next) {
+        const result = auth.identify(req, clientIp(req));
+        if (result.error) {
+            return res.status(401).json({ error: result.error, type: 'invalid_key' });
+        }
+        req.caller = result.caller;
+        next();
+    }
+
+    // ═══════════════════════════════════════════════
+    // API Routes
+    // ═══════════════════════════════════════════════
+
+    // ─── GET /api/status — public rate-limit info ──
+
+    app.get('/api/status', identifyCaller, async (req, res) => {
+        res.json(await quota.status(req.caller));
+    });
+
+    // ─── Shared generate pre-flight: quota, input, server config ──
+
+    async function preflightGenerate(req, res, next) {
+        // ── Check deny-list, global and per-user limits ──
+        const rejection = await quota.check(req.caller);
+        if (rejection) {
+            await logGeneration(req, 'rejected', { type: rejection.type, vibe: req.body.vibe });
+            return rejected(req, res, rejection);
+        }
+
+        // ── Validate input ──
+        const vibe = typeof req.body.vibe === 'string' ? req.body.vibe.trim() : '';
+        if (!vibe || vibe.length > 600) {
+            return res.status(400).json({ error: 'Please provide a vibe (max 600 characters).' });
+        }
+        const options = resolveGenerationOptions(req.body.options);
+        if (options.errors.length) {
+            return res.status(400).json({ error: `Invalid options: ${options.errors.join('; ')}` });
+        }
+        const cover = resolveCoverOptions(req.body.cover);
+        if (cover.errors.length) {
+            return res.status(400).json({ error: `Invalid cover options: ${cover.errors.join('; ')}` });
+        }
+        if (req.body.fresh !== undefined && typeof req.body.fresh !== 'boolean') {
+            return res.status(400).json({ error: 'Invalid request: $.fresh must be boolean' });
+        }
+
+        // ── Moderate the vibe (free — nothing has been generated yet) ──
+        const refused = await flagged(res, () => moderator.checkInput(vibe));
+        if (refused) {
+            return logGeneration(req, refused === 'moderation' ? 'rejected' : 'failed', { type: refused });
+        }
+
+        const missing = providers.text.missingConfig() || providers.image.missingConfig();
+        if (missing) {
+            log.error('Provider misconfigured', { missing });
+            return res.status(500).json({ error: 'Server misconfigured — API key missing.' });
+        }
+
+        req.vibe         = vibe;
+        req.options      = options.options;
+        req.coverOptions = cover.options;
+        req.bypassCache  = req.body.fresh === true;
+        next();
+    }
+
+    /** Append a generate request to the usage log (lib/events.js). */
+    function logGeneration(req, outcome, details = {}) {
+        return events.record({
+            kind:   'generate',
+            outcome,
+            caller: req.caller.id,
+            vibe:   details.type === 'moderation' ? undefined : req.vibe,   // flagged vibes aren't kept
+            stream: req.path.endsWith('/stream'),
+            ...details,
+        });
+    }
+
+    /**
+     * The tracklist for the request's vibe + options, shared with identical
+     * requests (lib/cache.js) unless the caller asked for a fresh one.
+     * The cover seed is cached with it, so a repeat gets the same covers too.
+     * A tracklist that fails moderation is thrown away, never cached.
+     * @param {object} [streaming] — stream / signal / onMeta / onTrack / onRepair for generateTracklist()
+     * @returns {Promise<{ value: { tracklist, coverSeed }, status }>}
+     */
+    function tracklistFor(req, streaming = {}) {
+        const options = Object.entries(req.options).sort(([a], [b]) => a.localeCompare(b));
+        const key     = cacheKey('tracklist', [normalizeVibe(req.vibe), options, providers.text.name, providers.text.model]);
+
+        return cache.run(key, async () => {
+            const tracklist = await generateTracklist({ vibe: req.vibe, options: req.options, text: providers.text, ...streaming });
+            const verdict   = await moderator.checkTracklist(tracklist, { signal: streaming.signal });
+            if (verdict) throw moderationError(verdict);
+            return { tracklist, coverSeed: Date.now() };
+        }, { bypass: req.bypassCache });
+    }
+
+    /**
+     * Issue the cover tokens and bill the caller — only ever after a
+     * successful tracklist, and only if this request paid for a model call
+     * (cache hits and coalesced requests are free).
+     * @param {object} [extra] — { cost } in generations (default 1), { cueSheet } for a film score
+     */
+    async function completeGeneration(caller, vibe, { value, status }, coverOptions, { cost = 1, cueSheet } = {}) {
+        const { tracklist, coverSeed } = value;
+
+        // ── Save to the library, then issue a cover token per variant ──
+        const spec       = coverSpec(vibe, coverOptions, coverSeed);
+        const soundtrack = await library.save({ vibe, tracklist, cover: spec, cueSheet });
+        const tokens     = await coverTokens.issue(spec, soundtrack.id);
+
+        // ── Increment counters ONLY after success ──
+        const billed   = status === 'miss' || status === 'bypass';
+        const standing = billed ? await quota.consume(caller, cost) : await quota.status(caller);
+
+        log.info('Generation complete', {
+            caller:          caller.id,
+            cache:           status,
+            userRemaining:   standing.userRemaining,
+            globalRemaining: standing.globalRemaining,
+        });
+
+        return {
+            tracklist,
+            ...(cueSheet ? { cueSheet } : {}),
+            coverToken:   tokens[0],
+            coverTokens:  tokens,
+            soundtrackId: soundtrack.id,
+            ownerKey:     soundtrack.ownerKey,
+            permalink:    toPublic(soundtrack).permalink,
+            cache:        status,
+            remaining:    remainingFrom(standing),
+        };
+    }
+
+    /** The `remaining` block of generate / refine responses. */
+    function remainingFrom(standing) {
+        return {
+            user:     standing.userRemaining,
+            global:   standing.globalRemaining,
+            resetsAt: standing.resetsAt,
+        };
+    }
+
+    // ─── POST /api/generate — main generation endpoint ──
+    //
+    // Body: { vibe, options?, cover?, fresh? } — generation options are described
+    // in lib/options.js, cover options ({ style, aspect, variants }) in
+    // lib/covers.js.  `fresh: true` ("surprise me") skips the result cache;
+    // the reply's `cache` field says whether the result was cached.
+    // The reply carries one cover token per variant (coverToken is the first)
+    // and the soundtrack's owner key, needed to pick or regenerate its cover.
+
+    app.post('/api/generate', identifyCaller, preflightGenerate, async (req, res) => {
+        const signal  = abortOnDisconnect(res);
+        const observe = metrics.generateDuration.startTimer();
+        try {
+            const result = await tracklistFor(req, { signal });
+            const done   = await completeGeneration(req.caller, req.vibe, result, req.coverOptions);
+            await logGeneration(req, 'ok', { cache: result.status });
+            observe({ endpoint: 'generate', outcome: 'ok', cache: result.status });
+            res.json(done);
+        } catch (err) {
+            observe({ endpoint: 'generate', outcome: signal.aborted ? 'aborted' : 'failed' });
+            if (signal.aborted) return;   // client went away
+            if (err.type !== 'moderation') log.error('Generation failed', { err });
+            await logGeneration(req, err.type === 'moderation' ? 'rejected' : 'failed', { type: failureType(err) });
+            upstreamFailed(res, err, 500, err.message || 'Generation failed. Please try again.');
+        }
+    });
+
+    // ─── POST /api/generate/stream — same, with server-sent progress events ──
+    //
+    // Rejections (quota, validation) come back as ordinary JSON errors.  Once
+    // the stream is open, the client receives, in order:
+    //   stage  { stage: 'queued' | 'generating' | 'repairing' | 'parsed' | 'cover_ready' }
+    //   meta   { albumTitle, albumArtist, genre, vibeTag }   (as soon as known)
+    //   track  { index, track }                               (one per parsed track — a preview;
+    //                                                          `done` carries the validated list)
+    //   done   { tracklist, coverToken, coverTokens, … }      (same body as /api/generate)
+    //   error  { error, type?, requestId }                    (instead of done; type
+    //                                                          'upstream_unavailable' if
+    //                                                          the AI service is down,
+    //                                                          'moderation' if the result
+    //                                                          was flagged)
+
+    app.post('/api/generate/stream', identifyCaller, preflightGenerate, async (req, res) => {
+        res.set({
+            'Content-Type':      'text/event-stream',
+            'Cache-Control':     'no-cache, no-transform',
+            'Connection':        'keep-alive',
+            'X-Accel-Buffering': 'no',   // don't let nginx-style proxies hold events back
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        // Stop paying for tokens nobody will see
+        const signal  = abortOnDisconnect(res);
+        const observe = metrics.generateDuration.startTimer();
+
+        send('stage', { stage: 'queued' });
+
+        try {
+            send('stage', { stage: 'generating' });
+            const result = await tracklistFor(req, {
+                stream:  true,
+                signal,
+                onMeta:  meta => send('meta', meta),
+                onTrack: (track, index) => send('track', { index, track }),
+                onRepair: () => send('stage', { stage: 'repairing' }),
+            });
+            if (signal.aborted) return;
+
+            // Nothing was streamed for a result someone else generated — replay it
+            if (result.status === 'hit' || result.status === 'coalesced') {
+                const { tracks, ...meta } = result.value.tracklist;
+                send('meta', meta);
+                tracks.forEach((track, index) => send('track', { index, track }));
+            }
+            send('stage', { stage: 'parsed' });
+
+            const done = await completeGeneration(req.caller, req.vibe, result, req.coverOptions);
+            await logGeneration(req, 'ok', { cache: result.status });
+            observe({ endpoint: 'stream', outcome: 'ok', cache: result.status });
+            send('stage', { stage: 'cover_ready' });
+            send('done', done);
+        } catch (err) {
+            observe({ endpoint: 'stream', outcome: signal.aborted ? 'aborted' : 'failed' });
+            if (signal.aborted) return;   // client went away
+            if (err.type !== 'moderation') log.error('Streamed generation failed', { err });
+            await logGeneration(req, err.type === 'moderation' ? 'rejected' : 'failed', { type: failureType(err) });
+            send('error', {
+                error: err.message || 'Generation failed. Please try again.',
+                ...(err.type === 'upstream_unavailable' || err.type === 'moderation' ? { type: err.type } : {}),
+                requestId: req.id,
+            });
+        }
+        res.end();
+    });
+
+    // ─── POST /api/score — a multi-cue film score for a screenplay excerpt ──
+    //
+    // Body: { screenplay, options?, cover? } — Fountain or plain text, split
+    // into at most MAX_SCENES scenes (lib/screenplay.js); options are era,
+    // instrumentation and language, cover options as for /api/generate.  One
+    // model call designs the album, then the cues are written a few scenes at
+    // a time (generateScore() in lib/generate.js).  Never cached; billed at
+    // policy.scoreCost generations.  The reply is /api/generate's plus the
+    // cue sheet that groups the tracks by scene (lib/cue-sheet.js).
+
+    app.post('/api/score', identifyCaller, async (req, res) => {
+        const rejection = await quota.check(req.caller, policy.scoreCost);
+        if (rejection) {
+            await logGeneration(req, 'rejected', { type: rejection.type, score: true });
+            return rejected(req, res, rejection);
+        }
+
+        // ── Validate input ──
+        const errors = formatErrors(validate(SCORE_SCHEMA, req.body));
+        if (errors.length) {
+            return res.status(400).json({ error: `Invalid score request: ${errors.join('; ')}` });
+        }
+        const scenes = parseScreenplay(req.body.screenplay);
+        if (!scenes.length) {
+            return res.status(400).json({ error: 'The screenplay has no scenes to score.' });
+        }
+        if (scenes.length > MAX_SCENES) {
+            return res.status(400).json({
+                error: `The screenplay has ${scenes.length} scenes; a score covers at most ${MAX_SCENES} — paste a shorter excerpt.`,
+            });
+        }
+        const options = Object.fromEntries(Object.entries(req.body.options || {}).map(([key, value]) => [key, value.trim()]));
+        const cover   = resolveCoverOptions(req.body.cover).options;
+
+        // ── Moderate the screenplay (free — nothing has been generated yet) ──
+        const refused = await flagged(res, () => moderator.checkInput(req.body.screenplay));
+        if (refused) {
+            return logGeneration(req, refused === 'moderation' ? 'rejected' : 'failed', { type: refused, score: true });
+        }
+
+        const missing = providers.text.missingConfig() || providers.image.missingConfig();
+        if (missing) {
+            log.error('Provider misconfigured', { missing });
+            return res.status(500).json({ error: 'Server misconfigured — API key missing.' });
+        }
+
+        const signal  = abortOnDisconnect(res);
+        const observe = metrics.generateDuration.startTimer();
+        try {
+            const score   = await generateScore({ scenes, options, text: providers.text, signal });
+            const verdict = await moderator.checkScore(score, { signal });
+            if (verdict) throw moderationError(verdict);
+
+            // The logline stands in for the vibe: it's what the cover is drawn from
+            const result = { value: { tracklist: score.tracklist, coverSeed: Date.now() }, status: 'bypass' };
+            const done   = await completeGeneration(req.caller, score.cueSheet.logline, result, cover, {
+                cost:     policy.scoreCost,
+                cueSheet: score.cueSheet,
+            });
+            await logGeneration(req, 'ok', { score: true });
+            observe({ endpoint: 'score', outcome: 'ok' });
+            res.json(done);
+        } catch (err) {
+            observe({ endpoint: 'score', outcome: signal.aborted ? 'aborted' : 'failed' });
+            if (signal.aborted) return;   // client went away
+            if (err.type !== 'moderation') log.error('Score failed', { err });
+            await logGeneration(req, err.type === 'moderation' ? 'rejected' : 'failed', { type: failureType(err), score: true });
+            upstreamFailed(res, err, 500, err.message || 'Scoring failed. Please try again.');
+        }
+    });
+
+    // ─── POST /api/refine — edit a tracklist instead of generating a new one ──
+    //
+    // Body: { soundtrackId | tracklist, instruction?, track? } — an instruction
+    // ("make track 3 darker"), a track to regenerate (0-based), or both.
+    // Billed at policy.refineCost of a generation.  Refining a saved soundtrack
+    // saves the result as a new one (same cover) with its own permalink and
+    // owner key — and, for a film score, its cue sheet while the number of
+    // tracks is unchanged (`cueSheet` in the reply, else null).
+
+    app.post('/api/refine', identifyCaller, async (req, res) => {
+        if (rejected(req, res, await quota.check(req.caller, policy.refineCost))) return;
+
+        // ── Validate input ──
+        const body   = req.body;
+        const errors = formatErrors(validate(REFINE_SCHEMA, body));
+        if (!errors.length && body.instruction !== undefined && !body.instruction.trim()) {
+            errors.push('$.instruction must not be empty');
+        }
+        if (!errors.length && body.instruction === undefined && body.track === undefined) {
+            errors.push('$ needs an instruction or a track to regenerate');
+        }
+        if (!errors.length && (body.soundtrackId === undefined) === (body.tracklist === undefined)) {
+            errors.push('$ needs either a soundtrackId or a tracklist');
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: `Invalid refine request: ${errors.join('; ')}` });
+        }
+
+        let parent = null;
+        let tracklist;
+        if (body.soundtrackId !== undefined) {
+            parent = await library.get(body.soundtrackId);
+            if (!parent) {
+                return res.status(404).json({ error: 'Soundtrack not found.' });
+            }
+            tracklist = parent.tracklist;
+        } else {
+            const checked = normalizeTracklist(body.tracklist, { minTracks: REFINE_TRACK_COUNT.min, maxTracks: REFINE_TRACK_COUNT.max });
+            if (checked.errors.length) {
+                return res.status(400).json({ error: `Invalid tracklist: ${checked.errors.join('; ')}` });
+            }
+            tracklist = checked.tracklist;
+        }
+        if (body.track !== undefined && body.track >= tracklist.tracks.length) {
+            return res.status(400).json({ error: `There is no track ${body.track + 1} — the album has ${tracklist.tracks.length}.` });
+        }
+
+        // ── Moderate what the caller wrote: the instruction, and a posted tracklist ──
+        if (body.instruction !== undefined && await flagged(res, () => moderator.checkInput(body.instruction))) return;
+        if (!parent && await flagged(res, () => moderator.checkTracklist(tracklist, { stage: 'input' }))) return;
+
+        const missing = providers.text.missingConfig();
+        if (missing) {
+            log.error('Provider misconfigured', { missing });
+            return res.status(500).json({ error: 'Server misconfigured — API key missing.' });
+        }
+
+        const signal = abortOnDisconnect(res);
+        try {
+            const refined = await refineTracklist({
+                tracklist,
+                instruction: body.instruction?.trim(),
+                track:       body.track,
+                text:        providers.text,
+                signal,
+            });
+            const verdict = await moderator.checkTracklist(refined, { signal });
+            if (verdict) throw moderationError(verdict);
+
+            const saved    = parent && await library.saveRefinement(parent, refined);
+            const standing = await quota.consume(req.caller, policy.refineCost);
+
+            log.info('Refinement complete', { caller: req.caller.id, cost: policy.refineCost, userRemaining: standing.userRemaining });
+
+            res.json({
+                tracklist:    refined,
+                cueSheet:     saved?.cueSheet || null,
+                diff:         diffTracklists(tracklist, refined),
+                soundtrackId: saved ? saved.id : null,
+                ownerKey:     saved ? saved.ownerKey : null,
+                permalink:    saved ? toPublic(saved).permalink : null,
+                remaining:    remainingFrom(standing),
+            });
+        } catch (err) {
+            if (signal.aborted) return;
+            if (err.type !== 'moderation') log.error('Refinement failed', { err });
+            upstreamFailed(res, err, 500, err.message || 'Refinement failed. Please try again.');
+        }
+    });
+
+    // ─── GET /api/cover/:token — a generated cover, by its token ──
+    // Waits for the background fetch (or fetches now) and redirects to the
+    // stored image, keeping ?w= / ?format= / ?placeholder; tokens work until they expire.
+
+    app.get('/api/cover/:token', async (req, res) => {
+        const signal = abortOnDisconnect(res);
+
+        let cover;
+        try {
+            cover = await coverTokens.resolve(req.params.token, { signal });
+        } catch (err) {
+            if (signal.aborted) return;   // the token stays valid for a retry
+            log.error('Cover proxy failed', { err });
+            metrics.coverTokens.inc({ outcome: 'failed' });
+            await events.record({ kind: 'cover', outcome: 'failed', type: err.type === 'upstream_unavailable' ? err.type : 'cover_failed' });
+            return upstreamFailed(res, err, 502, 'Failed to load album cover.');
+        }
+
+        if (cover.status === 'not_found') {
+            metrics.coverTokens.inc({ outcome: 'not_found' });
+            return res.status(404).json({ error: 'Cover not found.' });
+        }
+        if (cover.status === 'expired') {
+            metrics.coverTokens.inc({ outcome: 'expired' });
+            return res.status(410).json({ error: 'Cover token expired.' });
+        }
+
+        metrics.coverTokens.inc({ outcome: 'served' });
+        await events.record({ kind: 'cover', soundtrackId: cover.soundtrackId, outcome: 'ok' });
+        res.set('Cache-Control', 'private, no-cache');
+        res.redirect(302, `/api/covers/${cover.hash}${querySuffix(req)}`);
+    });
+
+    // ─── GET /api/covers/:hash — a stored cover image (immutable) ──
+    // Optional ?w=, ?format=webp|jpeg|png or ?placeholder (see lib/cover-images.js);
+    // each copy is made once and stored like the cover.
+
+    app.get('/api/covers/:hash', async (req, res) => {
+        const meta = await covers.meta(req.params.hash);
+        if (!meta) {
+            return res.status(404).json({ error: 'Cover not found.' });
+        }
+
+        let image = { hash: req.params.hash, contentType: meta.contentType };
+        try {
+            const options = imageOptions(req.query);
+            if (options) {
+                image = await covers.derived(image.hash, variantName(options, meta.contentType),
+                    (buffer, contentType) => imageJobs.deriveImage(buffer, contentType, options));
+            }
+        } catch (err) {
+            if (err.status === 400) return res.status(400).json({ error: err.message });
+            log.error('Cover conversion failed', { hash: req.params.hash, err });
+            return res.status(500).json({ error: 'Could not convert the cover.' });
+        }
+
+        if (!image || !await covers.has(image.hash)) {   // evicted meanwhile
+            return res.status(404).json({ error: 'Cover not found.' });
+        }
+
+        res.set('ETag', `"${image.hash}"`);
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        if (req.fresh) return res.status(304).end();
+
+        res.type(image.contentType).send(await covers.get(image.hash));
+    });
+
+    // ─── GET /api/soundtracks/:id — a saved soundtrack (free, no quota) ──
+
+    app.get('/api/soundtracks/:id', async (req, res) => {
+        const record = await library.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Soundtrack not found.' });
+        }
+        res.json(toPublic(record));
+    });
+
+    /**
+     * A saved soundtrack's cover — rendered from the saved prompt + seed (and
+     * kept) if it was never fetched or has been evicted.  Throws if rendering fails.
+     */
+    async function savedCover(record) {
+        const saved = await library.coverImage(record);
+        if (saved) return saved;
+
+        const { prompt, seed, width = 768, height = 768 } = record.cover;
+        const image = await images.generate({ prompt, seed, width, height });
+        await library.attachCover(record.id, image)
+            .catch(err => log.error('Saving cover failed', { soundtrackId: record.id, err }));
+        return image;
+    }
+
+    // ─── GET /api/soundtracks/:id/cover — its saved cover image ──
+    // With ?w=, ?format= or ?placeholder, redirects to that copy at /api/covers/:hash.
+
+    app.get('/api/soundtracks/:id/cover', async (req, res) => {
+        const record = await library.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Soundtrack not found.' });
+        }
+
+        let image;
+        try {
+            image = await savedCover(record);
+        } catch (err) {
+            log.error('Cover render failed', { soundtrackId: record.id, err });
+            return upstreamFailed(res, err, 502, 'Failed to load album cover.');
+        }
+
+        if (querySuffix(req)) {
+            const hash = await covers.put(image.buffer, { contentType: image.contentType });
+            return res.redirect(302, `/api/covers/${hash}${querySuffix(req)}`);
+        }
+
+        res.set('Content-Type', image.contentType);
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.send(image.buffer);
+    });
+
+    // ─── GET /api/soundtracks/:id/card — the 1200×630 share card (og:image) ──
+    // Kept with the cover it was drawn from, so picking another cover makes a new one.
+
+    app.get('/api/soundtracks/:id/card', async (req, res) => {
+        const record = await library.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Soundtrack not found.' });
+        }
+
+        const cover = await savedCover(record).catch(err => {
+            log.warn('Cover unavailable for share card', { soundtrackId: record.id, err });
+            return null;
+        });
+        try {
+            if (!cover) {   // drawn without it, and not kept
+                res.set('Cache-Control', 'no-cache');
+                return res.type('image/jpeg').send(await imageJobs.renderShareCard(record.tracklist));
+            }
+            const hash = await covers.put(cover.buffer, { contentType: cover.contentType });
+            const card = await covers.derived(hash, `card:${record.id}`, async buffer => ({
+                buffer:      await imageJobs.renderShareCard(record.tracklist, buffer),
+                contentType: 'image/jpeg',
+            }));
+            res.set('ETag', `"${card.hash}"`);
+            res.set('Cache-Control', 'public, max-age=3600');
+            if (req.fresh) return res.status(304).end();
+            res.type(card.contentType).send(await covers.get(card.hash));
+        } catch (err) {
+            log.error('Share card failed', { soundtrackId: record.id, err });
+            res.status(500).json({ error: 'Could not render the share card.' });
+        }
+    });
+
+    /** Middleware: load req.record, answering 404 / 403 unless the caller holds its owner key. */
+    async function requireOwner(req, res, next) {
+        const record = await library.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Soundtrack not found.' });
+        }
+        if (!library.isOwner(record, req.get('X-Owner-Key'))) {
+            return res.status(403).json({ error: 'Only the creator of this soundtrack can change its cover.', type: 'not_owner' });
+        }
+        req.record = record;
+        next();
+    }
+
+    // ─── PUT /api/soundtracks/:id/cover — pick one of its cover variants ──
+    // Body: { variant } (0-based).  Needs the X-Owner-Key header.
+
+    app.put('/api/soundtracks/:id/cover', requireOwner, async (req, res) => {
+        const variant = req.body.variant;
+        if (!Number.isInteger(variant) || !await library.selectCover(req.record.id, variant)) {
+            return res.status(400).json({ error: 'Unknown cover variant.' });
+        }
+        res.json(toPublic(await library.get(req.record.id)));
+    });
+
+    // ─── POST /api/soundtracks/:id/cover/regenerate — new covers, same vibe ──
+    // Body (all optional): { style, aspect, variants } — style and aspect
+    // default to the current cover's.  Needs the X-Owner-Key header; billed at
+    // policy.coverCost of a generation.  Replies with fresh cover tokens.
+
+    app.post('/api/soundtracks/:id/cover/regenerate', identifyCaller, requireOwner, async (req, res) => {
+        if (rejected(req, res, await quota.check(req.caller, policy.coverCost))) return;
+
+        const current = req.record.cover;
+        const { options, errors } = resolveCoverOptions(req.body, {
+            defaults: { style: current.style || 'cinematic', aspect: current.aspect || 'square', variants: 1 },
+            path:     '$',
+        });
+        if (errors.length) {
+            return res.status(400).json({ error: `Invalid cover options: ${errors.join('; ')}` });
+        }
+
+        const missing = providers.image.missingConfig();
+        if (missing) {
+            log.error('Provider misconfigured', { missing });
+            return res.status(500).json({ error: 'Server misconfigured — API key missing.' });
+        }
+
+        const spec = coverSpec(req.record.vibe, options);
+        await library.replaceCover(req.record.id, spec);
+        const tokens   = await coverTokens.issue(spec, req.record.id);
+        const standing = await quota.consume(req.caller, policy.coverCost);
+
+        log.info('Covers regenerated', { caller: req.caller.id, cost: policy.coverCost, userRemaining: standing.userRemaining });
+
+        res.json({
+            coverToken:  tokens[0],
+            coverTokens: tokens,
+            cover:       toPublic(await library.get(req.record.id)).cover,
+            remaining:   remainingFrom(standing),
+        });
+    });
+
+    // ─── GET /api/soundtracks/:id/export?format= — json | m3u | xspf | png ──
+    // The same files the results page offers for download.
+
+    app.get('/api/soundtracks/:id/export', async (req, res) => {
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!SoundtrackFormats.FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Unknown export format. Use one of: ${SoundtrackFormats.FORMATS.join(', ')}.` });
+        }
+
+        const record = await library.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Soundtrack not found.' });
+        }
+
+        if (format !== 'png') {
+            const coverUrl = `${req.protocol}://${req.get('host')}${toPublic(record).coverUrl}`;
+            const file     = SoundtrackFormats.render(record.tracklist, format, { image: coverUrl });
+            return res.attachment(file.fileName).type(file.mime).send(file.body);
+        }
+
+        // The sheet still renders (with an empty panel) if the cover can't be had
+        const cover = await savedCover(record).catch(err => {
+            log.warn('Cover unavailable for album sheet', { soundtrackId: record.id, err });
+            return null;
+        });
+        try {
+            const sheet = await imageJobs.renderAlbumSheet(record.tracklist, cover?.buffer);
+            res.attachment(SoundtrackFormats.fileName(record.tracklist, 'png')).type('image/png').send(sheet);
+        } catch (err) {
+            log.error('Album sheet failed', { soundtrackId: record.id, err });
+            res.status(500).json({ error: 'Could not render the album sheet.' });
+        }
+    });
+
+    // ─── POST /api/soundtracks/:id/render — queue a WAV render (no quota) ──
+    // Body (all optional): { mode: 'mix' | 'tracks', sampleRate: 22050 | 44100, timeScale: 0.01–1 }
+    // Replies 202 with the job; poll GET /api/renders/:jobId until it's done.
+
+    app.post('/api/soundtracks/:id/render', async (req, res) => {
+        const record = await library.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Soundtrack not found.' });
+        }
+
+        try {
+            const job = await renders.enqueue(record, req.body);
+            res.status(202).location(`/api/renders/${job.id}`).json(toPublicJob(job));
+        } catch (err) {
+            if (!err.status) log.error('Render enqueue failed', { soundtrackId: record.id, err });
+            res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not start the render.' });
+        }
+    });
+
+    // ─── GET /api/renders/:jobId — render status, progress and file URLs ──
+
+    app.get('/api/renders/:jobId', async (req, res) => {
+        const job = await renders.get(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Render not found or expired.' });
+        }
+        res.json(toPublicJob(job));
+    });
+
+    // ─── GET /api/renders/:jobId/files/:index — download a finished WAV ──
+
+    app.get('/api/renders/:jobId/files/:index', async (req, res) => {
+        const job  = await renders.get(req.params.jobId);
+        const file = job && await renders.file(job, Number(req.params.index));
+        if (!file) {
+            return res.status(404).json({ error: 'Render file not found.' });
+        }
+        res.attachment(file.name).type('audio/wav').send(file.wav);
+    });
+
+    // ─── GET /s/:id — read-only permalink page ──
+    // Same frontend; js/app.js sees the /s/ path and renders the saved album.
+    // The <head> carries the album's own title and Open Graph tags for link previews.
+
+    const indexTemplate = fs.readFileSync(INDEX_HTML, 'utf8');
+
+    app.get('/s/:id', async (req, res) => {
+        const record = await library.get(req.params.id);
+        if (!record) {
+            return res.status(404).sendFile(INDEX_HTML);
+        }
+        res.type('html').send(renderPermalinkPage(indexTemplate, record, `${req.protocol}://${req.get('host')}`));
+    });
+
+    // ─── Periodic cleanup of expired tokens, render jobs, cache entries and old covers ──
+    const sweeper = setInterval(async () => {
+        const now = Date.now();
+        try {
+            await coverTokens.sweep(now);
+            await renders.sweep(now);
+            await cache.sweep();
+            await covers.sweep(now);
+        } catch (err) {
+            log.error('Sweep failed', { err });
+        }
+    }, 60_000).unref();
+
+    async function close() {
+        clearInterval(sweeper);
+        await coverTokens.idle();
+        await renders.close();
+        await imageJobs.close();
+        await journal.close();
+        await storage.close();
+    }
+
+    return { app, storage, library, covers, coverTokens, renders, policy, providers, close };
+}
+
+module.exports = { createApp };
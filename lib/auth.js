@@ -0,0 +1,107 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Access Keys  (optional auth layer)
+ * ═══════════════════════════════════════════════
+ *
+ * Callers may send `Authorization: Bearer cs_…` to use an issued access
+ * key instead of the anonymous IP-based quota.  Each key belongs to a
+ * tier with its own limit, and is counted separately from every IP.
+ *
+ * Keys live in a JSON file (ACCESS_KEYS_FILE, default data/access-keys.json)
+ * that only ever holds SHA-256 hashes — issue keys with `npm run issue-key`:
+ *
+ *   {
+ *     "tiers": {
+ *       "team":    { "userLimit": 20 },
+ *       "partner": { "userLimit": 100, "countsTowardGlobal": false }
+ *     },
+ *     "keys": [
+ *       { "id": "k_1a2b3c4d", "hash": "<sha256 hex>", "tier": "team", "label": "Office" }
+ *     ]
+ *   }
+ *
+ * The file is re-read when it changes, so new keys work without a restart.
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const { createLogger } = require('./log');
+
+const log = createLogger({ component: 'auth' });
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'access-keys.json');
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/** Anonymous caller, limited by IP under the site policy. */
+function ipCaller(ip) {
+    return { kind: 'ip', id: ip, ip };
+}
+
+function createAuth({ file = DEFAULT_FILE } = {}) {
+    let loadedMtime = null;
+    let byHash      = new Map();   // sha256 hex → caller template
+
+    function reloadIfChanged() {
+        let mtime;
+        try {
+            mtime = fs.statSync(file).mtimeMs;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            byHash = new Map();
+            loadedMtime = null;
+            return;
+        }
+        if (mtime === loadedMtime) return;
+
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        byHash = indexKeys(config);
+        loadedMtime = mtime;
+        log.info('Access keys loaded', { count: byHash.size, file });
+    }
+
+    /**
+     * Work out who is calling.
+     * @returns {{ caller: object } | { error: string }}
+     *          an error only when a bearer token is present but not valid
+     */
+    function identify(req, ip) {
+        const header = req.headers.authorization || '';
+        const match  = header.match(/^Bearer\s+(\S+)$/i);
+        if (!match) return { caller: ipCaller(ip) };
+
+        reloadIfChanged();
+        const template = byHash.get(hashKey(match[1]));
+        if (!template) return { error: 'Invalid or revoked access key.' };
+        return { caller: { ...template, ip } };
+    }
+
+    reloadIfChanged();   // surface a malformed file at startup, not on first request
+
+    return { identify };
+}
+
+function indexKeys({ tiers = {}, keys = [] }) {
+    const out = new Map();
+    for (const key of keys) {
+        const tier = tiers[key.tier];
+        if (!tier) throw new Error(`Access key ${key.id} references unknown tier "${key.tier}"`);
+        if (key.revoked) continue;
+
+        out.set(key.hash, {
+            kind:               'key',
+            id:                 `key:${key.id}`,
+            keyId:              key.id,
+            label:              key.label || null,
+            tier:               key.tier,
+            userLimit:          tier.userLimit,
+            countsTowardGlobal: tier.countsTowardGlobal !== false,
+        });
+    }
+    return out;
+}
+
+module.exports = { createAuth, hashKey, ipCaller, DEFAULT_FILE };
@@ -0,0 +1,128 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Result Cache
+ * ═══════════════════════════════════════════════
+ *
+ * Sits in front of the text and image providers so identical requests —
+ * the quick-vibe presets make them common — don't each pay for an
+ * upstream call:
+ *
+ *   - results are kept in storage for `ttlMs` (0 turns caching off)
+ *   - identical requests arriving while one is already running wait for
+ *     it instead of starting their own ("coalescing")
+ *
+ * Every run() reports how its value was obtained:
+ *   'miss'      — computed now (and cached)
+ *   'hit'       — read from the cache
+ *   'coalesced' — shared with an identical request that was in flight
+ *   'bypass'    — computed now, cache untouched (the caller asked to skip it)
+ *
+ * Storage keys:
+ *   cache:<kind>:<sha256>  → cached value
+ *
+ *   kind = 'tracklist' → { tracklist, coverSeed }            (lib/app.js)
+ *          'image'     → { hash, contentType }  — bytes are in the blob store
+ *
+ * Environment variables (read by lib/app.js):
+ *   CACHE_TTL_SECONDS  — how long results are reused (default: 21600, 6 hours; 0 disables)
+ */
+
+const crypto = require('crypto');
+
+/** Key for `parts` under `kind` — parts are JSON-serialised, so order matters. */
+function cacheKey(kind, parts) {
+    return `${kind}:${crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex')}`;
+}
+
+/** Vibes that differ only in case or spacing share a cache entry. */
+function normalizeVibe(vibe) {
+    return vibe.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.storage — key/value store (lib/storage)
+ * @param {number} opts.ttlMs   — how long values are kept; 0 disables the cache (coalescing stays on)
+ */
+function createCache({ storage, ttlMs }) {
+    const inFlight = new Map();   // key → Promise<{ value, status }>
+    const keyFor   = key => `cache:${key}`;
+
+    /**
+     * The cached value for `key`, or compute() it.
+     * @param {string}   key      — from cacheKey()
+     * @param {Function} compute  — async () → JSON-serialisable value
+     * @param {{ bypass?: boolean }} [opts]
+     * @returns {Promise<{ value, status: 'miss' | 'hit' | 'coalesced' | 'bypass' }>}
+     */
+    async function run(key, compute, { bypass = false } = {}) {
+        if (bypass) return { value: await compute(), status: 'bypass' };
+
+        const pending = inFlight.get(key);
+        if (pending) {
+            try {
+                const shared = await pending;
+                return { value: shared.value, status: shared.status === 'hit' ? 'hit' : 'coalesced' };
+            } catch {
+                // The first request failed — perhaps only because its client went away
+                return { value: await compute(), status: 'miss' };
+            }
+        }
+
+        const promise = lookupOrCompute(key, compute);
+        inFlight.set(key, promise);
+        const done = () => inFlight.delete(key);
+        promise.then(done, done);
+        return promise;
+    }
+
+    async function lookupOrCompute(key, compute) {
+        if (ttlMs > 0) {
+            const cached = await storage.get(keyFor(key));
+            if (cached !== null) return { value: cached, status: 'hit' };
+        }
+
+        const value = await compute();
+        if (ttlMs > 0) await storage.set(keyFor(key), value, { ttlMs });
+        return { value, status: 'miss' };
+    }
+
+    async function forget(key) {
+        await storage.delete(keyFor(key));
+    }
+
+    /** Drop expired entries (storage only expires keys lazily). */
+    async function sweep() {
+        await storage.keys('cache:');
+    }
+
+    return { run, forget, sweep };
+}
+
+/**
+ * An image provider with the same interface as `provider`, whose results
+ * are cached (bytes in `blobs`) by prompt, seed and size.
+ */
+function createCachedImageProvider(provider, { cache, blobs }) {
+    async function render(args) {
+        const image = await provider.generate(args);
+        return { hash: await blobs.put(image.buffer, { contentType: image.contentType }), contentType: image.contentType };
+    }
+
+    async function generate(args) {
+        const { prompt, seed, width, height } = args;
+        const key = cacheKey('image', [provider.name, provider.model, prompt, seed, width, height]);
+
+        const { value } = await cache.run(key, () => render(args));
+        const buffer    = await blobs.get(value.hash);
+        if (buffer) return { buffer, contentType: value.contentType };
+
+        // The bytes were removed from the blob store since — render again
+        await cache.forget(key);
+        return provider.generate(args);
+    }
+
+    return { ...provider, generate };
+}
+
+module.exports = { createCache, createCachedImageProvider, cacheKey, normalizeVibe };
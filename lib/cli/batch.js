@@ -0,0 +1,147 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Batch Generation  (CLI)
+ * ═══════════════════════════════════════════════
+ *
+ * One soundtrack per scene, written to an output directory as
+ *
+ *   003-rooftop-chase-at-night.json   — the record: vibe, tracklist, cover…
+ *   003-rooftop-chase-at-night.jpg    — its cover
+ *
+ * The JSON is written as soon as the tracklist is in and again once the
+ * cover is saved, so an interrupted batch picks up where it stopped:
+ * scenes with both files are skipped, scenes with only the JSON just fetch
+ * their cover (which costs nothing), and the rest are generated.
+ *
+ * Before each generation the caller's quota is checked (client.status());
+ * a batch stops — rather than failing scene after scene — when it runs
+ * out, when the key is refused or when the AI service is down.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+/** Errors that would fail every remaining scene the same way. */
+const STOPPING = new Set(['user_limit', 'global_limit', 'rate_limited', 'denied', 'invalid_key', 'unauthorized', 'upstream_unavailable']);
+
+/** Scenes from a text file: one per line; blank lines and # comments are skipped. */
+function readScenes(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+/** 'rooftop-chase-at-night' — lower-case ASCII, safe in any file system. */
+function slugify(vibe) {
+    const slug = vibe.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-').slice(0, 48).replace(/^-+|-+$/g, '');
+    return slug || 'scene';
+}
+
+/** '003-rooftop-chase-at-night' for the third scene — stable while the line is unchanged. */
+function sceneName(index, vibe) {
+    return `${String(index + 1).padStart(3, '0')}-${slugify(vibe)}`;
+}
+
+/**
+ * True when `standing` (GET /api/status) has less than one generation left —
+ * the server refuses a generation it can't bill in full.
+ */
+function exhausted(standing) {
+    return [standing.userRemaining, standing.globalRemaining].some(left => left !== null && left < 1);
+}
+
+function readRecord(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+/** Write via a temporary file, so an interrupted write never leaves half a record. */
+function writeRecord(file, record) {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Generate (or finish) one scene.
+ * @param {object} opts
+ * @param {string} opts.vibe
+ * @param {string} opts.name     — file name without extension
+ * @param {string} opts.outDir
+ * @param {object} opts.client   — lib/cli/clients.js
+ * @param {object} [opts.request] — { options, cover } for client.generate()
+ * @returns {Promise<{ status: 'skipped' | 'resumed' | 'generated' | 'quota', record?, remaining?, standing? }>}
+ *          'quota' when the caller has nothing left; nothing was generated then
+ */
+async function runScene({ vibe, name, outDir, client, request }) {
+    const file   = path.join(outDir, `${name}.json`);
+    let record   = readRecord(file);
+    let status   = 'resumed';
+    let remaining;
+
+    if (record?.cover?.file && fs.existsSync(path.join(outDir, record.cover.file))) {
+        return { status: 'skipped', record };
+    }
+    if (!record) {
+        const standing = await client.status();
+        if (standing && exhausted(standing)) return { status: 'quota', standing };
+
+        const result = await client.generate(vibe, request);
+        record    = { ...result.record, generatedAt: new Date().toISOString() };
+        remaining = result.remaining;
+        status    = 'generated';
+        writeRecord(file, record);
+    }
+
+    const image = await client.cover(record);
+    const cover = `${name}.${EXTENSIONS[image.contentType] || 'png'}`;
+    fs.writeFileSync(path.join(outDir, cover), image.buffer);
+    record = { ...record, cover: { ...record.cover, file: cover, contentType: image.contentType } };
+    writeRecord(file, record);
+
+    return { status, record, remaining };
+}
+
+/**
+ * Work through `scenes` in order.
+ * @param {object}   opts
+ * @param {string[]} opts.scenes  — from readScenes()
+ * @param {string}   opts.outDir
+ * @param {object}   opts.client
+ * @param {object}   [opts.request]
+ * @param {Function} [opts.report] — (scene number, vibe, outcome) after each scene; outcome is
+ *                                   runScene()'s result, or { status: 'failed', error }
+ * @returns {Promise<{ generated: number, resumed: number, skipped: number, failed: number,
+ *                     stopped: { scene, reason, message?, resetsAt? } | null }>}
+ */
+async function runBatch({ scenes, outDir, client, request, report = () => {} }) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const summary = { generated: 0, resumed: 0, skipped: 0, failed: 0, stopped: null };
+
+    for (const [index, vibe] of scenes.entries()) {
+        let outcome;
+        try {
+            outcome = await runScene({ vibe, name: sceneName(index, vibe), outDir, client, request });
+        } catch (err) {
+            outcome = { status: 'failed', error: err };
+        }
+        report(index + 1, vibe, outcome);
+
+        if (outcome.status === 'quota') {
+            summary.stopped = { scene: index + 1, reason: 'quota', resetsAt: outcome.standing.resetsAt };
+            break;
+        }
+        if (outcome.status === 'failed' && STOPPING.has(outcome.error.type)) {
+            summary.stopped = { scene: index + 1, reason: outcome.error.type, message: outcome.error.message };
+            break;
+        }
+        summary[outcome.status]++;
+    }
+    return summary;
+}
+
+module.exports = { runBatch, runScene, readScenes, sceneName, slugify };
@@ -0,0 +1,113 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — CLI Clients  (server or local core)
+ * ═══════════════════════════════════════════════
+ *
+ * Where `cinesonics` (bin/cinesonics.js) gets its soundtracks.  Both
+ * clients have the same shape:
+ *
+ *   status()                   → the caller's quota standing (GET /api/status), or null
+ *                                when nothing is limited
+ *   generate(vibe, request)    → { record, remaining? }   request = { options, cover }
+ *   cover(record)              → { buffer, contentType }  the cover for a generated record
+ *
+ * A record is what the CLI saves per scene: { vibe, tracklist, … } plus
+ * whatever the client needs to fetch its cover again later.
+ *
+ *   remote — calls a running server's /api/v1 (lib/api-v1.js), with its
+ *            quota and moderation.  Errors carry the envelope's `code` as
+ *            `type`, and `status`.
+ *   local  — runs the generation core in-process (lib/generate.js, with the
+ *            same prompts and JSON extraction as the server) against the
+ *            providers configured in the environment; no quota applies.
+ */
+
+const { createProviders }   = require('../providers');
+const { generateTracklist } = require('../generate');
+const { coverSpec, DEFAULT_COVER } = require('../covers');
+
+/**
+ * @param {object} opts
+ * @param {string} opts.server — the server's origin, e.g. http://localhost:3000
+ * @param {string} [opts.key]  — an access key (lib/auth.js)
+ */
+function createRemoteClient({ server, key }) {
+    const auth = key ? { Authorization: `Bearer ${key}` } : {};
+
+    /** fetch() /api/v1<pathname>; throws the API's error for anything but 2xx. */
+    async function call(pathname, init = {}) {
+        const res = await fetch(new URL(`/api/v1${pathname}`, server), { ...init, headers: { ...auth, ...init.headers } });
+        if (res.ok) return res;
+
+        const body = await res.json().catch(() => null);
+        const err  = new Error(body?.error?.message || `${res.status} ${res.statusText}`);
+        err.status = res.status;
+        err.type   = body?.error?.code;
+        throw err;
+    }
+
+    async function status() {
+        return (await call('/status')).json();
+    }
+
+    async function generate(vibe, { options, cover } = {}) {
+        const res  = await call('/generate', {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ vibe, options, cover }),
+        });
+        const body = await res.json();
+        return {
+            record: {
+                vibe,
+                tracklist:    body.tracklist,
+                soundtrackId: body.soundtrackId,
+                permalink:    new URL(body.permalink, server).href,
+                coverToken:   body.coverToken,
+            },
+            remaining: body.remaining,
+        };
+    }
+
+    /** Through the cover token while it lasts (no second render), else the saved soundtrack. */
+    async function cover(record) {
+        let res;
+        if (record.coverToken) {
+            res = await call(`/cover/${record.coverToken}`).catch(err => {
+                if (err.status === 404 || err.status === 410) return null;
+                throw err;
+            });
+        }
+        res ??= await call(`/soundtracks/${record.soundtrackId}/cover`);
+        return { buffer: Buffer.from(await res.arrayBuffer()), contentType: res.headers.get('content-type') };
+    }
+
+    return { mode: 'remote', status, generate, cover };
+}
+
+/**
+ * @param {object} [env] — provider settings, normally process.env (see lib/providers)
+ */
+function createLocalClient(env = process.env) {
+    const providers = createProviders(env);
+
+    /** Why the providers can't be used (e.g. a missing API key), or null. */
+    function missingConfig() {
+        return providers.text.missingConfig() || providers.image.missingConfig();
+    }
+
+    async function generate(vibe, { options, cover = DEFAULT_COVER } = {}) {
+        const tracklist = await generateTracklist({ vibe, options, text: providers.text });
+        const { seeds, ...spec } = coverSpec(vibe, { ...cover, variants: 1 });
+        return { record: { vibe, tracklist, cover: { ...spec, seed: seeds[0] } } };
+    }
+
+    function cover(record) {
+        const { prompt, seed, width, height } = record.cover;
+        return providers.image.generate({ prompt, seed, width, height });
+    }
+
+    return { mode: 'local', missingConfig, status: async () => null, generate, cover };
+}
+
+module.exports = { createRemoteClient, createLocalClient };
@@ -0,0 +1,140 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Cover Images  (sizes & formats)
+ * ═══════════════════════════════════════════════
+ *
+ * Resized and re-encoded copies of a stored cover, for GET /api/covers/:hash:
+ *
+ *   ?w=384            — width in pixels, rounded up to one of WIDTHS and
+ *                       never wider than the original; height follows
+ *   ?format=webp      — webp, jpeg or png (default: the original's format)
+ *   ?placeholder      — a tiny blurred JPEG to show while the cover loads
+ *
+ * Everything runs in JavaScript / WebAssembly — jimp for decoding, resizing
+ * and JPEG / PNG, @jsquash/webp (libwebp compiled to wasm) for WebP — so no
+ * native image library is needed on the host.  The results are kept in the
+ * cover store (lib/cover-store.js), so each copy is made once.
+ */
+
+const fs = require('fs');
+const { Jimp } = require('jimp');
+
+const FORMATS = {
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+    png:  'image/png',
+};
+const WIDTHS = [96, 192, 384, 768, 1200];
+
+const QUALITY     = { jpeg: 82, webp: 80 };
+const PLACEHOLDER = { width: 24, blur: 1, quality: 50 };
+
+/** An option error: status 400 with the message for the client. */
+function badOption(message) {
+    const err  = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * The copy a query asks for, or null for the original.
+ * @param {object} query — req.query
+ * @returns {{ width?: number, format?: string, placeholder?: true } | null}
+ * @throws status 400 for an unknown format or a width that isn't a positive integer
+ */
+function imageOptions(query) {
+    if ('placeholder' in query) return { placeholder: true };
+    if (query.w === undefined && query.format === undefined) return null;
+
+    const options = {};
+    if (query.w !== undefined) {
+        const width = Number(query.w);
+        if (!Number.isInteger(width) || width < 1) throw badOption('w must be a positive whole number of pixels.');
+        options.width = WIDTHS.find(w => w >= width) || WIDTHS.at(-1);
+    }
+    if (query.format !== undefined) {
+        const format = String(query.format).toLowerCase().replace(/^jpg$/, 'jpeg');
+        if (!FORMATS[format]) throw badOption(`Unknown format. Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+        options.format = format;
+    }
+    return options;
+}
+
+/** The format of a content type, e.g. 'image/jpeg' → 'jpeg' (png for anything unknown). */
+function formatOf(contentType) {
+    return Object.keys(FORMATS).find(format => FORMATS[format] === contentType) || 'png';
+}
+
+/**
+ * A name for the copy of a `contentType` cover that `options` describe —
+ * the same name for every query that gives the same image.
+ */
+function variantName(options, contentType) {
+    if (options.placeholder) return 'placeholder';
+    return `w${options.width || 'full'}.${options.format || formatOf(contentType)}`;
+}
+
+// ═══════════════════════════════════════════════
+// WebP  (wasm, loaded on first use)
+// ═══════════════════════════════════════════════
+
+let webpPromise = null;
+
+/**
+ * The WebP encoder and decoder.  They are ESM-only and would fetch() their
+ * .wasm files, which Node can't do for file: URLs, so the binaries are read
+ * here and handed over.  The encoder picks its SIMD build on any Node that
+ * runs this app, so that's the binary it gets.
+ */
+function webp() {
+    webpPromise ??= (async () => {
+        const [encoder, decoder] = await Promise.all([
+            import('@jsquash/webp/encode.js'),
+            import('@jsquash/webp/decode.js'),
+        ]);
+        await encoder.init({ wasmBinary: fs.readFileSync(require.resolve('@jsquash/webp/codec/enc/webp_enc_simd.wasm')) });
+        await decoder.init({ wasmBinary: fs.readFileSync(require.resolve('@jsquash/webp/codec/dec/webp_dec.wasm')) });
+        return { encode: encoder.default, decode: decoder.default };
+    })().catch(err => {
+        webpPromise = null;
+        throw err;
+    });
+    return webpPromise;
+}
+
+async function decode(buffer, contentType) {
+    if (contentType !== FORMATS.webp) return Jimp.read(buffer);
+    const { decode: decodeWebp } = await webp();
+    const { data, width, height } = await decodeWebp(new Uint8Array(buffer).buffer);
+    return Jimp.fromBitmap({ data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height });
+}
+
+async function encode(image, format, quality) {
+    if (format !== 'webp') return image.getBuffer(FORMATS[format], format === 'jpeg' ? { quality } : {});
+    const { encode: encodeWebp } = await webp();
+    const { data, width, height } = image.bitmap;
+    return Buffer.from(await encodeWebp({ data: new Uint8ClampedArray(data), width, height }, { quality }));
+}
+
+// ═══════════════════════════════════════════════
+// Copies
+// ═══════════════════════════════════════════════
+
+/**
+ * Make the copy of a cover that `options` (from imageOptions()) describe.
+ * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+ */
+async function deriveImage(buffer, contentType, options) {
+    const image = await decode(buffer, contentType);
+
+    if (options.placeholder) {
+        image.resize({ w: PLACEHOLDER.width }).blur(PLACEHOLDER.blur);
+        return { buffer: await encode(image, 'jpeg', PLACEHOLDER.quality), contentType: FORMATS.jpeg };
+    }
+
+    const format = options.format || formatOf(contentType);
+    if (options.width && options.width < image.width) image.resize({ w: options.width });
+    return { buffer: await encode(image, format, QUALITY[format]), contentType: FORMATS[format] };
+}
+
+module.exports = { imageOptions, variantName, deriveImage, FORMATS, WIDTHS };
@@ -0,0 +1,149 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Cover Store
+ * ═══════════════════════════════════════════════
+ *
+ * Cover images by content hash, served from GET /api/covers/:hash.  The
+ * bytes live in the blob store (lib/storage/blobs.js); this keeps an
+ * index beside them — content type, size, last use — so old and rarely
+ * seen covers can be evicted:
+ *
+ *   - covers not requested for `maxAgeMs` are removed
+ *   - after that, the least recently used go until the total is under `maxBytes`
+ *
+ * It has the blob store's interface (put / get / has / delete), so the
+ * library and the image cache store their covers through it.  A saved
+ * soundtrack whose cover was evicted renders it again on its next view.
+ *
+ * Resized and re-encoded copies (lib/cover-images.js) are covers too, with
+ * their own hash; the original's entry lists them by name, and a copy
+ * that was evicted is made again when it is next asked for.
+ *
+ * Storage keys:
+ *   coverimg:<hash>  → { contentType, size, storedAt, usedAt,
+ *                        derived?: { <name>: { hash, contentType } } }
+ *
+ * Environment variables (read by lib/app.js):
+ *   COVER_STORE_MAX_MB     — total size kept (default 512)
+ *   COVER_RETENTION_DAYS   — unused covers are removed after this long (default 90, 0 = never)
+ */
+
+const { createLogger } = require('./log');
+
+const log = createLogger({ component: 'covers' });
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+const TOUCH_MS     = 60 * 60 * 1000;   // record a use at most hourly, not on every request
+
+/**
+ * @param {object} opts
+ * @param {object} opts.storage     — key/value store for the index
+ * @param {object} opts.blobs       — blob store for the bytes
+ * @param {number} [opts.maxBytes]
+ * @param {number} [opts.maxAgeMs]  — 0 keeps covers however long they go unused
+ */
+function createCoverStore({ storage, blobs, maxBytes = 512 * 1024 * 1024, maxAgeMs = 90 * 24 * 60 * 60 * 1000 }) {
+    const keyFor   = hash => `coverimg:${hash}`;
+    const inFlight = new Map();   // `${hash}:${name}` → Promise, so a copy is only made once at a time
+
+    /** Store an image; returns its hash.  Storing the same bytes again just refreshes it. */
+    async function put(buffer, { contentType = 'image/png' } = {}) {
+        const hash  = await blobs.put(buffer);
+        const now   = Date.now();
+        const entry = await storage.get(keyFor(hash));
+        if (entry && now - entry.usedAt < TOUCH_MS) return hash;
+
+        await storage.set(keyFor(hash), {
+            ...entry,
+            contentType: entry?.contentType || contentType,
+            size:        buffer.length,
+            storedAt:    entry?.storedAt || now,
+            usedAt:      now,
+        });
+        return hash;
+    }
+
+    /**
+     * The copy of cover `hash` called `name`, stored on first request.
+     * @param {string}   hash
+     * @param {string}   name  — from variantName() in lib/cover-images.js
+     * @param {Function} make  — async (buffer, contentType) → { buffer, contentType }
+     * @returns {Promise<{ hash, contentType } | null>} null if the cover itself isn't stored
+     */
+    async function derived(hash, name, make) {
+        const entry = await meta(hash);
+        const known = entry?.derived?.[name];
+        if (known && await blobs.has(known.hash)) return known;
+
+        const key = `${hash}:${name}`;
+        if (!inFlight.has(key)) {
+            const job = derive(hash, name, make).finally(() => inFlight.delete(key));
+            inFlight.set(key, job);
+        }
+        return inFlight.get(key);
+    }
+
+    async function derive(hash, name, make) {
+        const buffer = await blobs.get(hash);
+        const entry  = buffer && await storage.get(keyFor(hash));
+        if (!entry) return null;
+
+        const image = await make(buffer, entry.contentType);
+        const copy  = { hash: await put(image.buffer, { contentType: image.contentType }), contentType: image.contentType };
+
+        const current = await storage.get(keyFor(hash));
+        if (current) await storage.set(keyFor(hash), { ...current, derived: { ...current.derived, [name]: copy } });
+        return copy;
+    }
+
+    /** The index entry for `hash`, or null. */
+    async function meta(hash) {
+        if (!HASH_PATTERN.test(hash)) return null;
+        return storage.get(keyFor(hash));
+    }
+
+    /** The bytes for `hash`, or null; counts as a use. */
+    async function get(hash) {
+        if (!HASH_PATTERN.test(hash)) return null;
+        const buffer = await blobs.get(hash);
+        const entry  = buffer && await storage.get(keyFor(hash));
+        if (entry && Date.now() - entry.usedAt > TOUCH_MS) {
+            await storage.set(keyFor(hash), { ...entry, usedAt: Date.now() });
+        }
+        return buffer;
+    }
+
+    async function has(hash) {
+        return HASH_PATTERN.test(hash) && blobs.has(hash);
+    }
+
+    async function remove(hash) {
+        await blobs.delete(hash);
+        await storage.delete(keyFor(hash));
+    }
+
+    /** Apply the retention policy; returns how many covers were removed. */
+    async function sweep(now = Date.now()) {
+        const entries = [];
+        for (const key of await storage.keys('coverimg:')) {
+            const entry = await storage.get(key);
+            if (entry) entries.push({ hash: key.slice('coverimg:'.length), ...entry });
+        }
+
+        const evict = new Set(maxAgeMs ? entries.filter(e => now - e.usedAt > maxAgeMs) : []);
+        let total   = entries.reduce((sum, e) => sum + (evict.has(e) ? 0 : e.size), 0);
+        for (const entry of entries.filter(e => !evict.has(e)).sort((a, b) => a.usedAt - b.usedAt)) {
+            if (total <= maxBytes) break;
+            evict.add(entry);
+            total -= entry.size;
+        }
+
+        for (const entry of evict) await remove(entry.hash);
+        if (evict.size) log.info('Covers evicted', { count: evict.size, keptBytes: total });
+        return evict.size;
+    }
+
+    return { put, get, has, delete: remove, meta, derived, sweep };
+}
+
+module.exports = { createCoverStore };
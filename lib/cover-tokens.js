@@ -0,0 +1,128 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Cover Tokens
+ * ═══════════════════════════════════════════════
+ *
+ * A generation replies before its covers exist.  Each cover variant gets a
+ * token, and the server fetches the image in the background right away —
+ * the browser's GET /api/cover/:token then waits for that fetch (or makes
+ * it, if the background one failed) and is redirected to the stored cover
+ * at /api/covers/:hash.  Tokens can be used any number of times until they
+ * expire; they only grant access, the image itself has the stable URL.
+ *
+ * Only the prompt + seed are persisted with a token, never a keyed
+ * upstream URL.
+ *
+ * Storage keys:
+ *   cover:<token>  → { prompt, seed, width, height, soundtrackId, expiresAt,
+ *                      hash?, contentType? }   hash once the image is stored
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./log');
+const metrics = require('./metrics');
+
+const log = createLogger({ component: 'covers' });
+
+/**
+ * @param {object} opts
+ * @param {object} opts.storage  — key/value store
+ * @param {object} opts.images   — image provider (lib/providers, usually cached)
+ * @param {object} opts.covers   — cover store (lib/cover-store.js)
+ * @param {object} opts.library  — saved soundtracks, to keep each cover with its soundtrack
+ * @param {number} opts.ttlMs    — token lifetime
+ */
+function createCoverTokens({ storage, images, covers, library, ttlMs }) {
+    const keyFor  = token => `cover:${token}`;
+    const pending = new Map();   // token → background fetch
+
+    /** Render the token's cover, store it and note its hash on the token. */
+    async function fetchCover(token, entry, signal) {
+        const image = await images.generate({
+            prompt: entry.prompt,
+            seed:   entry.seed,
+            width:  entry.width  || 768,   // tokens issued before aspect ratios
+            height: entry.height || 768,
+            signal,
+        });
+        const hash    = await covers.put(image.buffer, { contentType: image.contentType });
+        const current = await storage.get(keyFor(token));
+        if (current) await storage.set(keyFor(token), { ...current, hash, contentType: image.contentType });
+
+        // Keep the bytes so the saved soundtrack shows the same cover later
+        if (entry.soundtrackId) {
+            await library.attachCover(entry.soundtrackId, image, entry.seed)
+                .catch(err => log.error('Saving cover failed', { soundtrackId: entry.soundtrackId, err }));
+        }
+        return { hash, contentType: image.contentType };
+    }
+
+    function prefetch(token, entry) {
+        const job = fetchCover(token, entry)
+            .catch(err => {
+                metrics.coverTokens.inc({ outcome: 'prefetch_failed' });
+                log.warn('Background cover fetch failed', { err });
+            })
+            .finally(() => pending.delete(token));
+        pending.set(token, job);
+    }
+
+    /**
+     * One token per variant of `spec` (see lib/covers.js); each cover starts
+     * downloading at once.
+     * @returns {Promise<string[]>}
+     */
+    async function issue(spec, soundtrackId) {
+        const { prompt, width, height } = spec;
+        const tokens = [];
+        for (const seed of spec.seeds) {
+            const token = crypto.randomUUID();
+            const entry = { prompt, seed, width, height, soundtrackId, expiresAt: Date.now() + ttlMs };
+            await storage.set(keyFor(token), entry);
+            prefetch(token, entry);
+            tokens.push(token);
+        }
+        metrics.coverTokens.inc({ outcome: 'issued' }, tokens.length);
+        return tokens;
+    }
+
+    /**
+     * The stored cover for a token, fetching it now if the background fetch
+     * didn't manage.  Rendering errors are thrown.
+     * @returns {Promise<{ status: 'ok', hash, contentType, soundtrackId } | { status: 'not_found' | 'expired' }>}
+     */
+    async function resolve(token, { signal } = {}) {
+        let entry = await storage.get(keyFor(token));
+        if (!entry) return { status: 'not_found' };
+        if (Date.now() > entry.expiresAt) {
+            await storage.delete(keyFor(token));
+            return { status: 'expired' };
+        }
+
+        if (!entry.hash && pending.has(token)) {
+            await pending.get(token);
+            entry = await storage.get(keyFor(token)) || entry;
+        }
+        const stored = entry.hash && await covers.has(entry.hash)
+            ? { hash: entry.hash, contentType: entry.contentType }
+            : await fetchCover(token, entry, signal);   // failed, evicted, or issued before a restart
+        return { status: 'ok', soundtrackId: entry.soundtrackId, ...stored };
+    }
+
+    /** Remove expired tokens.  Until the sweep, a late request for one gets 410; after it, 404. */
+    async function sweep(now = Date.now()) {
+        for (const key of await storage.keys('cover:')) {
+            const entry = await storage.get(key);
+            if (entry && now > entry.expiresAt) await storage.delete(key);
+        }
+    }
+
+    /** Resolves once no background fetch is running — for shutdown and tests. */
+    async function idle() {
+        while (pending.size) await Promise.all(pending.values());
+    }
+
+    return { issue, resolve, sweep, idle };
+}
+
+module.exports = { createCoverTokens };
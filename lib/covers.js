@@ -0,0 +1,66 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Cover Options
+ * ═══════════════════════════════════════════════
+ *
+ * What a caller may ask of an album cover, on POST /api/generate(/stream)
+ * (`cover` field) and when regenerating a saved soundtrack's cover:
+ *
+ *   style     — a preset from COVER_STYLES in lib/prompts.js   (default "cinematic")
+ *   aspect    — "square", "banner" (16:9) or "poster" (2:3)    (default "square")
+ *   variants  — 1–4 covers to choose from, one token each       (default 1)
+ *
+ * Variants share the prompt and differ by seed.
+ */
+
+const { COVER_STYLES, buildImagePrompt } = require('./prompts');
+const { validate, formatErrors } = require('./schema');
+
+const COVER_ASPECTS = {
+    square: { width: 768,  height: 768 },
+    banner: { width: 1344, height: 756 },
+    poster: { width: 768,  height: 1152 },
+};
+
+const MAX_VARIANTS = 4;
+
+const DEFAULT_COVER = { style: 'cinematic', aspect: 'square', variants: 1 };
+
+const COVER_OPTIONS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        style:    { enum: Object.keys(COVER_STYLES) },
+        aspect:   { enum: Object.keys(COVER_ASPECTS) },
+        variants: { type: 'integer', minimum: 1, maximum: MAX_VARIANTS },
+    },
+};
+
+/**
+ * @param {*} raw — the request's cover options (may be undefined)
+ * @param {object} [opts]
+ * @param {object} [opts.defaults] — filled in for options `raw` leaves out
+ * @param {string} [opts.path]     — where `raw` sits in the request body, for error messages
+ * @returns {{ options: object, errors: string[] }} defaults filled in; errors empty when valid
+ */
+function resolveCoverOptions(raw = {}, { defaults = DEFAULT_COVER, path = '$.cover' } = {}) {
+    const errors = formatErrors(validate(COVER_OPTIONS_SCHEMA, raw, path));
+    return { options: { ...defaults, ...(errors.length ? {} : raw) }, errors };
+}
+
+/**
+ * Everything needed to render the covers for `vibe` — what the library
+ * saves and the cover tokens carry.
+ * @returns {{ prompt, style, aspect, width, height, seeds: number[] }}
+ */
+function coverSpec(vibe, { style, aspect, variants }, baseSeed = Date.now()) {
+    return {
+        prompt: buildImagePrompt(vibe, style),
+        style,
+        aspect,
+        ...COVER_ASPECTS[aspect],
+        seeds:  Array.from({ length: variants }, (_, i) => baseSeed + i),
+    };
+}
+
+module.exports = { resolveCoverOptions, coverSpec, COVER_OPTIONS_SCHEMA, COVER_ASPECTS, MAX_VARIANTS, DEFAULT_COVER };
@@ -0,0 +1,229 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Film Score Cue Sheets
+ * ═══════════════════════════════════════════════
+ *
+ * A score (POST /api/score) is built in two kinds of model call —
+ * see generateScore() in lib/generate.js:
+ *
+ *   identity  — once per screenplay: the album every cue belongs to
+ *               { albumTitle, albumArtist (the composer), genre, vibeTag,
+ *                 logline, themes: [recurring motifs] }
+ *   cues      — per batch of scenes: { scenes: [{ scene, mood,
+ *                 cues: [{ title, duration, placement }] }] }
+ *
+ * Both are normalized like tracklists (lib/tracklist.js) and validated
+ * strictly, so a bad answer gets the same one corrective re-prompt.
+ * assembleScore() then flattens the cues into an ordinary tracklist —
+ * every track credited to the composer — plus the cue sheet that groups
+ * them by scene:
+ *
+ *   cueSheet = { logline, themes, scenes: [{ heading, mood, cues: [{ track, placement }] }] }
+ *
+ * `track` is the cue's 0-based position in the tracklist.
+ */
+
+const { validate, formatErrors } = require('./schema');
+const { GENERATION_OPTIONS_SCHEMA } = require('./options');
+const { COVER_OPTIONS_SCHEMA } = require('./covers');
+const { MAX_SCREENPLAY_CHARS, excerpt } = require('./screenplay');
+const { cleanText, normalizeDuration, MAX_LENGTH, DURATION_PATTERN } = require('./tracklist');
+
+const CUES_PER_SCENE = { min: 1, max: 2 };
+const MAX_THEMES     = 4;
+
+const NOTE_LENGTH = {
+    logline:   300,
+    theme:     120,
+    mood:      60,
+    placement: 200,
+    heading:   80,
+};
+
+/** POST /api/score body; options are the ones that make sense for a whole film. */
+const SCORE_SCHEMA = {
+    type: 'object',
+    required: ['screenplay'],
+    additionalProperties: false,
+    properties: {
+        screenplay: {
+            type: 'string', minLength: 1, maxLength: MAX_SCREENPLAY_CHARS, pattern: '\\S',
+            description: 'a screenplay excerpt — Fountain or plain text',
+        },
+        options: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                era:             GENERATION_OPTIONS_SCHEMA.properties.era,
+                instrumentation: GENERATION_OPTIONS_SCHEMA.properties.instrumentation,
+                language:        GENERATION_OPTIONS_SCHEMA.properties.language,
+            },
+        },
+        cover: COVER_OPTIONS_SCHEMA,
+    },
+};
+
+function text(maxLength) {
+    return { type: 'string', minLength: 1, maxLength };
+}
+
+const IDENTITY_SCHEMA = {
+    type: 'object',
+    required: ['albumTitle', 'albumArtist', 'genre', 'vibeTag', 'logline', 'themes'],
+    additionalProperties: false,
+    properties: {
+        albumTitle:  text(MAX_LENGTH.albumTitle),
+        albumArtist: text(MAX_LENGTH.albumArtist),
+        genre:       text(MAX_LENGTH.genre),
+        vibeTag:     text(MAX_LENGTH.vibeTag),
+        logline:     text(NOTE_LENGTH.logline),
+        themes:      { type: 'array', minItems: 1, maxItems: MAX_THEMES, items: text(NOTE_LENGTH.theme) },
+    },
+};
+
+/** Strict schema for the cues of `count` scenes. */
+function sceneCuesSchema(count) {
+    return {
+        type: 'object',
+        required: ['scenes'],
+        additionalProperties: false,
+        properties: {
+            scenes: {
+                type:     'array',
+                minItems: count,
+                maxItems: count,
+                items: {
+                    type: 'object',
+                    required: ['scene', 'mood', 'cues'],
+                    additionalProperties: false,
+                    properties: {
+                        scene: { type: 'integer' },
+                        mood:  text(NOTE_LENGTH.mood),
+                        cues: {
+                            type:     'array',
+                            minItems: CUES_PER_SCENE.min,
+                            maxItems: CUES_PER_SCENE.max,
+                            items: {
+                                type: 'object',
+                                required: ['title', 'duration', 'placement'],
+                                additionalProperties: false,
+                                properties: {
+                                    title:     text(MAX_LENGTH.title),
+                                    duration:  { type: 'string', pattern: DURATION_PATTERN, description: 'an m:ss duration like "1:45"' },
+                                    placement: text(NOTE_LENGTH.placement),
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════
+// Normalize + Validate
+// ═══════════════════════════════════════════════
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+/** Drop fields the model left out entirely so "is required" reads cleanly. */
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * @param {*} raw — parsed model output for buildScoreIdentityPrompt()
+ * @returns {{ value: object, errors: string[] }} errors empty when valid
+ */
+function normalizeScoreIdentity(raw) {
+    if (!isObject(raw)) return { value: raw, errors: ['$ must be a JSON object'] };
+
+    const value = withoutUndefined({
+        albumTitle:  cleanText(raw.albumTitle, MAX_LENGTH.albumTitle),
+        albumArtist: cleanText(raw.albumArtist, MAX_LENGTH.albumArtist),
+        genre:       cleanText(raw.genre, MAX_LENGTH.genre),
+        vibeTag:     cleanText(raw.vibeTag, MAX_LENGTH.vibeTag),
+        logline:     cleanText(raw.logline, NOTE_LENGTH.logline),
+        themes:      Array.isArray(raw.themes)
+            ? raw.themes.slice(0, MAX_THEMES).map(theme => cleanText(theme, NOTE_LENGTH.theme))
+            : raw.themes,
+    });
+    return { value, errors: formatErrors(validate(IDENTITY_SCHEMA, value)) };
+}
+
+function normalizeCue(cue) {
+    if (!isObject(cue)) return cue;
+    return withoutUndefined({
+        title:     cleanText(cue.title, MAX_LENGTH.title),
+        duration:  normalizeDuration(cue.duration),
+        placement: cleanText(cue.placement, NOTE_LENGTH.placement),
+    });
+}
+
+function normalizeScene(scene) {
+    if (!isObject(scene)) return scene;
+    return withoutUndefined({
+        scene: typeof scene.scene === 'string' && /^\d+$/.test(scene.scene.trim()) ? Number(scene.scene) : scene.scene,
+        mood:  cleanText(scene.mood, NOTE_LENGTH.mood),
+        cues:  Array.isArray(scene.cues) ? scene.cues.slice(0, CUES_PER_SCENE.max).map(normalizeCue) : scene.cues,
+    });
+}
+
+/**
+ * @param {*} raw — parsed model output for buildScoreCuesPrompt()
+ * @param {number[]} numbers — the 1-based scene numbers that prompt asked for, in order
+ * @returns {{ value: object[], errors: string[] }} value is the list of scenes; errors empty when valid
+ */
+function normalizeSceneCues(raw, numbers) {
+    if (!isObject(raw)) return { value: raw, errors: ['$ must be a JSON object'] };
+
+    const checked = withoutUndefined({
+        scenes: Array.isArray(raw.scenes) ? raw.scenes.slice(0, numbers.length).map(normalizeScene) : raw.scenes,
+    });
+    const errors = formatErrors(validate(sceneCuesSchema(numbers.length), checked));
+    if (!errors.length) {
+        checked.scenes.forEach((scene, i) => {
+            if (scene.scene !== numbers[i]) errors.push(`$.scenes[${i}].scene must be ${numbers[i]}`);
+        });
+    }
+    return { value: checked.scenes, errors };
+}
+
+// ═══════════════════════════════════════════════
+// Assembly
+// ═══════════════════════════════════════════════
+
+/**
+ * One album out of the identity and every scene's cues.
+ * @param {object}   identity  — from normalizeScoreIdentity()
+ * @param {object[]} scenes    — from parseScreenplay()
+ * @param {object[]} sceneCues — from normalizeSceneCues(), one per scene, in order
+ * @returns {{ tracklist: object, cueSheet: object }}
+ */
+function assembleScore(identity, scenes, sceneCues) {
+    const tracks = [];
+    const cueScenes = scenes.map((scene, i) => ({
+        heading: scene.heading ? excerpt(scene.heading, NOTE_LENGTH.heading) : excerpt(scene.text, NOTE_LENGTH.heading),
+        mood:    sceneCues[i].mood,
+        cues:    sceneCues[i].cues.map(cue => {
+            tracks.push({ title: cue.title, artist: identity.albumArtist, duration: cue.duration });
+            return { track: tracks.length - 1, placement: cue.placement };
+        }),
+    }));
+
+    const { albumTitle, albumArtist, genre, vibeTag, logline, themes } = identity;
+    return {
+        tracklist: { albumTitle, albumArtist, genre, vibeTag, tracks },
+        cueSheet:  { logline, themes, scenes: cueScenes },
+    };
+}
+
+module.exports = {
+    normalizeScoreIdentity,
+    normalizeSceneCues,
+    assembleScore,
+    SCORE_SCHEMA,
+    CUES_PER_SCENE,
+    MAX_THEMES,
+};
@@ -0,0 +1,181 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Usage Event Log
+ * ═══════════════════════════════════════════════
+ *
+ * One event per generate and cover request, kept in an append-only journal
+ * (lib/storage/journal.js) for the admin dashboard (lib/admin.js):
+ *
+ *   { at, kind: 'generate' | 'cover', outcome: 'ok' | 'failed' | 'rejected',
+ *     type?, caller?, vibe?, preset?, cache?, stream?, score?, soundtrackId? }
+ *
+ * `score: true` marks a screenplay score (POST /api/score); its screenplay
+ * isn't kept.
+ *
+ * `type` says what went wrong:
+ *   rejected — the quota type: 'user_limit', 'global_limit', 'denied', or
+ *              'moderation' (lib/moderation.js — the vibe isn't kept)
+ *   failed   — 'parse_failure', 'invalid_tracklist', 'invalid_score', 'empty_response' (lib/generate.js),
+ *              'upstream_401', 'upstream_402', 'upstream_<status>',
+ *              'upstream_unavailable' (lib/upstream.js), 'cover_failed'
+ *
+ * `preset` is the label of the quick-vibe button whose vibe was sent, if any.
+ *
+ * Earlier versions kept events in the key/value store under
+ *   event:<at, zero-padded ms>:<random>  → event
+ * importStoredEvents() moves those into the journal.
+ */
+
+const fs     = require('fs');
+const { normalizeVibe } = require('./cache');
+const { dateInZone } = require('./quota');
+const { createLogger } = require('./log');
+
+const log = createLogger({ component: 'events' });
+
+const HOUR_MS   = 60 * 60 * 1000;
+const DAY_MS    = 24 * HOUR_MS;
+const MAX_VIBE  = 200;
+const TOP_VIBES = 10;
+
+/** The `type` to log for an error thrown while generating. */
+function failureType(err) {
+    if (err.type)   return err.type;
+    if (err.status) return `upstream_${err.status}`;
+    return 'error';
+}
+
+/**
+ * The quick-vibe presets in the page, by normalized vibe → button label.
+ * @param {string} htmlFile — public/index.html
+ * @returns {Map<string, string>}
+ */
+function loadQuickVibes(htmlFile) {
+    const html    = fs.readFileSync(htmlFile, 'utf8');
+    const presets = new Map();
+    for (const [, vibe, label] of html.matchAll(/class="quick-vibe"\s+data-vibe="([^"]+)"\s*>([^<]+)</g)) {
+        presets.set(normalizeVibe(vibe), label.trim());
+    }
+    return presets;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.journal       — append-only journal (lib/storage), which owns retention
+ * @param {Map}    [opts.presets]     — from loadQuickVibes()
+ */
+function createEventLog({ journal, presets = new Map() }) {
+    /** Append an event.  Never throws — losing a log line must not fail a request. */
+    async function record(event) {
+        const at  = Date.now();
+        const out = { at, ...event };
+        if (typeof event.vibe === 'string') {
+            out.vibe   = event.vibe.slice(0, MAX_VIBE);
+            out.preset = presets.get(normalizeVibe(event.vibe)) || null;
+        } else {
+            delete out.vibe;
+        }
+
+        try {
+            await journal.append(out);
+        } catch (err) {
+            log.error('Recording failed', { err });
+        }
+    }
+
+    /** Events at or after `sinceMs`, oldest first. */
+    function since(sinceMs) {
+        return journal.since(sinceMs);
+    }
+
+    return { record, since };
+}
+
+/**
+ * Move events an earlier version kept in the key/value store into the journal.
+ * @returns {Promise<number>} how many were moved
+ */
+async function importStoredEvents(storage, journal) {
+    const keys = await storage.keys('event:');
+    for (const key of keys) {
+        const event = await storage.get(key);
+        if (event) await journal.append(event);
+        await storage.delete(key);
+    }
+    return keys.length;
+}
+
+// ═══════════════════════════════════════════════
+// Dashboard Summary
+// ═══════════════════════════════════════════════
+
+const bucket = () => ({ ok: 0, failed: 0, rejected: 0 });
+
+function countInto(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+/** [{ key, count }] for the `limit` largest counts. */
+function ranked(counts, limit, name) {
+    return [...counts.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+        .map(({ label, count }) => ({ [name]: label, count }));
+}
+
+/**
+ * Everything the dashboard charts, from a list of events.
+ * @param {object[]} events
+ * @param {object}   [opts]
+ * @param {number}   [opts.now]
+ * @param {number}   [opts.days]      — how many calendar days `daily` covers
+ * @param {string}   [opts.timeZone]  — for calendar days (the quota's time zone)
+ * @returns {{ daily, hourly, outcomes, topVibes, presets, cache }}
+ */
+function summarize(events, { now = Date.now(), days = 7, timeZone = 'UTC' } = {}) {
+    const daily = new Map();
+    for (let i = days - 1; i >= 0; i--) daily.set(dateInZone(now - i * DAY_MS, timeZone), bucket());
+
+    const firstHour = Math.floor(now / HOUR_MS) * HOUR_MS - 23 * HOUR_MS;
+    const hourly    = Array.from({ length: 24 }, (_, i) => ({ hour: new Date(firstHour + i * HOUR_MS).toISOString(), ...bucket() }));
+
+    const outcomes = { generate: {}, cover: {} };
+    const vibes    = new Map();   // normalized → { label, count }
+    const presets  = new Map();
+    const cache    = {};
+
+    for (const event of events) {
+        countInto(outcomes[event.kind] || (outcomes[event.kind] = {}), event.type || event.outcome);
+        if (event.kind !== 'generate') continue;
+
+        const day = daily.get(dateInZone(event.at, timeZone));
+        if (day) day[event.outcome]++;
+        const hour = hourly[Math.floor((event.at - firstHour) / HOUR_MS)];
+        if (hour) hour[event.outcome]++;
+
+        if (event.outcome === 'rejected') continue;
+        if (event.cache) countInto(cache, event.cache);
+        if (event.vibe) {
+            const key   = normalizeVibe(event.vibe);
+            const entry = vibes.get(key) || { label: event.vibe, count: 0 };
+            entry.count++;
+            vibes.set(key, entry);
+        }
+        if (event.preset) {
+            const entry = presets.get(event.preset) || { label: event.preset, count: 0 };
+            entry.count++;
+            presets.set(event.preset, entry);
+        }
+    }
+
+    return {
+        daily:    [...daily].map(([date, counts]) => ({ date, ...counts })),
+        hourly,
+        outcomes,
+        topVibes: ranked(vibes, TOP_VIBES, 'vibe'),
+        presets:  ranked(presets, Infinity, 'preset'),
+        cache,
+    };
+}
+
+module.exports = { createEventLog, importStoredEvents, summarize, failureType, loadQuickVibes };
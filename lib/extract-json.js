@@ -0,0 +1,138 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Robust JSON Extractor
+ * ═══════════════════════════════════════════════
+ *
+ * Pulls the tracklist JSON out of whatever the model actually sent back,
+ * either all at once (extractJSON) or piece by piece while a completion
+ * is still streaming in (createTrackStreamParser).
+ */
+
+/**
+ * Attempts multiple strategies to extract a JSON object from messy AI output:
+ *   1. Direct parse (clean JSON)
+ *   2. Extract from ```json ... ``` markdown code fences
+ *   3. Find first { ... last } in the string (greedy brace match)
+ *   4. Strip common preamble text and retry
+ */
+function extractJSON(raw) {
+    return extractJSONWithStrategy(raw).value;
+}
+
+/**
+ * extractJSON, also reporting which strategy worked — 'direct', 'fence',
+ * 'braces' or 'preamble' — so the metrics can show how messy the model is.
+ * @returns {{ value: any, strategy: string }}
+ */
+function extractJSONWithStrategy(raw) {
+    const text = (raw || '').trim();
+
+    // Strategy 1: direct parse
+    try { return { value: JSON.parse(text), strategy: 'direct' }; } catch {}
+
+    // Strategy 2: markdown code fences
+    const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenceMatch) {
+        try { return { value: JSON.parse(fenceMatch[1].trim()), strategy: 'fence' }; } catch {}
+    }
+
+    // Strategy 3: find outermost { ... }
+    const firstBrace = text.indexOf('{');
+    const lastBrace  = text.lastIndexOf('}');
+    if (firstBrace !== -1 && lastBrace > firstBrace) {
+        const slice = text.slice(firstBrace, lastBrace + 1);
+        try { return { value: JSON.parse(slice), strategy: 'braces' }; } catch {}
+    }
+
+    // Strategy 4: strip common AI preamble like "Here is the JSON:\n"
+    const cleaned = text
+        .replace(/^[\s\S]*?(?=\{)/m, '')   // everything before first {
+        .replace(/\}[\s\S]*$/m, '}');       // everything after last }
+    try { return { value: JSON.parse(cleaned), strategy: 'preamble' }; } catch {}
+
+    throw new Error('Could not extract valid JSON from AI response');
+}
+
+// ═══════════════════════════════════════════════
+// Incremental Track Parser  (for streamed completions)
+// ═══════════════════════════════════════════════
+
+const META_FIELDS = ['albumTitle', 'albumArtist', 'genre', 'vibeTag'];
+
+/**
+ * Feed it the completion text as it grows; it reports the album metadata
+ * once the "tracks" array opens, and each track object as soon as its
+ * closing brace has arrived.  This is a best-effort preview only — the
+ * final extractJSON() result is authoritative.
+ *
+ * @returns {{ push(chunk: string): { meta: object|null, tracks: object[] } }}
+ */
+function createTrackStreamParser() {
+    let text      = '';
+    let pos       = -1;      // scan position inside the tracks array (-1 = not found yet)
+    let depth     = 0;
+    let inString  = false;
+    let escaped   = false;
+    let objStart  = -1;
+    let finished  = false;
+
+    function readMeta(head) {
+        const meta = {};
+        for (const field of META_FIELDS) {
+            const m = head.match(new RegExp(`"${field}"\\s*:\\s*("(?:[^"\\\\]|\\\\.)*")`));
+            if (m) {
+                try { meta[field] = JSON.parse(m[1]); } catch {}
+            }
+        }
+        return Object.keys(meta).length ? meta : null;
+    }
+
+    function push(chunk) {
+        text += chunk;
+        const out = { meta: null, tracks: [] };
+        if (finished) return out;
+
+        if (pos === -1) {
+            const open = text.match(/"tracks"\s*:\s*\[/);
+            if (!open) return out;
+            pos = open.index + open[0].length;
+            out.meta = readMeta(text.slice(0, open.index));
+        }
+
+        for (; pos < text.length; pos++) {
+            const ch = text[pos];
+
+            if (inString) {
+                if (escaped)          escaped  = false;
+                else if (ch === '\\') escaped  = true;
+                else if (ch === '"')  inString = false;
+                continue;
+            }
+
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === '{') {
+                if (depth === 0) objStart = pos;
+                depth++;
+            } else if (ch === '}') {
+                depth--;
+                if (depth === 0 && objStart !== -1) {
+                    try {
+                        const track = JSON.parse(text.slice(objStart, pos + 1));
+                        if (track && typeof track === 'object') out.tracks.push(track);
+                    } catch {}
+                    objStart = -1;
+                }
+            } else if (ch === ']' && depth === 0) {
+                finished = true;
+                break;
+            }
+        }
+
+        return out;
+    }
+
+    return { push };
+}
+
+module.exports = { extractJSON, extractJSONWithStrategy, createTrackStreamParser };
@@ -0,0 +1,248 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Generation Core
+ * ═══════════════════════════════════════════════
+ *
+ * Turns a vibe into a tracklist via the configured text provider.  Shared
+ * by POST /api/generate (one-shot) and POST /api/generate/stream, which
+ * asks for a streamed completion and reports metadata/tracks as they parse.
+ * refineTracklist() edits an existing tracklist for POST /api/refine, and
+ * generateScore() scores a screenplay for POST /api/score in several calls.
+ *
+ * Every result is normalized and validated (lib/tracklist.js, and
+ * lib/cue-sheet.js for scores).  If a model answer can't be parsed or
+ * repaired, it gets exactly one corrective re-prompt listing what was
+ * wrong before we give up.
+ *
+ * Errors raised here carry a `type` for the usage log (lib/events.js):
+ *   'empty_response'    — the model returned nothing
+ *   'parse_failure'     — no JSON could be extracted, even after the re-prompt
+ *   'invalid_tracklist' — JSON, but still not a valid tracklist after the re-prompt
+ *   'invalid_score'     — the same for a score's identity or cues
+ * Provider errors keep their own `status` / `type`.
+ */
+
+const {
+    SYSTEM_PROMPT, buildUserPrompt, buildRefinePrompt, buildRepairPrompt, buildScoreIdentityPrompt, buildScoreCuesPrompt,
+} = require('./prompts');
+const { extractJSONWithStrategy, createTrackStreamParser } = require('./extract-json');
+const { normalizeTracklist, TRACK_COUNT, REFINE_TRACK_COUNT } = require('./tracklist');
+const { normalizeScoreIdentity, normalizeSceneCues, assembleScore, CUES_PER_SCENE } = require('./cue-sheet');
+const { createLogger } = require('./log');
+const metrics = require('./metrics');
+
+const log = createLogger({ component: 'generate' });
+
+const SCENES_PER_CALL = 4;   // cues are written a few scenes at a time, so answers stay short
+
+const SCORE_REMINDER = 'Every field needs a non-empty string, durations must be "m:ss" strings, and no extra fields are allowed.';
+
+/** POST /api/refine body; the tracklist itself is checked by lib/tracklist.js. */
+const REFINE_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        soundtrackId: { type: 'string' },
+        tracklist:    { type: 'object' },
+        instruction:  { type: 'string', minLength: 1, maxLength: 600 },
+        track:        { type: 'integer', minimum: 0 },
+    },
+};
+
+/**
+ * @param {object}   opts
+ * @param {string}   opts.vibe
+ * @param {object}   [opts.options]  — resolved generation options (lib/options.js)
+ * @param {object}   opts.text       — text provider (lib/providers)
+ * @param {boolean}  [opts.stream]   — request a streamed completion
+ * @param {Function} [opts.onMeta]   — (meta) once album fields are known   (stream only)
+ * @param {Function} [opts.onTrack]  — (track, index) per parsed track      (stream only)
+ * @param {Function} [opts.onRepair] — (errors) before the corrective re-prompt
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<object>} the normalized tracklist
+ */
+async function generateTracklist({ vibe, options = {}, text, stream = false, onMeta, onTrack, onRepair, signal }) {
+    const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user',   content: buildUserPrompt(vibe, options) },
+    ];
+
+    const content = stream
+        ? await collectStream(text.stream({ messages, temperature: 0.9, signal }), { onMeta, onTrack })
+        : await text.complete({ messages, temperature: 0.9, signal });
+    if (!content) throw generationError('empty_response', 'No content returned from AI');
+
+    return validateOrRepair({ messages, content, text, onRepair, signal, normalize: tracklistNormalizer(options.tracks || TRACK_COUNT) });
+}
+
+/**
+ * Apply an edit to an existing tracklist — one track, the album fields,
+ * or adding/removing tracks.
+ * @param {object}   opts
+ * @param {object}   opts.tracklist      — the current (valid) tracklist
+ * @param {string}   [opts.instruction]  — e.g. "make track 3 darker"
+ * @param {number}   [opts.track]        — 0-based track to regenerate
+ * @param {object}   opts.text           — text provider (lib/providers)
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<object>} the normalized, edited tracklist
+ */
+async function refineTracklist({ tracklist, instruction, track, text, signal }) {
+    const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user',   content: buildRefinePrompt(tracklist, { instruction, track }) },
+    ];
+
+    const content = await text.complete({ messages, temperature: 0.7, signal });
+    if (!content) throw generationError('empty_response', 'No content returned from AI');
+
+    return validateOrRepair({ messages, content, text, signal, normalize: tracklistNormalizer(REFINE_TRACK_COUNT) });
+}
+
+/**
+ * Score a screenplay: one call for the album identity (composer, sound,
+ * recurring themes), then the cues for SCENES_PER_CALL scenes at a time,
+ * each call told the identity and the cue titles so far.
+ * @param {object}   opts
+ * @param {Array<{ heading, text }>} opts.scenes — from lib/screenplay.js
+ * @param {object}   [opts.options]  — { era, instrumentation, language }
+ * @param {object}   opts.text       — text provider (lib/providers)
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ tracklist: object, cueSheet: object }>} see lib/cue-sheet.js
+ */
+async function generateScore({ scenes, options = {}, text, signal }) {
+    const identity = await ask({
+        prompt:      buildScoreIdentityPrompt(scenes, options),
+        temperature: 0.9,
+        normalize:   normalizeScoreIdentity,
+        text,
+        signal,
+    });
+
+    const sceneCues = [];
+    for (let start = 0; start < scenes.length; start += SCENES_PER_CALL) {
+        const batch   = scenes.slice(start, start + SCENES_PER_CALL);
+        const numbers = batch.map((_, i) => start + i + 1);
+        const cues    = await ask({
+            prompt: buildScoreCuesPrompt(identity, batch, {
+                first:    start + 1,
+                cues:     CUES_PER_SCENE,
+                previous: sceneCues.flatMap(scene => scene.cues.map(cue => cue.title)),
+                options,
+            }),
+            temperature: 0.8,
+            normalize:   raw => normalizeSceneCues(raw, numbers),
+            text,
+            signal,
+        });
+        sceneCues.push(...cues);
+    }
+
+    return assembleScore(identity, scenes, sceneCues);
+}
+
+/** One score step: a single user prompt, validated with `normalize` (lib/cue-sheet.js). */
+async function ask({ prompt, temperature, normalize, text, signal }) {
+    const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user',   content: prompt },
+    ];
+
+    const content = await text.complete({ messages, temperature, signal });
+    if (!content) throw generationError('empty_response', 'No content returned from AI');
+
+    return validateOrRepair({
+        messages, content, text, signal, normalize,
+        reminder: SCORE_REMINDER,
+        invalid:  ['invalid_score', 'AI returned an invalid score — please try again'],
+    });
+}
+
+/** normalizeTracklist() with `limits`, in the { value, errors } shape validateOrRepair() expects. */
+function tracklistNormalizer(limits) {
+    return raw => {
+        const { tracklist, errors } = normalizeTracklist(raw, { minTracks: limits.min, maxTracks: limits.max });
+        return { value: tracklist, errors };
+    };
+}
+
+/**
+ * Parse the model's answer; if it's invalid, re-prompt once with the errors.
+ * @param {Function} opts.normalize  — (parsed JSON) → { value, errors }
+ * @param {string}   [opts.reminder] — for the repair prompt (lib/prompts.js)
+ * @param {string[]} [opts.invalid]  — [type, message] of the error when the retry is still invalid
+ */
+async function validateOrRepair({
+    messages, content, text, onRepair, signal, normalize, reminder,
+    invalid = ['invalid_tracklist', 'AI returned an invalid tracklist — please try again'],
+}) {
+    const first = parseResponse(content, normalize);
+    if (!first.errors.length) return first.value;
+
+    // ── One corrective attempt, with the validation errors as feedback ──
+    log.warn('Response invalid, re-prompting', { errors: first.errors });
+    if (onRepair) onRepair(first.errors);
+
+    const retryContent = await text.complete({
+        messages: [
+            ...messages,
+            { role: 'assistant', content },
+            { role: 'user',      content: buildRepairPrompt(first.errors, reminder) },
+        ],
+        temperature: 0.3,   // we want a fix, not a new album
+        signal,
+    });
+
+    const second = parseResponse(retryContent || '', normalize);
+    if (!second.errors.length) return second.value;
+
+    log.error('Response still invalid after retry', { errors: second.errors });
+    throw second.unparseable
+        ? generationError('parse_failure', 'AI returned unparseable data — please try again')
+        : generationError(...invalid);
+}
+
+function generationError(type, message) {
+    const err = new Error(message);
+    err.type  = type;
+    return err;
+}
+
+/**
+ * extractJSON + normalize; parse failures are reported as a validation error.
+ * The model's text is never logged — it echoes the user's vibe — only its length.
+ */
+function parseResponse(content, normalize) {
+    let raw;
+    try {
+        // Robust JSON extraction — handle markdown fences, leading text, etc.
+        const { value, strategy } = extractJSONWithStrategy(content);
+        metrics.extractStrategy.inc({ strategy });
+        raw = value;
+    } catch {
+        metrics.extractStrategy.inc({ strategy: 'failed' });
+        log.warn('Model response was not JSON', { chars: content.length });
+        return { unparseable: true, errors: ['Response was not a valid JSON object'] };
+    }
+    return normalize(raw);
+}
+
+/** Concatenate streamed deltas, feeding the incremental parser as they arrive. */
+async function collectStream(deltas, { onMeta, onTrack }) {
+    const parser = createTrackStreamParser();
+    let content  = '';
+    let trackNo  = 0;
+
+    for await (const delta of deltas) {
+        content += delta;
+        const { meta, tracks } = parser.push(delta);
+        if (meta && onMeta) onMeta(meta);
+        for (const track of tracks) {
+            if (onTrack) onTrack(track, trackNo);
+            trackNo++;
+        }
+    }
+
+    return content;
+}
+
+module.exports = { generateTracklist, refineTracklist, generateScore, REFINE_SCHEMA };
@@ -0,0 +1,116 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Image Jobs
+ * ═══════════════════════════════════════════════
+ *
+ * Decoding, resizing and encoding a cover (lib/cover-images.js), or drawing
+ * an album sheet or share card (lib/album-sheet.js), keeps the CPU busy for
+ * a good fraction of a second, so it runs in a worker thread
+ * (./image-worker.js) instead of on the event loop.  Jobs go to the worker
+ * one at a time, in order — the others wait here — so at most one decoded
+ * bitmap is in memory.
+ *
+ * The worker is started by the first job and then kept, so jimp, its fonts
+ * and the WebP codec load once.  If it dies, the job it was on fails and
+ * the next job starts a new one.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createLogger } = require('./log');
+
+const log = createLogger({ component: 'images' });
+
+const WORKER_PATH = path.join(__dirname, 'image-worker.js');
+
+/** Bytes that crossed a thread boundary (a plain Uint8Array) as a Buffer again. */
+function asBuffer(bytes) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function createImageJobs() {
+    const waiting = [];     // [{ task, input, resolve, reject }]
+    let running   = null;   // the job the worker is on
+    let worker    = null;
+    let closed    = false;
+
+    /** Queue `task` (a name from image-worker.js's TASKS) for the worker. */
+    function run(task, input) {
+        if (closed) return Promise.reject(new Error('Image jobs have been stopped.'));
+        return new Promise((resolve, reject) => {
+            waiting.push({ task, input, resolve, reject });
+            next();
+        });
+    }
+
+    function next() {
+        if (running || !waiting.length || closed) return;
+        running = waiting.shift();
+        spawn().postMessage({ task: running.task, input: running.input });
+    }
+
+    /** Settle the running job and hand the worker the next one. */
+    function finish(settle) {
+        const job = running;
+        running   = null;
+        if (job) settle(job);
+        next();
+    }
+
+    function spawn() {
+        if (worker) return worker;
+
+        const spawned = new Worker(WORKER_PATH);
+        spawned.unref();
+        spawned.on('message', ({ result, error }) => finish(job => {
+            if (!error) return job.resolve(result);
+            const err = new Error(error.message);
+            if (error.status) err.status = error.status;
+            job.reject(err);
+        }));
+        spawned.on('error', err => log.error('Image worker failed', { err }));
+        spawned.on('exit', code => {
+            if (worker === spawned) worker = null;
+            finish(job => job.reject(new Error(closed ? 'Image jobs have been stopped.' : `Image worker exited with code ${code}.`)));
+        });
+
+        worker = spawned;
+        return worker;
+    }
+
+    /**
+     * deriveImage() from lib/cover-images.js, run in the worker.
+     * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+     */
+    async function deriveImage(buffer, contentType, options) {
+        const image = await run('deriveImage', { buffer, contentType, options });
+        return { ...image, buffer: asBuffer(image.buffer) };
+    }
+
+    /**
+     * renderAlbumSheet() from lib/album-sheet.js, run in the worker.
+     * @returns {Promise<Buffer>} PNG
+     */
+    async function renderAlbumSheet(tracklist, cover = null) {
+        return asBuffer(await run('renderAlbumSheet', { tracklist, cover }));
+    }
+
+    /**
+     * renderShareCard() from lib/album-sheet.js, run in the worker.
+     * @returns {Promise<Buffer>} JPEG
+     */
+    async function renderShareCard(tracklist, cover = null) {
+        return asBuffer(await run('renderShareCard', { tracklist, cover }));
+    }
+
+    /** Stop the worker; waiting and running jobs fail. */
+    async function close() {
+        closed = true;
+        for (const job of waiting.splice(0)) job.reject(new Error('Image jobs have been stopped.'));
+        if (worker) await worker.terminate();
+    }
+
+    return { deriveImage, renderAlbumSheet, renderShareCard, close };
+}
+
+module.exports = { createImageJobs, asBuffer };
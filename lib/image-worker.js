@@ -0,0 +1,30 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Image Worker
+ * ═══════════════════════════════════════════════
+ *
+ * Runs image jobs off the main thread (spawned by ./image-jobs.js, which
+ * sends the next job once this one has answered).
+ *
+ *   message in   { task, input }        (task: a key of TASKS)
+ *   message out  { result }  or  { error: { message, status? } }
+ */
+
+const { parentPort } = require('worker_threads');
+const { deriveImage } = require('./cover-images');
+const { renderAlbumSheet, renderShareCard } = require('./album-sheet');
+const { asBuffer } = require('./image-jobs');
+
+const TASKS = {
+    deriveImage:      ({ buffer, contentType, options }) => deriveImage(asBuffer(buffer), contentType, options),
+    renderAlbumSheet: ({ tracklist, cover }) => renderAlbumSheet(tracklist, cover && asBuffer(cover)),
+    renderShareCard:  ({ tracklist, cover }) => renderShareCard(tracklist, cover && asBuffer(cover)),
+};
+
+parentPort.on('message', async ({ task, input }) => {
+    try {
+        parentPort.postMessage({ result: await TASKS[task](input) });
+    } catch (err) {
+        parentPort.postMessage({ error: { message: err.message, status: err.status } });
+    }
+});
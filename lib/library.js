@@ -0,0 +1,181 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Soundtrack Library
+ * ═══════════════════════════════════════════════
+ *
+ * Every successful generation is saved under a stable ID so it can be
+ * re-opened (GET /api/soundtracks/:id) and shared (/s/:id).  Re-opening a
+ * saved soundtrack never touches the quota.
+ *
+ * A refinement (POST /api/refine) is saved as a new soundtrack that shares
+ * its parent's cover and records it as `refinedFrom`, so earlier links keep
+ * showing the tracklist they were shared with.
+ *
+ * A film score (POST /api/score) also keeps its cue sheet (lib/cue-sheet.js),
+ * which groups the tracks by scene.  Its cues point at tracks by position,
+ * so a refinement keeps it only while the number of tracks is unchanged.
+ *
+ * Saving returns an owner key, given once to the creator.  Changing a saved
+ * soundtrack's cover (picking a variant, regenerating) needs it; only its
+ * hash is stored.
+ *
+ * Storage keys:
+ *   soundtrack:<id>  → { id, vibe, tracklist, createdAt, cover, ownerKeyHash, refinedFrom?, cueSheet? }
+ *
+ *   cover = { prompt, style, aspect, width, height,
+ *             seed, hash?, contentType?,                 the chosen variant
+ *             variants: [{ seed, hash?, contentType? }] } every variant; hash once its bytes
+ *                                                        are in the blob store
+ *   Records saved before variants existed have just { prompt, seed, hash?, contentType? }.
+ */
+
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+/** 12 url-safe characters (72 random bits). */
+function newId() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/** A cover record for a spec from lib/covers.js — the first variant is chosen. */
+function coverRecord({ prompt, style, aspect, width, height, seeds }) {
+    return { prompt, style, aspect, width, height, seed: seeds[0], variants: seeds.map(seed => ({ seed })) };
+}
+
+/** Variants of a cover, including records from before variants existed. */
+function variantsOf(cover) {
+    return cover.variants || [{ seed: cover.seed, hash: cover.hash, contentType: cover.contentType }];
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.storage — key/value store (lib/storage)
+ * @param {object} opts.blobs   — blob store for cover bytes (lib/storage/blobs.js)
+ */
+function createLibrary({ storage, blobs }) {
+    const keyFor = id => `soundtrack:${id}`;
+
+    /** Store a new record; returns it with its owner key (which is not stored). */
+    async function create(fields) {
+        const ownerKey = crypto.randomBytes(18).toString('base64url');
+        const record   = {
+            id:           newId(),
+            ...fields,
+            createdAt:    new Date().toISOString(),
+            ownerKeyHash: hashKey(ownerKey),
+        };
+        await storage.set(keyFor(record.id), record);
+        return { ...record, ownerKey };
+    }
+
+    /**
+     * Save a freshly generated soundtrack.
+     * @param {{ vibe, tracklist, cover, cueSheet? }} opts — cover is a spec from lib/covers.js
+     * @returns the stored record plus `ownerKey`
+     */
+    async function save({ vibe, tracklist, cover, cueSheet }) {
+        return create({ vibe, tracklist, cover: coverRecord(cover), ...(cueSheet ? { cueSheet } : {}) });
+    }
+
+    /** Save a refined tracklist as a new soundtrack with `parent`'s vibe and cover. */
+    async function saveRefinement(parent, tracklist) {
+        const keepsCues = parent.cueSheet && parent.tracklist.tracks.length === tracklist.tracks.length;
+        return create({
+            vibe:        parent.vibe,
+            tracklist,
+            cover:       structuredClone(parent.cover),
+            refinedFrom: parent.id,
+            ...(keepsCues ? { cueSheet: parent.cueSheet } : {}),
+        });
+    }
+
+    async function get(id) {
+        if (!ID_PATTERN.test(id)) return null;
+        return storage.get(keyFor(id));
+    }
+
+    /** Whether `key` is the owner key handed out when `record` was saved. */
+    function isOwner(record, key) {
+        if (!record.ownerKeyHash || typeof key !== 'string' || !key) return false;
+        return crypto.timingSafeEqual(Buffer.from(hashKey(key)), Buffer.from(record.ownerKeyHash));
+    }
+
+    /**
+     * Store a rendered cover variant (by default the chosen one).  No-op if
+     * that variant already has its bytes or no longer belongs to the record;
+     * bytes that were evicted since are stored again.
+     */
+    async function attachCover(id, { buffer, contentType }, seed) {
+        const record = await get(id);
+        if (!record) return;
+
+        const cover   = record.cover;
+        const variant = variantsOf(cover).find(v => v.seed === (seed ?? cover.seed));
+        if (!variant || (variant.hash && await blobs.has(variant.hash))) return;
+
+        const hash = await blobs.put(buffer, { contentType });
+        if (cover.variants) Object.assign(variant, { hash, contentType });
+        if (variant.seed === cover.seed) Object.assign(cover, { hash, contentType });
+        await storage.set(keyFor(id), record);
+    }
+
+    /** Make variant `index` the soundtrack's cover; returns false if there's no such variant. */
+    async function selectCover(id, index) {
+        const record  = await get(id);
+        const variant = record && variantsOf(record.cover)[index];
+        if (!variant) return false;
+
+        const cover = record.cover;
+        cover.seed  = variant.seed;
+        delete cover.hash;
+        delete cover.contentType;
+        if (variant.hash) Object.assign(cover, { hash: variant.hash, contentType: variant.contentType });
+        await storage.set(keyFor(id), record);
+        return true;
+    }
+
+    /** Replace a soundtrack's cover (and its variants) with a new spec from lib/covers.js. */
+    async function replaceCover(id, spec) {
+        const record = await get(id);
+        if (!record) return;
+        record.cover = coverRecord(spec);
+        await storage.set(keyFor(id), record);
+    }
+
+    /** The saved cover image, or null if it was never rendered (or has been evicted). */
+    async function coverImage(record) {
+        if (!record.cover.hash) return null;
+        const buffer = await blobs.get(record.cover.hash);
+        return buffer && { buffer, contentType: record.cover.contentType };
+    }
+
+    return { save, saveRefinement, get, isOwner, attachCover, selectCover, replaceCover, coverImage };
+}
+
+/** Public shape of a saved soundtrack — no prompts or storage details. */
+function toPublic(record) {
+    const cover    = record.cover;
+    const variants = variantsOf(cover);
+    return {
+        id:        record.id,
+        vibe:      record.vibe,
+        tracklist: record.tracklist,
+        createdAt: record.createdAt,
+        coverUrl:  `/api/soundtracks/${record.id}/cover`,
+        cover:     {
+            style:    cover.style  || 'cinematic',
+            aspect:   cover.aspect || 'square',
+            variants: variants.length,
+            selected: variants.findIndex(v => v.seed === cover.seed),
+        },
+        permalink: `/s/${record.id}`,
+        ...(record.cueSheet ? { cueSheet: record.cueSheet } : {}),
+    };
+}
+
+module.exports = { createLibrary, toPublic };
@@ -0,0 +1,107 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Structured Logging
+ * ═══════════════════════════════════════════════
+ *
+ * One JSON object per line on stdout (warnings and errors on stderr):
+ *
+ *   {"time":"…","level":"info","component":"generate","msg":"Generation complete","requestId":"…",…}
+ *
+ * Inside a request (see withRequestContext), every line carries that
+ * request's ID, however deep in lib/ it was written.
+ *
+ * Before anything is written, secrets are redacted: `key=` / `token=`
+ * style query parameters in URLs, bearer tokens, and fields whose name
+ * looks like a secret (apiKey, authorization, ownerKey, token, …).
+ *
+ * Environment variables (applied by lib/app.js through configure()):
+ *   LOG_LEVEL   — debug | info | warn | error | silent   (default: info)
+ *   LOG_FORMAT  — json (default) or pretty — one readable line per event, for local use
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SECRET_FIELD = /^(api_?key|authorization|cookie|password|secret|token|owner_?key|x-owner-key|access_?key|admin_?token)$/i;
+const SECRET_PARAM = /([?&](?:key|api_?key|token|access_token|secret)=)[^&#\s"']+/gi;
+const BEARER       = /(Bearer\s+)[^\s"']+/gi;
+
+const settings = {
+    level:  LEVELS.info,
+    format: 'json',
+    write:  (line, level) => (level >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+};
+
+const context = new AsyncLocalStorage();
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.level]   — see LEVELS
+ * @param {string} [opts.format]  — 'json' | 'pretty'
+ * @param {Function} [opts.write] — (line, levelValue) → void; tests capture output with it
+ */
+function configure({ level, format, write } = {}) {
+    if (level !== undefined) {
+        if (!(level in LEVELS)) throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}`);
+        settings.level = LEVELS[level];
+    }
+    if (format !== undefined) {
+        if (format !== 'json' && format !== 'pretty') throw new Error('LOG_FORMAT must be "json" or "pretty"');
+        settings.format = format;
+    }
+    if (write !== undefined) settings.write = write;
+}
+
+/** A copy of `value` safe to log — see the header for what is hidden. */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return value.replace(SECRET_PARAM, '$1[redacted]').replace(BEARER, '$1[redacted]');
+    if (value instanceof Error)    return { message: redact(value.message), ...(value.status ? { status: value.status } : {}), ...(value.type ? { type: value.type } : {}) };
+    if (!value || typeof value !== 'object' || depth > 4) return value;
+    if (Array.isArray(value))      return value.map(item => redact(item, depth + 1));
+
+    const out = {};
+    for (const [field, item] of Object.entries(value)) {
+        out[field] = SECRET_FIELD.test(field) ? '[redacted]' : redact(item, depth + 1);
+    }
+    return out;
+}
+
+/** Run `fn` with `fields` (e.g. { requestId }) added to every line it logs. */
+function withRequestContext(fields, fn) {
+    return context.run(fields, fn);
+}
+
+function write(levelName, bindings, msg, fields) {
+    const level = LEVELS[levelName];
+    if (level < settings.level) return;
+
+    const entry = redact({
+        time:  new Date().toISOString(),
+        level: levelName,
+        ...bindings,
+        ...context.getStore(),
+        msg,
+        ...fields,
+    });
+
+    if (settings.format === 'json') return settings.write(JSON.stringify(entry), level);
+
+    const { time, level: name, component, msg: text, ...rest } = entry;
+    const extra = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(' ');
+    settings.write(`${time} ${name.toUpperCase().padEnd(5)} [${component || 'app'}] ${text}${extra ? `  ${extra}` : ''}`, level);
+}
+
+/**
+ * @param {object} [bindings] — fields on every line, e.g. { component: 'quota' }
+ * @returns {{ debug, info, warn, error, child }} each level: (msg, fields?) → void
+ */
+function createLogger(bindings = {}) {
+    const logger = { child: more => createLogger({ ...bindings, ...more }) };
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = (msg, fields = {}) => write(level, bindings, msg, fields);
+    }
+    return logger;
+}
+
+module.exports = { createLogger, configure, redact, withRequestContext, LEVELS };
@@ -0,0 +1,172 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Prometheus Metrics
+ * ═══════════════════════════════════════════════
+ *
+ * Counters and histograms for GET /metrics, in the Prometheus text
+ * exposition format (version 0.0.4).  One process-wide registry, like
+ * console or the logger — modules increment the metric they own:
+ *
+ *   cinesonics_http_requests_total{method,route,status}             lib/app.js
+ *   cinesonics_generate_duration_seconds{endpoint,outcome,cache}    lib/app.js
+ *   cinesonics_upstream_request_duration_seconds{service,outcome}   lib/upstream.js (per attempt,
+ *                                                                   until response headers)
+ *   cinesonics_upstream_retries_total{service}                      lib/upstream.js
+ *   cinesonics_extract_json_total{strategy}                         lib/generate.js
+ *   cinesonics_quota_rejections_total{endpoint,type}                lib/app.js
+ *   cinesonics_cover_tokens_total{outcome}                          lib/app.js, lib/cover-tokens.js
+ *   cinesonics_moderation_rejections_total{stage,rule}              lib/moderation.js
+ *
+ * Environment variables (read by lib/app.js):
+ *   METRICS_TOKEN  — if set, /metrics needs `Authorization: Bearer <METRICS_TOKEN>`
+ */
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const registry = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(names, values, extra = '') {
+    const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/** Series are kept per label combination, keyed by their values in `labelNames` order. */
+function seriesKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function counter(name, help, labelNames = []) {
+    const series = new Map();   // key → value
+
+    const metric = {
+        /** Add `by` (default 1) to the series for `labels`. */
+        inc(labels = {}, by = 1) {
+            const key = seriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + by);
+        },
+        /** Current value for `labels` — for tests. */
+        get(labels = {}) {
+            return series.get(seriesKey(labelNames, labels)) || 0;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [key, value] of series) lines.push(`${name}${labelText(labelNames, JSON.parse(key))} ${value}`);
+            return lines.join('\n');
+        },
+    };
+    registry.push(metric);
+    return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const series = new Map();   // key → { counts per bucket, sum, count }
+
+    const metric = {
+        /** Record one observation (seconds, for the latency histograms). */
+        observe(labels = {}, value) {
+            const key = seriesKey(labelNames, labels);
+            let s = series.get(key);
+            if (!s) series.set(key, s = { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+            s.sum += value;
+            s.count++;
+        },
+        /** Start a timer; call the result with the labels when done. */
+        startTimer() {
+            const start = process.hrtime.bigint();
+            return labels => metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        },
+        /** { sum, count } for `labels` — for tests. */
+        get(labels = {}) {
+            const s = series.get(seriesKey(labelNames, labels));
+            return s ? { sum: s.sum, count: s.count } : { sum: 0, count: 0 };
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const [key, s] of series) {
+                const values = JSON.parse(key);
+                buckets.forEach((le, i) => lines.push(`${name}_bucket${labelText(labelNames, values, `le="${le}"`)} ${s.counts[i]}`));
+                lines.push(`${name}_bucket${labelText(labelNames, values, 'le="+Inf"')} ${s.count}`);
+                lines.push(`${name}_sum${labelText(labelNames, values)} ${s.sum}`);
+                lines.push(`${name}_count${labelText(labelNames, values)} ${s.count}`);
+            }
+            return lines.join('\n');
+        },
+    };
+    registry.push(metric);
+    return metric;
+}
+
+/** The whole registry in Prometheus text format. */
+function renderMetrics() {
+    return `${registry.map(metric => metric.render()).join('\n\n')}\n`;
+}
+
+// ═══════════════════════════════════════════════
+// Application Metrics
+// ═══════════════════════════════════════════════
+
+const httpRequests = counter(
+    'cinesonics_http_requests_total',
+    'HTTP requests by route and status code.',
+    ['method', 'route', 'status'],
+);
+
+const generateDuration = histogram(
+    'cinesonics_generate_duration_seconds',
+    'Time to produce a soundtrack, from the request to the reply (or the done event).',
+    ['endpoint', 'outcome', 'cache'],
+);
+
+const upstreamDuration = histogram(
+    'cinesonics_upstream_request_duration_seconds',
+    'Time until an upstream AI service answered, per attempt (response headers).',
+    ['service', 'outcome'],
+);
+
+const upstreamRetries = counter(
+    'cinesonics_upstream_retries_total',
+    'Upstream attempts that were retried.',
+    ['service'],
+);
+
+const extractStrategy = counter(
+    'cinesonics_extract_json_total',
+    'Model responses by the extractJSON strategy that parsed them ("failed" if none did).',
+    ['strategy'],
+);
+
+const quotaRejections = counter(
+    'cinesonics_quota_rejections_total',
+    'Requests turned away by the quota.',
+    ['endpoint', 'type'],
+);
+
+const coverTokens = counter(
+    'cinesonics_cover_tokens_total',
+    'Cover tokens issued and what became of them.',
+    ['outcome'],
+);
+
+const moderationRejections = counter(
+    'cinesonics_moderation_rejections_total',
+    'Inputs and generated tracklists flagged by moderation.',
+    ['stage', 'rule'],
+);
+
+module.exports = {
+    renderMetrics,
+    httpRequests,
+    generateDuration,
+    upstreamDuration,
+    upstreamRetries,
+    extractStrategy,
+    quotaRejections,
+    coverTokens,
+    moderationRejections,
+};
@@ -0,0 +1,298 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Moderation
+ * ═══════════════════════════════════════════════
+ *
+ * Checks what users send before it reaches the model, and what the model
+ * sends back before it reaches anyone:
+ *
+ *   1. Local rules     — a blocklist of terms and regex patterns, from a
+ *                        rules file, plus a few rules that are always on
+ *   2. Prompt injection — input only: attempts to override the JSON
+ *                        instructions, fake chat roles, pasted JSON skeletons
+ *   3. A provider      — optional external moderation API (see below)
+ *
+ * Inputs are vibes, refine instructions, screenplays and tracklists posted
+ * to /api/refine; outputs are the album and track fields of a generated
+ * tracklist, and a film score's cue notes too.  A flagged text is turned
+ * away with status 400 and type 'moderation' before the caller is billed.
+ * Separately, every user text is passed through sanitizeForPrompt() where
+ * lib/prompts.js embeds it.
+ *
+ * The rules file (MODERATION_RULES_FILE, default data/moderation.json) is
+ * optional and re-read when it changes:
+ *
+ *   {
+ *     "terms":     ["some phrase", "another"],   — whole words, any case
+ *     "patterns":  ["regex", "…"],               — case-insensitive
+ *     "injection": true                          — false turns the heuristics off
+ *   }
+ *
+ * Environment variables:
+ *   MODERATION_RULES_FILE    — see above
+ *   MODERATION_PROVIDER      — "none" (default), "openai" or "webhook"
+ *   MODERATION_ON_ERROR      — "allow" (default) or "reject" when the provider can't answer
+ *   MODERATION_WEBHOOK_URL   — webhook: POST { input, stage } → { flagged, category? }
+ *   OPENAI_MODERATION_MODEL  — openai: default omni-moderation-latest (uses
+ *                              OPENAI_BASE_URL and OPENAI_API_KEY, see lib/providers)
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { createUpstreamClient, upstreamOptions } = require('./upstream');
+const { createLogger } = require('./log');
+const metrics = require('./metrics');
+
+const log = createLogger({ component: 'moderation' });
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'moderation.json');
+
+const MESSAGES = {
+    input:  'This request can\'t be used — please try a different vibe.',
+    output: 'The generated soundtrack didn\'t pass moderation — please try a different vibe.',
+};
+
+/** Rules that apply whatever the rules file says. */
+const BUILTIN_RULES = [
+    {
+        rule:    'sexual_minors',
+        pattern: /\b(child|children|kids?|minors?|underage|preteens?|schoolgirls?|schoolboys?)\b.{0,60}\b(sex|sexual|nude|naked|porn\w*|erotic)\b|\b(sex|sexual|nude|naked|porn\w*|erotic)\b.{0,60}\b(child|children|kids?|minors?|underage|preteens?)\b/i,
+    },
+];
+
+/** Inputs that try to talk to the model instead of describing a scene. */
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override|bypass)\b.{0,40}\b(previous|prior|above|earlier|all|any|system|your|the)\b.{0,40}\b(instructions?|prompts?|rules|directions|requirements)\b/i,
+    /\b(system|developer)\s+(prompt|message|instructions?)\b/i,
+    /\byou are (now|no longer) (an? |the )?(ai|assistant|chatbot|bot|language model|llm)\b|\byou are no longer (bound|restricted|limited|required)\b/i,
+    /\b(do not|don't|never|stop)\s+(return(ing)?|respond(ing)?|reply(ing)?|answer(ing)?|output(ting)?|us(e|ing))\b.{0,30}\bjson\b/i,
+    /\b(respond|reply|answer|output|return|write)\b.{0,30}\b(in|as|with|using)\s+(plain text|markdown|html|xml|yaml|json|a code block)(?![\w-])/i,
+    /^\s*(system|assistant|user)\s*:/im,
+    /<\|?\/?\s*(system|assistant|user|im_start|im_end)\s*\|?>/i,
+    /"(albumTitle|albumArtist|genre|vibeTag|tracks)"\s*:/,
+];
+
+// Zero-width and bidi control characters, used to hide words from filters
+const INVISIBLE = /[\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+/** What the rules see: NFKC-folded, invisible characters removed. */
+function normalizeText(text) {
+    return String(text).normalize('NFKC').replace(INVISIBLE, '');
+}
+
+/**
+ * A user text made safe to embed in a prompt: no control or invisible
+ * characters, no line breaks, and nothing that could close the quotes it
+ * sits in or pass for JSON / markup.
+ */
+function sanitizeForPrompt(text) {
+    return normalizeText(text)
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/["“”„`]/g, '\'')
+        .replace(/[{}<>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// ═══════════════════════════════════════════════
+// Local Rules
+// ═══════════════════════════════════════════════
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Compile a rules file; throws with the offending entry if it's malformed. */
+function compileRules(config, file) {
+    const terms    = Array.isArray(config.terms)    ? config.terms    : [];
+    const patterns = Array.isArray(config.patterns) ? config.patterns : [];
+
+    const rules = terms
+        .filter(term => typeof term === 'string' && term.trim())
+        .map(term => ({
+            rule:    'blocklist',
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(normalizeText(term.trim()))}(?![\\p{L}\\p{N}])`, 'iu'),
+        }));
+
+    for (const source of patterns) {
+        try {
+            rules.push({ rule: 'pattern', pattern: new RegExp(source, 'iu') });
+        } catch (err) {
+            throw new Error(`${file}: invalid moderation pattern ${JSON.stringify(source)} — ${err.message}`);
+        }
+    }
+    return { rules, injection: config.injection !== false };
+}
+
+/** The rules file, re-read when it changes; a missing file means no extra rules. */
+function createRuleSource(file) {
+    let loadedMtime = null;
+    let compiled    = { rules: [], injection: true };
+
+    return function current() {
+        let mtime;
+        try {
+            mtime = fs.statSync(file).mtimeMs;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            loadedMtime = null;
+            compiled    = { rules: [], injection: true };
+            return compiled;
+        }
+        if (mtime !== loadedMtime) {
+            compiled    = compileRules(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+            loadedMtime = mtime;
+            log.info('Moderation rules loaded', { file, rules: compiled.rules.length, injection: compiled.injection });
+        }
+        return compiled;
+    };
+}
+
+// ═══════════════════════════════════════════════
+// External Providers
+// ═══════════════════════════════════════════════
+
+/**
+ * Each provider: check({ input, stage, signal }) → Promise<{ flagged, category? }>.
+ * Failures throw; MODERATION_ON_ERROR decides what happens then.
+ */
+const PROVIDERS = {
+    openai: (env, { fetch }) => {
+        const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const model   = env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest';
+        return {
+            name: 'OpenAI moderation',
+            async check({ input, signal }) {
+                const res = await fetch(`${baseUrl}/moderations`, {
+                    method:  'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${env.OPENAI_API_KEY || ''}` },
+                    body:    JSON.stringify({ model, input }),
+                    signal,
+                });
+                if (!res.ok) throw new Error(`Moderation API ${res.status}`);
+                const result = (await res.json()).results?.[0] || {};
+                const category = Object.entries(result.categories || {}).find(([, hit]) => hit)?.[0];
+                return { flagged: Boolean(result.flagged), category };
+            },
+        };
+    },
+    webhook: (env, { fetch }) => {
+        if (!env.MODERATION_WEBHOOK_URL) throw new Error('MODERATION_PROVIDER=webhook needs MODERATION_WEBHOOK_URL');
+        return {
+            name: 'Moderation webhook',
+            async check({ input, stage, signal }) {
+                const res = await fetch(env.MODERATION_WEBHOOK_URL, {
+                    method:  'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body:    JSON.stringify({ input, stage }),
+                    signal,
+                });
+                if (!res.ok) throw new Error(`Moderation webhook ${res.status}`);
+                const result = await res.json();
+                return { flagged: result.flagged === true, category: typeof result.category === 'string' ? result.category : undefined };
+            },
+        };
+    },
+};
+
+function chooseProvider(env) {
+    const name = (env.MODERATION_PROVIDER || 'none').toLowerCase();
+    if (name === 'none') return null;
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown moderation provider "${name}" (expected none, ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    const client = createUpstreamClient({ service: 'moderation', label: 'The moderation service', ...upstreamOptions(env) });
+    return factory(env, { fetch: client.fetch });
+}
+
+// ═══════════════════════════════════════════════
+// Moderator
+// ═══════════════════════════════════════════════
+
+/** The user-facing error for a verdict: status 400, type 'moderation'. */
+function moderationError(verdict) {
+    const err  = new Error(MESSAGES[verdict.stage]);
+    err.status = 400;
+    err.type   = 'moderation';
+    err.rule   = verdict.rule;
+    return err;
+}
+
+/** The fields of a tracklist worth moderating, one per line. */
+function tracklistText(tracklist) {
+    const { albumTitle, albumArtist, genre, vibeTag, tracks = [] } = tracklist || {};
+    return [albumTitle, albumArtist, genre, vibeTag, ...tracks.flatMap(t => [t?.title, t?.artist])]
+        .filter(value => typeof value === 'string')
+        .join('\n');
+}
+
+/** A film score's tracklist plus its cue sheet's logline, themes, moods and placements. */
+function scoreText({ tracklist, cueSheet }) {
+    const { logline, themes = [], scenes = [] } = cueSheet || {};
+    const notes = [logline, ...themes, ...scenes.flatMap(scene => [scene.mood, ...(scene.cues || []).map(cue => cue.placement)])];
+    return [tracklistText(tracklist), ...notes.filter(value => typeof value === 'string')].join('\n');
+}
+
+/**
+ * @param {object} [env] — configuration, normally process.env
+ * @returns {{
+ *   checkInput:     (text: string, opts?: { signal }) => Promise<object|null>,
+ *   checkTracklist: (tracklist: object, opts?: { stage?: 'input'|'output', signal }) => Promise<object|null>,
+ *   checkScore:     (score: { tracklist, cueSheet }, opts?: { signal }) => Promise<object|null>,
+ * }} each resolves to a verdict { stage, rule } when the text is flagged, else null
+ */
+function createModerator(env = process.env) {
+    const rulesFor = createRuleSource(env.MODERATION_RULES_FILE ? path.resolve(env.MODERATION_RULES_FILE) : DEFAULT_FILE);
+    const provider = chooseProvider(env);
+    const onError  = (env.MODERATION_ON_ERROR || 'allow').toLowerCase();
+    if (onError !== 'allow' && onError !== 'reject') {
+        throw new Error('MODERATION_ON_ERROR must be "allow" or "reject"');
+    }
+
+    function localVerdict(text, stage) {
+        const { rules, injection } = rulesFor();
+        for (const { rule, pattern } of [...BUILTIN_RULES, ...rules]) {
+            if (pattern.test(text)) return { stage, rule };
+        }
+        if (stage === 'input' && injection && INJECTION_PATTERNS.some(pattern => pattern.test(text))) {
+            return { stage, rule: 'prompt_injection' };
+        }
+        return null;
+    }
+
+    async function providerVerdict(text, stage, signal) {
+        if (!provider) return null;
+        try {
+            const { flagged, category } = await provider.check({ input: text, stage, signal });
+            return flagged ? { stage, rule: `provider:${category || 'flagged'}` } : null;
+        } catch (err) {
+            if (signal?.aborted) throw err;
+            log.warn('Moderation provider failed', { provider: provider.name, onError, err });
+            if (onError === 'allow') return null;
+            throw Object.assign(new Error('Moderation is unavailable right now — please try again shortly.'), {
+                status:     503,
+                type:       'upstream_unavailable',
+                retryAfter: 30,
+            });
+        }
+    }
+
+    async function check(text, stage, signal) {
+        const normalized = normalizeText(text);
+        const verdict    = localVerdict(normalized, stage) || await providerVerdict(normalized, stage, signal);
+        if (verdict) {
+            metrics.moderationRejections.inc(verdict);
+            log.warn('Content flagged', verdict);   // never the text itself
+        }
+        return verdict;
+    }
+
+    return {
+        checkInput:     (text, { signal } = {}) => check(text, 'input', signal),
+        checkTracklist: (tracklist, { stage = 'output', signal } = {}) => check(tracklistText(tracklist), stage, signal),
+        checkScore:     (score, { signal } = {}) => check(scoreText(score), 'output', signal),
+    };
+}
+
+module.exports = { createModerator, moderationError, sanitizeForPrompt };
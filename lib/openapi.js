@@ -0,0 +1,462 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — OpenAPI Document  (/api/v1)
+ * ═══════════════════════════════════════════════
+ *
+ * The OpenAPI 3 description of the public, versioned API, served at
+ * GET /api/v1/openapi.json.  It is also what lib/api-v1.js checks each
+ * request against: an operation that isn't listed here answers 404, and a
+ * JSON body must match the operation's request schema.
+ *
+ * Request schemas are the ones the handlers already validate with
+ * (lib/options.js, lib/covers.js, lib/generate.js, lib/cue-sheet.js,
+ * lib/render/jobs.js), so
+ * they stay inline — lib/schema.js doesn't follow $ref.  Responses may
+ * use $ref freely; they're documentation only.
+ */
+
+const { GENERATION_OPTIONS_SCHEMA } = require('./options');
+const { COVER_OPTIONS_SCHEMA } = require('./covers');
+const { REFINE_SCHEMA } = require('./generate');
+const { SCORE_SCHEMA } = require('./cue-sheet');
+const { MAX_SCENES } = require('./screenplay');
+const { OPTIONS_SCHEMA: RENDER_OPTIONS_SCHEMA } = require('./render/jobs');
+const { tracklistSchema, REFINE_TRACK_COUNT } = require('./tracklist');
+const { version } = require('../package.json');
+const SoundtrackFormats = require('../public/js/formats');
+
+/** Error codes, by HTTP status, for errors that don't have a more specific one. */
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    410: 'gone',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'upstream_error',
+    503: 'unavailable',
+};
+
+// ═══════════════════════════════════════════════
+// Request Bodies
+// ═══════════════════════════════════════════════
+
+const GENERATE_BODY = {
+    type: 'object',
+    required: ['vibe'],
+    additionalProperties: false,
+    properties: {
+        vibe:    { type: 'string', minLength: 1, maxLength: 600, pattern: '\\S', description: 'the scene or mood to score' },
+        options: GENERATION_OPTIONS_SCHEMA,
+        cover:   COVER_OPTIONS_SCHEMA,
+        fresh:   { type: 'boolean', description: 'skip the result cache ("surprise me")' },
+    },
+};
+
+const SELECT_COVER_BODY = {
+    type: 'object',
+    required: ['variant'],
+    additionalProperties: false,
+    properties: { variant: { type: 'integer', minimum: 0, description: 'index of the cover variant to show' } },
+};
+
+// ═══════════════════════════════════════════════
+// Shorthands
+// ═══════════════════════════════════════════════
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function jsonBody(schema) {
+    return { required: true, content: { 'application/json': { schema } } };
+}
+
+function jsonResponse(description, schema, extra = {}) {
+    return { description, content: { 'application/json': { schema } }, ...extra };
+}
+
+function binaryResponse(description, ...types) {
+    return { description, content: Object.fromEntries(types.map(type => [type, { schema: { type: 'string', format: 'binary' } }])) };
+}
+
+/** The shared error responses for `statuses`, e.g. errors(400, 404). */
+function errors(...statuses) {
+    return Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/Error${status}` }]));
+}
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+
+const SOUNDTRACK_ID = pathParam('id', 'soundtrack id, from a generation or permalink');
+const JOB_ID        = pathParam('jobId', 'render job id');
+const OWNER_KEY     = {
+    name: 'X-Owner-Key', in: 'header', required: true, schema: { type: 'string' },
+    description: 'the ownerKey returned when the soundtrack was created',
+};
+const COVER_QUERY = [
+    { name: 'w',           in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'width in pixels, rounded up to a stored size' },
+    { name: 'format',      in: 'query', schema: { enum: ['webp', 'jpeg', 'png'] } },
+    { name: 'placeholder', in: 'query', allowEmptyValue: true, schema: { type: 'string' }, description: 'a tiny blurred JPEG instead' },
+];
+
+// ═══════════════════════════════════════════════
+// Components
+// ═══════════════════════════════════════════════
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: {
+            type: 'object',
+            required: ['code', 'message', 'requestId'],
+            properties: {
+                code: {
+                    type: 'string',
+                    description: 'machine-readable: one of the status codes below, or something more specific — '
+                        + 'user_limit, global_limit, denied, invalid_key, not_owner, moderation, upstream_unavailable',
+                    example: 'invalid_request',
+                },
+                message:   { type: 'string', description: 'for people; may change' },
+                requestId: { type: 'string', description: 'also in the X-Request-Id header and the server logs' },
+                details:   {
+                    type: 'array',
+                    description: 'for invalid_request: each field that failed validation',
+                    items: {
+                        type: 'object',
+                        properties: { path: { type: 'string', example: '$.options.era' }, message: { type: 'string' } },
+                    },
+                },
+            },
+        },
+    },
+};
+
+const RATE_LIMIT_HEADERS = {
+    'RateLimit-Limit':     { description: 'the limit that was reached', schema: { type: 'number' } },
+    'RateLimit-Remaining': { description: 'always 0 on a 429', schema: { type: 'number' } },
+    'RateLimit-Reset':     { description: 'seconds until the limit frees up (absent if it never will)', schema: { type: 'integer' } },
+    'Retry-After':         { description: 'same as RateLimit-Reset', schema: { type: 'integer' } },
+};
+
+const ERROR_DESCRIPTIONS = {
+    400: 'The request is invalid',
+    401: 'The access key is unknown or revoked',
+    403: 'Not allowed',
+    404: 'No such resource',
+    410: 'The token has expired',
+    429: 'A generation limit has been reached',
+    500: 'Something went wrong on our side',
+    502: 'The AI service returned an error',
+    503: 'The AI service is unreachable, or the render queue is full',
+};
+
+const ERROR_RESPONSES = Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) => {
+    const headers = status === '429' ? RATE_LIMIT_HEADERS
+                  : status === '503' ? { 'Retry-After': { description: 'seconds to wait, when known', schema: { type: 'integer' } } }
+                  : undefined;
+    return [`Error${status}`, jsonResponse(description, ref('Error'), headers ? { headers } : {})];
+}));
+
+const REMAINING = {
+    type: 'object',
+    properties: {
+        user:     { type: ['number', 'null'], description: 'generations left for the caller (null: no cap)' },
+        global:   { type: ['number', 'null'], description: 'generations left site-wide (null: not counted)' },
+        resetsAt: { type: ['string', 'null'], format: 'date-time' },
+    },
+};
+
+const SCHEMAS = {
+    Error:     ERROR_SCHEMA,
+    Tracklist: tracklistSchema({ minTracks: REFINE_TRACK_COUNT.min, maxTracks: REFINE_TRACK_COUNT.max }),
+    CueSheet: {
+        type: 'object',
+        description: 'a film score\'s tracks grouped by scene',
+        properties: {
+            logline: { type: 'string' },
+            themes:  { type: 'array', items: { type: 'string' }, description: 'recurring musical motifs' },
+            scenes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        heading: { type: 'string', example: 'INT. DINER - NIGHT' },
+                        mood:    { type: 'string' },
+                        cues: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    track:     { type: 'integer', description: '0-based position in the tracklist' },
+                                    placement: { type: 'string', description: 'where the cue enters and exits' },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    Remaining: REMAINING,
+    Status: {
+        type: 'object',
+        properties: {
+            userRemaining:   { type: ['number', 'null'] },
+            globalRemaining: { type: ['number', 'null'] },
+            userLimit:       { type: 'number' },
+            globalLimit:     { type: 'number' },
+            resetsAt:        { type: ['string', 'null'], format: 'date-time' },
+            policy:          { type: 'object', description: 'window, limits and costs in force' },
+            auth:            { type: 'object', description: 'the access key in use, if any' },
+        },
+    },
+    Generation: {
+        type: 'object',
+        properties: {
+            tracklist:    ref('Tracklist'),
+            coverToken:   { type: 'string', description: 'the first of coverTokens' },
+            coverTokens:  { type: 'array', items: { type: 'string' }, description: 'one per cover variant; GET /cover/{token}' },
+            soundtrackId: { type: 'string' },
+            ownerKey:     { type: 'string', description: 'keep it to change the cover later' },
+            permalink:    { type: 'string' },
+            cache:        { enum: ['miss', 'hit', 'coalesced', 'bypass'] },
+            remaining:    ref('Remaining'),
+        },
+    },
+    Score: {
+        type: 'object',
+        properties: {
+            tracklist:    ref('Tracklist'),
+            cueSheet:     ref('CueSheet'),
+            coverToken:   { type: 'string', description: 'the first of coverTokens' },
+            coverTokens:  { type: 'array', items: { type: 'string' }, description: 'one per cover variant; GET /cover/{token}' },
+            soundtrackId: { type: 'string' },
+            ownerKey:     { type: 'string', description: 'keep it to change the cover later' },
+            permalink:    { type: 'string' },
+            cache:        { const: 'bypass' },
+            remaining:    ref('Remaining'),
+        },
+    },
+    Refinement: {
+        type: 'object',
+        properties: {
+            tracklist:    ref('Tracklist'),
+            cueSheet:     { oneOf: [ref('CueSheet'), { type: 'null' }], description: 'kept from a refined score while its track count is unchanged' },
+            diff:         { type: 'object', description: 'what changed, by album field and track position' },
+            soundtrackId: { type: ['string', 'null'], description: 'the new saved soundtrack, when a saved one was refined' },
+            ownerKey:     { type: ['string', 'null'] },
+            permalink:    { type: ['string', 'null'] },
+            remaining:    ref('Remaining'),
+        },
+    },
+    Soundtrack: {
+        type: 'object',
+        properties: {
+            id:        { type: 'string' },
+            vibe:      { type: 'string' },
+            tracklist: ref('Tracklist'),
+            createdAt: { type: 'string', format: 'date-time' },
+            coverUrl:  { type: 'string' },
+            cover: {
+                type: 'object',
+                properties: {
+                    style:    COVER_OPTIONS_SCHEMA.properties.style,
+                    aspect:   COVER_OPTIONS_SCHEMA.properties.aspect,
+                    variants: { type: 'integer' },
+                    selected: { type: 'integer' },
+                },
+            },
+            permalink: { type: 'string' },
+            cueSheet:  ref('CueSheet'),
+        },
+    },
+    RenderJob: {
+        type: 'object',
+        properties: {
+            id:           { type: 'string' },
+            soundtrackId: { type: 'string' },
+            status:       { enum: ['queued', 'running', 'done', 'failed'] },
+            progress:     { type: 'number', minimum: 0, maximum: 1 },
+            options:      RENDER_OPTIONS_SCHEMA,
+            error:        { type: ['string', 'null'] },
+            createdAt:    { type: 'string', format: 'date-time' },
+            finishedAt:   { type: ['string', 'null'], format: 'date-time' },
+            files: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { name: { type: 'string' }, seconds: { type: 'number' }, bytes: { type: 'integer' }, url: { type: 'string' } },
+                },
+            },
+        },
+    },
+};
+
+// ═══════════════════════════════════════════════
+// Paths
+// ═══════════════════════════════════════════════
+
+const PATHS = {
+    '/status': {
+        get: {
+            operationId: 'getStatus',
+            summary:     'The caller\'s remaining generations and the quota policy',
+            responses:   { 200: jsonResponse('Current standing', ref('Status')), ...errors(401) },
+        },
+    },
+    '/generate': {
+        post: {
+            operationId: 'generate',
+            summary:     'Generate a soundtrack for a vibe',
+            description: 'Costs one generation, unless the result came from the cache.  The soundtrack is saved; '
+                + 'its covers are rendered in the background and served through the returned cover tokens.',
+            requestBody: jsonBody(GENERATE_BODY),
+            responses:   { 200: jsonResponse('The tracklist, cover tokens and saved soundtrack', ref('Generation')), ...errors(400, 401, 403, 429, 500, 503) },
+        },
+    },
+    '/score': {
+        post: {
+            operationId: 'score',
+            summary:     'Score a screenplay excerpt: one album, cues grouped by scene',
+            description: `Fountain or plain text, up to ${MAX_SCENES} scenes.  Costs policy.scoreCost generations and is never cached.  `
+                + 'Saved and covered like a generation; the cover is drawn from the score\'s logline.',
+            requestBody: jsonBody(SCORE_SCHEMA),
+            responses:   { 200: jsonResponse('The tracklist, cue sheet, cover tokens and saved soundtrack', ref('Score')), ...errors(400, 401, 403, 429, 500, 503) },
+        },
+    },
+    '/refine': {
+        post: {
+            operationId: 'refine',
+            summary:     'Edit a tracklist with an instruction, or regenerate one track',
+            description: 'Give a soundtrackId or a tracklist, and an instruction, a track (0-based) or both.  '
+                + 'Costs policy.refineCost of a generation.',
+            requestBody: jsonBody(REFINE_SCHEMA),
+            responses:   { 200: jsonResponse('The refined tracklist and what changed', ref('Refinement')), ...errors(400, 401, 403, 404, 429, 500, 503) },
+        },
+    },
+    '/cover/{token}': {
+        get: {
+            operationId: 'getCoverByToken',
+            summary:     'Redirect to a generated cover once it is ready',
+            parameters:  [pathParam('token', 'a cover token from a generation'), ...COVER_QUERY],
+            responses:   { 302: { description: 'Redirect to /covers/{hash}' }, ...errors(404, 410, 502, 503) },
+        },
+    },
+    '/covers/{hash}': {
+        get: {
+            operationId: 'getCover',
+            summary:     'A stored cover image, optionally resized or converted (immutable)',
+            parameters:  [pathParam('hash', 'sha-256 of the image'), ...COVER_QUERY],
+            responses:   { 200: binaryResponse('The image', 'image/webp', 'image/jpeg', 'image/png'), 304: { description: 'Not modified' }, ...errors(400, 404, 500) },
+        },
+    },
+    '/soundtracks/{id}': {
+        get: {
+            operationId: 'getSoundtrack',
+            summary:     'A saved soundtrack',
+            parameters:  [SOUNDTRACK_ID],
+            responses:   { 200: jsonResponse('The soundtrack', ref('Soundtrack')), ...errors(404) },
+        },
+    },
+    '/soundtracks/{id}/cover': {
+        get: {
+            operationId: 'getSoundtrackCover',
+            summary:     'The soundtrack\'s selected cover',
+            description: 'With w, format or placeholder, redirects to that copy at /covers/{hash}.',
+            parameters:  [SOUNDTRACK_ID, ...COVER_QUERY],
+            responses:   { 200: binaryResponse('The image', 'image/jpeg', 'image/png'), 302: { description: 'Redirect to /covers/{hash}' }, ...errors(404, 502, 503) },
+        },
+        put: {
+            operationId: 'selectCover',
+            summary:     'Show another of the soundtrack\'s cover variants',
+            parameters:  [SOUNDTRACK_ID, OWNER_KEY],
+            requestBody: jsonBody(SELECT_COVER_BODY),
+            responses:   { 200: jsonResponse('The updated soundtrack', ref('Soundtrack')), ...errors(400, 403, 404) },
+        },
+    },
+    '/soundtracks/{id}/cover/regenerate': {
+        post: {
+            operationId: 'regenerateCovers',
+            summary:     'New covers for the same vibe',
+            description: 'Style and aspect default to the current cover\'s.  Costs policy.coverCost of a generation.',
+            parameters:  [SOUNDTRACK_ID, OWNER_KEY],
+            requestBody: { ...jsonBody(COVER_OPTIONS_SCHEMA), required: false },
+            responses:   {
+                200: jsonResponse('Fresh cover tokens', {
+                    type: 'object',
+                    properties: {
+                        coverToken:  { type: 'string' },
+                        coverTokens: { type: 'array', items: { type: 'string' } },
+                        cover:       SCHEMAS.Soundtrack.properties.cover,
+                        remaining:   ref('Remaining'),
+                    },
+                }),
+                ...errors(400, 401, 403, 404, 429, 500),
+            },
+        },
+    },
+    '/soundtracks/{id}/card': {
+        get: {
+            operationId: 'getShareCard',
+            summary:     'The 1200×630 share card',
+            parameters:  [SOUNDTRACK_ID],
+            responses:   { 200: binaryResponse('JPEG image', 'image/jpeg'), 304: { description: 'Not modified' }, ...errors(404, 500) },
+        },
+    },
+    '/soundtracks/{id}/export': {
+        get: {
+            operationId: 'exportSoundtrack',
+            summary:     'Download the soundtrack as a file',
+            parameters:  [SOUNDTRACK_ID, { name: 'format', in: 'query', schema: { enum: SoundtrackFormats.FORMATS } }],
+            responses:   { 200: { description: 'The file, as an attachment' }, ...errors(400, 404, 500) },
+        },
+    },
+    '/soundtracks/{id}/render': {
+        post: {
+            operationId: 'renderSoundtrack',
+            summary:     'Queue a WAV render',
+            description: 'Poll the returned job (also in the Location header) until it is done.',
+            parameters:  [SOUNDTRACK_ID],
+            requestBody: { ...jsonBody(RENDER_OPTIONS_SCHEMA), required: false },
+            responses:   { 202: jsonResponse('The render job', ref('RenderJob')), ...errors(400, 404, 500, 503) },
+        },
+    },
+    '/renders/{jobId}': {
+        get: {
+            operationId: 'getRender',
+            summary:     'Render status, progress and file URLs',
+            parameters:  [JOB_ID],
+            responses:   { 200: jsonResponse('The render job', ref('RenderJob')), ...errors(404) },
+        },
+    },
+    '/renders/{jobId}/files/{index}': {
+        get: {
+            operationId: 'getRenderFile',
+            summary:     'Download a finished WAV',
+            parameters:  [JOB_ID, { name: 'index', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } }],
+            responses:   { 200: binaryResponse('The WAV file', 'audio/wav'), ...errors(404) },
+        },
+    },
+};
+
+const OPENAPI_DOCUMENT = {
+    openapi: '3.1.0',
+    info: {
+        title:       'CINESONICS API',
+        version,
+        description: 'Generate cinematic soundtrack concepts, their covers and renders.  Anonymous callers are '
+            + 'limited by IP; send an access key as `Authorization: Bearer <key>` for your own limits.  '
+            + 'Every error has the body described by the Error schema.',
+    },
+    servers:    [{ url: '/api/v1' }],
+    paths:      PATHS,
+    components: {
+        schemas:         SCHEMAS,
+        responses:       ERROR_RESPONSES,
+        securitySchemes: { accessKey: { type: 'http', scheme: 'bearer', description: 'an access key (optional)' } },
+    },
+    security: [{}, { accessKey: [] }],
+};
+
+module.exports = { OPENAPI_DOCUMENT, ERROR_CODES };
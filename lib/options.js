@@ -0,0 +1,66 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Generation Options
+ * ═══════════════════════════════════════════════
+ *
+ * Optional steering for POST /api/generate(/stream), sent as `options`
+ * next to the vibe.  All fields are optional:
+ *
+ *   tracks          — { min, max } track count, 3–20          (default 8–12)
+ *   runtime         — target total runtime in minutes, 5–240
+ *   era             — decade the music should come from, e.g. "1980s", or "future"
+ *   instrumentation — lead instruments in a few words, e.g. "analog synths and cello"
+ *   mix             — "score" (composer cues), "songs" (licensed songs) or "mixed"
+ *   language        — language for the album and track titles, e.g. "French"
+ *
+ * buildUserPrompt() in lib/prompts.js turns them into requirements; the
+ * track range is also what the tracklist is validated against.
+ */
+
+const { validate, formatErrors } = require('./schema');
+const { TRACK_COUNT } = require('./tracklist');
+
+const TRACK_RANGE = { min: 3, max: 20 };
+
+const ERAS  = ['1920s', '1930s', '1940s', '1950s', '1960s', '1970s', '1980s', '1990s', '2000s', '2010s', '2020s', 'future'];
+const MIXES = ['score', 'songs', 'mixed'];
+
+const trackCount = { type: 'integer', minimum: TRACK_RANGE.min, maximum: TRACK_RANGE.max };
+
+const GENERATION_OPTIONS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        tracks: {
+            type: 'object',
+            required: ['min', 'max'],
+            additionalProperties: false,
+            properties: { min: trackCount, max: trackCount },
+        },
+        runtime:         { type: 'integer', minimum: 5, maximum: 240 },
+        era:             { enum: ERAS },
+        instrumentation: { type: 'string', minLength: 1, maxLength: 80, pattern: '^[^"\\n\\r]*\\S[^"\\n\\r]*$', description: 'a few words on one line, without quotes' },
+        mix:             { enum: MIXES },
+        language:        { type: 'string', minLength: 2, maxLength: 40, pattern: '^[^"\\n\\r]*\\S[^"\\n\\r]*$', description: 'a language name like "French"' },
+    },
+};
+
+/**
+ * @param {*} raw — the request's options (may be undefined)
+ * @returns {{ options: object, errors: string[] }} options always has `tracks`; errors empty when valid
+ */
+function resolveGenerationOptions(raw = {}) {
+    const errors = formatErrors(validate(GENERATION_OPTIONS_SCHEMA, raw, '$.options'));
+    if (!errors.length && raw.tracks && raw.tracks.min > raw.tracks.max) {
+        errors.push('$.options.tracks.min must be <= $.options.tracks.max');
+    }
+    if (errors.length) return { options: { tracks: { ...TRACK_COUNT } }, errors };
+
+    const { min, max } = raw.tracks || TRACK_COUNT;
+    const options      = { ...raw, tracks: { min, max } };
+    if (options.instrumentation) options.instrumentation = options.instrumentation.trim();
+    if (options.language)        options.language        = options.language.trim();
+    return { options, errors };
+}
+
+module.exports = { resolveGenerationOptions, GENERATION_OPTIONS_SCHEMA, ERAS, MIXES, TRACK_RANGE };
@@ -0,0 +1,71 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Permalink Page  (link previews)
+ * ═══════════════════════════════════════════════
+ *
+ * GET /s/:id serves the frontend's index.html with the soundtrack's own
+ * title, description and Open Graph / Twitter card tags in its <head>, so
+ * chat apps and social sites show a rich preview without running any
+ * script.  The preview image is the 1200×630 share card
+ * (renderShareCard() in lib/album-sheet.js).
+ */
+
+const { escapeHtml } = require('../public/js/html');
+
+/** "Neo-Noir Jazz · Rain-Soaked Pursuit · 12 tracks" */
+function describe(tracklist) {
+    const count = (tracklist.tracks || []).length;
+    return [tracklist.genre, tracklist.vibeTag, `${count} track${count === 1 ? '' : 's'}`]
+        .filter(Boolean)
+        .join(' · ');
+}
+
+/**
+ * The meta tags for a saved soundtrack, as [attribute, name, content] rows.
+ * @param {object} record — saved soundtrack (lib/library.js)
+ * @param {string} origin — scheme and host, e.g. https://cinesonics.example
+ */
+function shareTags(record, origin) {
+    const { albumTitle, albumArtist } = record.tracklist;
+    const description = describe(record.tracklist);
+    const image       = `${origin}/api/soundtracks/${record.id}/card`;
+
+    return [
+        ['property', 'og:type',         'music.album'],
+        ['property', 'og:site_name',    'CINESONICS'],
+        ['property', 'og:title',        albumTitle],
+        ['property', 'og:description',  description],
+        ['property', 'og:url',          `${origin}/s/${record.id}`],
+        ['property', 'og:image',        image],
+        ['property', 'og:image:type',   'image/jpeg'],
+        ['property', 'og:image:width',  '1200'],
+        ['property', 'og:image:height', '630'],
+        ['property', 'og:image:alt',    `${albumTitle} by ${albumArtist}`],
+        ['name',     'twitter:card',        'summary_large_image'],
+        ['name',     'twitter:title',       albumTitle],
+        ['name',     'twitter:description', description],
+        ['name',     'twitter:image',       image],
+    ];
+}
+
+/**
+ * index.html with `record`'s title, description and share tags.
+ * @param {string} template — the contents of public/index.html
+ * @param {object} record
+ * @param {string} origin
+ * @returns {string}
+ */
+function renderPermalinkPage(template, record, origin) {
+    const { albumTitle } = record.tracklist;
+    const tags = shareTags(record, origin)
+        .map(([attribute, name, content]) => `    <meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+        .concat(`    <link rel="canonical" href="${escapeHtml(`${origin}/s/${record.id}`)}">`)
+        .join('\n');
+
+    return template
+        .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(albumTitle)} — CINESONICS</title>`)
+        .replace(/<meta name="description" content="[^"]*">/, () => `<meta name="description" content="${escapeHtml(describe(record.tracklist))}">`)
+        .replace('</head>', () => `${tags}\n</head>`);
+}
+
+module.exports = { renderPermalinkPage };
@@ -0,0 +1,258 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Prompts
+ * ═══════════════════════════════════════════════
+ *
+ * Kept server-side so they can't be tampered with.  User text (vibes,
+ * refine instructions, posted track names, screenplay scenes) is embedded
+ * only after sanitizeForPrompt() — see lib/moderation.js.
+ */
+
+const { sanitizeForPrompt } = require('./moderation');
+
+const SYSTEM_PROMPT = `You are a cinematic soundtrack concept designer. You create fictional but believable soundtrack tracklists for movie scenes. You invent creative track names and fictional artist/band names that feel authentic to the genre. Always respond with valid JSON only, no markdown.`;
+
+const MIX_REQUIREMENTS = {
+    score: 'This is an original score: every track is an instrumental cue by the film\'s composer (albumArtist), credited to the composer or the ensemble performing it',
+    songs: 'This is a compilation of licensed songs by different fictional artists and bands',
+    mixed: 'Mix original score cues by the film\'s composer with licensed songs by fictional artists and bands',
+};
+
+/**
+ * @param {string} vibe
+ * @param {object} [options] — resolved generation options (lib/options.js);
+ *                             without any, the prompt asks for 8-12 tracks of 2:30–6:00
+ */
+function buildUserPrompt(vibe, options = {}) {
+    const { tracks = { min: 8, max: 12 }, runtime, era, instrumentation, mix, language } = options;
+
+    const requirements = [
+        tracks.min === tracks.max ? `Generate exactly ${tracks.min} tracks` : `Generate ${tracks.min}-${tracks.max} tracks`,
+        'Track names should be cinematic, evocative, and match the vibe',
+        'Artist names should feel authentic to the genre',
+        runtime
+            ? `Durations should be realistic and add up to a total runtime of about ${runtime} minutes`
+            : 'Durations should be realistic (2:30 – 6:00 range, maybe one longer atmospheric track)',
+        'The album title should capture the essence of the movie scene',
+        'Be creative and specific — avoid generic names',
+    ];
+
+    if (era === 'future')    requirements.push('The music should sound futuristic, decades ahead of today');
+    else if (era)            requirements.push(`The music should sound like it was made in the ${era}`);
+    if (instrumentation)     requirements.push(`Lead instrumentation: ${instrumentation}`);
+    if (mix)                 requirements.push(MIX_REQUIREMENTS[mix]);
+    if (language)            requirements.push(`Write the album title and track titles in ${language}; keep the JSON keys in English`);
+
+    return `Create a conceptual movie soundtrack for this vibe:
+
+"${sanitizeForPrompt(vibe)}"
+
+Return a JSON object with this exact structure:
+{
+  "albumTitle": "string — a creative, evocative album title",
+  "albumArtist": "string — the main artist, composer, or 'Various Artists'",
+  "genre": "string — short genre/mood label, e.g. 'Dark Electronic / Industrial'",
+  "vibeTag": "string — very short 2-3 word vibe label",
+  "tracks": [
+    {
+      "title": "string — creative track name",
+      "artist": "string — fictional artist/band name",
+      "duration": "string — realistic duration like '3:42'"
+    }
+  ]
+}
+
+Requirements:
+${requirements.map(line => `- ${line}`).join('\n')}
+
+Return ONLY the JSON object, nothing else.`;
+}
+
+/** Cover style presets — the look appended to every cover prompt. */
+const COVER_STYLES = {
+    cinematic:   'Moody atmospheric lighting, dramatic composition, professional album artwork quality, no text, no words, no letters, dark cinematic color palette with neon accents, gritty photographic style, high contrast, volumetric lighting, 4k detailed',
+    minimalist:  'Minimalist movie poster design, one bold central motif, large areas of flat color, clean geometric shapes, limited two or three color palette, generous negative space, no text, no words, no letters',
+    vinyl:       'Vintage 1970s vinyl record sleeve, warm faded film colors, visible grain and print texture, slightly worn paper edges, analog photography, retro typography-free layout, no text, no words, no letters',
+    anime:       'Anime key visual, cel-shaded illustration, expressive lighting and sky, detailed painted background, vibrant saturated colors, dynamic composition, no text, no words, no letters',
+    noir:        'Black and white photographic film noir still, hard low-key lighting, deep shadows, venetian blind light patterns, rain-slick surfaces, 35mm grain, high contrast, no text, no words, no letters',
+};
+
+function buildImagePrompt(vibe, style = 'cinematic') {
+    return `Cinematic movie soundtrack album cover art. ${sanitizeForPrompt(vibe)}. ${COVER_STYLES[style] || COVER_STYLES.cinematic}`;
+}
+
+/**
+ * Edit an existing tracklist.  `track` (0-based) focuses the change on one
+ * track; without an instruction that means "write a new one in its place".
+ */
+function buildRefinePrompt(tracklist, { instruction, track } = {}) {
+    let change = instruction && sanitizeForPrompt(instruction);
+    if (track !== undefined) {
+        const t = tracklist.tracks[track];
+        change = `Replace track ${track + 1} ('${sanitizeForPrompt(t.title)}' by ${sanitizeForPrompt(t.artist)}) with a new, different track that fits the album`
+            + (change ? `. ${change}` : '.');
+    }
+
+    return `Here is a conceptual movie soundtrack as JSON:
+
+${JSON.stringify(tracklist, null, 2)}
+
+Apply this change:
+
+"${change}"
+
+Requirements:
+- Change only what the request asks for; keep every other field and track exactly as it is, in the same order
+- New or renamed tracks and artists should match the album's genre and vibe
+- Keep the same structure: albumTitle, albumArtist, genre, vibeTag and tracks of { title, artist, duration }
+- Durations must be "m:ss" strings; no more than 20 tracks
+
+Return ONLY the complete updated JSON object, nothing else.`;
+}
+
+// ═══════════════════════════════════════════════
+// Film Scores  (POST /api/score — see lib/cue-sheet.js)
+// ═══════════════════════════════════════════════
+
+/** The scenes as numbered blocks, counting from `first` (1-based). */
+function sceneBlocks(scenes, first = 1) {
+    return scenes.map((scene, i) => {
+        const heading = scene.heading ? ` — ${sanitizeForPrompt(scene.heading)}` : '';
+        return `Scene ${first + i}${heading}\n'${sanitizeForPrompt(scene.text)}'`;
+    }).join('\n\n');
+}
+
+/** Era / instrumentation / language requirements shared by both score prompts. */
+function scoreStyle({ era, instrumentation, language } = {}, titles) {
+    const requirements = [];
+    if (era === 'future')    requirements.push('The music should sound futuristic, decades ahead of today');
+    else if (era)            requirements.push(`The music should sound like it was made in the ${era}`);
+    if (instrumentation)     requirements.push(`Lead instrumentation: ${instrumentation}`);
+    if (language)            requirements.push(`Write ${titles} in ${language}; keep the JSON keys in English`);
+    return requirements;
+}
+
+/**
+ * Step one of a score: the album every cue will share.
+ * @param {Array<{ heading, text }>} scenes — from lib/screenplay.js
+ * @param {object} [options] — { era, instrumentation, language }
+ */
+function buildScoreIdentityPrompt(scenes, options = {}) {
+    const requirements = [
+        'The score should fit the whole excerpt, not just one scene',
+        'Invent a fictional composer whose name feels authentic to the genre',
+        'The themes are the musical ideas that return across the film — name their sound, not the plot',
+        'The logline should describe the film\'s look and feel without character names',
+        'Be creative and specific — avoid generic names',
+        ...scoreStyle(options, 'the album title'),
+    ];
+
+    return `Here is a screenplay excerpt, split into ${scenes.length} scene${scenes.length === 1 ? '' : 's'}:
+
+${sceneBlocks(scenes)}
+
+Design the original film score for it as one album: a composer, a sound and a few recurring themes that every cue will share.
+
+Return a JSON object with this exact structure:
+{
+  "albumTitle": "string — the score album's title, e.g. the film's title + ' (Original Motion Picture Score)'",
+  "albumArtist": "string — the fictional composer",
+  "genre": "string — short genre/mood label, e.g. 'Noir Jazz / Orchestral'",
+  "vibeTag": "string — very short 2-3 word vibe label",
+  "logline": "string — one sentence on the film and how it sounds",
+  "themes": ["string — 1-4 recurring motifs, e.g. 'a lonely muted trumpet for the city'"]
+}
+
+Requirements:
+${requirements.map(line => `- ${line}`).join('\n')}
+
+Return ONLY the JSON object, nothing else.`;
+}
+
+/**
+ * Step two, per batch of scenes: the cues, written against the identity.
+ * @param {object}   identity — from buildScoreIdentityPrompt(), normalized
+ * @param {Array<{ heading, text }>} scenes — this batch
+ * @param {object}   opts
+ * @param {number}   opts.first      — the batch's first scene number (1-based)
+ * @param {{ min, max }} opts.cues   — cues per scene
+ * @param {string[]} [opts.previous] — cue titles already written for earlier scenes
+ * @param {object}   [opts.options]  — { era, instrumentation, language }
+ */
+function buildScoreCuesPrompt(identity, scenes, { first, cues, previous = [], options = {} }) {
+    const last         = first + scenes.length - 1;
+    const requirements = [
+        first === last
+            ? `One entry, for scene ${first}`
+            : `One entry per scene above, in the same order, numbered ${first}-${last}`,
+        `${cues.min}-${cues.max} cues per scene; most scenes need only one`,
+        'Cue durations should suit the scene (0:30 – 4:00)',
+        'Draw on the recurring themes so every cue belongs to the same score',
+        'Cue titles should be evocative and specific, in the style of a film score album',
+        ...scoreStyle(options, 'cue titles'),
+    ];
+    const earlier = previous.length
+        ? `\nCues already written for earlier scenes (don't reuse their titles): ${previous.map(title => `'${sanitizeForPrompt(title)}'`).join(', ')}\n`
+        : '';
+
+    return `You are scoring the film '${sanitizeForPrompt(identity.albumTitle)}' — an original score by ${sanitizeForPrompt(identity.albumArtist)}.
+Genre: ${sanitizeForPrompt(identity.genre)}
+Logline: ${sanitizeForPrompt(identity.logline)}
+Recurring themes:
+${identity.themes.map(theme => `- ${sanitizeForPrompt(theme)}`).join('\n')}
+${earlier}
+Write the cues for these scenes:
+
+${sceneBlocks(scenes, first)}
+
+Return a JSON object with this exact structure:
+{
+  "scenes": [
+    {
+      "scene": ${first},
+      "mood": "string — 2-4 word mood of the scene's music",
+      "cues": [
+        {
+          "title": "string — the cue's title",
+          "duration": "string — realistic duration like '1:45'",
+          "placement": "string — where it enters and exits, e.g. 'Enters as the door opens; cuts out on the gunshot'"
+        }
+      ]
+    }
+  ]
+}
+
+Requirements:
+${requirements.map(line => `- ${line}`).join('\n')}
+
+Return ONLY the JSON object, nothing else.`;
+}
+
+const TRACKLIST_REMINDER = 'Durations must be "m:ss" strings, every track needs a non-empty title and artist, and no extra fields are allowed.';
+
+/**
+ * Follow-up turn when the model's answer failed validation.
+ * @param {string[]} errors
+ * @param {string}   [reminder] — the rules most often broken, for the kind of answer asked for
+ */
+function buildRepairPrompt(errors, reminder = TRACKLIST_REMINDER) {
+    return `Your previous response did not match the required structure:
+
+${errors.map(e => `- ${e}`).join('\n')}
+
+Fix these problems and return the complete corrected JSON object. Keep everything that was already valid.
+${reminder}
+
+Return ONLY the JSON object, nothing else.`;
+}
+
+module.exports = {
+    SYSTEM_PROMPT,
+    COVER_STYLES,
+    buildUserPrompt,
+    buildRefinePrompt,
+    buildImagePrompt,
+    buildRepairPrompt,
+    buildScoreIdentityPrompt,
+    buildScoreCuesPrompt,
+};
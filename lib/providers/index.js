@@ -0,0 +1,77 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Text & Image Providers
+ * ═══════════════════════════════════════════════
+ *
+ * Where tracklists and covers come from.  Every provider has `name`,
+ * `model` and `missingConfig()` (→ a reason string, or null when usable):
+ *
+ *   text.complete({ messages, temperature, signal })        → Promise<string>
+ *   text.stream({ messages, temperature, signal })          → AsyncIterable<string>
+ *   image.generate({ prompt, seed, width, height, signal }) → Promise<{ buffer, contentType }>
+ *
+ * Errors from upstream carry `status` (HTTP code) where there is one.
+ * Text and image calls each go through their own hardened client
+ * (lib/upstream.js — timeouts, retries, circuit breaker); `circuit()` on a
+ * provider reports its breaker state.
+ *
+ * Environment variables:
+ *   AI_PROVIDER      — "pollinations" (default), "openai" or "mock"; sets both
+ *   TEXT_PROVIDER    — override for text only
+ *   IMAGE_PROVIDER   — override for images only
+ *   UPSTREAM_*       — timeouts, retries and circuit breaker, see lib/upstream.js
+ *
+ *   openai:  OPENAI_BASE_URL (default https://api.openai.com/v1), OPENAI_API_KEY,
+ *            OPENAI_MODEL (default gpt-4o-mini), OPENAI_IMAGE_MODEL (default dall-e-3)
+ *   pollinations / mock: see ./pollinations.js and ./mock.js
+ */
+
+const { createOpenAIChatProvider, createOpenAIImageProvider } = require('./openai');
+const { createPollinationsTextProvider, createPollinationsImageProvider } = require('./pollinations');
+const { createMockTextProvider, createMockImageProvider } = require('./mock');
+const { createUpstreamClient, upstreamOptions } = require('../upstream');
+
+const TEXT_PROVIDERS = {
+    pollinations: createPollinationsTextProvider,
+    mock:         createMockTextProvider,
+    openai:       (env, { fetch }) => createOpenAIChatProvider({
+        name:    'OpenAI-compatible API',
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey:  env.OPENAI_API_KEY,
+        model:   env.OPENAI_MODEL || 'gpt-4o-mini',
+        fetch,
+    }),
+};
+
+const IMAGE_PROVIDERS = {
+    pollinations: createPollinationsImageProvider,
+    mock:         createMockImageProvider,
+    openai:       (env, { fetch }) => createOpenAIImageProvider({
+        name:    'OpenAI-compatible API',
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey:  env.OPENAI_API_KEY,
+        model:   env.OPENAI_IMAGE_MODEL || 'dall-e-3',
+        fetch,
+    }),
+};
+
+const SERVICE_LABELS = { text: 'The AI text service', image: 'The cover image service' };
+
+function choose(registry, kind, name, env) {
+    const factory = registry[name];
+    if (!factory) {
+        throw new Error(`Unknown ${kind} provider "${name}" (expected ${Object.keys(registry).join(', ')})`);
+    }
+    const client = createUpstreamClient({ service: kind, label: SERVICE_LABELS[kind], ...upstreamOptions(env) });
+    return { ...factory(env, { fetch: client.fetch }), circuit: client.state };
+}
+
+function createProviders(env = process.env) {
+    const fallback = (env.AI_PROVIDER || 'pollinations').toLowerCase();
+    return {
+        text:  choose(TEXT_PROVIDERS,  'text',  (env.TEXT_PROVIDER  || fallback).toLowerCase(), env),
+        image: choose(IMAGE_PROVIDERS, 'image', (env.IMAGE_PROVIDER || fallback).toLowerCase(), env),
+    };
+}
+
+module.exports = { createProviders };
@@ -0,0 +1,238 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Offline Mock Providers
+ * ═══════════════════════════════════════════════
+ *
+ * Deterministic stand-ins for local development and tests: no network,
+ * no API key, no quota burned.  The same prompt always yields the same
+ * tracklist (with as many tracks as it asks for), and covers are
+ * generated gradient PNGs.  Refine prompts get the tracklist back with one
+ * track swapped (the one the change names, or the last one); score prompts
+ * get an album identity, or a cue or two for each scene they list.
+ *
+ * Environment variables:
+ *   MOCK_LATENCY_MS  — delay between streamed chunks (default 15, use 0 in tests)
+ */
+
+const zlib = require('zlib');
+
+// ═══════════════════════════════════════════════
+// Seeded Randomness
+// ═══════════════════════════════════════════════
+
+function hashString(text) {
+    let h = 0x811c9dc5;   // FNV-1a
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function mulberry32(seed) {
+    return function random() {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ═══════════════════════════════════════════════
+// Canned Tracklists
+// ═══════════════════════════════════════════════
+
+const WORDS = {
+    adjectives: ['Neon', 'Hollow', 'Crimson', 'Silent', 'Electric', 'Velvet', 'Broken', 'Midnight', 'Static', 'Golden', 'Phantom', 'Distant'],
+    nouns:      ['Rain', 'Signal', 'Horizon', 'Alley', 'Echo', 'Skyline', 'Engine', 'Tide', 'Mirror', 'Ghost', 'Satellite', 'Ember'],
+    artists:    ['The Night Office', 'Vanta Choir', 'Kaito Mirage', 'Low Orbit', 'Saint Juniper', 'Glass Harbor', 'M. Okonkwo', 'Pale Arcade'],
+    genres:     ['Dark Synthwave / Noir', 'Ambient Drone / Score', 'Industrial Techno', 'Orchestral Hybrid', 'Lo-fi Jazz / Trip-Hop'],
+    tags:       ['Rain-Soaked Tension', 'Neon Solitude', 'Midnight Pursuit', 'Cosmic Drift', 'Slow-Burn Dread'],
+};
+
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function cannedTracklist(seedText, { min = 8, max = 12 } = {}) {
+    const random = mulberry32(hashString(seedText));
+    const count  = min + Math.floor(random() * (max - min + 1));
+
+    const tracks = [];
+    for (let i = 0; i < count; i++) {
+        const seconds = 150 + Math.floor(random() * 210);   // 2:30–6:00
+        tracks.push({
+            title:    `${pick(random, WORDS.adjectives)} ${pick(random, WORDS.nouns)}`,
+            artist:   pick(random, WORDS.artists),
+            duration: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`,
+        });
+    }
+
+    return {
+        albumTitle:  `${pick(random, WORDS.adjectives)} ${pick(random, WORDS.nouns)} (Original Soundtrack)`,
+        albumArtist: pick(random, ['Various Artists', ...WORDS.artists]),
+        genre:       pick(random, WORDS.genres),
+        vibeTag:     pick(random, WORDS.tags),
+        tracks,
+    };
+}
+
+/** The track range a buildUserPrompt() prompt asks for ("exactly 5", "8-12"), if any. */
+function requestedTrackCount(prompt) {
+    const m = prompt.match(/Generate (?:exactly (\d+)|(\d+)-(\d+)) tracks/);
+    if (!m) return undefined;
+    return m[1] ? { min: Number(m[1]), max: Number(m[1]) } : { min: Number(m[2]), max: Number(m[3]) };
+}
+
+/** The tracklist from a buildRefinePrompt() prompt, with one track replaced — or null. */
+function refinedTracklist(prompt) {
+    const m = prompt.match(/as JSON:\n\n([\s\S]*?)\n\nApply this change:\n\n"([\s\S]*?)"\n/);
+    if (!m) return null;
+
+    const tracklist = JSON.parse(m[1]);
+    const named     = m[2].match(/track (\d+)/i);
+    const index     = named ? Math.min(Number(named[1]), tracklist.tracks.length) - 1 : tracklist.tracks.length - 1;
+    tracklist.tracks[Math.max(0, index)] = cannedTracklist(m[2]).tracks[0];
+    return tracklist;
+}
+
+/** An album identity for a buildScoreIdentityPrompt() prompt, or null. */
+function scoreIdentity(prompt) {
+    if (!/^Here is a screenplay excerpt/.test(prompt)) return null;
+
+    const random = mulberry32(hashString(prompt));
+    const { albumTitle, genre, vibeTag } = cannedTracklist(prompt);
+    return {
+        albumTitle:  albumTitle.replace('Soundtrack', 'Motion Picture Score'),
+        albumArtist: pick(random, WORDS.artists),
+        genre,
+        vibeTag,
+        logline:     `${pick(random, WORDS.adjectives)} streets, ${pick(random, WORDS.adjectives).toLowerCase()} hearts — a score of ${genre.toLowerCase()}`,
+        themes:      [`A ${pick(random, WORDS.adjectives).toLowerCase()} motif for the ${pick(random, WORDS.nouns).toLowerCase()}`],
+    };
+}
+
+/** Cues for every scene a buildScoreCuesPrompt() prompt lists, or null. */
+function scoreCues(prompt) {
+    if (!/^You are scoring the film/.test(prompt)) return null;
+
+    return {
+        scenes: [...prompt.matchAll(/^Scene (\d+)/gm)].map(([line, number]) => {
+            const random = mulberry32(hashString(line + prompt));
+            const count  = 1 + Math.floor(random() * 2);
+            return {
+                scene: Number(number),
+                mood:  pick(random, WORDS.tags),
+                cues:  cannedTracklist(line + prompt, { min: count, max: count }).tracks.map(({ title, duration }) => ({
+                    title,
+                    duration,
+                    placement: `Enters with the ${pick(random, WORDS.nouns).toLowerCase()}; fades under the dialogue`,
+                })),
+            };
+        }),
+    };
+}
+
+function createMockTextProvider(env = process.env) {
+    const latencyMs = Number(env.MOCK_LATENCY_MS ?? 15);
+
+    function respond(messages) {
+        const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+        const answer = scoreIdentity(prompt) || scoreCues(prompt) || refinedTracklist(prompt)
+            || cannedTracklist(prompt, requestedTrackCount(prompt));
+        return JSON.stringify(answer, null, 2);
+    }
+
+    async function complete({ messages }) {
+        return respond(messages);
+    }
+
+    async function* stream({ messages, signal }) {
+        const content = respond(messages);
+        for (let i = 0; i < content.length; i += 24) {
+            if (signal?.aborted) return;
+            if (latencyMs) await new Promise(resolve => setTimeout(resolve, latencyMs));
+            yield content.slice(i, i + 24);
+        }
+    }
+
+    return { name: 'Mock', model: 'mock', missingConfig: () => null, complete, stream };
+}
+
+// ═══════════════════════════════════════════════
+// Placeholder Covers  (gradient PNG, no dependencies)
+// ═══════════════════════════════════════════════
+
+function createMockImageProvider() {
+    async function generate({ prompt, seed = 0, width = 768, height = 768 }) {
+        const random = mulberry32(hashString(`${prompt}#${seed}`));
+        const from   = [random() * 80, random() * 60, 60 + random() * 120];           // deep blue-ish
+        const to     = [150 + random() * 105, random() * 80, 120 + random() * 135];   // neon magenta-ish
+
+        const rgb = Buffer.alloc(width * height * 3);
+        const cx  = width / 2;
+        const cy  = height / 2;
+        const max = Math.hypot(cx, cy);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const t        = (x + y) / (width + height);
+                const vignette = 1 - 0.6 * (Math.hypot(x - cx, y - cy) / max);
+                const o        = (y * width + x) * 3;
+                for (let c = 0; c < 3; c++) {
+                    rgb[o + c] = Math.round((from[c] + (to[c] - from[c]) * t) * vignette);
+                }
+            }
+        }
+
+        return { buffer: encodePng(width, height, rgb), contentType: 'image/png' };
+    }
+
+    return { name: 'Mock', model: 'mock', missingConfig: () => null, generate };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc  = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([len, body, crc]);
+}
+
+/** Minimal 8-bit RGB PNG encoder. */
+function encodePng(width, height, rgb) {
+    const stride = width * 3;
+    const raw    = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;   // filter: none
+        rgb.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;   // bit depth
+    ihdr[9] = 2;   // colour type: truecolour
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+module.exports = { createMockTextProvider, createMockImageProvider, cannedTracklist, hashString, mulberry32 };
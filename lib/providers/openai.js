@@ -0,0 +1,145 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — OpenAI-Compatible Providers
+ * ═══════════════════════════════════════════════
+ *
+ * Chat completions and image generation against any server speaking the
+ * OpenAI wire format (OpenAI, Pollinations, OpenRouter, Ollama, LM Studio…).
+ *
+ * Provider interfaces (see ./index.js):
+ *   text.complete({ messages, temperature, signal })        → Promise<string>
+ *   text.stream({ messages, temperature, signal })          → AsyncIterable<string>  (content deltas)
+ *   image.generate({ prompt, seed, width, height, signal }) → Promise<{ buffer, contentType }>
+ *
+ * Upstream failures throw an Error carrying `status` (the HTTP code).
+ * Requests go through `fetch` — normally the hardened client from
+ * lib/upstream.js, which adds timeouts, retries and a circuit breaker.
+ */
+
+/**
+ * @param {object} opts
+ * @param {string} opts.name       — label for logs / errors
+ * @param {string} opts.baseUrl    — e.g. https://api.openai.com/v1
+ * @param {string} [opts.apiKey]
+ * @param {string} opts.model
+ * @param {Function} [opts.describeError] — (status) → message, for provider-specific wording
+ * @param {Function} [opts.fetch]         — fetch() to use (default: the global one)
+ */
+function createOpenAIChatProvider({ name, baseUrl, apiKey, model, describeError = defaultError, fetch = globalThis.fetch }) {
+    async function request({ messages, temperature = 0.9, stream = false, signal }) {
+        const res = await fetch(`${trimSlash(baseUrl)}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify({ model, messages, temperature, stream }),
+            signal,
+        });
+
+        if (!res.ok) throw upstreamError(res.status, describeError(res.status, name));
+        return res;
+    }
+
+    async function complete(opts) {
+        const data = await (await request(opts)).json();
+        return data.choices?.[0]?.message?.content || '';
+    }
+
+    async function* stream(opts) {
+        const res = await request({ ...opts, stream: true });
+        for await (const data of sseData(res.body)) {
+            let delta;
+            try {
+                delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            } catch {
+                continue;   // keep-alive / malformed frame — skip it
+            }
+            if (delta) yield delta;
+        }
+    }
+
+    return {
+        name,
+        model,
+        missingConfig: () => (baseUrl ? null : `${name}: base URL is not set`),
+        complete,
+        stream,
+    };
+}
+
+/** POST {baseUrl}/images/generations with b64_json output. */
+function createOpenAIImageProvider({ name, baseUrl, apiKey, model, fetch = globalThis.fetch }) {
+    async function generate({ prompt, width = 1024, height = 1024, signal }) {
+        const res = await fetch(`${trimSlash(baseUrl)}/images/generations`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify({
+                model,
+                prompt,
+                n:               1,
+                size:            `${width}x${height}`,
+                response_format: 'b64_json',
+            }),
+            signal,
+        });
+
+        if (!res.ok) throw upstreamError(res.status, defaultError(res.status, name));
+
+        const data = await res.json();
+        const b64  = data.data?.[0]?.b64_json;
+        if (!b64) throw upstreamError(502, `${name} returned no image`);
+        return { buffer: Buffer.from(b64, 'base64'), contentType: 'image/png' };
+    }
+
+    return {
+        name,
+        model,
+        missingConfig: () => (apiKey ? null : `${name}: API key is not set`),
+        generate,
+    };
+}
+
+// ─── Helpers ──
+
+function defaultError(status, name) {
+    if (status === 401) return `${name} rejected the server API key.`;
+    return `${name} API error (${status})`;
+}
+
+function upstreamError(status, message) {
+    const err  = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function trimSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+/** Yield the `data:` payloads of an SSE body until `[DONE]`. */
+async function* sseData(body) {
+    const decoder = new TextDecoder();
+    let buffer    = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+            yield data;
+        }
+    }
+
+    const last = buffer.trim();
+    if (last.startsWith('data:') && last.slice(5).trim() !== '[DONE]') yield last.slice(5).trim();
+}
+
+module.exports = { createOpenAIChatProvider, createOpenAIImageProvider, upstreamError, trimSlash };
@@ -0,0 +1,70 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Pollinations.ai Providers
+ * ═══════════════════════════════════════════════
+ *
+ * Text goes through Pollinations' OpenAI-compatible chat endpoint;
+ * images come from the GET /image/:prompt endpoint.
+ *
+ * Environment variables:
+ *   POLLINATIONS_API_KEY      — required
+ *   POLLINATIONS_BASE_URL     — default https://gen.pollinations.ai
+ *   POLLINATIONS_TEXT_MODEL   — default qwen-safety
+ *   POLLINATIONS_IMAGE_MODEL  — default flux
+ */
+
+const { createOpenAIChatProvider, upstreamError, trimSlash } = require('./openai');
+
+const DEFAULT_BASE_URL = 'https://gen.pollinations.ai';
+
+function describeError(status) {
+    if (status === 401) return 'Server API key is invalid.';
+    if (status === 402) return 'API balance exhausted. Contact the site owner.';
+    return `Pollinations text API error (${status})`;
+}
+
+function missingKey(apiKey) {
+    return () => (apiKey ? null : 'POLLINATIONS_API_KEY is not set');
+}
+
+/**
+ * @param {object} [env]
+ * @param {{ fetch?: Function }} [http] — fetch() to use (lib/upstream.js)
+ */
+function createPollinationsTextProvider(env = process.env, { fetch } = {}) {
+    const apiKey = env.POLLINATIONS_API_KEY;
+    const chat   = createOpenAIChatProvider({
+        name:    'Pollinations',
+        baseUrl: `${trimSlash(env.POLLINATIONS_BASE_URL || DEFAULT_BASE_URL)}/v1`,
+        apiKey,
+        model:   env.POLLINATIONS_TEXT_MODEL || 'qwen-safety',
+        describeError,
+        fetch,
+    });
+    return { ...chat, missingConfig: missingKey(apiKey) };
+}
+
+/** Same arguments as createPollinationsTextProvider(). */
+function createPollinationsImageProvider(env = process.env, { fetch = globalThis.fetch } = {}) {
+    const apiKey  = env.POLLINATIONS_API_KEY;
+    const baseUrl = trimSlash(env.POLLINATIONS_BASE_URL || DEFAULT_BASE_URL);
+    const model   = env.POLLINATIONS_IMAGE_MODEL || 'flux';
+
+    async function generate({ prompt, seed, width = 768, height = 768, signal }) {
+        const url = `${baseUrl}/image/${encodeURIComponent(prompt)}`
+            + `?model=${encodeURIComponent(model)}&width=${width}&height=${height}&nologo=true&seed=${seed}`
+            + `&key=${encodeURIComponent(apiKey || '')}`;
+
+        const res = await fetch(url, { signal });
+        if (!res.ok) throw upstreamError(res.status, `Image API ${res.status}`);
+
+        return {
+            buffer:      Buffer.from(await res.arrayBuffer()),
+            contentType: res.headers.get('content-type') || 'image/jpeg',
+        };
+    }
+
+    return { name: 'Pollinations', model, missingConfig: missingKey(apiKey), generate };
+}
+
+module.exports = { createPollinationsTextProvider, createPollinationsImageProvider };
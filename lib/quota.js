@@ -0,0 +1,475 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Quota Policy & Accounting
+ * ═══════════════════════════════════════════════
+ *
+ * Decides whether a caller may generate, and records usage in the
+ * storage layer.  Two window modes:
+ *
+ *   day      — calendar-day counters, reset at midnight in QUOTA_TIMEZONE
+ *   rolling  — sliding window of QUOTA_WINDOW_HOURS (e.g. 24h)
+ *
+ * Policy is read from an optional JSON file (QUOTA_CONFIG) and then
+ * overridden by environment variables:
+ *
+ *   QUOTA_CONFIG        — path to a JSON file with any of the keys below (camelCase)
+ *   QUOTA_USER_LIMIT    — generations per user per window      (userLimit,   default 2)
+ *   QUOTA_GLOBAL_LIMIT  — generations site-wide per window     (globalLimit, default 11)
+ *   QUOTA_WINDOW        — "day" or "rolling"                   (window,      default "day")
+ *   QUOTA_WINDOW_HOURS  — rolling window length in hours       (windowHours, default 24)
+ *   QUOTA_TIMEZONE      — IANA zone for the daily reset        (timezone,    default "UTC")
+ *   QUOTA_REFINE_COST   — share of a generation one refinement costs  (refineCost, default 0.25)
+ *   QUOTA_COVER_COST    — share of a generation one cover regeneration costs  (coverCost, default 0.25)
+ *   QUOTA_SCORE_COST    — generations one screenplay score costs  (scoreCost, default 2)
+ *   QUOTA_ALLOWLIST     — comma-separated IPs / IPv4 CIDRs that bypass all limits
+ *   QUOTA_DENYLIST      — comma-separated IPs / IPv4 CIDRs that may never generate
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { createLogger } = require('./log');
+
+const log = createLogger({ component: 'quota' });
+
+const HOUR_MS            = 60 * 60 * 1000;
+const USER_RECORD_TTL_MS = 2 * 24 * HOUR_MS;   // stale records age out on their own
+
+/** Fractional costs add up with float noise (0.1 + 0.2); counts keep 3 decimals. */
+function roundUnits(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+const DEFAULT_POLICY = {
+    userLimit:   2,
+    globalLimit: 11,
+    window:      'day',
+    windowHours: 24,
+    timezone:    'UTC',
+    refineCost:  0.25,
+    coverCost:   0.25,
+    scoreCost:   2,
+    allowlist:   [],
+    denylist:    [],
+};
+
+// ═══════════════════════════════════════════════
+// Policy Loading
+// ═══════════════════════════════════════════════
+
+function loadQuotaPolicy(env = process.env) {
+    let fromFile = {};
+    if (env.QUOTA_CONFIG) {
+        const file = path.resolve(env.QUOTA_CONFIG);
+        fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    const policy = { ...DEFAULT_POLICY, ...fromFile };
+
+    if (env.QUOTA_USER_LIMIT)   policy.userLimit   = Number(env.QUOTA_USER_LIMIT);
+    if (env.QUOTA_GLOBAL_LIMIT) policy.globalLimit = Number(env.QUOTA_GLOBAL_LIMIT);
+    if (env.QUOTA_WINDOW)       policy.window      = env.QUOTA_WINDOW.toLowerCase();
+    if (env.QUOTA_WINDOW_HOURS) policy.windowHours = Number(env.QUOTA_WINDOW_HOURS);
+    if (env.QUOTA_TIMEZONE)     policy.timezone    = env.QUOTA_TIMEZONE;
+    if (env.QUOTA_REFINE_COST)  policy.refineCost  = Number(env.QUOTA_REFINE_COST);
+    if (env.QUOTA_COVER_COST)   policy.coverCost   = Number(env.QUOTA_COVER_COST);
+    if (env.QUOTA_SCORE_COST)   policy.scoreCost   = Number(env.QUOTA_SCORE_COST);
+    if (env.QUOTA_ALLOWLIST)    policy.allowlist   = splitList(env.QUOTA_ALLOWLIST);
+    if (env.QUOTA_DENYLIST)     policy.denylist    = splitList(env.QUOTA_DENYLIST);
+
+    validatePolicy(policy);
+    return policy;
+}
+
+function splitList(value) {
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/** Fail fast at startup rather than mis-counting quietly in production. */
+function validatePolicy(policy) {
+    for (const field of ['userLimit', 'globalLimit']) {
+        if (!Number.isFinite(policy[field]) || policy[field] < 0) {
+            throw new Error(`Quota policy: ${field} must be a non-negative number`);
+        }
+    }
+    if (policy.window !== 'day' && policy.window !== 'rolling') {
+        throw new Error(`Quota policy: window must be "day" or "rolling" (got "${policy.window}")`);
+    }
+    if (!Number.isFinite(policy.windowHours) || policy.windowHours <= 0) {
+        throw new Error('Quota policy: windowHours must be a positive number');
+    }
+    for (const field of ['refineCost', 'coverCost', 'scoreCost']) {
+        if (!Number.isFinite(policy[field]) || policy[field] < 0) {
+            throw new Error(`Quota policy: ${field} must be a non-negative number`);
+        }
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: policy.timezone });
+    } catch {
+        throw new Error(`Quota policy: unknown timezone "${policy.timezone}"`);
+    }
+    for (const rule of [...policy.allowlist, ...policy.denylist]) {
+        if (!parseRule(rule)) throw new Error(`Quota policy: invalid IP rule "${rule}"`);
+    }
+}
+
+/** The policy as shown to clients — no allow/deny entries. */
+function describePolicy(policy) {
+    const out = {
+        window:      policy.window,
+        userLimit:   policy.userLimit,
+        globalLimit: policy.globalLimit,
+        refineCost:  policy.refineCost,
+        coverCost:   policy.coverCost,
+        scoreCost:   policy.scoreCost,
+    };
+    if (policy.window === 'rolling') out.windowHours = policy.windowHours;
+    else                             out.timezone    = policy.timezone;
+    return out;
+}
+
+// ═══════════════════════════════════════════════
+// Time Zone Helpers
+// ═══════════════════════════════════════════════
+
+/** "YYYY-MM-DD" for the instant `ms` as seen in `timeZone`. */
+function dateInZone(ms, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+    }).format(ms);
+}
+
+/** Offset (ms) of `timeZone` from UTC at the instant `ms`. */
+function zoneOffsetMs(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(ms);
+    const p = Object.fromEntries(parts.map(({ type, value }) => [type, Number(value)]));
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - Math.floor(ms / 1000) * 1000;
+}
+
+/** Epoch ms of the next local midnight in `timeZone` after `ms`. */
+function nextMidnight(ms, timeZone) {
+    const [y, m, d] = dateInZone(ms, timeZone).split('-').map(Number);
+    const wallClock = Date.UTC(y, m - 1, d + 1);             // midnight, as if it were UTC
+    const guess     = wallClock - zoneOffsetMs(wallClock, timeZone);
+    return wallClock - zoneOffsetMs(guess, timeZone);      // second pass settles DST edges
+}
+
+// ═══════════════════════════════════════════════
+// IP Allow / Deny Rules  (exact IPs or IPv4 CIDR)
+// ═══════════════════════════════════════════════
+
+function normalizeIp(ip) {
+    return String(ip).replace(/^::ffff:/, '');
+}
+
+function ipv4ToInt(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4) return null;
+    let n = 0;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        n = n * 256 + Number(part);
+    }
+    return n;
+}
+
+function parseRule(rule) {
+    const [addr, bits] = rule.split('/');
+    if (bits === undefined) return { exact: normalizeIp(addr) };
+    const base = ipv4ToInt(addr);
+    const len  = Number(bits);
+    if (base === null || !Number.isInteger(len) || len < 0 || len > 32) return null;
+    const size = 2 ** (32 - len);
+    return { start: base - (base % size), size };
+}
+
+function matchesAny(ip, rules) {
+    const addr = normalizeIp(ip);
+    const n    = ipv4ToInt(addr);
+    return rules.some(rule => {
+        const r = parseRule(rule);
+        if (r.exact !== undefined) return r.exact === addr;
+        return n !== null && n >= r.start && n < r.start + r.size;
+    });
+}
+
+// ═══════════════════════════════════════════════
+// Quota Accounting
+// ═══════════════════════════════════════════════
+
+/*
+ * Callers (see lib/auth.js) are either anonymous — { kind: 'ip', id: ip } —
+ * or access keys — { kind: 'key', id: 'key:<id>', userLimit, countsTowardGlobal }.
+ * Allow/deny lists apply to anonymous callers only; a key is explicit trust.
+ *
+ * Usage is counted in generations: a refinement costs policy.refineCost of
+ * one, a new cover policy.coverCost and a screenplay score
+ * policy.scoreCost, so counts can be fractional.  An action goes ahead
+ * only when its full cost fits in what is left of the caller's quota (and
+ * of the site-wide one), so no action overdraws it.
+ *
+ * Storage keys:
+ *   day mode      quota:resetDate     → "YYYY-MM-DD" (in policy.timezone) the counters belong to
+ *                 quota:global        → site-wide count for that day
+ *                 quota:user:<id>     → { count, date }
+ *   rolling mode  quota:rolling:global     → [[timestampMs, cost], …]
+ *                 quota:rolling:user:<id>  → [[timestampMs, cost], …]
+ *   both          quota:boost              → { extra, expiresAt }  temporary rise of the
+ *                                            site-wide limit (admin dashboard), with a TTL
+ */
+function createQuota({ storage, policy }) {
+    const rolling  = policy.window === 'rolling';
+    const windowMs = policy.windowHours * HOUR_MS;
+
+    function today() {
+        return dateInZone(Date.now(), policy.timezone);
+    }
+
+    /** Reset counters if the calendar day (in the policy time zone) has changed. */
+    async function resetIfNewDay() {
+        if (rolling) return;
+        const date = today();
+        if (await storage.get('quota:resetDate') !== date) {
+            await storage.set('quota:global', 0);
+            await storage.set('quota:resetDate', date);
+            for (const key of await storage.keys('quota:user:')) {
+                await storage.delete(key);
+            }
+            log.info('New day, counters reset', { date, timezone: policy.timezone });
+        }
+    }
+
+    /** Get per-user record (a fresh one if missing or from a previous day). */
+    async function userRecord(id) {
+        const date = today();
+        const rec  = await storage.get(`quota:user:${id}`);
+        if (!rec || rec.date !== date) return { count: 0, date };
+        return rec;
+    }
+
+    /** Events still inside the sliding window. */
+    async function windowEvents(key) {
+        const cutoff = Date.now() - windowMs;
+        return ((await storage.get(key)) || []).filter(([t]) => t > cutoff);
+    }
+
+    function sum(events) {
+        return roundUnits(events.reduce((total, [, cost]) => total + cost, 0));
+    }
+
+    /** Site-wide usage in the current window. */
+    async function globalUsed() {
+        if (rolling) return sum(await windowEvents('quota:rolling:global'));
+        await resetIfNewDay();
+        return roundUnits((await storage.get('quota:global')) || 0);
+    }
+
+    /** Usage in the current window plus when it frees up. */
+    async function usage(caller) {
+        if (rolling) {
+            const userEvents = await windowEvents(`quota:rolling:user:${caller.id}`);
+            return {
+                user:     sum(userEvents),
+                global:   await globalUsed(),
+                // The caller's next unit frees up when their oldest counted event leaves the window
+                resetsAt: userEvents.length ? userEvents[0][0] + windowMs : null,
+            };
+        }
+
+        return {
+            global:   await globalUsed(),   // resets the day first
+            user:     roundUnits((await userRecord(caller.id)).count),
+            resetsAt: nextMidnight(Date.now(), policy.timezone),
+        };
+    }
+
+    function listing(caller) {
+        if (caller.kind !== 'ip') return null;
+        if (matchesAny(caller.ip, policy.denylist))  return 'deny';
+        if (matchesAny(caller.ip, policy.allowlist)) return 'allow';
+        return null;
+    }
+
+    function userLimitFor(caller) {
+        return caller.userLimit ?? policy.userLimit;
+    }
+
+    /** policy.globalLimit plus any unexpired boost. */
+    async function globalLimit() {
+        const boost = await storage.get('quota:boost');
+        return policy.globalLimit + (boost ? boost.extra : 0);
+    }
+
+    function countsTowardGlobal(caller) {
+        return caller.countsTowardGlobal !== false && listing(caller) !== 'allow';
+    }
+
+    /**
+     * Current standing for `caller`, shaped for /api/status.
+     * Remaining counts are null where no cap applies (allow-listed IPs,
+     * key tiers outside the site budget).
+     */
+    async function status(caller) {
+        const list   = listing(caller);
+        const used   = await usage(caller);
+        const limit  = userLimitFor(caller);
+        const global = await globalLimit();
+
+        const out = {
+            globalRemaining: countsTowardGlobal(caller) ? Math.max(0, roundUnits(global - used.global)) : null,
+            userRemaining:   list === 'allow' ? null
+                           : list === 'deny'  ? 0
+                           : Math.max(0, roundUnits(limit - used.user)),
+            globalLimit:     global,
+            userLimit:       limit,
+            resetsAt:        used.resetsAt ? new Date(used.resetsAt).toISOString() : null,
+            policy:          describePolicy(policy),
+        };
+        if (caller.kind === 'key') {
+            out.auth = { keyId: caller.keyId, label: caller.label, tier: caller.tier };
+        }
+        return out;
+    }
+
+    /** When the site-wide budget next frees up (epoch ms), or null if nothing is counted. */
+    async function globalResetsAt() {
+        if (!rolling) return nextMidnight(Date.now(), policy.timezone);
+        const events = await windowEvents('quota:rolling:global');
+        return events.length ? events[0][0] + windowMs : null;
+    }
+
+    /**
+     * Returns null if `caller` has `cost` generations left (a score, a
+     * refinement…), else { status, type, error } for the response.
+     * Limit rejections (429) also carry the `limit` that was hit and `resetsAt`
+     * (epoch ms, or null when waiting won't help), for RateLimit-* headers.
+     */
+    async function check(caller, cost = 1) {
+        const list = listing(caller);
+        if (list === 'deny') {
+            return {
+                status: 403,
+                type:   'denied',
+                error:  'Generation is not available from your network.',
+            };
+        }
+        if (list === 'allow') return null;
+
+        const used  = await usage(caller);
+        const limit = userLimitFor(caller);
+        const when  = rolling ? `in the last ${policy.windowHours} hours` : 'for today';
+        const later = rolling ? 'Please try again later!' : 'Come back tomorrow!';
+
+        const global = await globalLimit();
+        if (countsTowardGlobal(caller) && roundUnits(used.global + cost) > global) {
+            return {
+                status:   429,
+                type:     'global_limit',
+                error:    rolling
+                    ? 'Site-wide generation limit reached. Please try again later!'
+                    : 'Daily site-wide generation limit reached. Please come back tomorrow!',
+                limit:    global,
+                resetsAt: await globalResetsAt(),
+            };
+        }
+        if (roundUnits(used.user + cost) > limit) {
+            const left = roundUnits(limit - used.user);
+            return {
+                status:   429,
+                type:     'user_limit',
+                error:    left > 0
+                    ? `That costs ${cost} generation${cost === 1 ? '' : 's'}, but you have ${left} left ${when}. ${later}`
+                    : caller.kind === 'key'
+                    ? `This access key has used its ${limit} generations ${when}. ${later}`
+                    : `You've used your ${limit} free generations ${when}. ${later}`,
+                limit,
+                resetsAt: used.resetsAt,
+            };
+        }
+        return null;
+    }
+
+    /** Record a successful generation (or `cost` of one); returns the updated status. */
+    async function consume(caller, cost = 1) {
+        if (listing(caller) !== 'allow') {
+            const global = countsTowardGlobal(caller);
+
+            if (rolling) {
+                const now  = Date.now();
+                const keys = [`quota:rolling:user:${caller.id}`];
+                if (global) keys.push('quota:rolling:global');
+                for (const key of keys) {
+                    const events = await windowEvents(key);
+                    events.push([now, cost]);
+                    await storage.set(key, events, { ttlMs: windowMs });
+                }
+            } else {
+                await resetIfNewDay();
+                const rec = await userRecord(caller.id);
+                rec.count += cost;
+                await storage.set(`quota:user:${caller.id}`, rec, { ttlMs: USER_RECORD_TTL_MS });
+                if (global) await storage.incr('quota:global', cost);
+            }
+        }
+        return status(caller);
+    }
+
+    // ─── Admin controls ──
+
+    /**
+     * Site-wide usage, the active boost and every caller with usage in the
+     * current window (highest first).
+     * @returns {Promise<{ globalUsed, globalLimit, boost, callers: { id, used }[] }>}
+     */
+    async function overview() {
+        const prefix  = rolling ? 'quota:rolling:user:' : 'quota:user:';
+        const callers = [];
+        for (const key of await storage.keys(prefix)) {
+            const id   = key.slice(prefix.length);
+            const used = (await usage({ id })).user;
+            if (used > 0) callers.push({ id, used });
+        }
+        callers.sort((a, b) => b.used - a.used);
+
+        return {
+            globalUsed:  await globalUsed(),
+            globalLimit: await globalLimit(),
+            boost:       await storage.get('quota:boost'),
+            callers,
+        };
+    }
+
+    /** Forget one caller's usage in the current window; the site-wide count is kept. */
+    async function resetCaller(id) {
+        await storage.delete(`quota:user:${id}`);
+        await storage.delete(`quota:rolling:user:${id}`);
+        log.info('Caller usage reset', { caller: id });
+    }
+
+    /** Raise the site-wide limit by `extra` for `ttlMs` (replacing any boost); 0 ends it. */
+    async function boostGlobal(extra, ttlMs) {
+        if (!extra) {
+            await storage.delete('quota:boost');
+            return null;
+        }
+        const boost = { extra, expiresAt: new Date(Date.now() + ttlMs).toISOString() };
+        await storage.set('quota:boost', boost, { ttlMs });
+        log.info('Site-wide limit raised', { extra, until: boost.expiresAt });
+        return boost;
+    }
+
+    return { resetIfNewDay, userRecord, status, check, consume, overview, resetCaller, boostGlobal };
+}
+
+module.exports = {
+    loadQuotaPolicy,
+    describePolicy,
+    createQuota,
+    nextMidnight,
+    dateInZone,
+    matchesAny,
+};
@@ -0,0 +1,271 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Render Jobs
+ * ═══════════════════════════════════════════════
+ *
+ * Background queue for offline WAV renders of saved soundtracks.  Each
+ * job runs in its own worker thread (./worker.js) so a long render never
+ * blocks the event loop; finished files go to the blob store.
+ *
+ * Storage keys:
+ *   render:<id>              → job (see below)
+ *   render-for:<options key> → id of the job for that soundtrack + options
+ *
+ *   job = { id, soundtrackId, options, status, progress, error,
+ *           createdAt, finishedAt, expiresAt, files: [{ name, seconds, bytes, hash }] }
+ *   status: 'queued' → 'running' → 'done' | 'failed'
+ *
+ * Asking again for the same soundtrack and options returns the existing
+ * job instead of rendering twice.  Jobs (and their files) are kept for
+ * `ttlMs` after they finish; sweep() removes the expired ones.
+ *
+ * Environment variables (read by lib/app.js):
+ *   RENDER_MAX_SECONDS  — Longest render accepted, in seconds (default: 900)
+ *   RENDER_MAX_PENDING  — Queued + running jobs before new ones are refused (default: 4)
+ *   RENDER_CONCURRENCY  — Renders running at once (default: 1)
+ */
+
+const crypto = require('crypto');
+const path   = require('path');
+const { Worker } = require('worker_threads');
+const { validate, formatErrors } = require('../schema');
+const { renderLength } = require('./synth');
+const { createLogger } = require('../log');
+
+const log = createLogger({ component: 'render' });
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+const ID_PATTERN  = /^[A-Za-z0-9_-]{12}$/;
+const DAY_MS      = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = { mode: 'mix', sampleRate: 22050, timeScale: 0.1 };
+
+/** POST /api/soundtracks/:id/render body — every field optional. */
+const OPTIONS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        mode:       { enum: ['mix', 'tracks'] },
+        sampleRate: { enum: [22050, 44100] },
+        timeScale:  { type: 'number', minimum: 0.01, maximum: 1 },
+    },
+};
+
+function httpError(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Render in a worker thread.
+ * @returns {{ done: Promise<Array<{ name, seconds, wav: Buffer }>>, stop: () => void }}
+ */
+function runInWorker(tracklist, options, onProgress) {
+    const worker = new Worker(WORKER_PATH, { workerData: { tracklist, options } });
+
+    const done = new Promise((resolve, reject) => {
+        let files = null;
+        worker.on('message', msg => {
+            if (msg.type === 'progress') onProgress(msg.progress);
+            if (msg.type === 'done') {
+                files = msg.files.map(f => ({ ...f, wav: Buffer.from(f.wav.buffer, f.wav.byteOffset, f.wav.byteLength) }));
+            }
+        });
+        worker.on('error', reject);
+        worker.on('exit', code => {
+            if (files) resolve(files);
+            else reject(new Error(code === 1 ? 'Render was stopped.' : `Render worker exited with code ${code}.`));
+        });
+    });
+
+    return { done, stop: () => worker.terminate() };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.storage          — key/value store (lib/storage)
+ * @param {object} opts.blobs            — blob store for the WAV files
+ * @param {number} [opts.maxSeconds]     — longest render accepted
+ * @param {number} [opts.maxPending]     — queued + running jobs allowed at once
+ * @param {number} [opts.concurrency]    — workers running at once
+ * @param {number} [opts.ttlMs]          — how long finished jobs are kept
+ * @param {Function} [opts.run]          — (tracklist, options, onProgress) → { done, stop }; defaults to a worker thread
+ */
+function createRenderQueue({
+    storage,
+    blobs,
+    maxSeconds  = 900,
+    maxPending  = 4,
+    concurrency = 1,
+    ttlMs       = DAY_MS,
+    run         = runInWorker,
+}) {
+    const keyFor     = id => `render:${id}`;
+    const optionsKey = (soundtrackId, o) => `render-for:${soundtrackId}:${o.mode}:${o.sampleRate}:${o.timeScale}`;
+
+    const pending = [];          // [{ job, tracklist }] waiting for a worker
+    const active  = new Map();   // id → { progress, stop } for jobs queued by this process
+    const runs    = new Set();   // promises of running jobs, awaited by close()
+
+    /** Validate and fill in the request body; throws a 400 error. */
+    function resolveOptions(tracklist, body = {}) {
+        const errors = validate(OPTIONS_SCHEMA, body);
+        if (errors.length) throw httpError(`Invalid render options: ${formatErrors(errors).join('; ')}`, 400);
+
+        const options = { ...DEFAULT_OPTIONS, ...body };
+        const seconds = Math.round(renderLength(tracklist, options));
+        if (seconds > maxSeconds) {
+            throw httpError(`That render would be ${seconds} seconds long; the limit is ${maxSeconds}. Use a smaller timeScale.`, 400);
+        }
+        return options;
+    }
+
+    async function saveJob(job) {
+        await storage.set(keyFor(job.id), job);
+    }
+
+    /**
+     * Queue a render of a saved soundtrack (or return the existing job for it).
+     * Throws an error with .status 400 (bad options) or 503 (queue full).
+     */
+    async function enqueue(soundtrack, body) {
+        const options  = resolveOptions(soundtrack.tracklist, body);
+        const existing = await storage.get(optionsKey(soundtrack.id, options));
+        if (existing) {
+            const job = await get(existing);
+            if (job && job.status !== 'failed') return job;
+        }
+
+        if (pending.length + active.size >= maxPending) {
+            throw httpError('The render queue is full. Please try again in a minute.', 503);
+        }
+
+        const job = {
+            id:           crypto.randomBytes(9).toString('base64url'),
+            soundtrackId: soundtrack.id,
+            options,
+            status:       'queued',
+            progress:     0,
+            error:        null,
+            createdAt:    new Date().toISOString(),
+            finishedAt:   null,
+            expiresAt:    null,
+            files:        [],
+        };
+        await saveJob(job);
+        await storage.set(optionsKey(soundtrack.id, options), job.id);
+
+        pending.push({ job, tracklist: soundtrack.tracklist });
+        active.set(job.id, { progress: 0, stop: null });
+        pump();
+        return job;
+    }
+
+    function pump() {
+        while (pending.length && runs.size < concurrency) {
+            const { job, tracklist } = pending.shift();
+            const done = execute(job, tracklist).finally(() => {
+                runs.delete(done);
+                pump();
+            });
+            runs.add(done);
+        }
+    }
+
+    async function execute(job, tracklist) {
+        const live = active.get(job.id);
+        job.status = 'running';
+        await saveJob(job);
+
+        try {
+            const running = run(tracklist, job.options, progress => { live.progress = progress; });
+            live.stop     = running.stop;
+
+            for (const file of await running.done) {
+                job.files.push({
+                    name:    file.name,
+                    seconds: Number(file.seconds.toFixed(2)),
+                    bytes:   file.wav.length,
+                    hash:    await blobs.put(file.wav),
+                });
+            }
+            job.status   = 'done';
+            job.progress = 1;
+        } catch (err) {
+            log.error('Render job failed', { jobId: job.id, err });
+            job.status = 'failed';
+            job.error  = err.message;
+        }
+
+        job.finishedAt = new Date().toISOString();
+        job.expiresAt  = Date.now() + ttlMs;
+        active.delete(job.id);
+        await saveJob(job);
+    }
+
+    /** A job with live progress — or null.  Jobs orphaned by a restart read as failed. */
+    async function get(id) {
+        if (!ID_PATTERN.test(id)) return null;
+        const job = await storage.get(keyFor(id));
+        if (!job) return null;
+
+        if (job.status === 'queued' || job.status === 'running') {
+            const live = active.get(id);
+            if (!live) return { ...job, status: 'failed', error: 'Interrupted by a server restart. Please render again.' };
+            return { ...job, progress: Number(live.progress.toFixed(2)) };
+        }
+        return job;
+    }
+
+    /** WAV bytes of file `index` of a finished job, or null. */
+    async function file(job, index) {
+        const entry = job.status === 'done' ? job.files[index] : null;
+        if (!entry) return null;
+        const wav = await blobs.get(entry.hash);
+        return wav ? { name: entry.name, wav } : null;
+    }
+
+    /** Drop finished jobs past their expiry, with their files. */
+    async function sweep(now = Date.now()) {
+        for (const key of await storage.keys('render:')) {
+            const job = await storage.get(key);
+            if (!job || !job.expiresAt || now <= job.expiresAt) continue;
+
+            for (const f of job.files) await blobs.delete(f.hash);
+            await storage.delete(optionsKey(job.soundtrackId, job.options));
+            await storage.delete(key);
+        }
+    }
+
+    /** Stop running workers (their jobs are marked failed) and forget the queue. */
+    async function close() {
+        for (const { job } of pending.splice(0)) active.delete(job.id);
+        for (const live of active.values()) live.stop?.();
+        await Promise.all(runs);
+    }
+
+    return { enqueue, get, file, sweep, close };
+}
+
+/** What the API returns for a job — file hashes become download URLs. */
+function toPublicJob(job) {
+    return {
+        id:           job.id,
+        soundtrackId: job.soundtrackId,
+        status:       job.status,
+        progress:     job.progress,
+        options:      job.options,
+        error:        job.error,
+        createdAt:    job.createdAt,
+        finishedAt:   job.finishedAt,
+        files:        job.files.map((f, i) => ({
+            name:    f.name,
+            seconds: f.seconds,
+            bytes:   f.bytes,
+            url:     `/api/renders/${job.id}/files/${i}`,
+        })),
+    };
+}
+
+module.exports = { createRenderQueue, toPublicJob, DEFAULT_OPTIONS, OPTIONS_SCHEMA };
@@ -0,0 +1,241 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Offline Synth
+ * ═══════════════════════════════════════════════
+ *
+ * Pure-JS counterpart of public/js/audio.js: renders the loops from
+ * public/js/score.js into PCM samples, and those into a WAV file.
+ * The voices mirror the Web Audio ones (oscillator + envelope through a
+ * low-pass for lead/pad/bass; pitch-swept sine kick; filtered noise for
+ * snare and hats), so a render sounds like the in-browser preview.
+ *
+ * CPU-heavy — run it in a worker (./worker.js), not on the event loop.
+ */
+
+const SoundtrackScore = require('../../public/js/score');
+const { durationSeconds, safeName } = require('../../public/js/formats');
+
+const FADE_IN_S   = 0.5;
+const FADE_OUT_S  = 1.5;
+const TAIL_S      = 0.5;   // notes may ring this far past their section
+const MIN_SECTION = 4;     // seconds
+
+// ═══════════════════════════════════════════════
+// Oscillators & Filters
+// ═══════════════════════════════════════════════
+
+/** One sample of waveform `type` at `phase` (in cycles, 0–1). */
+function wave(type, phase) {
+    switch (type) {
+        case 'square':   return phase < 0.5 ? 1 : -1;
+        case 'sawtooth': return 2 * phase - 1;
+        case 'triangle': return 4 * Math.abs(phase - 0.5) - 1;
+        default:         return Math.sin(2 * Math.PI * phase);
+    }
+}
+
+/** Coefficient for a one-pole low-pass at `cutoff` Hz. */
+function onePole(cutoff, sampleRate) {
+    return 1 - Math.exp((-2 * Math.PI * cutoff) / sampleRate);
+}
+
+function lowpassInPlace(buffer, cutoff, sampleRate) {
+    const a = onePole(cutoff, sampleRate);
+    let y   = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        y += a * (buffer[i] - y);
+        buffer[i] = y;
+    }
+}
+
+// ═══════════════════════════════════════════════
+// Voices  (each adds one note into `out` starting at sample `start`)
+// ═══════════════════════════════════════════════
+
+function tone(out, start, note, timbre, sampleRate) {
+    const attack  = note.voice === 'pad' ? Math.max(timbre.attack, 0.3) : timbre.attack;
+    const hold    = Math.max(attack, note.duration);
+    const total   = hold + timbre.release;
+    const type    = timbre[note.voice];
+    const step    = note.freq / sampleRate;
+    const end     = Math.min(out.length, start + Math.ceil(total * sampleRate));
+    let phase     = 0;
+
+    for (let i = Math.max(0, start); i < end; i++) {
+        const t   = (i - start) / sampleRate;
+        const env = t < attack ? t / attack
+                  : t < hold   ? 1
+                  : 1 - (t - hold) / timbre.release;
+        out[i] += wave(type, phase) * env * note.velocity;
+        phase   = (phase + step) % 1;
+    }
+}
+
+function kick(out, start, note, sampleRate) {
+    const end = Math.min(out.length, start + Math.ceil(note.duration * sampleRate));
+    let phase = 0;
+
+    for (let i = Math.max(0, start); i < end; i++) {
+        const t    = (i - start) / sampleRate;
+        const freq = t < 0.12 ? 150 * Math.pow(45 / 150, t / 0.12) : 45;
+        out[i]    += Math.sin(2 * Math.PI * phase) * note.velocity * Math.pow(0.001, t / note.duration);
+        phase      = (phase + freq / sampleRate) % 1;
+    }
+}
+
+/** Filtered noise: 'highpass' for hats, 'bandpass' for snares. */
+function hiss(out, start, note, random, kind, sampleRate) {
+    const end = Math.min(out.length, start + Math.ceil(note.duration * sampleRate));
+    const lo  = onePole(kind === 'highpass' ? 7000 : 1000, sampleRate);
+    const hi  = onePole(kind === 'highpass' ? 7000 : 3000, sampleRate);
+    let low   = 0;
+    let band  = 0;
+
+    for (let i = Math.max(0, start); i < end; i++) {
+        const t = (i - start) / sampleRate;
+        const n = random() * 2 - 1;
+        low    += lo * (n - low);
+        band   += hi * (n - band);
+        const s = kind === 'highpass' ? n - low : band - low;
+        out[i] += s * note.velocity * Math.pow(0.001, t / note.duration);
+    }
+}
+
+// ═══════════════════════════════════════════════
+// Sections & Mixes
+// ═══════════════════════════════════════════════
+
+/**
+ * Section length for each track: its duration × timeScale (at least 4 s).
+ * @returns {number[]} seconds
+ */
+function sectionLengths(tracklist, timeScale) {
+    return (tracklist.tracks || []).map(t => Math.max(MIN_SECTION, durationSeconds(t.duration) * timeScale));
+}
+
+/**
+ * Render track `index` as a section of `seconds`, looping its score.
+ * @returns {Float32Array} mono samples (section + ringing tail)
+ */
+function renderSection(tracklist, index, seconds, sampleRate) {
+    const score  = SoundtrackScore.trackScore(tracklist, index);
+    const random = SoundtrackScore.mulberry32(SoundtrackScore.hashString(`noise#${index}`));
+    const length = Math.ceil((seconds + TAIL_S) * sampleRate);
+    const tonal  = new Float32Array(length);
+    const drums  = new Float32Array(length);
+
+    for (let loop = 0; loop < seconds; loop += score.seconds) {
+        for (const note of score.notes) {
+            const at = loop + note.time;
+            if (at >= seconds) break;
+            const start = Math.round(at * sampleRate);
+
+            if (note.voice === 'kick')       kick(drums, start, note, sampleRate);
+            else if (note.voice === 'snare') hiss(drums, start, note, random, 'bandpass', sampleRate);
+            else if (note.voice === 'hat')   hiss(drums, start, note, random, 'highpass', sampleRate);
+            else                             tone(tonal, start, note, score.timbre, sampleRate);
+        }
+    }
+
+    lowpassInPlace(tonal, score.timbre.cutoff, sampleRate);
+
+    // Fade the section in and out so sections (and loops) join without clicks
+    const fadeIn  = FADE_IN_S * sampleRate;
+    const fadeOut = FADE_OUT_S * sampleRate;
+    const out     = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const fromEnd = length - i;
+        const gain    = Math.min(1, i / fadeIn, fromEnd / fadeOut);
+        out[i] = (tonal[i] + drums[i]) * gain;
+    }
+    return out;
+}
+
+/** Scale to a peak of -1 dBFS (in place). */
+function normalize(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    if (peak === 0) return samples;
+    const gain = 0.89 / peak;
+    for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+    return samples;
+}
+
+/**
+ * @param {object} tracklist
+ * @param {object} opts
+ * @param {'mix'|'tracks'} opts.mode  — one continuous file, or one per track
+ * @param {number} opts.sampleRate
+ * @param {number} opts.timeScale     — section length as a fraction of the track duration
+ * @param {Function} [opts.onProgress] — (0–1) after each section
+ * @returns {Array<{ name: string, seconds: number, wav: Buffer }>}
+ */
+function renderSoundtrack(tracklist, { mode, sampleRate, timeScale, onProgress = () => {} }) {
+    const lengths = sectionLengths(tracklist, timeScale);
+    const files   = [];
+
+    if (mode === 'tracks') {
+        lengths.forEach((seconds, i) => {
+            const samples = normalize(renderSection(tracklist, i, seconds, sampleRate));
+            files.push({
+                name:    `${String(i + 1).padStart(2, '0')} - ${safeName(tracklist.tracks[i].title, 'Untitled')}.wav`,
+                seconds: samples.length / sampleRate,
+                wav:     encodeWav(samples, sampleRate),
+            });
+            onProgress((i + 1) / lengths.length);
+        });
+        return files;
+    }
+
+    // Continuous mix: each section starts where the previous one's body ends,
+    // so tails and fades overlap into a short crossfade
+    const total = lengths.reduce((sum, s) => sum + s, 0) + TAIL_S;
+    const mix   = new Float32Array(Math.ceil(total * sampleRate));
+    let offset  = 0;
+    lengths.forEach((seconds, i) => {
+        const section = renderSection(tracklist, i, seconds, sampleRate);
+        const start   = Math.round(offset * sampleRate);
+        for (let j = 0; j < section.length && start + j < mix.length; j++) mix[start + j] += section[j];
+        offset += seconds;
+        onProgress((i + 1) / lengths.length);
+    });
+
+    files.push({ name: `${safeName(tracklist.albumTitle)}.wav`, seconds: total, wav: encodeWav(normalize(mix), sampleRate) });
+    return files;
+}
+
+/** Total seconds a render would produce — checked before a job is accepted. */
+function renderLength(tracklist, { timeScale }) {
+    return sectionLengths(tracklist, timeScale).reduce((sum, s) => sum + s, 0);
+}
+
+// ═══════════════════════════════════════════════
+// WAV Encoding  (16-bit PCM, mono)
+// ═══════════════════════════════════════════════
+
+function encodeWav(samples, sampleRate) {
+    const dataBytes = samples.length * 2;
+    const buf       = Buffer.alloc(44 + dataBytes);
+
+    buf.write('RIFF', 0, 'ascii');
+    buf.writeUInt32LE(36 + dataBytes, 4);
+    buf.write('WAVE', 8, 'ascii');
+    buf.write('fmt ', 12, 'ascii');
+    buf.writeUInt32LE(16, 16);              // fmt chunk size
+    buf.writeUInt16LE(1, 20);               // PCM
+    buf.writeUInt16LE(1, 22);               // channels
+    buf.writeUInt32LE(sampleRate, 24);
+    buf.writeUInt32LE(sampleRate * 2, 28);  // byte rate
+    buf.writeUInt16LE(2, 32);               // block align
+    buf.writeUInt16LE(16, 34);              // bits per sample
+    buf.write('data', 36, 'ascii');
+    buf.writeUInt32LE(dataBytes, 40);
+
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        buf.writeInt16LE(Math.round(s * 32767), 44 + i * 2);
+    }
+    return buf;
+}
+
+module.exports = { renderSoundtrack, renderLength, encodeWav };
@@ -0,0 +1,26 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Render Worker
+ * ═══════════════════════════════════════════════
+ *
+ * Runs one render off the main thread (spawned by ./jobs.js).
+ *
+ *   workerData  { tracklist, options }
+ *   messages    { type: 'progress', progress }          (0–1, after each section)
+ *               { type: 'done', files: [{ name, seconds, wav }] }
+ *
+ * The WAV buffers are transferred, not copied.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { renderSoundtrack } = require('./synth');
+
+const files = renderSoundtrack(workerData.tracklist, {
+    ...workerData.options,
+    onProgress: progress => parentPort.postMessage({ type: 'progress', progress }),
+});
+
+parentPort.postMessage(
+    { type: 'done', files },
+    files.map(f => f.wav.buffer),
+);
@@ -0,0 +1,103 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Schema Validator
+ * ═══════════════════════════════════════════════
+ *
+ * A small JSON Schema subset — enough to describe our request and
+ * response shapes without pulling in a dependency:
+ *
+ *   type (string or array of strings), enum, const
+ *   properties, required, additionalProperties: false
+ *   items, minItems, maxItems
+ *   minLength, maxLength, pattern  (errors quote `description`, if set, instead of the regex)
+ *   minimum, maximum
+ *
+ * validate() returns a list of { path, message }; empty means valid.
+ */
+
+function typeOf(value) {
+    if (value === null)          return 'null';
+    if (Array.isArray(value))    return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function validate(schema, value, path = '$') {
+    const errors = [];
+    const fail   = message => errors.push({ path, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')} (got ${typeOf(value)})`);
+            return errors;   // nothing else is meaningful on the wrong type
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if ('const' in schema && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.description || schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items (got ${value.length})`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items (got ${value.length})`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validate(sub, value[key], `${path}.${key}`));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!schema.properties || !(key in schema.properties)) {
+                    errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+/** "$.tracks[2].title is required" — one line per error. */
+function formatErrors(errors) {
+    return errors.map(({ path, message }) => `${path} ${message}`);
+}
+
+module.exports = { validate, formatErrors };
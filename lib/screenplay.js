@@ -0,0 +1,109 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Screenplay Parsing  (POST /api/score)
+ * ═══════════════════════════════════════════════
+ *
+ * Splits a pasted or uploaded screenplay excerpt into scenes for the
+ * score prompts (lib/prompts.js).  Two kinds of input:
+ *
+ *   Fountain     — a new scene starts at each scene heading: a line
+ *                  beginning INT. / EXT. / EST. / INT./EXT. / I/E, or a
+ *                  forced heading (".THE ROOFTOP").  The title page,
+ *                  notes [[…]], boneyard (commented-out) text, sections (#),
+ *                  synopses (=), page breaks and transitions (CUT TO:) are
+ *                  left out.
+ *   plain text   — without any heading, each paragraph is a scene; text
+ *                  with no blank lines at all is one scene per line (a
+ *                  scene list, like the CLI's batch files).
+ *
+ * Only the start of each scene goes into a prompt (MAX_SCENE_CHARS), which
+ * is plenty to pick a mood and cue placements from.
+ */
+
+const MAX_SCREENPLAY_CHARS = 20_000;
+const MAX_SCENES           = 10;    // × up to 2 cues each stays within a 20-track album
+const MAX_SCENE_CHARS      = 600;
+
+const TITLE_PAGE_KEY = /^(title|credit|authors?|source|draft date|date|contact|copyright|notes|revision)\s*:/i;
+const HEADING        = /^(?:int\.?\/ext|i\/e|int|ext|est)[.\s]/i;
+const FORCED_HEADING = /^\.(?=[A-Za-z0-9])/;
+const SCENE_NUMBER   = /\s*#[\w.-]+#\s*$/;
+const TRANSITION     = /^(?:[A-Z][A-Z ]* TO:|FADE (?:IN|OUT)[:.]|>[^<]*)$/;
+const OMITTED_LINE   = /^(?:#|=|===+$)/;
+
+/** `text` collapsed to one line and cut at a word to about `max` characters. */
+function excerpt(text, max) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    if (flat.length <= max) return flat;
+    const cut   = flat.slice(0, max - 1);
+    const space = cut.lastIndexOf(' ');
+    return `${space > max / 2 ? cut.slice(0, space) : cut}…`;
+}
+
+/** Lines of the excerpt minus everything that never reaches the screen. */
+function screenLines(text) {
+    let lines = text
+        .replace(/\r\n?/g, '\n')
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\[\[[\s\S]*?\]\]/g, '')
+        .split('\n');
+
+    // A title page is "Key: value" lines (with indented continuations) up to the first blank line
+    const first = lines.findIndex(line => line.trim());
+    if (first >= 0 && TITLE_PAGE_KEY.test(lines[first].trim())) {
+        const end = lines.findIndex((line, i) => i > first && !line.trim());
+        lines = end < 0 ? [] : lines.slice(end);
+    }
+
+    return lines
+        .map(line => line.trim())
+        .filter(line => !OMITTED_LINE.test(line) && !TRANSITION.test(line))
+        .map(line => line.replace(/[*_]/g, '').replace(/^[@!~]/, ''));
+}
+
+/** The heading of a scene-heading line, or null. */
+function headingOf(line) {
+    if (FORCED_HEADING.test(line)) return line.slice(1).replace(SCENE_NUMBER, '').trim();
+    if (HEADING.test(line))        return line.replace(SCENE_NUMBER, '').trim().toUpperCase();
+    return null;
+}
+
+/** Scenes of a Fountain excerpt; text before the first heading is a scene of its own. */
+function splitOnHeadings(lines) {
+    const scenes = [];
+    let current  = { heading: null, lines: [] };
+    for (const line of lines) {
+        const heading = headingOf(line);
+        if (heading === null) {
+            current.lines.push(line);
+            continue;
+        }
+        if (current.heading !== null || current.lines.some(Boolean)) scenes.push(current);
+        current = { heading, lines: [] };
+    }
+    scenes.push(current);
+    return scenes.map(({ heading, lines: body }) => ({ heading, text: body.join('\n') }));
+}
+
+/** Scenes of plain text: paragraphs, or lines when there are no blank lines. */
+function splitPlain(lines) {
+    const text       = lines.join('\n').trim();
+    const paragraphs = text.split(/\n\s*\n/);
+    const parts      = paragraphs.length > 1 ? paragraphs : text.split('\n');
+    return parts.map(part => ({ heading: null, text: part }));
+}
+
+/**
+ * @param {string} text — the screenplay excerpt (Fountain or plain text)
+ * @returns {Array<{ heading: string|null, text: string }>} scenes in order; text is an
+ *          excerpt of at most MAX_SCENE_CHARS.  Empty if there's nothing to score.
+ */
+function parseScreenplay(text) {
+    const lines  = screenLines(text);
+    const scenes = lines.some(line => headingOf(line) !== null) ? splitOnHeadings(lines) : splitPlain(lines);
+    return scenes
+        .map(({ heading, text: body }) => ({ heading: heading || null, text: excerpt(body, MAX_SCENE_CHARS) }))
+        .filter(scene => scene.heading || scene.text);
+}
+
+module.exports = { parseScreenplay, excerpt, MAX_SCREENPLAY_CHARS, MAX_SCENES, MAX_SCENE_CHARS };
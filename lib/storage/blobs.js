@@ -0,0 +1,97 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Blob Stores
+ * ═══════════════════════════════════════════════
+ *
+ * Content-addressed binary storage for cover images, which are too big to
+ * live in the JSON key/value store.  A blob's key is the SHA-256 of its
+ * bytes, so saving the same image twice stores it once.
+ *
+ *   put(buffer)   → hash
+ *   get(hash)     → Buffer | null
+ *   has(hash)     → boolean
+ *   delete(hash)  → void
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+function hashBlob(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/** Nothing survives a restart — for tests and STORAGE_DRIVER=memory. */
+function createMemoryBlobStore() {
+    const blobs = new Map();
+
+    return {
+        async put(buffer) {
+            const hash = hashBlob(buffer);
+            blobs.set(hash, Buffer.from(buffer));
+            return hash;
+        },
+        async get(hash)    { return blobs.get(hash) || null; },
+        async has(hash)    { return blobs.has(hash); },
+        async delete(hash) { blobs.delete(hash); },
+    };
+}
+
+/**
+ * One file per blob, named by hash.  Writes go through a temp file +
+ * rename, so a half-written image is never served.
+ *
+ * @param {object} opts
+ * @param {string} opts.dir — directory to keep blobs in (created on first write)
+ */
+function createFileBlobStore({ dir }) {
+    function fileFor(hash) {
+        if (!HASH_PATTERN.test(hash)) return null;   // never let a caller pick a path
+        return path.join(dir, hash.slice(0, 2), hash);
+    }
+
+    async function put(buffer) {
+        const hash = hashBlob(buffer);
+        const file = fileFor(hash);
+        if (fs.existsSync(file)) return hash;
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // Each put has its own temp file: the same new image may be saved twice at once
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tmp, buffer);
+        try {
+            await fs.promises.rename(tmp, file);
+        } catch (err) {
+            await fs.promises.rm(tmp, { force: true });
+            if (!fs.existsSync(file)) throw err;   // the other put got there first — same bytes
+        }
+        return hash;
+    }
+
+    async function get(hash) {
+        const file = fileFor(hash);
+        if (!file) return null;
+        try {
+            return await fs.promises.readFile(file);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async function has(hash) {
+        const file = fileFor(hash);
+        return Boolean(file && fs.existsSync(file));
+    }
+
+    async function remove(hash) {
+        const file = fileFor(hash);
+        if (file) await fs.promises.rm(file, { force: true });
+    }
+
+    return { put, get, has, delete: remove };
+}
+
+module.exports = { createMemoryBlobStore, createFileBlobStore, hashBlob };
@@ -0,0 +1,118 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — File-Backed Storage Adapter
+ * ═══════════════════════════════════════════════
+ *
+ * Keeps the working set in memory and mirrors it to a single JSON file.
+ *   - The file is read once at startup; expired entries are dropped.
+ *   - Writes are debounced and atomic (temp file + rename), so a crash
+ *     mid-write never leaves a half-written store behind.  Only one write
+ *     runs at a time; changes made meanwhile go out in one write after it.
+ *   - close() waits for a running write and flushes any pending one — call
+ *     it on shutdown.
+ *
+ * Good for a single instance. Multiple instances sharing one quota
+ * need a networked adapter (e.g. Redis) implementing the same interface.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createLogger } = require('../log');
+
+const log = createLogger({ component: 'storage' });
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file            — path to the JSON store
+ * @param {number} [opts.flushDelayMs]  — debounce window for writes
+ */
+function createFileStorage({ file, flushDelayMs = 250 }) {
+    const entries = readEntries(file);
+    let timer     = null;
+    let writing   = null;   // the write in progress
+    let queued    = null;   // the one write waiting for it
+
+    const memory = createMemoryStorage({ entries, onChange: scheduleFlush });
+
+    function scheduleFlush() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            flush().catch(err => log.error('Write failed', { file, err }));
+        }, flushDelayMs);
+        timer.unref?.();
+    }
+
+    /**
+     * Write the store.  Called during a write, waits for it and writes once
+     * more — however many calls came in meanwhile — so two writes never
+     * share the temp file.
+     */
+    function flush() {
+        if (queued)   return queued;
+        if (!writing) return startWrite();
+        queued = writing.catch(() => {}).then(() => {
+            queued = null;
+            return startWrite();
+        });
+        return queued;
+    }
+
+    function startWrite() {
+        writing = write().finally(() => { writing = null; });
+        return writing;
+    }
+
+    async function write() {
+        const body = JSON.stringify({ version: 1, entries: memory.snapshot() });
+        const tmp  = `${file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, body);
+        await fs.promises.rename(tmp, file);
+    }
+
+    async function close() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        await flush();
+    }
+
+    return {
+        get:    memory.get,
+        set:    memory.set,
+        delete: memory.delete,
+        incr:   memory.incr,
+        keys:   memory.keys,
+        close,
+    };
+}
+
+/** Load [key, entry] pairs from disk, skipping anything already expired. */
+function readEntries(file) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch {
+        // Don't refuse to boot over a corrupt store — keep it aside for inspection
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, aside);
+        log.error('Store file is not valid JSON, moved aside', { file, aside });
+        return [];
+    }
+
+    const now = Date.now();
+    return (parsed.entries || []).filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now);
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,78 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Storage Layer
+ * ═══════════════════════════════════════════════
+ *
+ * Persistent key/value store behind the rate-limit counters and the
+ * cover tokens, so a redeploy doesn't reset everyone's quota.
+ *
+ * Every adapter implements the same async interface, deliberately
+ * close to Redis so a networked adapter can be dropped in later:
+ *
+ *   get(key)                     → value | null
+ *   set(key, value, { ttlMs })   → void      (ttlMs optional)
+ *   delete(key)                  → void
+ *   incr(key, by = 1)            → number    (the new value)
+ *   keys(prefix)                 → string[]
+ *   close()                      → void      (flush + release handles)
+ *
+ * Values must be JSON-serialisable.  Binary data (cover images) goes to
+ * a blob store instead — see ./blobs.js — and the usage event log to an
+ * append-only journal (./journal.js).
+ *
+ * Environment variables:
+ *   STORAGE_DRIVER  — "file" (default) or "memory"; applies to both stores
+ *   STORAGE_PATH    — JSON file used by the file driver (default: data/store.json)
+ *   BLOB_PATH       — Directory for blobs under the file driver (default: data/blobs)
+ *   EVENTS_PATH     — Journal file for usage events under the file driver (default: data/events.jsonl)
+ */
+
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+const { createFileStorage }   = require('./file');
+const { createMemoryBlobStore, createFileBlobStore } = require('./blobs');
+const { createMemoryJournal, createFileJournal }     = require('./journal');
+
+const DATA_DIR          = path.join(__dirname, '..', '..', 'data');
+const DEFAULT_PATH      = path.join(DATA_DIR, 'store.json');
+const DEFAULT_BLOB_PATH = path.join(DATA_DIR, 'blobs');
+const DEFAULT_EVENTS    = path.join(DATA_DIR, 'events.jsonl');
+
+function driverFor(env) {
+    const driver = (env.STORAGE_DRIVER || 'file').toLowerCase();
+    if (driver !== 'file' && driver !== 'memory') {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "file" or "memory")`);
+    }
+    return driver;
+}
+
+function createStorage(env = process.env) {
+    return driverFor(env) === 'memory'
+        ? createMemoryStorage()
+        : createFileStorage({ file: path.resolve(env.STORAGE_PATH || DEFAULT_PATH) });
+}
+
+function createBlobStore(env = process.env) {
+    return driverFor(env) === 'memory'
+        ? createMemoryBlobStore()
+        : createFileBlobStore({ dir: path.resolve(env.BLOB_PATH || DEFAULT_BLOB_PATH) });
+}
+
+/** @param {number} retentionMs — records older than this are dropped */
+function createEventJournal(env = process.env, { retentionMs }) {
+    return driverFor(env) === 'memory'
+        ? createMemoryJournal({ retentionMs })
+        : createFileJournal({ file: path.resolve(env.EVENTS_PATH || DEFAULT_EVENTS), retentionMs });
+}
+
+module.exports = {
+    createStorage,
+    createBlobStore,
+    createEventJournal,
+    createMemoryStorage,
+    createFileStorage,
+    createMemoryBlobStore,
+    createFileBlobStore,
+    createMemoryJournal,
+    createFileJournal,
+};
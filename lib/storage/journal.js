@@ -0,0 +1,135 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Append-Only Journals
+ * ═══════════════════════════════════════════════
+ *
+ * Time-stamped records that are only ever added and read back by time —
+ * the usage event log.  Kept out of the key/value store, whose file is
+ * rewritten whole on every change:
+ *
+ *   append(record)   → void        (record.at: ms since the epoch)
+ *   since(ms)        → record[]    (at >= ms, oldest first)
+ *   close()          → void        (waits for pending writes)
+ *
+ * Records older than the retention period are dropped.  The file journal
+ * adds one JSON line per record and only rewrites the file (temp file +
+ * rename) once most of its lines have expired.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { createLogger } = require('../log');
+
+const log = createLogger({ component: 'storage' });
+
+const COMPACT_MIN_LINES = 1000;   // don't bother rewriting small files
+
+/**
+ * @param {object} opts
+ * @param {number} opts.retentionMs
+ * @param {Array}  [opts.records] — initial records, oldest first
+ */
+function createMemoryJournal({ retentionMs, records = [] }) {
+    let kept = records;
+
+    /** Drop expired records. */
+    function prune() {
+        const cutoff = Date.now() - retentionMs;
+        const first  = kept.findIndex(record => record.at >= cutoff);
+        const gone   = first < 0 ? kept.length : first;
+        if (gone) kept = kept.slice(gone);
+    }
+
+    async function append(record) {
+        kept.push(structuredClone(record));
+        if (kept.length > 1 && kept.at(-2).at > record.at) kept.sort((a, b) => a.at - b.at);
+    }
+
+    async function since(sinceMs) {
+        prune();
+        return kept.filter(record => record.at >= sinceMs).map(record => structuredClone(record));
+    }
+
+    async function close() {}
+
+    /** Non-interface helpers for the file journal. */
+    const size = () => kept.length;
+    const all  = () => kept;
+
+    return { append, since, close, prune, size, all };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file         — path to the JSON-lines file
+ * @param {number} opts.retentionMs
+ */
+function createFileJournal({ file, retentionMs }) {
+    const memory = createMemoryJournal({ retentionMs, records: readRecords(file) });
+    let lines    = memory.size();   // lines in the file, expired or not
+    let writes   = Promise.resolve();
+
+    memory.prune();
+
+    /** Run file writes one after another, in order. */
+    function enqueue(task) {
+        writes = writes.then(task).catch(err => log.error('Journal write failed', { file, err }));
+        return writes;
+    }
+
+    async function append(record) {
+        await memory.append(record);
+        memory.prune();
+        lines++;
+
+        // The new record is already in memory, so a compaction writes it too
+        if (lines >= COMPACT_MIN_LINES && lines > 2 * memory.size()) {
+            lines = memory.size();
+            const body = memory.all().map(kept => `${JSON.stringify(kept)}\n`).join('');
+            return enqueue(() => replace(body));
+        }
+        const line = `${JSON.stringify(record)}\n`;
+        return enqueue(async () => {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, line);
+        });
+    }
+
+    /** Rewrite the file with only the records still kept (snapshotted when it was queued). */
+    async function replace(body) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, body);
+        await fs.promises.rename(tmp, file);
+    }
+
+    async function close() {
+        await writes;
+    }
+
+    return { append, since: memory.since, close };
+}
+
+/** Records from a journal file, oldest first; a torn last line (crash mid-append) is skipped. */
+function readRecords(file) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const records = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            log.warn('Skipping unreadable journal line', { file });
+        }
+    }
+    return records.sort((a, b) => a.at - b.at);
+}
+
+module.exports = { createMemoryJournal, createFileJournal };
@@ -0,0 +1,78 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — In-Memory Storage Adapter
+ * ═══════════════════════════════════════════════
+ *
+ * Reference implementation of the storage interface (see ./index.js).
+ * Nothing survives a restart — use it for tests or throwaway instances.
+ * The file adapter builds on top of this one.
+ */
+
+/**
+ * @param {object}   [opts]
+ * @param {Array}    [opts.entries]   — initial [key, { value, expiresAt }] pairs
+ * @param {Function} [opts.onChange]  — called after every mutation
+ */
+function createMemoryStorage({ entries = [], onChange = () => {} } = {}) {
+    const data = new Map(entries);   // key → { value, expiresAt | null }
+
+    function live(key) {
+        const entry = data.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && Date.now() > entry.expiresAt) {
+            data.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    async function get(key) {
+        const entry = live(key);
+        // Hand out copies so callers can't mutate stored state by accident
+        return entry ? structuredClone(entry.value) : null;
+    }
+
+    async function set(key, value, { ttlMs } = {}) {
+        data.set(key, {
+            value:     structuredClone(value),
+            expiresAt: ttlMs ? Date.now() + ttlMs : null,
+        });
+        onChange();
+    }
+
+    async function del(key) {
+        if (data.delete(key)) onChange();
+    }
+
+    async function incr(key, by = 1) {
+        const entry = live(key);
+        const next  = (entry ? Number(entry.value) || 0 : 0) + by;
+        data.set(key, { value: next, expiresAt: entry ? entry.expiresAt : null });
+        onChange();
+        return next;
+    }
+
+    async function keys(prefix = '') {
+        const out = [];
+        for (const key of data.keys()) {
+            if (key.startsWith(prefix) && live(key)) out.push(key);
+        }
+        return out;
+    }
+
+    async function close() {}
+
+    /** Non-interface helper for the file adapter: live entries as [key, entry] pairs. */
+    function snapshot() {
+        const out = [];
+        for (const key of data.keys()) {
+            const entry = live(key);
+            if (entry) out.push([key, entry]);
+        }
+        return out;
+    }
+
+    return { get, set, delete: del, incr, keys, close, snapshot };
+}
+
+module.exports = { createMemoryStorage };
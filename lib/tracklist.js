@@ -0,0 +1,188 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Tracklist Schema & Normalization
+ * ═══════════════════════════════════════════════
+ *
+ * Whatever extractJSON() pulls out of the model goes through here before
+ * anyone sees it.  normalizeTracklist() first repairs what it safely can:
+ *
+ *   - numbers in text fields become strings; text is trimmed and length-capped
+ *   - durations become m:ss ("about 4 minutes" → "4:00", "3m 42s" → "3:42")
+ *   - lists longer than the maximum are cut down; unknown fields are dropped
+ *
+ * …then validates the result strictly.  Anything it couldn't repair (a
+ * missing title, too few tracks, an unreadable duration) comes back as
+ * errors, which the generation core feeds into a corrective re-prompt.
+ */
+
+const { validate, formatErrors } = require('./schema');
+
+const TRACK_COUNT        = { min: 8, max: 12 };
+const REFINE_TRACK_COUNT = { min: 1, max: 20 };   // refinements may add or remove tracks
+
+const MAX_LENGTH = {
+    albumTitle:  120,
+    albumArtist: 80,
+    genre:       60,
+    vibeTag:     40,
+    title:       100,
+    artist:      80,
+};
+
+const DURATION_PATTERN = '^\\d{1,2}:[0-5]\\d$';
+
+function text(maxLength) {
+    return { type: 'string', minLength: 1, maxLength };
+}
+
+/** Strict schema for a tracklist with `minTracks`–`maxTracks` tracks. */
+function tracklistSchema({ minTracks = TRACK_COUNT.min, maxTracks = TRACK_COUNT.max } = {}) {
+    return {
+        type: 'object',
+        required: ['albumTitle', 'albumArtist', 'genre', 'vibeTag', 'tracks'],
+        additionalProperties: false,
+        properties: {
+            albumTitle:  text(MAX_LENGTH.albumTitle),
+            albumArtist: text(MAX_LENGTH.albumArtist),
+            genre:       text(MAX_LENGTH.genre),
+            vibeTag:     text(MAX_LENGTH.vibeTag),
+            tracks: {
+                type:     'array',
+                minItems: minTracks,
+                maxItems: maxTracks,
+                items: {
+                    type: 'object',
+                    required: ['title', 'artist', 'duration'],
+                    additionalProperties: false,
+                    properties: {
+                        title:    text(MAX_LENGTH.title),
+                        artist:   text(MAX_LENGTH.artist),
+                        duration: { type: 'string', pattern: DURATION_PATTERN, description: 'an m:ss duration like "3:42"' },
+                    },
+                },
+            },
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════
+// Field Repairs
+// ═══════════════════════════════════════════════
+
+/** Trim + cap a text field; numbers are stringified, anything else is left for validation. */
+function cleanText(value, maxLength) {
+    if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+    if (typeof value !== 'string') return value;
+    const cleaned = value.replace(/\s+/g, ' ').trim();
+    return cleaned.length > maxLength ? cleaned.slice(0, maxLength).trim() : cleaned;
+}
+
+function toSeconds(value) {
+    if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+        // Bare numbers: small ones are minutes (4.5), larger ones seconds (270)
+        return value < 20 ? Math.round(value * 60) : Math.round(value);
+    }
+    if (typeof value !== 'string') return null;
+
+    const s = value.trim().toLowerCase();
+    let m;
+
+    if ((m = s.match(/^(\d{1,2}):([0-5]\d):([0-5]\d)$/))) return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+    if ((m = s.match(/^(\d{1,3}):([0-5]?\d)$/)))          return Number(m[1]) * 60 + Number(m[2]);
+    if (/^\d+(\.\d+)?$/.test(s))                           return toSeconds(Number(s));
+
+    const minutes = s.match(/(\d+(?:\.\d+)?)\s*m(?:in(?:ute)?s?)?\b/);
+    const seconds = s.match(/(\d+)\s*s(?:ec(?:ond)?s?)?\b/);
+    if (minutes || seconds) {
+        return Math.round((minutes ? parseFloat(minutes[1]) * 60 : 0) + (seconds ? Number(seconds[1]) : 0));
+    }
+    return null;
+}
+
+/** Coerce a duration to m:ss, or return it untouched if it can't be read. */
+function normalizeDuration(value) {
+    const total = toSeconds(value);
+    if (!total || total > 99 * 60 + 59) return value;
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function normalizeTrack(track) {
+    if (!track || typeof track !== 'object' || Array.isArray(track)) return track;
+    return {
+        title:    cleanText(track.title, MAX_LENGTH.title),
+        artist:   cleanText(track.artist, MAX_LENGTH.artist),
+        duration: normalizeDuration(track.duration),
+    };
+}
+
+// ═══════════════════════════════════════════════
+// Normalize + Validate
+// ═══════════════════════════════════════════════
+
+/**
+ * @param {*} raw — parsed model output
+ * @param {{ minTracks?: number, maxTracks?: number }} [limits]
+ * @returns {{ tracklist: object, errors: string[] }} errors empty when valid
+ */
+function normalizeTracklist(raw, { minTracks = TRACK_COUNT.min, maxTracks = TRACK_COUNT.max } = {}) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { tracklist: raw, errors: ['$ must be a JSON object'] };
+    }
+
+    const tracklist = {
+        albumTitle:  cleanText(raw.albumTitle, MAX_LENGTH.albumTitle),
+        albumArtist: cleanText(raw.albumArtist, MAX_LENGTH.albumArtist),
+        genre:       cleanText(raw.genre, MAX_LENGTH.genre),
+        vibeTag:     cleanText(raw.vibeTag, MAX_LENGTH.vibeTag),
+        tracks:      Array.isArray(raw.tracks)
+            ? raw.tracks.slice(0, maxTracks).map(normalizeTrack)
+            : raw.tracks,
+    };
+
+    // Drop fields the model left out entirely so "is required" reads cleanly
+    for (const key of Object.keys(tracklist)) {
+        if (tracklist[key] === undefined) delete tracklist[key];
+    }
+
+    const errors = formatErrors(validate(tracklistSchema({ minTracks, maxTracks }), tracklist));
+    return { tracklist, errors };
+}
+
+// ═══════════════════════════════════════════════
+// Diffs  (for refinements)
+// ═══════════════════════════════════════════════
+
+const ALBUM_FIELDS = ['albumTitle', 'albumArtist', 'genre', 'vibeTag'];
+
+/**
+ * What changed between two tracklists.  Tracks are compared by position:
+ * a track past the end of `before` is 'added', one past the end of
+ * `after` is 'removed'.
+ * @returns {{ album: Object<string, { from, to }>, tracks: Array<{ index, change, from?, to? }> }}
+ *          only the fields and tracks that differ
+ */
+function diffTracklists(before, after) {
+    const album = {};
+    for (const field of ALBUM_FIELDS) {
+        if (before[field] !== after[field]) album[field] = { from: before[field], to: after[field] };
+    }
+
+    const tracks = [];
+    const length = Math.max(before.tracks.length, after.tracks.length);
+    for (let index = 0; index < length; index++) {
+        const from = before.tracks[index];
+        const to   = after.tracks[index];
+        if (!from)      tracks.push({ index, change: 'added', to });
+        else if (!to)   tracks.push({ index, change: 'removed', from });
+        else if (from.title !== to.title || from.artist !== to.artist || from.duration !== to.duration) {
+            tracks.push({ index, change: 'changed', from, to });
+        }
+    }
+
+    return { album, tracks };
+}
+
+module.exports = {
+    normalizeTracklist, normalizeDuration, cleanText, tracklistSchema, diffTracklists,
+    TRACK_COUNT, REFINE_TRACK_COUNT, MAX_LENGTH, DURATION_PATTERN,
+};
@@ -0,0 +1,273 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Upstream HTTP Client
+ * ═══════════════════════════════════════════════
+ *
+ * The fetch() every provider uses to reach its AI service, hardened:
+ *
+ *   - timeouts   — an attempt is aborted when no response, or no further
+ *                  body data, arrives for `timeoutMs`
+ *   - retries    — 429 / 5xx answers and network errors are retried up to
+ *                  `retries` times, with jittered exponential backoff
+ *                  (longer if the upstream sends Retry-After)
+ *   - breaker    — after `threshold` failed calls in a row the circuit
+ *                  opens: calls fail fast for `cooldownMs`, then a single
+ *                  trial call decides whether it closes again
+ *   - cancelling — the caller's `signal` (a browser that went away) aborts
+ *                  the attempt and any pending backoff
+ *
+ * HTTP errors are returned as responses for the provider to describe.
+ * Calls that never got an answer — timeouts, unreachable hosts, an open
+ * circuit — throw an Error with status 503, type 'upstream_unavailable'
+ * and `retryAfter` (seconds), which the API passes on to the browser.
+ *
+ * Environment variables (read by lib/providers):
+ *   UPSTREAM_TIMEOUT_MS                — per attempt (default 60000)
+ *   UPSTREAM_RETRIES                   — extra attempts (default 2)
+ *   UPSTREAM_BACKOFF_MS                — first backoff delay, doubled per retry (default 500)
+ *   UPSTREAM_BREAKER_THRESHOLD         — failed calls in a row that open the circuit (default 5)
+ *   UPSTREAM_BREAKER_COOLDOWN_SECONDS  — how long it stays open (default 30)
+ */
+
+const { createLogger } = require('./log');
+const metrics = require('./metrics');
+
+const log = createLogger({ component: 'upstream' });
+
+const MAX_BACKOFF_MS = 10_000;
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+function unavailable(message, retryAfterMs) {
+    const err      = new Error(message);
+    err.status     = 503;
+    err.type       = 'upstream_unavailable';
+    err.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return err;
+}
+
+/** Resolve after `ms`, or reject as soon as `signal` aborts. */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/** Retry-After in ms (delta-seconds or an HTTP date), or null. */
+function retryAfterMs(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Metrics label for how an attempt ended: '2xx' … '5xx', 'timeout' or 'error'. */
+function attemptOutcome(res, err) {
+    if (res)                                  return `${Math.floor(res.status / 100)}xx`;
+    if (err?.type === 'upstream_unavailable') return 'timeout';
+    return 'error';
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.service]     — 'text' | 'image', for logs and metrics
+ * @param {string} [opts.label]       — how errors name the service, e.g. "The AI text service"
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.retries]
+ * @param {number} [opts.backoffMs]
+ * @param {number} [opts.threshold]
+ * @param {number} [opts.cooldownMs]
+ * @returns {{ fetch: Function, state: () => { circuit: 'closed' | 'open' | 'half-open', failures: number, retryAt: string | null } }}
+ */
+function createUpstreamClient({
+    service    = 'text',
+    label      = 'The AI service',
+    timeoutMs  = 60_000,
+    retries    = 2,
+    backoffMs  = 500,
+    threshold  = 5,
+    cooldownMs = 30_000,
+} = {}) {
+    const breaker = { failures: 0, openUntil: 0, trial: false };
+
+    // ─── Circuit breaker ──
+
+    /** Throw if the circuit is open; in half-open state, let one trial call through. */
+    function admit() {
+        const now = Date.now();
+        if (breaker.openUntil > now) {
+            throw unavailable(`${label} is unavailable right now — please try again shortly.`, breaker.openUntil - now);
+        }
+        if (breaker.openUntil) {
+            if (breaker.trial) throw unavailable(`${label} is unavailable right now — please try again shortly.`, cooldownMs);
+            breaker.trial = true;
+        }
+    }
+
+    function succeeded() {
+        breaker.failures  = 0;
+        breaker.openUntil = 0;
+        breaker.trial     = false;
+    }
+
+    function failed() {
+        breaker.failures++;
+        if (breaker.trial || breaker.failures >= threshold) {
+            if (!breaker.openUntil || breaker.trial) {
+                log.warn('Circuit open', { service, failures: breaker.failures, cooldownSeconds: cooldownMs / 1000 });
+            }
+            breaker.openUntil = Date.now() + cooldownMs;
+        }
+        breaker.trial = false;
+    }
+
+    /** A cancelled call says nothing about the upstream — just free the trial slot. */
+    function released() {
+        breaker.trial = false;
+    }
+
+    function state() {
+        const now     = Date.now();
+        const circuit = breaker.openUntil > now ? 'open' : breaker.openUntil ? 'half-open' : 'closed';
+        return {
+            circuit,
+            failures: breaker.failures,
+            retryAt:  circuit === 'open' ? new Date(breaker.openUntil).toISOString() : null,
+        };
+    }
+
+    // ─── One attempt, watched by the inactivity timer ──
+
+    async function attempt(url, init, signal) {
+        const controller = new AbortController();
+        let answered     = false;
+        let timer;
+
+        const arm = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                if (answered) failed();   // stalled mid-body; the retry loop never sees this one
+                controller.abort(unavailable(`${label} timed out — please try again.`, backoffMs));
+            }, timeoutMs);
+            timer.unref?.();
+        };
+
+        arm();
+        const observe = metrics.upstreamDuration.startTimer();
+        let res;
+        try {
+            res = await fetch(url, {
+                ...init,
+                signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+            });
+        } catch (err) {
+            clearTimeout(timer);
+            const reason = controller.signal.aborted ? controller.signal.reason : err;
+            if (!signal?.aborted) observe({ service, outcome: attemptOutcome(null, reason) });
+            throw reason;
+        }
+        answered = true;
+        observe({ service, outcome: attemptOutcome(res) });
+
+        // Error bodies aren't read by providers; don't leave a timer on them
+        if (!res.ok || !res.body) {
+            clearTimeout(timer);
+            return res;
+        }
+
+        // Each body chunk re-arms the timer; the end of the body clears it
+        const body = res.body.pipeThrough(new TransformStream({
+            transform(chunk, out) {
+                arm();
+                out.enqueue(chunk);
+            },
+            flush() {
+                clearTimeout(timer);
+            },
+        }));
+        return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+    }
+
+    function backoff(tried, header) {
+        const exponential = Math.min(MAX_BACKOFF_MS, backoffMs * 2 ** tried);
+        const jittered    = exponential * (0.5 + Math.random() / 2);
+        return Math.min(MAX_BACKOFF_MS, Math.max(jittered, retryAfterMs(header) ?? 0));
+    }
+
+    // ─── fetch() with retries ──
+
+    /**
+     * Same contract as the global fetch(), plus the behaviour described above.
+     * @param {string} url
+     * @param {RequestInit & { signal?: AbortSignal }} [init]
+     * @returns {Promise<Response>}
+     */
+    async function upstreamFetch(url, { signal, ...init } = {}) {
+        admit();
+        try {
+            for (let tried = 0; ; tried++) {
+                let res;
+                try {
+                    res = await attempt(url, init, signal);
+                } catch (err) {
+                    if (signal?.aborted) throw err;
+                    if (tried < retries) {
+                        log.warn('Upstream call failed, retrying', { service, url, attempt: tried + 1, err });
+                        metrics.upstreamRetries.inc({ service });
+                        await sleep(backoff(tried), signal);
+                        continue;
+                    }
+                    failed();
+                    throw err.type === 'upstream_unavailable'
+                        ? err
+                        : unavailable(`${label} could not be reached — please try again.`, backoffMs);
+                }
+
+                if (!isRetryable(res.status)) {
+                    succeeded();
+                    return res;
+                }
+                if (tried < retries) {
+                    log.warn('Upstream answered with an error, retrying', { service, url, attempt: tried + 1, status: res.status });
+                    metrics.upstreamRetries.inc({ service });
+                    await res.body?.cancel().catch(() => {});
+                    await sleep(backoff(tried, res.headers.get('retry-after')), signal);
+                    continue;
+                }
+                failed();
+                return res;
+            }
+        } catch (err) {
+            if (signal?.aborted) released();
+            throw err;
+        }
+    }
+
+    return { fetch: upstreamFetch, state };
+}
+
+/** Client options from UPSTREAM_* environment variables (defaults as documented above). */
+function upstreamOptions(env = process.env) {
+    const number = (name, fallback) => (env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback);
+    return {
+        timeoutMs:  number('UPSTREAM_TIMEOUT_MS', 60_000),
+        retries:    number('UPSTREAM_RETRIES', 2),
+        backoffMs:  number('UPSTREAM_BACKOFF_MS', 500),
+        threshold:  number('UPSTREAM_BREAKER_THRESHOLD', 5),
+        cooldownMs: number('UPSTREAM_BREAKER_COOLDOWN_SECONDS', 30) * 1000,
+    };
+}
+
+module.exports = { createUpstreamClient, upstreamOptions, isRetryable };
@@ -0,0 +1,196 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Admin Dashboard
+ * ═══════════════════════════════════════════════
+ *
+ * Renders /api/admin/stats and /api/admin/quota (see lib/admin.js) and
+ * drives the quota controls.  The admin token is kept in sessionStorage
+ * only, so it is forgotten when the tab closes.
+ */
+
+(function () {
+    'use strict';
+
+    const TOKEN_STORAGE = 'cinesonics.adminToken';
+
+    const $ = id => document.getElementById(id);
+
+    // ───────────────────────────────────────────
+    // API
+    // ───────────────────────────────────────────
+
+    async function call(path, { method = 'GET', body } = {}) {
+        const res = await fetch(path, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${sessionStorage.getItem(TOKEN_STORAGE) || ''}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+            },
+            body: body && JSON.stringify(body),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            const err  = new Error(data.error || `Server error (${res.status})`);
+            err.status = res.status;
+            throw err;
+        }
+        return data;
+    }
+
+    // ───────────────────────────────────────────
+    // Rendering
+    // ───────────────────────────────────────────
+
+    /** Fill a <table> with rows of cell texts (never HTML — vibes are user input). */
+    function fillTable(table, rows, { empty = 'Nothing yet' } = {}) {
+        table.replaceChildren();
+        if (!rows.length) rows = [[empty]];
+        for (const cells of rows) {
+            const tr = table.insertRow();
+            for (const cell of cells) {
+                if (cell instanceof Node) tr.insertCell().append(cell);
+                else tr.insertCell().textContent = String(cell);
+            }
+        }
+    }
+
+    const countRows = counts => Object.entries(counts).sort(([, a], [, b]) => b - a);
+
+    /** Stacked bars of ok / failed / rejected per bucket. */
+    function renderBars(container, buckets, label) {
+        const max = Math.max(1, ...buckets.map(b => b.ok + b.failed + b.rejected));
+        container.replaceChildren(...buckets.map(bucket => {
+            const total = bucket.ok + bucket.failed + bucket.rejected;
+            const bar   = document.createElement('div');
+            bar.className = 'admin-bar';
+            bar.title     = `${label(bucket)} — ${bucket.ok} ok, ${bucket.failed} failed, ${bucket.rejected} rejected`;
+
+            const stack = document.createElement('div');
+            stack.className    = 'admin-bar-stack';
+            stack.style.height = `${(total / max) * 100}%`;
+            for (const part of ['rejected', 'failed', 'ok']) {
+                if (!bucket[part]) continue;
+                const seg = document.createElement('span');
+                seg.className  = `seg-${part}`;
+                seg.style.flex = String(bucket[part]);
+                stack.append(seg);
+            }
+
+            const caption = document.createElement('small');
+            caption.textContent = label(bucket, true);
+            bar.append(stack, caption);
+            return bar;
+        }));
+    }
+
+    function renderStats(stats) {
+        renderBars($('dailyChart'), stats.daily, (b, short) => (short ? b.date.slice(5) : b.date));
+        renderBars($('hourlyChart'), stats.hourly, (b, short) => {
+            const hour = new Date(b.hour).getHours();
+            return short ? (hour % 3 === 0 ? String(hour) : '') : new Date(b.hour).toLocaleString();
+        });
+
+        fillTable($('generateOutcomes'), countRows(stats.outcomes.generate || {}));
+        fillTable($('coverOutcomes'), countRows(stats.outcomes.cover || {}));
+        fillTable($('cacheUse'), countRows(stats.cache));
+        fillTable($('upstreamState'), Object.entries(stats.upstream).map(([kind, s]) => [
+            kind,
+            s.circuit + (s.retryAt ? ` until ${new Date(s.retryAt).toLocaleTimeString()}` : ''),
+            `${s.failures} failure(s) in a row`,
+        ]));
+        fillTable($('topVibes'), stats.topVibes.map(v => [v.vibe, v.count]));
+        fillTable($('presetUse'), stats.presets.map(p => [p.preset, p.count]), { empty: 'No presets used' });
+    }
+
+    function renderQuota(quota) {
+        const boost = quota.boost
+            ? ` (raised by ${quota.boost.extra} until ${new Date(quota.boost.expiresAt).toLocaleString()})`
+            : '';
+        $('quotaSummary').textContent =
+            `Site-wide: ${quota.globalUsed} of ${quota.globalLimit} used this ${quota.policy.window === 'rolling' ? 'window' : 'day'}${boost}. ` +
+            `Default per-user limit: ${quota.policy.userLimit}.`;
+        $('boostEnd').hidden = !quota.boost;
+
+        fillTable($('quotaCallers'), quota.callers.map(caller => {
+            const btn = document.createElement('button');
+            btn.type        = 'button';
+            btn.textContent = 'Reset';
+            btn.addEventListener('click', () => act(() => call('/api/admin/quota/reset', {
+                method: 'POST',
+                body:   { id: caller.id },
+            })));
+            return [caller.id, caller.used, btn];
+        }), { empty: 'No usage in this window' });
+    }
+
+    function showError(message) {
+        $('adminError').textContent = message;
+        $('adminError').hidden      = !message;
+    }
+
+    function setUnlocked(unlocked) {
+        $('adminLogin').hidden   = unlocked;
+        $('adminToolbar').hidden = !unlocked;
+        $('adminMain').hidden    = !unlocked;
+    }
+
+    // ───────────────────────────────────────────
+    // Flow
+    // ───────────────────────────────────────────
+
+    async function refresh() {
+        try {
+            const [stats, quota] = await Promise.all([
+                call(`/api/admin/stats?days=${$('adminDays').value}`),
+                call('/api/admin/quota'),
+            ]);
+            setUnlocked(true);
+            showError('');
+            renderStats(stats);
+            renderQuota(quota);
+        } catch (err) {
+            if (err.status === 401) {
+                sessionStorage.removeItem(TOKEN_STORAGE);
+                setUnlocked(false);
+            }
+            showError(err.message);
+        }
+    }
+
+    /** Run a quota control, then show the updated quota. */
+    async function act(request) {
+        try {
+            renderQuota(await request());
+            showError('');
+        } catch (err) {
+            showError(err.message);
+        }
+    }
+
+    $('adminLogin').addEventListener('submit', e => {
+        e.preventDefault();
+        sessionStorage.setItem(TOKEN_STORAGE, $('adminToken').value.trim());
+        $('adminToken').value = '';
+        refresh();
+    });
+
+    $('adminLogout').addEventListener('click', () => {
+        sessionStorage.removeItem(TOKEN_STORAGE);
+        setUnlocked(false);
+    });
+
+    $('adminRefresh').addEventListener('click', refresh);
+    $('adminDays').addEventListener('change', refresh);
+
+    $('boostForm').addEventListener('submit', e => {
+        e.preventDefault();
+        act(() => call('/api/admin/quota/boost', {
+            method: 'POST',
+            body:   { extra: Number($('boostExtra').value), hours: Number($('boostHours').value) },
+        }));
+    });
+
+    $('boostEnd').addEventListener('click', () => act(() => call('/api/admin/quota/boost', { method: 'DELETE' })));
+
+    if (sessionStorage.getItem(TOKEN_STORAGE)) refresh();
+})();
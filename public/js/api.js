@@ -11,47 +11,226 @@
 const PollinationsAPI = (function () {
     'use strict';
 
+    const ACCESS_KEY_STORAGE = 'cinesonics.accessKey';
+
+    /** Headers for every API call — adds the bearer key if one is saved. */
+    function authHeaders(extra = {}) {
+        const key = getAccessKey();
+        return key ? { ...extra, 'Authorization': `Bearer ${key}` } : extra;
+    }
+
     /**
-     * Ask the server to generate a tracklist + album cover token.
+     * fetch() a JSON endpoint.
+     * @returns {Promise<object>} the parsed body; a non-2xx reply throws requestError()
+     */
+    async function requestJson(url, init) {
+        const res  = await fetch(url, init);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw requestError(res, data);
+        return data;
+    }
+
+    /** The server's `{ error, type }` reply as an Error with .type and .status. */
+    function requestError(res, data) {
+        const err  = new Error(data.error || `Server error (${res.status})`);
+        err.type   = data.type || 'unknown';
+        err.status = res.status;
+        return err;
+    }
+
+    /**
+     * Ask the server to generate a tracklist + album cover tokens.
      * @param {string} vibe — Movie scene description
-     * @returns {Promise<{ tracklist, coverToken, remaining }>}
+     * @param {object} [settings]
+     * @param {object} [settings.options] — track count, runtime, era… (server defaults if omitted)
+     * @param {object} [settings.cover]   — { style, aspect, variants }
+     * @param {boolean} [settings.fresh]  — skip the server's result cache ("surprise me")
+     * @returns {Promise<{ tracklist, coverToken, coverTokens, soundtrackId, ownerKey, permalink, cache, remaining }>}
      */
-    async function generate(vibe) {
-        const res = await fetch('/api/generate', {
+    async function generate(vibe, { options, cover, fresh } = {}) {
+        return requestJson('/api/generate', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ vibe }),
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ vibe, options, cover, fresh }),
         });
+    }
+
+    /**
+     * Score a screenplay excerpt: one album, a cue or two per scene —
+     * billed at status.policy.scoreCost generations.
+     * @param {string} screenplay — Fountain or plain text
+     * @param {object} [settings]
+     * @param {object} [settings.options] — { era, instrumentation, language }
+     * @param {object} [settings.cover]   — { style, aspect, variants }
+     * @returns {Promise<{ tracklist, cueSheet, coverToken, coverTokens, soundtrackId, ownerKey, permalink, remaining }>}
+     */
+    async function score(screenplay, { options, cover } = {}) {
+        return requestJson('/api/score', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ screenplay, options, cover }),
+        });
+    }
+
+    /**
+     * Edit the soundtrack on screen instead of generating a new one — billed
+     * at a fraction of a generation (status.policy.refineCost).
+     * @param {object} body — { soundtrackId } or { tracklist }, plus an
+     *                        instruction and/or a 0-based track to regenerate
+     * @returns {Promise<{ tracklist, diff, cueSheet, soundtrackId, ownerKey, permalink, remaining }>}
+     */
+    async function refine(body) {
+        return requestJson('/api/refine', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body),
+        });
+    }
+
+    /**
+     * Streaming variant of generate(): same result, but reports progress
+     * from the server's SSE stream while the model is still writing.
+     *
+     * @param {string} vibe
+     * @param {object}   [handlers]
+     * @param {Function} [handlers.onStage]  — ('queued' | 'generating' | 'parsed' | 'cover_ready')
+     * @param {Function} [handlers.onMeta]   — ({ albumTitle, albumArtist, genre, vibeTag })
+     * @param {Function} [handlers.onTrack]  — (track, index)
+     * @param {object}   [settings]          — { options, cover, fresh }, as for generate()
+     * @returns {Promise<{ tracklist, coverToken, coverTokens, soundtrackId, ownerKey, permalink, cache, remaining }>}
+     */
+    async function generateStream(vibe, handlers = {}, { options, cover, fresh } = {}) {
+        const res = await fetch('/api/generate/stream', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json', 'Accept': 'text/event-stream' }),
+            body: JSON.stringify({ vibe, options, cover, fresh }),
+        });
+
+        // Quota / validation rejections arrive as plain JSON before any stream opens
+        const isStream = (res.headers.get('content-type') || '').startsWith('text/event-stream');
+        if (!res.ok || !isStream) throw requestError(res, await res.json().catch(() => ({})));
 
-        const data = await res.json();
+        let result = null;
 
-        if (!res.ok) {
-            const err  = new Error(data.error || `Server error (${res.status})`);
-            err.type   = data.type || 'unknown';
-            err.status = res.status;
-            throw err;
+        for await (const { event, data } of readEvents(res.body)) {
+            if (event === 'stage' && handlers.onStage) handlers.onStage(data.stage);
+            if (event === 'meta'  && handlers.onMeta)  handlers.onMeta(data);
+            if (event === 'track' && handlers.onTrack) handlers.onTrack(data.track, data.index);
+            if (event === 'done')  result = data;
+            if (event === 'error') {
+                const err = new Error(data.error || 'Generation failed. Please try again.');
+                err.type  = data.type || 'unknown';
+                throw err;
+            }
         }
 
-        return data;
+        if (!result) throw new Error('Connection closed before the soundtrack was finished.');
+        return result;
+    }
+
+    /** Parse a text/event-stream body into { event, data } objects. */
+    async function* readEvents(body) {
+        const reader  = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer    = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let event = 'message';
+                let data  = '';
+                for (const line of frame.split('\n')) {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    if (line.startsWith('data:'))  data += line.slice(5).trim();
+                }
+                if (data) yield { event, data: JSON.parse(data) };
+            }
+        }
     }
 
     /**
      * Fetch current rate-limit status from the server.
-     * @returns {Promise<{ globalRemaining, userRemaining, globalLimit, userLimit }>}
+     * @returns {Promise<{ globalRemaining, userRemaining, globalLimit, userLimit, resetsAt, policy, auth? }>}
      */
     async function getStatus() {
-        const res = await fetch('/api/status');
-        return res.json();
+        return requestJson('/api/status', { headers: authHeaders() });
+    }
+
+    /**
+     * Load a saved soundtrack (free — never counts against the quota).
+     * @param {string} id
+     * @returns {Promise<{ id, vibe, tracklist, cueSheet?, createdAt, coverUrl, cover, permalink }>}
+     */
+    async function getSoundtrack(id) {
+        return requestJson(`/api/soundtracks/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Make one of a saved soundtrack's cover variants its cover.
+     * @param {string} id
+     * @param {number} variant  — 0-based
+     * @param {string} ownerKey — returned when the soundtrack was created
+     * @returns {Promise<object>} the saved soundtrack, as getSoundtrack()
+     */
+    async function selectCover(id, variant, ownerKey) {
+        return requestJson(`/api/soundtracks/${encodeURIComponent(id)}/cover`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', 'X-Owner-Key': ownerKey },
+            body: JSON.stringify({ variant }),
+        });
+    }
+
+    /**
+     * New covers for a saved soundtrack, same vibe — billed at
+     * status.policy.coverCost of a generation.
+     * @param {string} id
+     * @param {string} ownerKey
+     * @param {{ style?, aspect?, variants? }} [cover]
+     * @returns {Promise<{ coverToken, coverTokens, cover, remaining }>}
+     */
+    async function regenerateCover(id, ownerKey, cover = {}) {
+        return requestJson(`/api/soundtracks/${encodeURIComponent(id)}/cover/regenerate`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json', 'X-Owner-Key': ownerKey }),
+            body: JSON.stringify(cover),
+        });
+    }
+
+    /**
+     * Access keys (issued by the site owner) replace the shared IP quota.
+     * Saved in localStorage; pass an empty value to forget the key.
+     */
+    function getAccessKey() {
+        try {
+            return localStorage.getItem(ACCESS_KEY_STORAGE) || '';
+        } catch {
+            return '';
+        }
+    }
+
+    function setAccessKey(key) {
+        if (key) localStorage.setItem(ACCESS_KEY_STORAGE, key.trim());
+        else     localStorage.removeItem(ACCESS_KEY_STORAGE);
     }
 
     /**
-     * Build the cover-image URL for a given one-time token.
+     * Build the cover-image URL for a given cover token.
      * @param {string} token
-     * @returns {string} URL pointing to /api/cover/:token
+     * @returns {string} URL pointing to /api/cover/:token (which redirects to the stored image)
      */
     function getCoverUrl(token) {
         return `/api/cover/${token}`;
     }
 
-    return { generate, getStatus, getCoverUrl };
+    return {
+        generate, generateStream, score, refine, getStatus, getSoundtrack,
+        selectCover, regenerateCover, getCoverUrl, getAccessKey, setAccessKey,
+    };
 })();
@@ -6,7 +6,10 @@
  * Wires up event listeners and orchestrates the
  * generation flow.  Depends on:
  *   - js/api.js       (backend communication)
- *   - js/ui.js        (DOM rendering)
+ *   - js/history.js   (local generation history)
+ *   - js/export.js    (downloads, via js/formats.js)
+ *   - js/audio.js     (track previews, via js/score.js)
+ *   - js/ui.js        (DOM rendering, via js/html.js)
  *   - js/particles.js (background animation)
  */
 
@@ -16,10 +19,25 @@
     // ───────────────────────────────────────────
     // DOM References
     // ───────────────────────────────────────────
-    const vibeInput   = document.getElementById('vibeInput');
-    const charCurrent = document.getElementById('charCurrent');
-    const generateBtn = document.getElementById('generateBtn');
-    const retryBtn    = document.getElementById('retryBtn');
+    const vibeInput    = document.getElementById('vibeInput');
+    const charCurrent  = document.getElementById('charCurrent');
+    const generateBtn  = document.getElementById('generateBtn');
+    const retryBtn     = document.getElementById('retryBtn');
+    const accessKeyBtn = document.getElementById('accessKeyBtn');
+    const historyBtn   = document.getElementById('historyBtn');
+    const historyClose = document.getElementById('historyClose');
+    const exportBtns   = document.querySelectorAll('#exportActions .export-btn');
+    const tracklistEl  = document.getElementById('tracklist');
+    const refineForm   = document.getElementById('refineForm');
+    const refineInput  = document.getElementById('refineInput');
+    const coverRegen   = document.getElementById('coverRegenBtn');
+    const cueSheetEl   = document.getElementById('cueSheet');
+    const inputSection = document.getElementById('inputSection');
+    const screenplay   = document.getElementById('screenplayInput');
+    const screenChars  = document.getElementById('screenplayChars');
+    const screenFile   = document.getElementById('screenplayFile');
+
+    const MAX_SCREENPLAY_CHARS = 20000;   // lib/screenplay.js
 
     // ───────────────────────────────────────────
     // Character Counter
@@ -28,6 +46,40 @@
         charCurrent.textContent = vibeInput.value.length;
     });
 
+    // ───────────────────────────────────────────
+    // Input Mode & Screenplay Upload
+    // ───────────────────────────────────────────
+    document.querySelectorAll('.input-mode').forEach(tab => {
+        tab.addEventListener('click', () => {
+            UI.setInputMode(tab.dataset.mode);
+            (tab.dataset.mode === 'screenplay' ? screenplay : vibeInput).focus();
+        });
+    });
+
+    screenplay.addEventListener('input', () => {
+        screenChars.textContent = screenplay.value.length;
+    });
+
+    screenFile.addEventListener('change', () => {
+        const file = screenFile.files[0];
+        screenFile.value = '';   // picking the same file again still fires
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const text = String(reader.result);
+            if (text.length > MAX_SCREENPLAY_CHARS) {
+                window.alert(`${file.name} is too long — scores take up to ${MAX_SCREENPLAY_CHARS} characters.  Paste the scenes you want scored instead.`);
+                return;
+            }
+            screenplay.value = text;
+            screenChars.textContent = text.length;
+            screenplay.focus();
+        };
+        reader.onerror = () => window.alert(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+    });
+
     // ───────────────────────────────────────────
     // Quick Vibe Buttons
     // ───────────────────────────────────────────
@@ -43,24 +95,76 @@
     // Generate Handler
     // ───────────────────────────────────────────
     let lastVibe = '';
+    let current  = null;   // the soundtrack on screen: { vibe, tracklist, cueSheet?, soundtrackId, ownerKey, aspect, historyId }
+
+    /** Switch the soundtrack on screen; "New cover" needs one this browser created. */
+    function setCurrent(next) {
+        current = next;
+        UI.showCoverActions(Boolean(next && next.soundtrackId && next.ownerKey));
+    }
+
+    const STAGE_LABELS = {
+        queued:      'Queued',
+        generating:  'Composing your cinematic soundtrack',
+        repairing:   'Tidying up the tracklist',
+        parsed:      'Finalizing tracklist',
+        cover_ready: 'Rendering cover art',
+    };
 
     async function handleGenerate() {
+        if (inputSection.dataset.mode === 'screenplay') return handleScore();
+
         const vibe = vibeInput.value.trim();
         if (!vibe) {
             vibeInput.focus();
             return;
         }
 
+        const options = UI.generationOptions();
+        const cover   = UI.coverOptions();
+        const fresh   = UI.wantsFreshResult();
         lastVibe = vibe;
+        stopPreview();
         UI.showLoading();
+        UI.setCoverAspect(cover.aspect);
+        setCurrent(null);
 
         try {
-            // Single call to our backend — it handles text + image
-            const result = await PollinationsAPI.generate(vibe);
+            // Single call to our backend — it handles text + image.
+            // Streamed, so tracks appear while the model is still writing.
+            let started = false;
+            const openResults = () => {
+                if (!started) UI.beginResults();
+                started = true;
+            };
 
-            // Render tracklist immediately, album cover loads via token URL
-            const coverUrl = PollinationsAPI.getCoverUrl(result.coverToken);
-            UI.renderResults(result.tracklist, coverUrl);
+            const result = await PollinationsAPI.generateStream(vibe, {
+                onStage: stage => {
+                    if (STAGE_LABELS[stage]) UI.setLoadingStage(STAGE_LABELS[stage]);
+                },
+                onMeta: meta => {
+                    openResults();
+                    UI.renderMeta(meta);
+                },
+                onTrack: (track, index) => {
+                    openResults();
+                    UI.appendTrack(track, index);
+                },
+            }, { options, cover, fresh });
+
+            // Final render reconciles the streamed preview, album cover loads via token URL
+            const coverUrls   = coverUrlsFor(result);
+            const coverLoaded = UI.renderResults(result.tracklist, coverUrls[0]);
+            UI.renderCoverPicker(coverUrls, pickCover);
+            UI.setPermalink(result.permalink);
+            setCurrent({
+                vibe,
+                tracklist:    result.tracklist,
+                soundtrackId: result.soundtrackId,
+                ownerKey:     result.ownerKey,
+                aspect:       cover.aspect,
+            });
+            current.historyId = saveToHistory(current, result, coverLoaded);
 
             // Update quota display with remaining counts from server
             if (result.remaining) {
@@ -75,6 +179,289 @@
         }
     }
 
+    // ───────────────────────────────────────────
+    // Film Score  (a screenplay excerpt → cues grouped by scene)
+    // ───────────────────────────────────────────
+    async function handleScore() {
+        const text = screenplay.value.trim();
+        if (!text) {
+            screenplay.focus();
+            return;
+        }
+
+        const options = UI.scoreOptions();
+        const cover   = UI.coverOptions();
+        stopPreview();
+        UI.showLoading();
+        UI.setLoadingStage('Scoring your screenplay, scene by scene');
+        UI.setCoverAspect(cover.aspect);
+        setCurrent(null);
+
+        try {
+            const result = await PollinationsAPI.score(text, { options, cover });
+
+            const coverUrls   = coverUrlsFor(result);
+            const coverLoaded = UI.renderResults(result.tracklist, coverUrls[0], result.cueSheet);
+            UI.renderCoverPicker(coverUrls, pickCover);
+            UI.setPermalink(result.permalink);
+            setCurrent({
+                vibe:         result.cueSheet.logline,
+                tracklist:    result.tracklist,
+                cueSheet:     result.cueSheet,
+                soundtrackId: result.soundtrackId,
+                ownerKey:     result.ownerKey,
+                aspect:       cover.aspect,
+            });
+            current.historyId = saveToHistory(current, result, coverLoaded);
+
+            if (result.remaining) UI.updateQuota(result.remaining);
+        } catch (err) {
+            console.error('Score failed:', err);
+            UI.showError(err.message);
+        } finally {
+            UI.hideLoading();
+        }
+    }
+
+    // ───────────────────────────────────────────
+    // Refine  (edit the soundtrack on screen for a fraction of a generation)
+    // ───────────────────────────────────────────
+
+    /**
+     * @param {{ instruction?: string, track?: number }} change — free text and/or
+     *        a 0-based track to regenerate
+     */
+    async function handleRefine(change) {
+        if (!current) return;
+        stopPreview();
+        UI.setRefining(true);
+
+        try {
+            // Saved soundtracks are refined by id, so the result gets its own permalink
+            const source = current.soundtrackId
+                ? { soundtrackId: current.soundtrackId }
+                : { tracklist: current.tracklist };
+            const result = await PollinationsAPI.refine({ ...source, ...change });
+
+            // Same album, same cover — only the tracklist changes (a score keeps its
+            // cue sheet while the track count does)
+            const coverLoaded = UI.renderResults(result.tracklist, null, result.cueSheet);
+            UI.markChangedTracks(result.diff.tracks.filter(t => t.change !== 'removed').map(t => t.index));
+            UI.setPermalink(result.permalink);
+            setCurrent({
+                vibe:         current.vibe,
+                tracklist:    result.tracklist,
+                cueSheet:     result.cueSheet,
+                soundtrackId: result.soundtrackId,
+                ownerKey:     result.ownerKey,
+                aspect:       current.aspect,
+            });
+            current.historyId = saveToHistory(current, result, coverLoaded);
+
+            refineInput.value = '';
+            if (result.remaining) UI.updateQuota(result.remaining);
+        } catch (err) {
+            console.error('Refine failed:', err);
+            window.alert(err.message);   // keep the results on screen
+        } finally {
+            UI.setRefining(false);
+        }
+    }
+
+    // ───────────────────────────────────────────
+    // Cover Variants & Regeneration
+    // ───────────────────────────────────────────
+
+    /** Image URLs for a result's cover tokens (one per variant); each redirects to the stored, hashed cover. */
+    function coverUrlsFor(result) {
+        return (result.coverTokens || [result.coverToken]).map(PollinationsAPI.getCoverUrl);
+    }
+
+    /** Show another variant; saved soundtracks remember the choice. */
+    async function pickCover(index, url) {
+        if (!current) return;
+        const picked = current;
+        UI.markCoverVariant(index);
+        const loaded = await UI.setCover(url);   // already stored on the server
+
+        if (picked.soundtrackId && picked.ownerKey) {
+            try {
+                await PollinationsAPI.selectCover(picked.soundtrackId, index, picked.ownerKey);
+            } catch (err) {
+                console.warn('Could not save the cover choice:', err);
+            }
+        }
+        if (loaded && picked === current) updateHistoryCover(picked);
+    }
+
+    /** New covers for the saved soundtrack on screen, with the style / shape picked above. */
+    async function handleNewCover() {
+        if (!current || !current.soundtrackId || !current.ownerKey) return;
+        const target = current;
+        UI.setCoverBusy(true);
+
+        try {
+            const result = await PollinationsAPI.regenerateCover(target.soundtrackId, target.ownerKey, UI.coverOptions());
+            if (target !== current) return;   // another soundtrack was opened meanwhile
+
+            const coverUrls = coverUrlsFor(result);
+            target.aspect   = result.cover.aspect;
+            UI.setCoverAspect(target.aspect);
+            const loaded = UI.setCover(coverUrls[0]);
+            UI.renderCoverPicker(coverUrls, pickCover);
+            if (result.remaining) UI.updateQuota(result.remaining);
+
+            if (await loaded && target === current) updateHistoryCover(target);
+        } catch (err) {
+            console.error('New cover failed:', err);
+            window.alert(err.message);   // keep the results on screen
+        } finally {
+            UI.setCoverBusy(false);
+        }
+    }
+
+    // ───────────────────────────────────────────
+    // Local History  (IndexedDB — see js/history.js)
+    // ───────────────────────────────────────────
+
+    /**
+     * A saved soundtrack's cover at thumbnail size.  Covers are served from
+     * stable URLs, so history keeps the link, not the pixels; `v` makes the
+     * browser fetch it again after the cover was changed.
+     */
+    function historyCoverUrl(soundtrackId) {
+        return `/api/soundtracks/${encodeURIComponent(soundtrackId)}/cover?w=192&format=webp&v=${Date.now()}`;
+    }
+
+    /**
+     * Keep the result in this browser; the cover is linked once it has loaded
+     * (and so is stored with the soundtrack).
+     * @returns {Promise<number|null>} the history entry's id
+     */
+    async function saveToHistory(shown, result, coverLoaded) {
+        try {
+            const id = await GenerationHistory.save({
+                vibe:         shown.vibe,
+                tracklist:    result.tracklist,
+                cueSheet:     shown.cueSheet,
+                aspect:       shown.aspect,
+                soundtrackId: result.soundtrackId,
+                permalink:    result.permalink,
+                ownerKey:     result.ownerKey,
+            });
+            await refreshHistory();
+
+            if (result.soundtrackId && await coverLoaded) {
+                await GenerationHistory.attachCover(id, historyCoverUrl(result.soundtrackId));
+                await refreshHistory();
+            }
+            return id;
+        } catch (err) {
+            console.warn('Could not save to history:', err);
+            return null;
+        }
+    }
+
+    /** Point the history thumbnail at the soundtrack's new cover. */
+    async function updateHistoryCover(shown) {
+        try {
+            const id = await shown.historyId;
+            if (!id || !shown.soundtrackId) return;
+            await GenerationHistory.attachCover(id, historyCoverUrl(shown.soundtrackId), shown.aspect);
+            await refreshHistory();
+        } catch (err) {
+            console.warn('Could not update history:', err);
+        }
+    }
+
+    async function refreshHistory() {
+        try {
+            UI.renderHistory(await GenerationHistory.list(), {
+                onOpen:   openHistoryEntry,
+                onReuse:  reuseHistoryVibe,
+                onDelete: deleteHistoryEntry,
+            });
+        } catch (err) {
+            console.warn('Could not load history:', err);
+        }
+    }
+
+    function openHistoryEntry(entry) {
+        UI.closeHistory();
+        stopPreview();
+        lastVibe = entry.vibe;
+        // Entries from before stable cover URLs keep a data URL of their cover
+        const coverUrl = entry.soundtrackId ? `/api/soundtracks/${entry.soundtrackId}/cover` : entry.cover || '';
+        UI.setCoverAspect(entry.aspect);
+        UI.renderResults(entry.tracklist, coverUrl, entry.cueSheet);
+        UI.renderCoverPicker([]);
+        UI.setPermalink(entry.permalink);
+        setCurrent({
+            vibe:         entry.vibe,
+            tracklist:    entry.tracklist,
+            cueSheet:     entry.cueSheet,
+            soundtrackId: entry.soundtrackId,
+            ownerKey:     entry.ownerKey,
+            aspect:       entry.aspect,
+            historyId:    Promise.resolve(entry.id),
+        });
+    }
+
+    function reuseHistoryVibe(entry) {
+        UI.closeHistory();
+        UI.setInputMode('vibe');
+        vibeInput.value = entry.vibe;
+        charCurrent.textContent = vibeInput.value.length;
+        vibeInput.focus();
+    }
+
+    async function deleteHistoryEntry(entry) {
+        try {
+            await GenerationHistory.remove(entry.id);
+        } catch (err) {
+            console.warn('Could not delete history entry:', err);
+        }
+        await refreshHistory();
+    }
+
+    // ───────────────────────────────────────────
+    // Export
+    // ───────────────────────────────────────────
+    async function handleExport(format) {
+        if (!current) return;
+        const coverUrl = current.soundtrackId
+            ? `${window.location.origin}/api/soundtracks/${current.soundtrackId}/cover`
+            : undefined;
+        try {
+            await SoundtrackExport.download(current.tracklist, format, { cover: UI.loadedCover(), coverUrl });
+        } catch (err) {
+            console.error('Export failed:', err);
+            window.alert(err.message);   // keep the results on screen
+        }
+    }
+
+    // ───────────────────────────────────────────
+    // Track Previews  (procedural, in-browser)
+    // ───────────────────────────────────────────
+    function togglePreview(index) {
+        if (PreviewAudio.playing() === index) {
+            stopPreview();
+            return;
+        }
+        try {
+            PreviewAudio.play(SoundtrackScore.trackScore(current.tracklist, index), index);
+            UI.setPlayingTrack(index);
+        } catch (err) {
+            console.error('Preview failed:', err);
+            window.alert(err.message);
+        }
+    }
+
+    function stopPreview() {
+        PreviewAudio.stop();
+        UI.setPlayingTrack(null);
+    }
+
     // ───────────────────────────────────────────
     // Event Bindings
     // ───────────────────────────────────────────
@@ -88,6 +475,49 @@
         }
     });
 
+    exportBtns.forEach(btn => {
+        btn.addEventListener('click', () => handleExport(btn.dataset.format));
+    });
+
+    function handleTrackClick(e) {
+        const play  = e.target.closest('.track-play');
+        const regen = e.target.closest('.track-regen');
+        if (play && !play.disabled && current)   togglePreview(Number(play.dataset.index));
+        if (regen && !regen.disabled && current) handleRefine({ track: Number(regen.dataset.index) });
+    }
+
+    tracklistEl.addEventListener('click', handleTrackClick);
+    cueSheetEl.addEventListener('click', handleTrackClick);
+
+    coverRegen.addEventListener('click', handleNewCover);
+
+    refineForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const instruction = refineInput.value.trim();
+        if (!instruction) {
+            refineInput.focus();
+            return;
+        }
+        handleRefine({ instruction });
+    });
+
+    historyBtn.addEventListener('click', UI.openHistory);
+    historyClose.addEventListener('click', UI.closeHistory);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') UI.closeHistory();
+    });
+
+    // Access key (team members get their own quota instead of the shared IP one)
+    accessKeyBtn.addEventListener('click', () => {
+        const key = window.prompt(
+            'Paste your CINESONICS access key (leave empty to remove it):',
+            PollinationsAPI.getAccessKey()
+        );
+        if (key === null) return;   // cancelled
+        PollinationsAPI.setAccessKey(key);
+        loadQuota();
+    });
+
     // ───────────────────────────────────────────
     // Initial Quota Fetch
     // ───────────────────────────────────────────
@@ -97,8 +527,38 @@
             UI.updateQuotaFromStatus(status);
         } catch (e) {
             console.warn('Could not fetch quota status:', e);
+            if (e.type === 'invalid_key') UI.showError(e.message);
         }
     }
 
-    loadQuota();
+    // ───────────────────────────────────────────
+    // Permalink Pages  (/s/:id — read-only)
+    // ───────────────────────────────────────────
+    async function loadSoundtrack(id) {
+        UI.setReadOnly();
+        try {
+            const saved = await PollinationsAPI.getSoundtrack(id);
+            UI.setCoverAspect(saved.cover.aspect);
+            UI.renderResults(saved.tracklist, saved.coverUrl, saved.cueSheet);
+            UI.setPermalink(saved.permalink);
+            setCurrent({
+                vibe:         saved.vibe,
+                tracklist:    saved.tracklist,
+                cueSheet:     saved.cueSheet,
+                soundtrackId: saved.id,
+                aspect:       saved.cover.aspect,
+            });
+        } catch (err) {
+            console.error('Could not load soundtrack:', err);
+            UI.showError(err.message);
+        }
+    }
+
+    const permalink = window.location.pathname.match(/^\/s\/([\w-]+)\/?$/);
+    if (permalink) {
+        loadSoundtrack(permalink[1]);
+    } else {
+        loadQuota();
+        refreshHistory();
+    }
 })();
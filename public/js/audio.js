@@ -0,0 +1,156 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Preview Audio  (Web Audio)
+ * ═══════════════════════════════════════════════
+ *
+ * Plays the loops described by js/score.js with oscillators, filtered
+ * noise and gain envelopes — entirely in the browser, no audio files.
+ * One preview plays at a time; starting another stops the first.
+ */
+
+const PreviewAudio = (function () {
+    'use strict';
+
+    const LOOKAHEAD_S = 0.5;   // queue the next loop this long before the current one ends
+
+    let ctx     = null;
+    let noise   = null;
+    let session = null;        // { id, score, master, filter, timer, loopStart }
+
+    function context() {
+        if (!ctx) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) throw new Error('Audio previews need a browser with Web Audio support.');
+            ctx = new AudioContext();
+        }
+        return ctx;
+    }
+
+    /** One second of white noise, reused for snares and hats. */
+    function noiseBuffer(ac) {
+        if (noise) return noise;
+        noise = ac.createBuffer(1, ac.sampleRate, ac.sampleRate);
+        const data = noise.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        return noise;
+    }
+
+    // ───────────────────────────────────────────
+    // Voices
+    // ───────────────────────────────────────────
+
+    function envelope(ac, at, velocity, attack, duration, release) {
+        const gain = ac.createGain();
+        gain.gain.setValueAtTime(0, at);
+        gain.gain.linearRampToValueAtTime(velocity, at + attack);
+        gain.gain.setValueAtTime(velocity, at + Math.max(attack, duration));
+        gain.gain.linearRampToValueAtTime(0, at + Math.max(attack, duration) + release);
+        return gain;
+    }
+
+    function tone(s, note, at) {
+        const ac     = ctx;
+        const timbre = s.score.timbre;
+        const attack = note.voice === 'pad' ? Math.max(timbre.attack, 0.3) : timbre.attack;
+
+        const osc  = ac.createOscillator();
+        const gain = envelope(ac, at, note.velocity, attack, note.duration, timbre.release);
+        osc.type = timbre[note.voice];
+        osc.frequency.setValueAtTime(note.freq, at);
+        osc.connect(gain).connect(s.filter);
+        osc.start(at);
+        osc.stop(at + Math.max(attack, note.duration) + timbre.release + 0.05);
+    }
+
+    function kick(s, note, at) {
+        const osc  = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.setValueAtTime(150, at);
+        osc.frequency.exponentialRampToValueAtTime(45, at + 0.12);
+        gain.gain.setValueAtTime(note.velocity, at);
+        gain.gain.exponentialRampToValueAtTime(0.001, at + note.duration);
+        osc.connect(gain).connect(s.master);
+        osc.start(at);
+        osc.stop(at + note.duration + 0.05);
+    }
+
+    function hiss(s, note, at, type, frequency) {
+        const src    = ctx.createBufferSource();
+        const filter = ctx.createBiquadFilter();
+        const gain   = ctx.createGain();
+        src.buffer = noiseBuffer(ctx);
+        filter.type = type;
+        filter.frequency.value = frequency;
+        gain.gain.setValueAtTime(note.velocity, at);
+        gain.gain.exponentialRampToValueAtTime(0.001, at + note.duration);
+        src.connect(filter).connect(gain).connect(s.master);
+        src.start(at);
+        src.stop(at + note.duration + 0.05);
+    }
+
+    const VOICES = {
+        lead:  tone,
+        pad:   tone,
+        bass:  tone,
+        kick,
+        snare: (s, note, at) => hiss(s, note, at, 'bandpass', 1800),
+        hat:   (s, note, at) => hiss(s, note, at, 'highpass', 7000),
+    };
+
+    function scheduleLoop(s, loopStart) {
+        for (const note of s.score.notes) {
+            VOICES[note.voice](s, note, loopStart + note.time);
+        }
+    }
+
+    // ───────────────────────────────────────────
+    // Transport
+    // ───────────────────────────────────────────
+
+    /**
+     * Start looping `score` (from SoundtrackScore.trackScore).
+     * @param {object} score
+     * @param {*} id — reported by playing() until stopped
+     */
+    function play(score, id) {
+        stop();
+        const ac = context();
+        ac.resume();
+
+        const master = ac.createGain();
+        master.gain.value = 0.5;
+        master.connect(ac.destination);
+
+        const filter = ac.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = score.timbre.cutoff;
+        filter.connect(master);
+
+        const s = { id, score, master, filter, loopStart: ac.currentTime + 0.05 };
+        scheduleLoop(s, s.loopStart);
+
+        s.timer = setInterval(() => {
+            if (ac.currentTime < s.loopStart + score.seconds - LOOKAHEAD_S) return;
+            s.loopStart += score.seconds;
+            scheduleLoop(s, s.loopStart);
+        }, 100);
+
+        session = s;
+    }
+
+    function stop() {
+        if (!session) return;
+        const { master, timer } = session;
+        clearInterval(timer);
+        master.gain.setTargetAtTime(0, ctx.currentTime, 0.02);
+        setTimeout(() => master.disconnect(), 150);
+        session = null;
+    }
+
+    /** The id passed to play() for the preview that's running, or null. */
+    function playing() {
+        return session ? session.id : null;
+    }
+
+    return { play, stop, playing };
+})();
@@ -0,0 +1,145 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Downloads & Album Sheet
+ * ═══════════════════════════════════════════════
+ *
+ * Saves the rendered soundtrack as a file.  Text formats come from
+ * js/formats.js (shared with the server); the PNG album sheet is drawn
+ * here on a canvas — same layout as lib/album-sheet.js.
+ */
+
+const SoundtrackExport = (function () {
+    'use strict';
+
+    const SHEET = {
+        width:     1600,
+        height:    900,
+        margin:    60,
+        coverSize: 780,
+        rowHeight: 36,
+    };
+
+    function saveBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a   = document.createElement('a');
+        a.href     = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /** Cut `text` down (with "…") until it fits `maxWidth` pixels in the current font. */
+    function fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let cut = text;
+        while (cut.length > 1 && ctx.measureText(`${cut}…`).width > maxWidth) cut = cut.slice(0, -1);
+        return `${cut.trimEnd()}…`;
+    }
+
+    /**
+     * Draw the album sheet.
+     * @param {object} tracklist
+     * @param {HTMLImageElement|null} cover — a loaded, same-origin cover image
+     * @returns {Promise<Blob>} PNG
+     */
+    function renderSheet(tracklist, cover) {
+        const { width, height, margin, coverSize, rowHeight } = SHEET;
+        const canvas = document.createElement('canvas');
+        canvas.width  = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#05050a';
+        ctx.fillRect(0, 0, width, height);
+
+        // ── Cover (or an empty panel) ──
+        if (cover) {
+            ctx.drawImage(cover, margin, margin, coverSize, coverSize);
+        } else {
+            ctx.fillStyle = '#12122a';
+            ctx.fillRect(margin, margin, coverSize, coverSize);
+        }
+
+        // ── Album details ──
+        const x      = margin * 2 + coverSize;
+        const column = width - x - margin;
+        let y        = margin;
+
+        ctx.textBaseline = 'top';
+        ctx.fillStyle    = '#e8e8f0';
+        ctx.font         = '700 32px Orbitron, sans-serif';
+        ctx.fillText(fitText(ctx, tracklist.albumTitle || 'Untitled Soundtrack', column), x, y);
+        y += 48;
+
+        ctx.fillStyle = '#8888a8';
+        ctx.font      = '400 18px Inter, sans-serif';
+        ctx.fillText(fitText(ctx, tracklist.albumArtist || 'Various Artists', column), x, y);
+        y += 28;
+
+        ctx.fillStyle = '#8b5cf6';
+        ctx.font      = '500 13px "JetBrains Mono", monospace';
+        const tags = [tracklist.genre, tracklist.vibeTag].filter(Boolean).join('  /  ').toUpperCase();
+        ctx.fillText(fitText(ctx, tags, column), x, y);
+        y += 40;
+
+        ctx.fillStyle = 'rgba(0, 240, 255, 0.4)';
+        ctx.fillRect(x, y, column, 2);
+        y += 20;
+
+        // ── Tracklist ──
+        const tracks = tracklist.tracks || [];
+        tracks.forEach((track, i) => {
+            const duration = SoundtrackFormats.durationSeconds(track.duration) ? track.duration : '';
+
+            ctx.font = '400 15px "JetBrains Mono", monospace';
+            const durWidth = ctx.measureText(duration).width;
+            ctx.fillStyle  = '#555570';
+            ctx.fillText(String(i + 1).padStart(2, '0'), x, y);
+            ctx.fillStyle  = '#8888a8';
+            ctx.fillText(duration, x + column - durWidth, y);
+
+            ctx.font      = '400 17px Inter, sans-serif';
+            ctx.fillStyle = '#e8e8f0';
+            ctx.fillText(fitText(ctx, `${track.title} — ${track.artist}`, column - durWidth - 64), x + 40, y);
+            y += rowHeight;
+        });
+
+        // ── Footer ──
+        const footerY = margin + coverSize - 20;
+        ctx.fillStyle = 'rgba(0, 240, 255, 0.4)';
+        ctx.fillRect(x, footerY - 16, column, 2);
+
+        ctx.font      = '400 14px "JetBrains Mono", monospace';
+        ctx.fillStyle = '#8888a8';
+        ctx.fillText(`${tracks.length} track${tracks.length === 1 ? '' : 's'}  /  ${SoundtrackFormats.totalRuntime(tracklist)}`, x, footerY);
+
+        ctx.font      = '700 14px Orbitron, sans-serif';
+        ctx.fillStyle = '#00f0ff';
+        ctx.fillText('CINESONICS', x + column - ctx.measureText('CINESONICS').width, footerY);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the album sheet.'))), 'image/png');
+        });
+    }
+
+    /**
+     * Download the soundtrack in one format.
+     * @param {object} tracklist
+     * @param {'json'|'m3u'|'xspf'|'png'} format
+     * @param {object} [opts]
+     * @param {HTMLImageElement|null} [opts.cover]    — for the album sheet
+     * @param {string}                [opts.coverUrl] — absolute URL embedded in XSPF
+     */
+    async function download(tracklist, format, { cover = null, coverUrl } = {}) {
+        if (format === 'png') {
+            saveBlob(await renderSheet(tracklist, cover), SoundtrackFormats.fileName(tracklist, 'png'));
+            return;
+        }
+        const file = SoundtrackFormats.render(tracklist, format, { image: coverUrl });
+        saveBlob(new Blob([file.body], { type: file.mime }), file.fileName);
+    }
+
+    return { download, renderSheet };
+})();
@@ -0,0 +1,151 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Export Formats  (browser + server)
+ * ═══════════════════════════════════════════════
+ *
+ * Turns a normalized tracklist into downloadable text formats:
+ *   json  — the tracklist itself
+ *   m3u   — extended M3U playlist (#EXTINF per track)
+ *   xspf  — XSPF playlist (XML)
+ *
+ * No DOM and no Node APIs, so the same file is loaded by the page
+ * (window.SoundtrackFormats) and required by the server for
+ * GET /api/soundtracks/:id/export.
+ */
+
+const SoundtrackFormats = (function () {
+    'use strict';
+
+    const TYPES = {
+        json: { ext: 'json', mime: 'application/json' },
+        m3u:  { ext: 'm3u',  mime: 'audio/x-mpegurl' },
+        xspf: { ext: 'xspf', mime: 'application/xspf+xml' },
+        png:  { ext: 'png',  mime: 'image/png' },   // album sheet — rendered by the caller
+    };
+
+    /** "3:42" → 222; anything unreadable → 0. */
+    function durationSeconds(duration) {
+        const m = String(duration || '').match(/^(\d+):([0-5]\d)$/);
+        return m ? Number(m[1]) * 60 + Number(m[2]) : 0;
+    }
+
+    function totalRuntime(tracklist) {
+        const total = (tracklist.tracks || []).reduce((sum, t) => sum + durationSeconds(t.duration), 0);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /** Something safe to use as a file name on every OS. */
+    function safeName(text, fallback = 'soundtrack') {
+        const name = String(text || '')
+            .replace(/[\u0000-\u001f<>:"/\\|?*]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 80);
+        return name || fallback;
+    }
+
+    function fileName(tracklist, format) {
+        return `${safeName(tracklist.albumTitle)}.${TYPES[format].ext}`;
+    }
+
+    /** Placeholder location for each entry — these are concept tracks with no audio yet. */
+    function trackLocation(track, index) {
+        return `${String(index + 1).padStart(2, '0')} - ${safeName(track.title, 'Untitled')}.mp3`;
+    }
+
+    // ───────────────────────────────────────────
+    // Formats
+    // ───────────────────────────────────────────
+
+    function toJSON(tracklist) {
+        return JSON.stringify(tracklist, null, 2) + '\n';
+    }
+
+    /** M3U lines can't contain newlines; commas are fine after the first. */
+    function m3uText(text) {
+        return String(text || '').replace(/[\r\n]+/g, ' ');
+    }
+
+    function toM3U(tracklist) {
+        const lines = [
+            '#EXTM3U',
+            `#PLAYLIST:${m3uText(tracklist.albumTitle)}`,
+            `#EXTALB:${m3uText(tracklist.albumTitle)}`,
+            `#EXTART:${m3uText(tracklist.albumArtist)}`,
+            `#EXTGENRE:${m3uText(tracklist.genre)}`,
+        ];
+        (tracklist.tracks || []).forEach((track, i) => {
+            lines.push(`#EXTINF:${durationSeconds(track.duration) || -1},${m3uText(track.artist)} - ${m3uText(track.title)}`);
+            lines.push(trackLocation(track, i));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    function xml(text) {
+        return String(text || '')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /** @param {{ image?: string }} [opts] — absolute cover URL to embed */
+    function toXSPF(tracklist, { image } = {}) {
+        const tracks = (tracklist.tracks || []).map((track, i) => [
+            '    <track>',
+            `      <location>${xml(encodeURI(trackLocation(track, i)))}</location>`,
+            `      <title>${xml(track.title)}</title>`,
+            `      <creator>${xml(track.artist)}</creator>`,
+            `      <album>${xml(tracklist.albumTitle)}</album>`,
+            `      <trackNum>${i + 1}</trackNum>`,
+            `      <duration>${durationSeconds(track.duration) * 1000}</duration>`,
+            '    </track>',
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `  <title>${xml(tracklist.albumTitle)}</title>`,
+            `  <creator>${xml(tracklist.albumArtist)}</creator>`,
+            `  <annotation>${xml([tracklist.genre, tracklist.vibeTag].filter(Boolean).join(' · '))}</annotation>`,
+            ...(image ? [`  <image>${xml(image)}</image>`] : []),
+            '  <trackList>',
+            ...tracks,
+            '  </trackList>',
+            '</playlist>',
+            '',
+        ].join('\n');
+    }
+
+    /**
+     * @param {object} tracklist
+     * @param {'json'|'m3u'|'xspf'} format
+     * @param {object} [opts] — passed to the formatter
+     * @returns {{ body: string, mime: string, fileName: string }}
+     */
+    function render(tracklist, format, opts) {
+        const formatter = { json: toJSON, m3u: toM3U, xspf: toXSPF }[format];
+        if (!formatter) throw new Error(`Unknown export format "${format}"`);
+        return {
+            body:     formatter(tracklist, opts),
+            mime:     `${TYPES[format].mime}; charset=utf-8`,
+            fileName: fileName(tracklist, format),
+        };
+    }
+
+    return {
+        FORMATS: Object.keys(TYPES),
+        TYPES,
+        render,
+        toJSON,
+        toM3U,
+        toXSPF,
+        fileName,
+        safeName,
+        durationSeconds,
+        totalRuntime,
+    };
+})();
+
+if (typeof module === 'object' && module.exports) module.exports = SoundtrackFormats;
@@ -0,0 +1,116 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Local Generation History
+ * ═══════════════════════════════════════════════
+ *
+ * Keeps past generations in this browser's IndexedDB so they can be
+ * re-opened without spending quota.  Storage only — the drawer is
+ * rendered by js/ui.js and wired up in js/app.js.
+ *
+ * Entry shape:
+ *   { id, createdAt, vibe, tracklist, cueSheet?, cover (thumbnail URL | null), aspect?,
+ *     soundtrackId?, permalink?, ownerKey? }
+ *
+ * ownerKey lets this browser keep changing the saved soundtrack's cover;
+ * cueSheet is kept for film scores (the vibe is then the score's logline).
+ */
+
+const GenerationHistory = (function () {
+    'use strict';
+
+    const DB_NAME     = 'cinesonics';
+    const DB_VERSION  = 1;
+    const STORE       = 'generations';
+    const MAX_ENTRIES = 50;   // oldest are dropped beyond this, to keep the drawer short
+
+    let dbPromise = null;
+
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror   = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });   // allow a retry later
+        return dbPromise;
+    }
+
+    /** Run `fn(store)` in a transaction; resolves with the request's result once committed. */
+    async function withStore(mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx      = db.transaction(STORE, mode);
+            const request = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error || new Error('History transaction aborted'));
+        });
+    }
+
+    /**
+     * Save a generation.
+     * @param {{ vibe, tracklist, cover?, aspect?, soundtrackId?, permalink?, ownerKey? }} entry
+     * @returns {Promise<number>} the new entry's id
+     */
+    async function save(entry) {
+        const id = await withStore('readwrite', store => store.add({
+            createdAt:    new Date().toISOString(),
+            vibe:         entry.vibe,
+            tracklist:    entry.tracklist,
+            cueSheet:     entry.cueSheet || null,
+            cover:        entry.cover || null,
+            aspect:       entry.aspect || 'square',
+            soundtrackId: entry.soundtrackId || null,
+            permalink:    entry.permalink || null,
+            ownerKey:     entry.ownerKey || null,
+        }));
+        await prune();
+        return id;
+    }
+
+    /** All entries, newest first. */
+    async function list() {
+        const entries = await withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+    }
+
+    async function get(id) {
+        return withStore('readonly', store => store.get(id));
+    }
+
+    /**
+     * Add the cover once it has loaded (entries are saved as soon as the
+     * tracklist is final), or point it at another variant / a new cover.
+     * Older entries hold a data URL here instead.
+     */
+    async function attachCover(id, cover, aspect) {
+        const entry = await get(id);
+        if (!entry) return;
+        entry.cover = cover;
+        if (aspect) entry.aspect = aspect;
+        await withStore('readwrite', store => store.put(entry));
+    }
+
+    async function remove(id) {
+        await withStore('readwrite', store => store.delete(id));
+    }
+
+    async function prune() {
+        const entries = await list();
+        for (const entry of entries.slice(MAX_ENTRIES)) {
+            await remove(entry.id);
+        }
+    }
+
+    return { save, list, get, attachCover, remove };
+})();
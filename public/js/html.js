@@ -0,0 +1,23 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — HTML Escaping  (browser + server)
+ * ═══════════════════════════════════════════════
+ *
+ * Text made safe for HTML, both between tags and inside a quoted
+ * attribute value.  Loaded by the page (window.HtmlText, for js/ui.js)
+ * and required by the server for the permalink page.
+ */
+
+const HtmlText = (function () {
+    'use strict';
+
+    const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, ch => ESCAPES[ch]);
+    }
+
+    return { escapeHtml };
+})();
+
+if (typeof module === 'object' && module.exports) module.exports = HtmlText;
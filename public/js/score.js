@@ -0,0 +1,226 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Procedural Score  (browser + server)
+ * ═══════════════════════════════════════════════
+ *
+ * Turns one track of a tracklist into a short, deterministic loop:
+ *   - tempo, scale, timbre and drums come from the album genre + vibeTag
+ *   - the notes are seeded from the track's title and artist
+ *   - the loop's length follows the track's duration (about 1/20th of it)
+ *
+ * Output is plain data — { bpm, bars, seconds, timbre, notes: [...] } —
+ * played by js/audio.js (Web Audio) and, on the server, rendered to WAV.
+ * No DOM and no Node APIs, like js/formats.js.
+ */
+
+const SoundtrackScore = (function () {
+    'use strict';
+
+    // ───────────────────────────────────────────
+    // Seeded Randomness
+    // ───────────────────────────────────────────
+
+    function hashString(text) {
+        let h = 0x811c9dc5;   // FNV-1a
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    function mulberry32(seed) {
+        return function random() {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ───────────────────────────────────────────
+    // Styles  (matched on the genre first, then the vibeTag)
+    // ───────────────────────────────────────────
+
+    const SCALES = {
+        major:         [0, 2, 4, 5, 7, 9, 11],
+        minor:         [0, 2, 3, 5, 7, 8, 10],
+        dorian:        [0, 2, 3, 5, 7, 9, 10],
+        phrygian:      [0, 1, 3, 5, 7, 8, 10],
+        lydian:        [0, 2, 4, 6, 7, 9, 11],
+        harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+    };
+
+    /*
+     * bpm      — [min, max]
+     * lead/pad/bass — oscillator waveforms
+     * cutoff   — low-pass filter (Hz), lower = darker
+     * attack   — envelope attack (s); release is derived
+     * density  — chance of a lead note on each 8th
+     * drums    — 'four' (four-on-the-floor), 'half' (halftime), 'brush' (soft), or null
+     * swing    — delay of off-beat 8ths, as a fraction of an 8th
+     */
+    const STYLES = [
+        { match: /techno|house|club|edm|rave|industrial|trance/, bpm: [124, 134], scale: 'minor',         lead: 'sawtooth', pad: 'sawtooth', bass: 'square',   cutoff: 2400, attack: 0.005, density: 0.55, drums: 'four',  swing: 0 },
+        { match: /synth|retro|neon|cyber|outrun|80s/,            bpm: [96, 112],  scale: 'dorian',        lead: 'sawtooth', pad: 'triangle', bass: 'sawtooth', cutoff: 1800, attack: 0.01,  density: 0.45, drums: 'four',  swing: 0 },
+        { match: /ambient|drone|space|cosmic|ethereal|drift/,    bpm: [60, 72],   scale: 'lydian',        lead: 'sine',     pad: 'sine',     bass: 'sine',     cutoff: 1200, attack: 0.4,   density: 0.18, drums: null,    swing: 0 },
+        { match: /horror|dread|gothic|haunt|thriller|tension/,   bpm: [54, 68],   scale: 'phrygian',      lead: 'square',   pad: 'triangle', bass: 'sine',     cutoff: 900,  attack: 0.2,   density: 0.2,  drums: 'half',  swing: 0 },
+        { match: /orchestra|epic|fantasy|hybrid|score|battle/,   bpm: [84, 100],  scale: 'harmonicMinor', lead: 'triangle', pad: 'sawtooth', bass: 'triangle', cutoff: 1600, attack: 0.08,  density: 0.4,  drums: 'half',  swing: 0 },
+        { match: /jazz|noir|lo-?fi|trip-?hop|soul|blues/,        bpm: [78, 92],   scale: 'dorian',        lead: 'triangle', pad: 'sine',     bass: 'sine',     cutoff: 1400, attack: 0.02,  density: 0.4,  drums: 'brush', swing: 0.33 },
+        { match: /rock|punk|metal|grunge/,                       bpm: [110, 140], scale: 'minor',         lead: 'square',   pad: 'sawtooth', bass: 'sawtooth', cutoff: 2600, attack: 0.005, density: 0.5,  drums: 'four',  swing: 0 },
+    ];
+
+    const DEFAULT_STYLE = { bpm: [86, 100], scale: 'minor', lead: 'triangle', pad: 'triangle', bass: 'sine', cutoff: 1500, attack: 0.03, density: 0.35, drums: 'half', swing: 0 };
+
+    /** Vibe words nudge the chosen style. */
+    const MODIFIERS = [
+        { match: /pursuit|chase|adrenaline|race|fight|rush/, bpm: 12,  cutoff: 1.2 },
+        { match: /solitude|calm|slow|melanchol|lonely|rain/, bpm: -8,  cutoff: 0.85 },
+        { match: /dark|dread|sinister|shadow|tension/,       bpm: 0,   cutoff: 0.7 },
+        { match: /bright|joy|sun|hope|golden|dawn/,          bpm: 4,   cutoff: 1.3 },
+    ];
+
+    const PROGRESSIONS = [
+        [0, 5, 3, 4],
+        [0, 3, 4, 0],
+        [0, 5, 2, 6],
+        [0, 6, 5, 6],
+        [0, 2, 5, 4],
+        [0, 0, 3, 4],
+    ];
+
+    /** Tempo, scale and timbre for an album — identical for all its tracks. */
+    function albumStyle(tracklist) {
+        const genre = String(tracklist.genre || '').toLowerCase();
+        const vibe  = String(tracklist.vibeTag || '').toLowerCase();
+        const text  = `${genre} ${vibe}`;
+        const style = {
+            ...(STYLES.find(s => s.match.test(genre)) || STYLES.find(s => s.match.test(vibe)) || DEFAULT_STYLE),
+        };
+        delete style.match;
+
+        let bpmShift = 0;
+        let cutoff   = style.cutoff;
+        for (const mod of MODIFIERS) {
+            if (!mod.match.test(text)) continue;
+            bpmShift += mod.bpm;
+            cutoff   *= mod.cutoff;
+        }
+
+        // Same album → same tempo, somewhere inside the style's range
+        const random = mulberry32(hashString(text));
+        const [lo, hi] = style.bpm;
+        style.bpm    = Math.round(lo + random() * (hi - lo)) + bpmShift;
+        style.cutoff = Math.round(cutoff);
+        return style;
+    }
+
+    // ───────────────────────────────────────────
+    // Track Loops
+    // ───────────────────────────────────────────
+
+    function durationSeconds(duration) {
+        const m = String(duration || '').match(/^(\d+):([0-5]\d)$/);
+        return m ? Number(m[1]) * 60 + Number(m[2]) : 180;
+    }
+
+    /** Loop length: roughly 1/20th of the track, 6–18 s, in whole bars. */
+    function loopBars(duration, bpm) {
+        const seconds = Math.min(18, Math.max(6, durationSeconds(duration) / 20));
+        return Math.max(2, Math.round((seconds * bpm) / 240));
+    }
+
+    function midiToHz(midi) {
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+
+    /** MIDI note for scale `degree` (may exceed the octave) above `root`. */
+    function degreeToMidi(scale, root, degree) {
+        const octave = Math.floor(degree / scale.length);
+        const step   = ((degree % scale.length) + scale.length) % scale.length;
+        return root + octave * 12 + scale[step];
+    }
+
+    /**
+     * @param {object} tracklist — normalized tracklist (genre, vibeTag, tracks)
+     * @param {number} index     — which track
+     * @returns {{ bpm, bars, seconds, timbre, notes: Array<{ voice, time, duration, freq, velocity }> }}
+     *          voices: lead, pad, bass (pitched) and kick, snare, hat (freq null)
+     */
+    function trackScore(tracklist, index) {
+        const track  = (tracklist.tracks || [])[index] || {};
+        const style  = albumStyle(tracklist);
+        const random = mulberry32(hashString(`${track.title || ''}\u0000${track.artist || ''}`));
+
+        const scale  = SCALES[style.scale];
+        const root   = 45 + Math.floor(random() * 12);   // A2 … G#3
+        const prog   = PROGRESSIONS[Math.floor(random() * PROGRESSIONS.length)];
+        const bars   = loopBars(track.duration, style.bpm);
+        const beat   = 60 / style.bpm;
+        const eighth = beat / 2;
+
+        const notes = [];
+        const add   = (voice, time, duration, midi, velocity) => notes.push({
+            voice,
+            time:     Number(time.toFixed(4)),
+            duration: Number(duration.toFixed(4)),
+            freq:     midi === null ? null : Number(midiToHz(midi).toFixed(3)),
+            velocity: Number(velocity.toFixed(3)),
+        });
+
+        let leadDegree = 7 + Math.floor(random() * 5);   // start around the upper octave
+
+        for (let bar = 0; bar < bars; bar++) {
+            const start  = bar * 4 * beat;
+            const degree = prog[bar % prog.length];
+
+            // ── Pad: the bar's triad, held ──
+            for (const offset of [0, 2, 4]) {
+                add('pad', start, 4 * beat * 0.98, degreeToMidi(scale, root + 12, degree + offset), 0.16);
+            }
+
+            // ── Bass: chord root on beats 1 and 3 ──
+            add('bass', start,            beat * 1.8, degreeToMidi(scale, root - 12, degree), 0.5);
+            add('bass', start + 2 * beat, beat * 1.8, degreeToMidi(scale, root - 12, degree), 0.42);
+
+            // ── Lead: a random walk over the scale, one chance per 8th ──
+            for (let step = 0; step < 8; step++) {
+                if (random() > style.density) continue;
+                leadDegree += Math.round((random() - 0.5) * 4);
+                leadDegree  = Math.min(14, Math.max(4, leadDegree));
+                const swing = step % 2 ? style.swing * eighth : 0;
+                const held  = random() < 0.3 ? 2 : 1;
+                add('lead', start + step * eighth + swing, eighth * held * 0.9,
+                    degreeToMidi(scale, root, leadDegree), 0.22 + random() * 0.1);
+            }
+
+            // ── Drums ──
+            if (!style.drums) continue;
+            for (let b = 0; b < 4; b++) {
+                const t = start + b * beat;
+                if (style.drums === 'four' || b % 2 === 0) add('kick', t, 0.3, null, style.drums === 'brush' ? 0.35 : 0.8);
+                if (style.drums !== 'four' && b % 2 === 1) add('snare', t, 0.2, null, style.drums === 'brush' ? 0.15 : 0.35);
+                add('hat', t + eighth + (style.swing * eighth), 0.05, null, style.drums === 'brush' ? 0.08 : 0.14);
+            }
+        }
+
+        return {
+            bpm:     style.bpm,
+            bars,
+            seconds: Number((bars * 4 * beat).toFixed(4)),
+            timbre:  {
+                lead:    style.lead,
+                pad:     style.pad,
+                bass:    style.bass,
+                cutoff:  style.cutoff,
+                attack:  style.attack,
+                release: Math.max(0.05, style.attack * 2),
+            },
+            notes: notes.sort((a, b) => a.time - b.time),
+        };
+    }
+
+    return { trackScore, albumStyle, loopBars, midiToHz, hashString, mulberry32 };
+})();
+
+if (typeof module === 'object' && module.exports) module.exports = SoundtrackScore;
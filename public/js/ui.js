@@ -4,7 +4,7 @@
  * ═══════════════════════════════════════════════
  *
  * Pure UI functions — no API calls here.
- * Renders tracklist, album cover, rate-limit bar, error states, etc.
+ * Renders tracklist, cue sheet, album cover, rate-limit bar, error states, etc.
  */
 
 const UI = (function () {
@@ -14,23 +14,54 @@ const UI = (function () {
     // DOM Cache (lazy getters)
     // ───────────────────────────────────────────
     const dom = {
+        albumFrame:      () => document.querySelector('.album-frame'),
         albumCover:      () => document.getElementById('albumCover'),
         albumLoading:    () => document.getElementById('albumLoading'),
         albumTitle:      () => document.getElementById('albumTitle'),
         albumArtist:     () => document.getElementById('albumArtist'),
         albumGenre:      () => document.getElementById('albumGenre'),
+        albumPermalink:  () => document.getElementById('albumPermalink'),
+        actionButtons:   () => document.querySelectorAll('#exportActions .export-btn, #tracklist button, #cueSheet button, #refineForm input, #refineForm button, #coverActions button'),
+        trackItems:      () => document.querySelectorAll('#tracklist .track-item, #cueSheet .track-item'),
+        refineBtn:       () => document.getElementById('refineBtn'),
+        refineCost:      () => document.getElementById('refineCost'),
+        optTracksMin:    () => document.getElementById('optTracksMin'),
+        optTracksMax:    () => document.getElementById('optTracksMax'),
+        optRuntime:      () => document.getElementById('optRuntime'),
+        optEra:          () => document.getElementById('optEra'),
+        optMix:          () => document.getElementById('optMix'),
+        optInstrument:   () => document.getElementById('optInstrumentation'),
+        optLanguage:     () => document.getElementById('optLanguage'),
+        optFresh:        () => document.getElementById('optFresh'),
+        coverStyle:      () => document.getElementById('coverStyle'),
+        coverAspect:     () => document.getElementById('coverAspect'),
+        coverCount:      () => document.getElementById('coverVariantCount'),
+        coverPicker:     () => document.getElementById('coverPicker'),
+        coverActions:    () => document.getElementById('coverActions'),
+        coverRegenBtn:   () => document.getElementById('coverRegenBtn'),
+        coverCost:       () => document.getElementById('coverCost'),
+        historyDrawer:   () => document.getElementById('historyDrawer'),
+        historyList:     () => document.getElementById('historyList'),
+        historyEmpty:    () => document.getElementById('historyEmpty'),
         tracklist:       () => document.getElementById('tracklist'),
+        cueSheet:        () => document.getElementById('cueSheet'),
         trackCount:      () => document.getElementById('trackCount'),
         totalRuntime:    () => document.getElementById('totalRuntime'),
         vibeTag:         () => document.getElementById('vibeTag'),
         resultsSection:  () => document.getElementById('resultsSection'),
         loadingOverlay:  () => document.getElementById('loadingOverlay'),
+        loadingStage:    () => document.getElementById('loadingStage'),
         errorMessage:    () => document.getElementById('errorMessage'),
         errorText:       () => document.getElementById('errorText'),
         generateBtn:     () => document.getElementById('generateBtn'),
+        inputSection:    () => document.getElementById('inputSection'),
+        inputModes:      () => document.querySelectorAll('.input-mode'),
+        scoreCost:       () => document.getElementById('scoreCost'),
         userQuota:       () => document.getElementById('userQuota'),
         globalQuota:     () => document.getElementById('globalQuota'),
         quotaBar:        () => document.getElementById('quotaBar'),
+        quotaReset:      () => document.getElementById('quotaReset'),
+        accessKeyBtn:    () => document.getElementById('accessKeyBtn'),
     };
 
     // ───────────────────────────────────────────
@@ -38,18 +69,26 @@ const UI = (function () {
     // ───────────────────────────────────────────
 
     function showLoading() {
+        setLoadingStage('Composing your cinematic soundtrack');
         dom.generateBtn().disabled = true;
         dom.resultsSection().classList.remove('active');
         dom.errorMessage().classList.remove('active');
         dom.loadingOverlay().classList.add('active');
     }
 
+    /** Progress text under the spinner (streaming stages). */
+    function setLoadingStage(text) {
+        const el = dom.loadingStage();
+        if (el) el.textContent = text;
+    }
+
     function hideLoading() {
         dom.loadingOverlay().classList.remove('active');
         dom.generateBtn().disabled = false;
     }
 
     function showError(message) {
+        dom.resultsSection().classList.remove('active');   // drop any half-streamed preview
         dom.errorText().textContent = message || 'Something went wrong. Please try again.';
         dom.errorMessage().classList.add('active');
     }
@@ -58,82 +97,478 @@ const UI = (function () {
     // Rate-Limit Quota Bar
     // ───────────────────────────────────────────
 
+    const LIMIT_LABEL = 'Limit Reached — Try Later';
+    const MODE_LABELS = { vibe: 'Generate Soundtrack', screenplay: 'Compose Score' };
+
+    /**
+     * @param {{ user: number|null, global: number|null, resetsAt?: string|null }} remaining
+     *        null counts mean "no cap" (allow-listed callers)
+     */
     function updateQuota(remaining) {
         if (!remaining) return;
 
         const userEl   = dom.userQuota();
         const globalEl = dom.globalQuota();
 
-        if (userEl)   userEl.textContent   = `You: ${remaining.user} left`;
-        if (globalEl) globalEl.textContent = `Site: ${remaining.global} left`;
+        if (userEl)   userEl.textContent   = `You: ${formatRemaining(remaining.user)}`;
+        if (globalEl) globalEl.textContent = `Site: ${formatRemaining(remaining.global)}`;
 
         // Color coding
         if (userEl) {
             userEl.className = 'quota-badge' +
-                (remaining.user === 0 ? ' exhausted' : remaining.user === 1 ? ' low' : '');
+                (remaining.user === 0 ? ' exhausted' : remaining.user !== null && remaining.user <= 1 ? ' low' : '');
         }
         if (globalEl) {
             globalEl.className = 'quota-badge' +
-                (remaining.global === 0 ? ' exhausted' : remaining.global <= 3 ? ' low' : '');
+                (remaining.global === 0 ? ' exhausted' : remaining.global !== null && remaining.global <= 3 ? ' low' : '');
         }
 
+        if (remaining.resetsAt !== undefined) updateResetLabel(remaining.resetsAt);
+
         // Disable generate button if either limit is 0
         const btn = dom.generateBtn();
+        const label = btn.querySelector('span');
         if (remaining.user === 0 || remaining.global === 0) {
             btn.disabled = true;
-            btn.querySelector('span').textContent = 'Limit Reached — Try Tomorrow';
+            label.textContent = LIMIT_LABEL;
+        } else if (label.textContent === LIMIT_LABEL) {
+            // e.g. an access key was just added
+            btn.disabled = false;
+            label.textContent = MODE_LABELS[inputMode()];
         }
     }
 
     function updateQuotaFromStatus(status) {
         updateQuota({
-            user:   status.userRemaining,
-            global: status.globalRemaining,
+            user:     status.userRemaining,
+            global:   status.globalRemaining,
+            resetsAt: status.resetsAt,
         });
+
+        const label = dom.quotaBar()?.querySelector('.quota-label');
+        if (label && status.policy) {
+            label.textContent = status.policy.window === 'rolling'
+                ? `${status.policy.windowHours}h Quota`
+                : 'Daily Quota';
+            if (status.auth) label.textContent += ` · ${status.auth.label || status.auth.tier}`;
+        }
+
+        const costEl = dom.refineCost();
+        if (costEl && status.policy) {
+            const cost = status.policy.refineCost;
+            costEl.textContent = cost ? `${cost} of a generation` : 'free';
+        }
+
+        const coverCostEl = dom.coverCost();
+        if (coverCostEl && status.policy) {
+            const cost = status.policy.coverCost;
+            coverCostEl.textContent = cost ? `${cost} of a generation` : 'free';
+        }
+
+        const scoreCostEl = dom.scoreCost();
+        if (scoreCostEl && status.policy) {
+            const cost = status.policy.scoreCost;
+            scoreCostEl.textContent = `A score costs ${cost} generation${cost === 1 ? '' : 's'}`;
+        }
+
+        const keyBtn = dom.accessKeyBtn();
+        if (keyBtn) {
+            keyBtn.classList.toggle('active', Boolean(status.auth));
+            keyBtn.title = status.auth ? `Using access key ${status.auth.keyId} — click to change` : 'Use an access key';
+        }
+    }
+
+    function formatRemaining(count) {
+        return count === null || count === undefined ? 'unlimited' : `${count} left`;
+    }
+
+    /** Show the server-reported reset instant in the visitor's own time zone. */
+    function updateResetLabel(resetsAt) {
+        const el = dom.quotaReset();
+        if (!el) return;
+
+        if (!resetsAt) {
+            el.textContent = 'Nothing used yet';
+            return;
+        }
+
+        const when    = new Date(resetsAt);
+        const sameDay = when.toDateString() === new Date().toDateString();
+        const time    = when.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        el.textContent = sameDay
+            ? `Resets at ${time}`
+            : `Resets ${when.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+        el.title = when.toString();
     }
 
     // ───────────────────────────────────────────
     // Results Rendering
     // ───────────────────────────────────────────
 
-    function renderResults(data, coverUrl) {
-        // Album cover
-        const coverEl   = dom.albumCover();
-        const loadingEl = dom.albumLoading();
-        loadingEl.classList.remove('hidden');
-        coverEl.src    = coverUrl;
-        coverEl.onload = () => loadingEl.classList.add('hidden');
-        coverEl.onerror = () => {
-            loadingEl.innerHTML = '<span style="color:var(--text-muted)">Cover unavailable</span>';
-        };
+    let shownTracks    = [];      // tracks currently in the list (grows while streaming)
+    let actionsEnabled = false;   // export / play / refine controls (off while streaming)
+
+    /**
+     * Render a finished soundtrack.  Tracks already on screen from streaming
+     * (same position and content) are left alone so they don't re-animate.
+     * A film score's tracks are shown grouped by scene instead.
+     * @param {object} data
+     * @param {string|null} coverUrl — null keeps the cover that's showing (refinements)
+     * @param {object|null} [cueSheet] — { logline, themes, scenes } for a film score
+     * @returns {Promise<boolean>} resolves once the cover has loaded (or failed)
+     */
+    function renderResults(data, coverUrl, cueSheet = null) {
+        const coverLoaded = coverUrl === null ? Promise.resolve(Boolean(loadedCover())) : setCover(coverUrl);
+        renderMeta(data);
+
+        const tracklistEl = dom.tracklist();
+        const tracks      = data.tracks || [];
+
+        renderCueSheet(cueSheet, tracks);
+        tracklistEl.hidden = Boolean(cueSheet);
+        if (cueSheet) tracklistEl.innerHTML = '';
+
+        (cueSheet ? [] : tracks).forEach((track, index) => {
+            const existing = tracklistEl.children[index];
+            if (existing && existing.dataset.key === trackKey(track)) return;
 
-        // Album metadata
+            const li = createTrackItem(track, index);
+            if (existing) tracklistEl.replaceChild(li, existing);
+            else          tracklistEl.appendChild(li);
+        });
+        while (tracklistEl.children.length > (cueSheet ? 0 : tracks.length)) {
+            tracklistEl.lastElementChild.remove();
+        }
+
+        shownTracks = tracks.slice();
+        markChangedTracks([]);
+        updateTotals();
+        setActionsEnabled(true);
+        revealResults();
+        return coverLoaded;
+    }
+
+    /** Open an empty results view that streamed metadata / tracks fill in. */
+    function beginResults() {
+        const coverEl = dom.albumCover();
+        coverEl.onload = coverEl.onerror = null;
+        coverEl.removeAttribute('src');
+        showPlaceholder(null);
+        dom.albumLoading().classList.remove('hidden');
+        renderCoverPicker([]);
+        setPermalink(null);
+        setActionsEnabled(false);
+
+        dom.albumTitle().textContent  = 'Composing…';
+        dom.albumArtist().textContent = '';
+        dom.albumGenre().textContent  = '';
+        dom.vibeTag().textContent     = '…';
+
+        dom.tracklist().innerHTML = '';
+        dom.tracklist().hidden    = false;
+        renderCueSheet(null);
+        shownTracks = [];
+        updateTotals();
+
+        dom.loadingOverlay().classList.remove('active');
+        revealResults();
+    }
+
+    /** Streamed track — appended in order as the model writes it. */
+    function appendTrack(track, index) {
+        const tracklistEl = dom.tracklist();
+        if (tracklistEl.children[index]) return;
+        tracklistEl.appendChild(createTrackItem(track, index));
+        shownTracks[index] = track;
+        updateTotals();
+    }
+
+    /**
+     * The cue sheet: logline, recurring themes, then each scene's heading
+     * and mood over its cues, each with its placement note.  null clears it.
+     */
+    function renderCueSheet(cueSheet, tracks) {
+        const sheetEl = dom.cueSheet();
+        sheetEl.innerHTML = '';
+        sheetEl.hidden = !cueSheet;
+        if (!cueSheet) return;
+
+        if (cueSheet.logline) {
+            const logline = document.createElement('p');
+            logline.className   = 'cue-logline';
+            logline.textContent = cueSheet.logline;
+            sheetEl.appendChild(logline);
+        }
+        if (cueSheet.themes && cueSheet.themes.length) {
+            const themes = document.createElement('ul');
+            themes.className = 'cue-themes';
+            themes.setAttribute('aria-label', 'Recurring themes');
+            themes.innerHTML = cueSheet.themes.map(theme => `<li>${escapeHtml(theme)}</li>`).join('');
+            sheetEl.appendChild(themes);
+        }
+
+        cueSheet.scenes.forEach((scene, i) => {
+            const section = document.createElement('section');
+            section.className = 'cue-scene';
+            section.innerHTML = `
+                <header class="cue-scene-header">
+                    <span class="cue-scene-number">Scene ${String(i + 1).padStart(2, '0')}</span>
+                    <span class="cue-scene-heading">${escapeHtml(scene.heading)}</span>
+                    <span class="cue-scene-mood">${escapeHtml(scene.mood)}</span>
+                </header>
+                <ol class="tracklist"></ol>
+            `;
+            section.querySelector('.cue-scene-heading').title = scene.heading;
+            const listEl = section.querySelector('ol');
+            scene.cues
+                .filter(cue => tracks[cue.track])
+                .forEach(cue => listEl.appendChild(createTrackItem(tracks[cue.track], cue.track, cue.placement)));
+            sheetEl.appendChild(section);
+        });
+    }
+
+    function renderMeta(data) {
         dom.albumTitle().textContent  = data.albumTitle  || 'Untitled Soundtrack';
         dom.albumArtist().textContent = data.albumArtist || 'Various Artists';
         dom.albumGenre().textContent  = data.genre       || 'Cinematic';
         dom.vibeTag().textContent     = data.vibeTag     || 'Cinematic';
+    }
 
-        // Tracklist
-        const tracklistEl = dom.tracklist();
-        tracklistEl.innerHTML = '';
-        const tracks = data.tracks || [];
-        dom.trackCount().textContent = `${tracks.length} track${tracks.length !== 1 ? 's' : ''}`;
+    function setCover(coverUrl) {
+        const coverEl   = dom.albumCover();
+        const loadingEl = dom.albumLoading();
+        showPlaceholder(coverUrl);
+        loadingEl.classList.remove('hidden');
+        return new Promise(resolve => {
+            coverEl.onload = () => {
+                loadingEl.classList.add('hidden');
+                resolve(true);
+            };
+            coverEl.onerror = () => {
+                showPlaceholder(null);
+                loadingEl.innerHTML = '<span style="color:var(--text-muted)">Cover unavailable</span>';
+                resolve(false);
+            };
+            coverEl.src = coverUrl;
+        });
+    }
 
-        let totalSeconds = 0;
+    /**
+     * A server cover URL with an image query added (?w=, ?format=,
+     * ?placeholder — see lib/cover-images.js); null for data: URLs.
+     */
+    function coverCopyUrl(url, query) {
+        if (!url || !url.startsWith('/api/')) return null;
+        return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+    }
 
-        tracks.forEach((track, index) => {
-            const li = document.createElement('li');
-            li.className = 'track-item';
-            li.innerHTML = `
-                <span class="track-number">${String(index + 1).padStart(2, '0')}</span>
-                <div class="track-info">
-                    <div class="track-name">${escapeHtml(track.title || 'Untitled')}</div>
-                    <div class="track-artist">${escapeHtml(track.artist || 'Unknown')}</div>
-                </div>
-                <span class="track-duration">${escapeHtml(track.duration || '—')}</span>
-            `;
-            tracklistEl.appendChild(li);
+    /**
+     * Swap the spinner for a blurred copy of `coverUrl` (a few hundred
+     * bytes) as soon as it arrives; null clears it.
+     */
+    function showPlaceholder(coverUrl) {
+        const loadingEl = dom.albumLoading();
+        loadingEl.dataset.cover = coverUrl || '';
+        loadingEl.classList.remove('placeholder');
+        loadingEl.style.backgroundImage = '';
+
+        const url = coverCopyUrl(coverUrl, 'placeholder');
+        if (!url) return;
+        const img = new Image();
+        img.onload = () => {
+            if (loadingEl.dataset.cover !== coverUrl) return;   // another cover was asked for meanwhile
+            loadingEl.style.backgroundImage = `url("${url}")`;
+            loadingEl.classList.add('placeholder');
+        };
+        img.src = url;
+    }
+
+    // ───────────────────────────────────────────
+    // Input Mode  (one vibe | screenplay)
+    // ───────────────────────────────────────────
+
+    function inputMode() {
+        return dom.inputSection().dataset.mode;
+    }
+
+    /** Show the vibe or the screenplay input, with the options that apply to it. */
+    function setInputMode(mode) {
+        dom.inputSection().dataset.mode = mode;
+        dom.inputModes().forEach(tab => {
+            const active = tab.dataset.mode === mode;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+        const label = dom.generateBtn().querySelector('span');
+        if (label.textContent !== LIMIT_LABEL) label.textContent = MODE_LABELS[mode];
+    }
 
+    // ───────────────────────────────────────────
+    // Advanced Options
+    // ───────────────────────────────────────────
+
+    /**
+     * Generation options from the advanced panel, in the shape lib/options.js
+     * expects — fields left blank are omitted so the server defaults apply.
+     */
+    function generationOptions() {
+        const options = {
+            tracks: {
+                min: Number(dom.optTracksMin().value) || 8,
+                max: Number(dom.optTracksMax().value) || 12,
+            },
+        };
+        const runtime         = Number(dom.optRuntime().value);
+        const instrumentation = dom.optInstrument().value.trim();
+        const language        = dom.optLanguage().value.trim();
+
+        if (runtime)              options.runtime         = runtime;
+        if (dom.optEra().value)   options.era             = dom.optEra().value;
+        if (dom.optMix().value)   options.mix             = dom.optMix().value;
+        if (instrumentation)      options.instrumentation = instrumentation;
+        if (language)             options.language        = language;
+        return options;
+    }
+
+    /** The options a film score takes (lib/cue-sheet.js) — the rest describe a single album. */
+    function scoreOptions() {
+        const { era, instrumentation, language } = generationOptions();
+        return { era, instrumentation, language };
+    }
+
+    /** "Surprise me" — ask the server for a new result instead of a cached one. */
+    function wantsFreshResult() {
+        return dom.optFresh().checked;
+    }
+
+    // ───────────────────────────────────────────
+    // Cover Options & Variants
+    // ───────────────────────────────────────────
+
+    /** The style / shape / variant count picked in the advanced panel. */
+    function coverOptions() {
+        return {
+            style:    dom.coverStyle().value,
+            aspect:   dom.coverAspect().value,
+            variants: Number(dom.coverCount().value),
+        };
+    }
+
+    /** Shape the album frame to the cover: 'square', 'banner' (16:9) or 'poster' (2:3). */
+    function setCoverAspect(aspect) {
+        dom.albumFrame().dataset.aspect = aspect || 'square';
+    }
+
+    /**
+     * Thumbnails of the cover variants under the album frame; hidden for a
+     * single cover.
+     * @param {string[]} urls
+     * @param {Function} [onPick] — (index, url) when a thumbnail is clicked
+     */
+    function renderCoverPicker(urls, onPick) {
+        const pickerEl = dom.coverPicker();
+        pickerEl.innerHTML = '';
+        pickerEl.hidden = urls.length < 2;
+        if (pickerEl.hidden) return;
+
+        urls.forEach((url, index) => {
+            const btn = document.createElement('button');
+            btn.type      = 'button';
+            btn.className = 'cover-variant' + (index === 0 ? ' selected' : '');
+            btn.setAttribute('aria-label', `Use cover variant ${index + 1}`);
+            const img = document.createElement('img');
+            img.src = coverCopyUrl(url, 'w=192&format=webp') || url;
+            img.alt = '';
+            btn.appendChild(img);
+            btn.addEventListener('click', () => onPick(index, url));
+            pickerEl.appendChild(btn);
+        });
+    }
+
+    function markCoverVariant(index) {
+        Array.from(dom.coverPicker().children).forEach((btn, i) => {
+            btn.classList.toggle('selected', i === index);
+        });
+    }
+
+    /** "New cover" is offered for saved soundtracks this browser created. */
+    function showCoverActions(visible) {
+        dom.coverActions().hidden = !visible;
+    }
+
+    /** Lock the results while new covers are being issued. */
+    function setCoverBusy(busy) {
+        setActionsEnabled(!busy);
+        dom.coverRegenBtn().textContent = busy ? 'Working…' : 'New cover';
+    }
+
+    /** The cover <img>, if it has finished loading (for the album sheet), else null. */
+    function loadedCover() {
+        const coverEl = dom.albumCover();
+        return coverEl.complete && coverEl.naturalWidth ? coverEl : null;
+    }
+
+    /** Export, play and refine controls only work on a finished soundtrack, not a streaming preview. */
+    function setActionsEnabled(enabled) {
+        actionsEnabled = enabled;
+        dom.actionButtons().forEach(btn => { btn.disabled = !enabled; });
+    }
+
+    function trackKey(track) {
+        return [track.title, track.artist, track.duration].join('\u0000');
+    }
+
+    /** @param {string} [note] — a cue's placement, shown instead of the artist */
+    function createTrackItem(track, index, note) {
+        const li = document.createElement('li');
+        li.className     = 'track-item';
+        li.dataset.key   = trackKey(track);
+        li.dataset.index = index;
+        li.innerHTML = `
+            <span class="track-number">${String(index + 1).padStart(2, '0')}</span>
+            <button class="track-play" type="button" data-index="${index}" aria-label="Play preview"${actionsEnabled ? '' : ' disabled'}>▶</button>
+            <div class="track-info">
+                <div class="track-name">${escapeHtml(track.title || 'Untitled')}</div>
+                ${note
+                    ? `<div class="track-placement">${escapeHtml(note)}</div>`
+                    : `<div class="track-artist">${escapeHtml(track.artist || 'Unknown')}</div>`}
+            </div>
+            <span class="track-duration">${escapeHtml(track.duration || '—')}</span>
+            <button class="track-regen" type="button" data-index="${index}" title="Regenerate this track" aria-label="Regenerate this track"${actionsEnabled ? '' : ' disabled'}>↻</button>
+        `;
+        return li;
+    }
+
+    /** Mark the track whose preview is playing; null clears it. */
+    function setPlayingTrack(index) {
+        dom.trackItems().forEach(li => {
+            const playing = Number(li.dataset.index) === index;
+            const btn     = li.querySelector('.track-play');
+            li.classList.toggle('playing', playing);
+            btn.textContent = playing ? '■' : '▶';
+            btn.setAttribute('aria-label', playing ? 'Stop preview' : 'Play preview');
+        });
+    }
+
+    /** Highlight the tracks a refinement added or changed. */
+    function markChangedTracks(indices) {
+        dom.trackItems().forEach(li => {
+            li.classList.toggle('changed', indices.includes(Number(li.dataset.index)));
+        });
+    }
+
+    /** Lock the results while a refinement is in flight. */
+    function setRefining(busy) {
+        setActionsEnabled(!busy);
+        dom.refineBtn().textContent = busy ? 'Refining…' : 'Refine';
+    }
+
+    function updateTotals() {
+        const count = shownTracks.length;
+        dom.trackCount().textContent = `${count} track${count !== 1 ? 's' : ''}`;
+
+        let totalSeconds = 0;
+        shownTracks.forEach(track => {
             const parts = (track.duration || '0:00').split(':');
             if (parts.length === 2) {
                 totalSeconds += parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
@@ -144,34 +579,134 @@ const UI = (function () {
         const totalMin = Math.floor(totalSeconds / 60);
         const totalSec = totalSeconds % 60;
         dom.totalRuntime().textContent = `Total: ${totalMin}:${String(totalSec).padStart(2, '0')}`;
+    }
+
+    /** Show results, scrolling to them the first time they appear. */
+    function revealResults() {
+        dom.errorMessage().classList.remove('active');
 
-        // Show results with scroll
-        dom.resultsSection().classList.add('active');
+        const section = dom.resultsSection();
+        if (section.classList.contains('active')) return;
+
+        section.classList.add('active');
         setTimeout(() => {
-            dom.resultsSection().scrollIntoView({ behavior: 'smooth', block: 'start' });
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }, 200);
     }
 
     // ───────────────────────────────────────────
-    // Utility
+    // Permalinks
+    // ───────────────────────────────────────────
+
+    /** Link to the saved soundtrack's /s/:id page; null hides it. */
+    function setPermalink(url) {
+        const el = dom.albumPermalink();
+        if (url) el.href = url;
+        el.hidden = !url;
+    }
+
+    /** Permalink pages show a saved album only — no input, quota or retry. */
+    function setReadOnly() {
+        document.body.classList.add('read-only');
+    }
+
+    // ───────────────────────────────────────────
+    // History Drawer
     // ───────────────────────────────────────────
 
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    function openHistory() {
+        const drawer = dom.historyDrawer();
+        drawer.classList.add('open');
+        drawer.setAttribute('aria-hidden', 'false');
+    }
+
+    function closeHistory() {
+        const drawer = dom.historyDrawer();
+        drawer.classList.remove('open');
+        drawer.setAttribute('aria-hidden', 'true');
     }
 
+    /**
+     * @param {Array}  entries  — from GenerationHistory.list(), newest first
+     * @param {object} handlers — { onOpen(entry), onReuse(entry), onDelete(entry) }
+     */
+    function renderHistory(entries, handlers) {
+        const listEl = dom.historyList();
+        listEl.innerHTML = '';
+        dom.historyEmpty().hidden = entries.length > 0;
+
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'history-item';
+            li.innerHTML = `
+                <div class="history-thumb"></div>
+                <div class="history-info">
+                    <div class="history-title">${escapeHtml(entry.tracklist.albumTitle || 'Untitled Soundtrack')}</div>
+                    <div class="history-vibe">${escapeHtml(entry.vibe)}</div>
+                    <div class="history-date">${escapeHtml(new Date(entry.createdAt).toLocaleString())}</div>
+                    <div class="history-actions">
+                        <button type="button" data-action="open">Open</button>
+                        <button type="button" data-action="reuse">Reuse vibe</button>
+                        <button type="button" data-action="delete">Delete</button>
+                    </div>
+                </div>
+            `;
+            li.querySelector('.history-vibe').title = entry.vibe;
+            if (entry.cover) {
+                const img = document.createElement('img');
+                img.src = entry.cover;
+                img.alt = '';
+                li.querySelector('.history-thumb').appendChild(img);
+            }
+            li.querySelector('[data-action="open"]').addEventListener('click', () => handlers.onOpen(entry));
+            li.querySelector('[data-action="reuse"]').addEventListener('click', () => handlers.onReuse(entry));
+            li.querySelector('[data-action="delete"]').addEventListener('click', () => handlers.onDelete(entry));
+            listEl.appendChild(li);
+        });
+    }
+
+    // ───────────────────────────────────────────
+    // Utility
+    // ───────────────────────────────────────────
+
+    /** Safe between tags and inside quoted attributes (js/html.js). */
+    const { escapeHtml } = HtmlText;
+
     // ───────────────────────────────────────────
     // Public Interface
     // ───────────────────────────────────────────
 
     return {
         showLoading,
+        setLoadingStage,
         hideLoading,
         showError,
+        beginResults,
+        appendTrack,
+        renderMeta,
         renderResults,
+        setCover,
+        loadedCover,
+        setInputMode,
+        generationOptions,
+        scoreOptions,
+        wantsFreshResult,
+        coverOptions,
+        setCoverAspect,
+        renderCoverPicker,
+        markCoverVariant,
+        showCoverActions,
+        setCoverBusy,
+        setActionsEnabled,
+        setPlayingTrack,
+        markChangedTracks,
+        setRefining,
+        setPermalink,
+        setReadOnly,
         updateQuota,
         updateQuotaFromStatus,
+        openHistory,
+        closeHistory,
+        renderHistory,
     };
 })();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Issue / Revoke Access Keys
+ * ═══════════════════════════════════════════════
+ *
+ * Usage:
+ *   npm run issue-key -- --tier team --label "Office NAT"
+ *   npm run issue-key -- --revoke k_1a2b3c4d
+ *
+ * Writes to ACCESS_KEYS_FILE (default data/access-keys.json).  The key
+ * itself is printed once and never stored — only its SHA-256 hash.
+ * Tiers must already exist in the file's "tiers" section.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const { hashKey, DEFAULT_FILE } = require('../lib/auth');
+
+const file = path.resolve(process.env.ACCESS_KEYS_FILE || DEFAULT_FILE);
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+function readConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        // First run — seed a starter tier so the file is self-documenting
+        return { tiers: { team: { userLimit: 20 } }, keys: [] };
+    }
+}
+
+function writeConfig(config) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n');
+}
+
+function main() {
+    const args   = parseArgs(process.argv.slice(2));
+    const config = readConfig();
+
+    if (args.revoke) {
+        const key = config.keys.find(k => k.id === args.revoke);
+        if (!key) {
+            console.error(`No key with id ${args.revoke}`);
+            process.exit(1);
+        }
+        key.revoked = true;
+        writeConfig(config);
+        console.log(`Revoked ${key.id}${key.label ? ` (${key.label})` : ''}`);
+        return;
+    }
+
+    const tier = args.tier || 'team';
+    if (!config.tiers[tier]) {
+        console.error(`Unknown tier "${tier}". Known tiers: ${Object.keys(config.tiers).join(', ') || '(none)'}`);
+        process.exit(1);
+    }
+
+    const secret = `cs_${crypto.randomBytes(24).toString('base64url')}`;
+    const id     = `k_${crypto.randomBytes(4).toString('hex')}`;
+
+    config.keys.push({
+        id,
+        hash:      hashKey(secret),
+        tier,
+        label:     args.label || null,
+        createdAt: new Date().toISOString(),
+    });
+    writeConfig(config);
+
+    console.log(`Issued ${id} (tier: ${tier}) → ${file}`);
+    console.log(`\n  ${secret}\n`);
+    console.log('Store it now — it cannot be shown again.');
+}
+
+main();
@@ -0,0 +1,108 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarize } = require('../lib/events');
+const { startApp } = require('./support/app');
+
+const TOKEN  = 'admin-test-token-0123456789';
+const PRESET = 'Moody rain-soaked neo-noir detective thriller, dimly lit alleyways, jazz undertones, trench coats and whiskey';
+
+let ctx;
+
+function admin(pathname, { token = TOKEN, body, method = body ? 'POST' : 'GET' } = {}) {
+    return ctx.request(pathname, {
+        method,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body:    body && JSON.stringify(body),
+    });
+}
+
+describe('summarize', () => {
+    test('buckets generations by day and hour and ranks vibes', () => {
+        const now    = Date.UTC(2026, 9, 19, 12, 30);
+        const hour   = 60 * 60 * 1000;
+        const events = [
+            { at: now - 2 * hour,  kind: 'generate', outcome: 'ok',       vibe: 'Neon rain',  cache: 'miss' },
+            { at: now - hour,      kind: 'generate', outcome: 'ok',       vibe: 'neon  RAIN', cache: 'hit' },
+            { at: now - 30 * hour, kind: 'generate', outcome: 'failed',   type: 'parse_failure', vibe: 'desert' },
+            { at: now,             kind: 'generate', outcome: 'rejected', type: 'user_limit', vibe: 'desert' },
+            { at: now,             kind: 'cover',    outcome: 'failed',   type: 'cover_failed' },
+        ];
+        const stats = summarize(events, { now, days: 2 });
+
+        assert.deepEqual(stats.daily, [
+            { date: '2026-10-18', ok: 0, failed: 1, rejected: 0 },
+            { date: '2026-10-19', ok: 2, failed: 0, rejected: 1 },
+        ]);
+        assert.equal(stats.hourly.length, 24);
+        assert.deepEqual(stats.hourly.at(-1), { hour: '2026-10-19T12:00:00.000Z', ok: 0, failed: 0, rejected: 1 });
+        assert.deepEqual(stats.outcomes, {
+            generate: { ok: 2, parse_failure: 1, user_limit: 1 },
+            cover:    { cover_failed: 1 },
+        });
+        assert.deepEqual(stats.topVibes, [{ vibe: 'Neon rain', count: 2 }, { vibe: 'desert', count: 1 }]);
+        assert.deepEqual(stats.cache, { miss: 1, hit: 1 });
+    });
+});
+
+describe('/admin', () => {
+    afterEach(() => ctx.close());
+
+    test('is off without ADMIN_TOKEN and needs the token when on', async () => {
+        ctx = await startApp();
+        assert.equal((await admin('/api/admin/stats')).status, 404);
+        assert.equal((await ctx.request('/admin')).status, 404);
+        await ctx.close();
+
+        ctx = await startApp({ ADMIN_TOKEN: TOKEN });
+        assert.equal((await ctx.request('/admin')).status, 200);
+        const denied = await admin('/api/admin/stats', { token: 'not-the-admin-token' });
+        assert.equal(denied.status, 401);
+        assert.equal((await denied.json()).type, 'admin_auth');
+        assert.equal((await admin('/api/admin/stats?days=365')).status, 400);
+    });
+
+    test('stats come from the event log of generate and cover requests', async () => {
+        ctx = await startApp({ ADMIN_TOKEN: TOKEN });
+        const first = await (await ctx.generate(PRESET)).json();
+        await ctx.request(`/api/cover/${first.coverToken}`);
+        ctx.upstream.replyText({ status: 402 });
+        await ctx.generate('rain on neon streets');
+        await ctx.generate('rain on neon streets');   // the second free generation
+        await ctx.generate('rain on neon streets');   // over the limit
+
+        const stats = await (await admin('/api/admin/stats?days=1')).json();
+        assert.deepEqual(stats.daily.map(({ ok, failed, rejected }) => ({ ok, failed, rejected })), [{ ok: 2, failed: 1, rejected: 1 }]);
+        assert.deepEqual(stats.outcomes.generate, { ok: 2, upstream_402: 1, user_limit: 1 });
+        assert.deepEqual(stats.outcomes.cover, { ok: 1 });
+        assert.deepEqual(stats.presets, [{ preset: '🌧️ Neo-Noir Detective', count: 1 }]);
+        assert.deepEqual(stats.topVibes[0], { vibe: 'rain on neon streets', count: 2 });
+        assert.equal(stats.upstream.text.circuit, 'closed');
+    });
+
+    test('resets a caller and temporarily raises the site-wide limit', async () => {
+        ctx = await startApp({ ADMIN_TOKEN: TOKEN, QUOTA_GLOBAL_LIMIT: '3' });
+        await ctx.generate();
+        await ctx.generate();
+
+        const quota = await (await admin('/api/admin/quota')).json();
+        assert.deepEqual(quota.callers, [{ id: '203.0.113.1', used: 2 }]);
+        assert.equal(quota.globalUsed, 2);
+
+        const reset = await (await admin('/api/admin/quota/reset', { body: { id: '203.0.113.1' } })).json();
+        assert.deepEqual(reset.callers, []);
+        assert.equal(reset.globalUsed, 2);   // the site-wide count stands
+        assert.equal((await ctx.generate()).status, 200);
+        assert.equal((await ctx.generate(undefined, { ip: '198.51.100.9' })).status, 429);
+
+        const boosted = await (await admin('/api/admin/quota/boost', { body: { extra: 5, hours: 2 } })).json();
+        assert.equal(boosted.globalLimit, 8);
+        assert.equal(boosted.boost.extra, 5);
+        assert.equal((await ctx.generate(undefined, { ip: '198.51.100.9' })).status, 200);
+        assert.equal((await (await ctx.request('/api/status')).json()).globalLimit, 8);
+
+        assert.equal((await admin('/api/admin/quota/boost', { body: { extra: 0, hours: 2 } })).status, 400);
+        const ended = await (await admin('/api/admin/quota/boost', { method: 'DELETE' })).json();
+        assert.equal(ended.globalLimit, 3);
+        assert.equal(ended.boost, null);
+    });
+});
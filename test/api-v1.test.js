@@ -0,0 +1,111 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { OPENAPI_DOCUMENT } = require('../lib/openapi');
+
+let ctx;
+
+function post(pathname, body, init = {}) {
+    return ctx.request(pathname, {
+        ...init,
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', ...init.headers },
+        body:    typeof body === 'string' ? body : JSON.stringify(body),
+    });
+}
+
+describe('/api/v1', () => {
+    afterEach(() => ctx.close());
+
+    test('serves the OpenAPI document', async () => {
+        ctx = await startApp();
+        const res = await ctx.request('/api/v1/openapi.json');
+        assert.equal(res.status, 200);
+        const doc = await res.json();
+        assert.equal(doc.openapi, '3.1.0');
+        assert.deepEqual(doc.servers, [{ url: '/api/v1' }]);
+        assert.ok(doc.paths['/generate'].post.requestBody);
+        assert.deepEqual(doc, JSON.parse(JSON.stringify(OPENAPI_DOCUMENT)));
+    });
+
+    test('answers with the same handlers, and redirects stay inside /api/v1', async () => {
+        ctx = await startApp();
+        const res = await post('/api/v1/generate', { vibe: 'rain on neon streets', cover: { variants: 2 } });
+        assert.equal(res.status, 200);
+        const { soundtrackId, coverTokens } = await res.json();
+        assert.equal(coverTokens.length, 2);
+
+        const saved = await ctx.request(`/api/v1/soundtracks/${soundtrackId}`);
+        assert.equal((await saved.json()).id, soundtrackId);
+
+        await ctx.coversFetched();
+        const cover = await ctx.request(`/api/v1/cover/${coverTokens[0]}?w=96`, { redirect: 'manual' });
+        assert.match(cover.headers.get('location'), /^\/api\/v1\/covers\/[a-f0-9]{64}\?w=96$/);
+
+        const status = await ctx.request('/api/v1/status');
+        assert.equal((await status.json()).userRemaining, 1);
+    });
+
+    test('validates bodies against the document, listing each problem', async () => {
+        ctx = await startApp();
+        const res  = await post('/api/v1/generate', { vibe: '   ', options: { era: '1850s' }, extra: 1 }, { headers: { 'X-Request-Id': 'req-42' } });
+        const body = await res.json();
+        assert.equal(res.status, 400);
+        assert.equal(body.error.code, 'invalid_request');
+        assert.equal(body.error.requestId, 'req-42');
+        assert.match(body.error.message, /^Invalid request: /);
+        assert.deepEqual(body.error.details.map(d => d.path).sort(), ['$.extra', '$.options.era', '$.vibe']);
+        assert.equal(ctx.upstream.requests.length, 0);
+
+        const malformed = await post('/api/v1/refine', '{"instruction": ');
+        assert.equal(malformed.status, 400);
+        assert.equal((await malformed.json()).error.code, 'invalid_request');
+
+        // The unversioned route keeps its own, looser checks
+        assert.equal((await post('/api/generate', { vibe: 'x', extra: 1 })).status, 200);
+    });
+
+    test('every error has the same envelope, with the handler\'s type as its code', async () => {
+        ctx = await startApp();
+
+        const missing = await (await ctx.request('/api/v1/soundtracks/nope')).json();
+        assert.deepEqual(Object.keys(missing), ['error']);
+        assert.equal(missing.error.code, 'not_found');
+        assert.equal(missing.error.message, 'Soundtrack not found.');
+        assert.ok(missing.error.requestId);
+
+        const badKey = await (await ctx.request('/api/v1/status', { headers: { Authorization: 'Bearer cs_nope' } })).json();
+        assert.equal(badKey.error.code, 'invalid_key');
+
+        assert.equal((await (await ctx.request('/api/v1/nothing-here')).json()).error.code, 'not_found');
+        assert.equal((await ctx.request('/api/v1/generate/stream', { method: 'POST' })).status, 404);
+
+        const wrongMethod = await ctx.request('/api/v1/generate');
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('allow'), 'POST');
+        assert.equal((await wrongMethod.json()).error.code, 'method_not_allowed');
+
+        // Unversioned errors keep their old shape
+        const legacy = await (await ctx.request('/api/soundtracks/nope')).json();
+        assert.equal(legacy.error, 'Soundtrack not found.');
+        assert.ok(legacy.requestId);
+    });
+
+    test('429s say which limit was hit and when it frees up', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '1', QUOTA_WINDOW: 'rolling', QUOTA_WINDOW_HOURS: '2' });
+        assert.equal((await post('/api/v1/generate', { vibe: 'heist at dawn' })).status, 200);
+
+        for (const pathname of ['/api/v1/generate', '/api/generate']) {
+            const res = await post(pathname, { vibe: 'heist at dawn' });
+            assert.equal(res.status, 429);
+            assert.equal(res.headers.get('ratelimit-limit'), '1');
+            assert.equal(res.headers.get('ratelimit-remaining'), '0');
+            const reset = Number(res.headers.get('ratelimit-reset'));
+            assert.ok(reset > 7100 && reset <= 7200, `reset in ${reset}s`);
+            assert.equal(res.headers.get('retry-after'), String(reset));
+        }
+
+        const body = await (await post('/api/v1/generate', { vibe: 'heist at dawn' })).json();
+        assert.equal(body.error.code, 'user_limit');
+    });
+});
@@ -0,0 +1,136 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache } = require('../lib/cache');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { startApp } = require('./support/app');
+
+let ctx;
+
+function generate(vibe, extra = {}) {
+    return ctx.request('/api/generate', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ vibe, ...extra }),
+    });
+}
+
+const upstreamCalls = kind => ctx.upstream.requests.filter(r => r.kind === kind).length;
+
+describe('createCache', () => {
+    test('computes once, then serves hits until bypassed', async () => {
+        const cache = createCache({ storage: createMemoryStorage(), ttlMs: 60_000 });
+        let calls = 0;
+        const compute = async () => ({ n: ++calls });
+
+        assert.deepEqual(await cache.run('k', compute), { value: { n: 1 }, status: 'miss' });
+        assert.deepEqual(await cache.run('k', compute), { value: { n: 1 }, status: 'hit' });
+        assert.deepEqual(await cache.run('k', compute, { bypass: true }), { value: { n: 2 }, status: 'bypass' });
+        assert.deepEqual(await cache.run('k', compute), { value: { n: 1 }, status: 'hit' });
+    });
+
+    test('concurrent runs share one computation, even with caching off', async () => {
+        const cache = createCache({ storage: createMemoryStorage(), ttlMs: 0 });
+        let calls = 0;
+        let release;
+        const compute = () => { calls++; return new Promise(resolve => { release = resolve; }); };
+
+        const first  = cache.run('k', compute);
+        const second = cache.run('k', compute);
+        await new Promise(setImmediate);
+        release('value');
+
+        assert.deepEqual((await Promise.all([first, second])).map(r => r.status), ['miss', 'coalesced']);
+        assert.equal(calls, 1);
+        assert.equal((await cache.run('k', async () => 'again')).status, 'miss');
+    });
+
+    test('a failed computation is retried by the requests that joined it', async () => {
+        const cache = createCache({ storage: createMemoryStorage(), ttlMs: 60_000 });
+        let reject;
+        const first  = cache.run('k', () => new Promise((_, r) => { reject = r; }));
+        const second = cache.run('k', async () => 'own');
+        await new Promise(setImmediate);
+        reject(new Error('client went away'));
+
+        await assert.rejects(first, /client went away/);
+        assert.deepEqual(await second, { value: 'own', status: 'miss' });
+    });
+});
+
+describe('cached generations', () => {
+    afterEach(() => ctx.close());
+
+    test('a repeated vibe is served from the cache without billing', async () => {
+        ctx = await startApp({ CACHE_TTL_SECONDS: '3600', QUOTA_USER_LIMIT: '5' });
+        const first  = await (await generate('Rain on neon streets')).json();
+        const second = await (await generate('Rain on neon streets')).json();
+
+        assert.equal(first.cache, 'miss');
+        assert.equal(second.cache, 'hit');
+        assert.deepEqual(second.tracklist, first.tracklist);
+        assert.notEqual(second.soundtrackId, first.soundtrackId);
+        assert.equal(second.remaining.user, 4);
+
+        // Same cover prompt and seed — the image is fetched upstream once
+        await ctx.coversFetched();
+        await ctx.request(`/api/cover/${first.coverToken}`);
+        assert.equal((await ctx.request(`/api/cover/${second.coverToken}`)).status, 200);
+        assert.equal(upstreamCalls('image'), 1);
+
+        assert.equal((await (await generate('  rain on   NEON streets ')).json()).cache, 'hit');
+        assert.equal(upstreamCalls('text'), 1);
+    });
+
+    test('different options, or fresh: true, go upstream again', async () => {
+        ctx = await startApp({ CACHE_TTL_SECONDS: '3600', QUOTA_USER_LIMIT: '5' });
+        await generate('rain on neon streets');
+
+        const other = await (await generate('rain on neon streets', { options: { era: '1980s' } })).json();
+        assert.equal(other.cache, 'miss');
+
+        const fresh = await (await generate('rain on neon streets', { fresh: true })).json();
+        assert.equal(fresh.cache, 'bypass');
+        assert.equal(fresh.remaining.user, 2);
+        assert.equal(upstreamCalls('text'), 3);
+
+        assert.equal((await generate('rain on neon streets', { fresh: 'yes' })).status, 400);
+    });
+
+    test('identical requests in flight share one upstream call', async () => {
+        ctx = await startApp();   // caching off: coalescing still applies
+        ctx.upstream.replyText({ content: ctx.upstream.validContent(), delayMs: 200 });
+
+        const bodies = await Promise.all([
+            generate('rain on neon streets', { ip: '203.0.113.1' }).then(r => r.json()),
+            ctx.request('/api/generate', {
+                ip:      '203.0.113.2',
+                method:  'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body:    JSON.stringify({ vibe: 'rain on neon streets' }),
+            }).then(r => r.json()),
+        ]);
+
+        assert.deepEqual(bodies.map(b => b.cache).sort(), ['coalesced', 'miss']);
+        assert.equal(upstreamCalls('text'), 1);
+
+        const status = await (await ctx.request('/api/status')).json();
+        assert.equal(status.globalRemaining, 10);   // billed once
+    });
+
+    test('a cache hit on the stream replays the tracks', async () => {
+        ctx = await startApp({ CACHE_TTL_SECONDS: '3600' });
+        await generate('rain on neon streets');
+
+        const res = await ctx.request('/api/generate/stream', {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ vibe: 'rain on neon streets' }),
+        });
+        const text = await res.text();
+
+        assert.match(text, /event: meta/);
+        assert.match(text, /event: track/);
+        assert.match(text, /"cache":"hit"/);
+        assert.equal(upstreamCalls('text'), 1);
+    });
+});
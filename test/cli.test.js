@@ -0,0 +1,136 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startApp } = require('./support/app');
+const { createRemoteClient } = require('../lib/cli/clients');
+const { runBatch, readScenes, sceneName } = require('../lib/cli/batch');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cinesonics.js');
+
+let ctx;
+let outDir;
+
+const textCalls = () => ctx.upstream.requests.filter(r => r.kind === 'text').length;
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'cinesonics-cli-'));
+}
+
+describe('scene files', () => {
+    test('one scene per line, skipping blanks and comments, with stable file names', () => {
+        assert.deepEqual(readScenes('# Act one\nRain on neon streets\r\n\n  Rooftop chase — à minuit  \n'),
+            ['Rain on neon streets', 'Rooftop chase — à minuit']);
+        assert.equal(sceneName(0, 'Rain on neon streets'), '001-rain-on-neon-streets');
+        assert.equal(sceneName(11, 'Rooftop chase — à minuit'), '012-rooftop-chase-a-minuit');
+        assert.equal(sceneName(2, '???'), '003-scene');
+    });
+});
+
+describe('batch against the server', () => {
+    afterEach(async () => {
+        await ctx.close();
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    test('writes a JSON record and cover per scene, and resumes where it stopped', async () => {
+        ctx    = await startApp({ QUOTA_USER_LIMIT: '10' });
+        outDir = tempDir();
+        const client = createRemoteClient({ server: ctx.url });
+
+        const first = await runBatch({ scenes: ['heist at dawn', 'rooftop chase'], outDir, client });
+        assert.deepEqual(first, { generated: 2, resumed: 0, skipped: 0, failed: 0, stopped: null });
+
+        const record = JSON.parse(fs.readFileSync(path.join(outDir, '001-heist-at-dawn.json'), 'utf8'));
+        assert.equal(record.vibe, 'heist at dawn');
+        assert.ok(record.tracklist.tracks.length > 0);
+        assert.match(record.permalink, new RegExp(`^${ctx.url}/s/`));
+        assert.equal(record.cover.file, '001-heist-at-dawn.png');
+        assert.ok(fs.statSync(path.join(outDir, record.cover.file)).size > 0);
+
+        // Interrupted before the second cover was saved, then a scene added
+        fs.rmSync(path.join(outDir, '002-rooftop-chase.png'));
+        const second = await runBatch({ scenes: ['heist at dawn', 'rooftop chase', 'desert crossing'], outDir, client });
+        assert.deepEqual(second, { generated: 1, resumed: 1, skipped: 1, failed: 0, stopped: null });
+        assert.equal(textCalls(), 3);
+        assert.ok(fs.existsSync(path.join(outDir, '002-rooftop-chase.png')));
+    });
+
+    test('stops when the quota runs out, saying when it frees up', async () => {
+        ctx    = await startApp({ QUOTA_USER_LIMIT: '1' });
+        outDir = tempDir();
+        const reported = [];
+
+        const summary = await runBatch({
+            scenes: ['one', 'two', 'three'],
+            outDir,
+            client: createRemoteClient({ server: ctx.url }),
+            report: (scene, vibe, outcome) => reported.push([scene, outcome.status]),
+        });
+        assert.equal(summary.generated, 1);
+        assert.equal(summary.stopped.scene, 2);
+        assert.equal(summary.stopped.reason, 'quota');
+        assert.ok(summary.stopped.resetsAt);
+        assert.deepEqual(reported, [[1, 'generated'], [2, 'quota']]);
+        assert.equal(textCalls(), 1);
+    });
+
+    test('stops before generating when less than a whole generation is left', async () => {
+        ctx    = await startApp();
+        outDir = tempDir();
+        const client = {
+            status:   async () => ({ userRemaining: 0.75, globalRemaining: 8, resetsAt: null }),
+            generate: async () => assert.fail('a generation the server would refuse'),
+        };
+
+        const summary = await runBatch({ scenes: ['one'], outDir, client });
+        assert.equal(summary.generated, 0);
+        assert.equal(summary.stopped.reason, 'quota');
+    });
+
+    test('a refused scene is reported and the batch goes on', async () => {
+        ctx    = await startApp({ QUOTA_USER_LIMIT: '10' });
+        outDir = tempDir();
+        ctx.upstream.replyText({ status: 500 });
+
+        const summary = await runBatch({ scenes: ['one', 'two'], outDir, client: createRemoteClient({ server: ctx.url }) });
+        assert.deepEqual(summary, { generated: 1, resumed: 0, skipped: 0, failed: 1, stopped: null });
+        assert.ok(!fs.existsSync(path.join(outDir, '001-one.json')));
+    });
+});
+
+describe('cinesonics command', () => {
+    afterEach(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+    function run(args) {
+        return new Promise(resolve => {
+            execFile(process.execPath, [CLI, ...args], {
+                cwd:     outDir,
+                env:     { ...process.env, AI_PROVIDER: 'mock', MOCK_LATENCY_MS: '0' },
+                timeout: 30_000,
+            }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+        });
+    }
+
+    test('generates locally with the providers from the environment', async () => {
+        outDir = tempDir();
+        const res = await run(['generate', 'rain on neon streets', '--local', '--tracks', '3']);
+        assert.equal(res.code, 0, res.stderr);
+        assert.match(res.stdout, / 3\. /);
+
+        const record = JSON.parse(fs.readFileSync(path.join(outDir, 'rain-on-neon-streets.json'), 'utf8'));
+        assert.equal(record.tracklist.tracks.length, 3);
+        assert.equal(typeof record.cover.seed, 'number');
+        assert.ok(fs.existsSync(path.join(outDir, record.cover.file)));
+    });
+
+    test('rejects bad options before generating anything', async () => {
+        outDir = tempDir();
+        const res = await run(['generate', 'x', '--local', '--era', '1850s']);
+        assert.equal(res.code, 2);
+        assert.match(res.stderr, /era must be one of/);
+        assert.deepEqual(fs.readdirSync(outDir), []);
+    });
+});
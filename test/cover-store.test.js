@@ -0,0 +1,195 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage, createMemoryBlobStore } = require('../lib/storage');
+const { createCoverStore } = require('../lib/cover-store');
+const { imageOptions, variantName } = require('../lib/cover-images');
+const { createImageJobs } = require('../lib/image-jobs');
+const { Jimp } = require('jimp');
+const { startApp } = require('./support/app');
+const { PIXEL_PNG } = require('./support/fake-pollinations');
+
+let ctx;
+
+const imageCalls = () => ctx.upstream.requests.filter(r => r.kind === 'image').length;
+
+/** The stable URL a generation's first cover token redirects to. */
+async function storedCoverUrl(coverToken) {
+    await ctx.coversFetched();
+    const res = await ctx.request(`/api/cover/${coverToken}`, { redirect: 'manual' });
+    assert.equal(res.status, 302);
+    return res.headers.get('location');
+}
+
+describe('cover store', () => {
+    test('removes covers unused for too long, then the least recently used over the size limit', async () => {
+        const covers = createCoverStore({
+            storage:  createMemoryStorage(),
+            blobs:    createMemoryBlobStore(),
+            maxBytes: 10,
+            maxAgeMs: 60_000,
+        });
+        const stored = [];
+        for (const text of ['aaaa', 'bbbb', 'cccc']) {
+            stored.push(await covers.put(Buffer.from(text), { contentType: 'image/jpeg' }));
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        const meta = await covers.meta(stored[0]);
+        assert.equal(meta.contentType, 'image/jpeg');
+        assert.equal(meta.size, 4);
+
+        // 12 bytes kept, 10 allowed: the oldest goes
+        assert.equal(await covers.sweep(), 1);
+        assert.deepEqual(await Promise.all(stored.map(hash => covers.has(hash))), [false, true, true]);
+        assert.equal(await covers.meta(stored[0]), null);
+
+        assert.equal(await covers.sweep(Date.now() + 60_001), 2);
+        assert.equal(await covers.get(stored[2]), null);
+    });
+
+    test('a retention of 0 keeps unused covers', async () => {
+        const covers = createCoverStore({ storage: createMemoryStorage(), blobs: createMemoryBlobStore(), maxAgeMs: 0 });
+        const hash   = await covers.put(PIXEL_PNG);
+        assert.equal(await covers.sweep(Date.now() + 10 * 365 * 24 * 60 * 60 * 1000), 0);
+        assert.deepEqual(await covers.get(hash), PIXEL_PNG);
+    });
+});
+
+describe('GET /api/covers/:hash', () => {
+    afterEach(() => ctx.close());
+
+    test('serves a stored cover at a stable, cacheable URL with an ETag', async () => {
+        ctx = await startApp();
+        const { coverToken } = await (await ctx.generate()).json();
+        const url = await storedCoverUrl(coverToken);
+        assert.match(url, /^\/api\/covers\/[a-f0-9]{64}$/);
+
+        const res = await ctx.request(url);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        assert.equal(res.headers.get('etag'), `"${url.split('/').pop()}"`);
+        assert.match(res.headers.get('cache-control'), /immutable/);
+        assert.deepEqual(Buffer.from(await res.arrayBuffer()), PIXEL_PNG);
+
+        // As a browser revalidates (fetch() alone would add Cache-Control: no-cache)
+        const unchanged = await ctx.request(url, { headers: { 'If-None-Match': res.headers.get('etag'), 'Cache-Control': 'max-age=0' } });
+        assert.equal(unchanged.status, 304);
+
+        assert.equal((await ctx.request(`/api/covers/${'0'.repeat(64)}`)).status, 404);
+        assert.equal((await ctx.request('/api/covers/not-a-hash')).status, 404);
+    });
+
+    test('an evicted cover is rendered again when it is next needed', async () => {
+        ctx = await startApp({ COVER_STORE_MAX_MB: '0' });
+        const { soundtrackId, coverToken } = await (await ctx.generate()).json();
+        const url = await storedCoverUrl(coverToken);
+        assert.equal(imageCalls(), 1);
+
+        assert.equal(await ctx.covers.sweep(), 1);
+        assert.equal((await ctx.request(url)).status, 404);
+
+        // The saved soundtrack renders it again and stores it under the same hash…
+        assert.equal((await ctx.request(`/api/soundtracks/${soundtrackId}/cover`)).status, 200);
+        assert.equal(imageCalls(), 2);
+
+        // …which the token, and the stable URL, serve from then on
+        assert.equal(await storedCoverUrl(coverToken), url);
+        assert.equal((await ctx.request(url)).status, 200);
+        assert.equal(imageCalls(), 2);
+    });
+});
+
+describe('cover sizes and formats', () => {
+    test('reads ?w=, ?format= and ?placeholder, rounding widths up to a stored size', () => {
+        assert.equal(imageOptions({}), null);
+        assert.deepEqual(imageOptions({ w: '100', format: 'JPG' }), { width: 192, format: 'jpeg' });
+        assert.deepEqual(imageOptions({ w: '5000' }), { width: 1200 });
+        assert.deepEqual(imageOptions({ placeholder: '', w: '96' }), { placeholder: true });
+        assert.equal(variantName({ width: 384 }, 'image/jpeg'), 'w384.jpeg');
+        assert.equal(variantName({ format: 'webp' }, 'image/png'), 'wfull.webp');
+
+        assert.throws(() => imageOptions({ w: '-3' }), { status: 400 });
+        assert.throws(() => imageOptions({ format: 'gif' }), { status: 400, message: /webp, jpeg, png/ });
+    });
+});
+
+describe('image jobs', () => {
+    test('run one after another in a worker; a failed job leaves the others alone', async () => {
+        const jobs = createImageJobs();
+        try {
+            const png = await new Jimp({ width: 400, height: 400, color: 0x3366ccff }).getBuffer('image/png');
+            const [small, broken, large] = await Promise.allSettled([
+                jobs.deriveImage(png, 'image/png', { width: 96, format: 'jpeg' }),
+                jobs.deriveImage(Buffer.from('not an image'), 'image/png', { width: 96 }),
+                jobs.deriveImage(png, 'image/png', { width: 192 }),
+            ]);
+
+            assert.equal(small.value.contentType, 'image/jpeg');
+            assert.ok(Buffer.isBuffer(small.value.buffer));
+            assert.equal((await Jimp.read(small.value.buffer)).width, 96);
+            assert.equal(broken.status, 'rejected');
+            assert.equal((await Jimp.read(large.value.buffer)).width, 192);
+        } finally {
+            await jobs.close();
+        }
+        await assert.rejects(jobs.deriveImage(Buffer.alloc(0), 'image/png', {}), /stopped/);
+    });
+});
+
+describe('GET /api/covers/:hash?w=&format=', () => {
+    afterEach(() => ctx.close());
+
+    async function startWithCover() {
+        ctx = await startApp();
+        const cover = new Jimp({ width: 400, height: 400, color: 0x3366ccff });
+        ctx.upstream.replyImage({ body: await cover.getBuffer('image/png') });
+        return (await ctx.generate()).json();
+    }
+
+    test('resizes and converts on request, keeping each copy', async () => {
+        const { coverToken } = await startWithCover();
+        const url = await storedCoverUrl(coverToken);
+
+        const jpeg = await ctx.request(`${url}?w=100&format=jpeg`);
+        assert.equal(jpeg.status, 200);
+        assert.equal(jpeg.headers.get('content-type'), 'image/jpeg');
+        const image = await Jimp.read(Buffer.from(await jpeg.arrayBuffer()));
+        assert.deepEqual([image.width, image.height], [192, 192]);
+
+        // A copy has its own hash, so its own ETag; asking again reuses it
+        const etag = jpeg.headers.get('etag');
+        assert.notEqual(etag, `"${url.split('/').pop()}"`);
+        const again = await ctx.request(`${url}?format=jpg&w=150`);
+        assert.equal(again.headers.get('etag'), etag);
+        const unchanged = await ctx.request(`${url}?w=192&format=jpeg`, { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } });
+        assert.equal(unchanged.status, 304);
+
+        const webp  = await ctx.request(`${url}?w=96&format=webp`);
+        const bytes = Buffer.from(await webp.arrayBuffer());
+        assert.equal(webp.headers.get('content-type'), 'image/webp');
+        assert.equal(bytes.toString('latin1', 8, 12), 'WEBP');
+
+        // Never wider than the original
+        const full = await Jimp.read(Buffer.from(await (await ctx.request(`${url}?w=1200&format=png`)).arrayBuffer()));
+        assert.equal(full.width, 400);
+
+        assert.equal((await ctx.request(`${url}?format=gif`)).status, 400);
+        assert.equal(imageCalls(), 1);
+    });
+
+    test('a blurred placeholder can be had through the token or the saved soundtrack', async () => {
+        const { coverToken, soundtrackId } = await startWithCover();
+        await ctx.coversFetched();
+
+        const viaToken = await ctx.request(`/api/cover/${coverToken}?placeholder`, { redirect: 'manual' });
+        assert.match(viaToken.headers.get('location'), /^\/api\/covers\/[a-f0-9]{64}\?placeholder$/);
+
+        const viaSoundtrack = await ctx.request(`/api/soundtracks/${soundtrackId}/cover?placeholder`, { redirect: 'manual' });
+        assert.equal(viaSoundtrack.headers.get('location'), viaToken.headers.get('location'));
+
+        const res = await ctx.request(viaToken.headers.get('location'));
+        assert.equal(res.headers.get('content-type'), 'image/jpeg');
+        const placeholder = Buffer.from(await res.arrayBuffer());
+        assert.ok(placeholder.length < 2048);
+        assert.equal((await Jimp.read(placeholder)).width, 24);
+    });
+});
@@ -0,0 +1,79 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { PIXEL_PNG } = require('./support/fake-pollinations');
+
+let ctx;
+afterEach(async () => {
+    mock.timers.reset();
+    await ctx.close();
+});
+
+async function issueToken() {
+    const res = await ctx.generate();
+    assert.equal(res.status, 200);
+    return (await res.json()).coverToken;
+}
+
+const imageCalls = () => ctx.upstream.requests.filter(r => r.kind === 'image').length;
+
+test('a cover is fetched in the background and its token redirects to the stored image', async () => {
+    ctx = await startApp();
+    const token = await issueToken();
+    await ctx.coversFetched();
+    assert.equal(imageCalls(), 1);
+
+    const image = ctx.upstream.requests.find(r => r.kind === 'image');
+    assert.equal(image.url.searchParams.get('key'), 'test-key');
+
+    const redirect = await ctx.request(`/api/cover/${token}`, { redirect: 'manual' });
+    assert.equal(redirect.status, 302);
+    assert.match(redirect.headers.get('location'), /^\/api\/covers\/[a-f0-9]{64}$/);
+
+    // Tokens can be used again until they expire; the image isn't fetched again
+    for (let i = 0; i < 2; i++) {
+        const res = await ctx.request(`/api/cover/${token}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        assert.deepEqual(Buffer.from(await res.arrayBuffer()), PIXEL_PNG);
+    }
+    assert.equal(imageCalls(), 1);
+});
+
+test('an expired cover token gets 410, then 404', async () => {
+    ctx = await startApp();
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const token = await issueToken();
+    await ctx.coversFetched();
+
+    mock.timers.tick(24 * 60 * 60 * 1000 + 1);
+
+    assert.equal((await ctx.request(`/api/cover/${token}`)).status, 410);
+    assert.equal((await ctx.request(`/api/cover/${token}`)).status, 404);
+});
+
+test('unknown tokens get 404', async () => {
+    ctx = await startApp();
+    assert.equal((await ctx.request('/api/cover/not-a-token')).status, 404);
+});
+
+test('a failed background fetch is retried when the token is used', async () => {
+    ctx = await startApp();
+    ctx.upstream.replyImage({ status: 500 });
+    const token = await issueToken();
+    await ctx.coversFetched();
+
+    assert.equal((await ctx.request(`/api/cover/${token}`)).status, 200);
+    assert.equal(imageCalls(), 2);
+});
+
+test('an upstream image failure gets 502 and keeps the token', async () => {
+    ctx = await startApp();
+    ctx.upstream.replyImage({ status: 500 });
+    ctx.upstream.replyImage({ status: 500 });
+    const token = await issueToken();
+    await ctx.coversFetched();
+
+    assert.equal((await ctx.request(`/api/cover/${token}`)).status, 502);
+    assert.equal((await ctx.request(`/api/cover/${token}`)).status, 200);
+});
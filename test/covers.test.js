@@ -0,0 +1,141 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveCoverOptions, coverSpec } = require('../lib/covers');
+const { buildImagePrompt } = require('../lib/prompts');
+const { startApp } = require('./support/app');
+
+let ctx;
+
+function generateWith(cover) {
+    return ctx.request('/api/generate', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ vibe: 'desert chase at dawn', cover }),
+    });
+}
+
+function coverRequest(path, ownerKey, { method = 'POST', body = {} } = {}) {
+    return ctx.request(path, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(ownerKey ? { 'X-Owner-Key': ownerKey } : {}) },
+        body:    JSON.stringify(body),
+    });
+}
+
+const imageRequests = () => ctx.upstream.requests.filter(r => r.kind === 'image');
+
+describe('cover options', () => {
+    test('the default prompt keeps the original cinematic style', () => {
+        assert.match(buildImagePrompt('x'), /dark cinematic color palette with neon accents/);
+        assert.equal(buildImagePrompt('x', 'not-a-style'), buildImagePrompt('x'));
+    });
+
+    test('defaults fill in and bad options are reported', () => {
+        assert.deepEqual(resolveCoverOptions(undefined).options, { style: 'cinematic', aspect: 'square', variants: 1 });
+        assert.deepEqual(resolveCoverOptions({ aspect: 'poster' }).options, { style: 'cinematic', aspect: 'poster', variants: 1 });
+
+        const { errors } = resolveCoverOptions({ style: 'watercolour', variants: 5 });
+        assert.equal(errors.length, 2);
+        assert.match(errors.join('; '), /\$\.cover\.style/);
+    });
+
+    test('variants share a prompt and size and differ by seed', () => {
+        const spec = coverSpec('x', { style: 'noir', aspect: 'banner', variants: 3 }, 1000);
+        assert.deepEqual(spec.seeds, [1000, 1001, 1002]);
+        assert.deepEqual([spec.width, spec.height], [1344, 756]);
+        assert.equal(spec.prompt, buildImagePrompt('x', 'noir'));
+    });
+});
+
+describe('cover variants and regeneration', () => {
+    afterEach(() => ctx.close());
+
+    test('asks for one token per variant, at the chosen style and size', async () => {
+        ctx = await startApp();
+        const res  = await generateWith({ style: 'anime', aspect: 'poster', variants: 3 });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.coverTokens.length, 3);
+        assert.equal(body.coverToken, body.coverTokens[0]);
+        assert.equal(body.remaining.user, 1);   // variants cost nothing extra
+
+        for (const token of body.coverTokens) {
+            assert.equal((await ctx.request(`/api/cover/${token}`)).status, 200);
+        }
+        const seeds = imageRequests().map(r => r.url.searchParams.get('seed'));
+        assert.equal(new Set(seeds).size, 3);
+        assert.equal(imageRequests()[0].url.searchParams.get('width'), '768');
+        assert.equal(imageRequests()[0].url.searchParams.get('height'), '1152');
+        assert.match(decodeURIComponent(imageRequests()[0].url.pathname), /anime key visual/i);
+
+        const saved = await (await ctx.request(`/api/soundtracks/${body.soundtrackId}`)).json();
+        assert.deepEqual(saved.cover, { style: 'anime', aspect: 'poster', variants: 3, selected: 0 });
+    });
+
+    test('rejects unknown cover options before generating', async () => {
+        ctx = await startApp();
+        const res = await generateWith({ aspect: 'panorama' });
+
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /\$\.cover\.aspect/);
+        assert.equal(ctx.upstream.requests.length, 0);
+    });
+
+    test('the owner picks a variant, which becomes the saved cover', async () => {
+        ctx = await startApp();
+        const { soundtrackId, coverTokens, ownerKey } = await (await generateWith({ variants: 2 })).json();
+        for (const token of coverTokens) await ctx.request(`/api/cover/${token}`);
+        const path = `/api/soundtracks/${soundtrackId}/cover`;
+
+        assert.equal((await coverRequest(path, 'wrong-key', { method: 'PUT', body: { variant: 1 } })).status, 403);
+        assert.equal((await coverRequest(path, ownerKey, { method: 'PUT', body: { variant: 2 } })).status, 400);
+
+        const res = await coverRequest(path, ownerKey, { method: 'PUT', body: { variant: 1 } });
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).cover.selected, 1);
+
+        // Both variants were kept when their tokens were used — no new render
+        const before = imageRequests().length;
+        assert.equal((await ctx.request(path)).status, 200);
+        assert.equal(imageRequests().length, before);
+    });
+
+    test('regenerating reuses the vibe and costs a fraction of a generation', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '2', QUOTA_COVER_COST: '0.5' });
+        const generated = await (await generateWith({ style: 'vinyl' })).json();
+        const path      = `/api/soundtracks/${generated.soundtrackId}/cover/regenerate`;
+
+        assert.equal((await coverRequest(path, null)).status, 403);
+        assert.equal((await coverRequest(path, generated.ownerKey, { body: { variants: 9 } })).status, 400);
+
+        const res  = await coverRequest(path, generated.ownerKey, { body: { variants: 2 } });
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.coverTokens.length, 2);
+        assert.deepEqual(body.cover, { style: 'vinyl', aspect: 'square', variants: 2, selected: 0 });
+        assert.equal(body.remaining.user, 0.5);
+        assert.equal(ctx.upstream.requests.filter(r => r.kind === 'text').length, 1);
+
+        // Every variant is fetched in the background; a token from before the
+        // regeneration no longer feeds the saved cover
+        await ctx.coversFetched();
+        await ctx.request(`/api/cover/${generated.coverToken}`);
+        await ctx.request(`/api/cover/${body.coverToken}`);
+        assert.ok(imageRequests().every(r => /desert chase at dawn/.test(decodeURIComponent(r.url.pathname))));
+        await ctx.request(`/api/soundtracks/${generated.soundtrackId}/cover`);
+        assert.equal(imageRequests().length, 3);
+
+        const status = await (await ctx.request('/api/status')).json();
+        assert.equal(status.policy.coverCost, 0.5);
+    });
+
+    test('regeneration is refused once the quota is used up', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '1' });
+        const { soundtrackId, ownerKey } = await (await generateWith()).json();
+
+        const res = await coverRequest(`/api/soundtracks/${soundtrackId}/cover/regenerate`, ownerKey);
+        assert.equal(res.status, 429);
+        assert.equal((await res.json()).type, 'user_limit');
+    });
+});
@@ -0,0 +1,98 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Jimp } = require('jimp');
+const SoundtrackFormats = require('../public/js/formats');
+const { startApp } = require('./support/app');
+
+const tracklist = {
+    albumTitle:  'Rain & <Neon>: Vol. 1',
+    albumArtist: 'Vanta Choir',
+    genre:       'Synthwave',
+    vibeTag:     'Midnight Pursuit',
+    tracks: [
+        { title: 'Opening, Credits', artist: 'Low Orbit', duration: '3:42' },
+        { title: 'Chase / Alley',    artist: 'M. Okonkwo', duration: '10:05' },
+    ],
+};
+
+describe('formats', () => {
+    test('json round-trips the tracklist', () => {
+        assert.deepEqual(JSON.parse(SoundtrackFormats.toJSON(tracklist)), tracklist);
+    });
+
+    test('m3u has an #EXTINF line with seconds per track', () => {
+        const lines = SoundtrackFormats.toM3U(tracklist).trim().split('\n');
+        assert.equal(lines[0], '#EXTM3U');
+        assert.ok(lines.includes('#EXTINF:222,Low Orbit - Opening, Credits'));
+        assert.ok(lines.includes('#EXTINF:605,M. Okonkwo - Chase / Alley'));
+        assert.ok(lines.includes('02 - Chase Alley.mp3'));
+    });
+
+    test('xspf escapes text and reports durations in milliseconds', () => {
+        const xml = SoundtrackFormats.toXSPF(tracklist, { image: 'http://x/cover?a=1&b=2' });
+        assert.match(xml, /<title>Rain &amp; &lt;Neon&gt;: Vol\. 1<\/title>/);
+        assert.match(xml, /<image>http:\/\/x\/cover\?a=1&amp;b=2<\/image>/);
+        assert.match(xml, /<duration>222000<\/duration>/);
+        assert.equal((xml.match(/<track>/g) || []).length, 2);
+    });
+
+    test('file names are safe on every OS', () => {
+        assert.equal(SoundtrackFormats.fileName(tracklist, 'm3u'), 'Rain & Neon Vol. 1.m3u');
+        assert.equal(SoundtrackFormats.fileName({}, 'json'), 'soundtrack.json');
+    });
+});
+
+describe('GET /api/soundtracks/:id/export', () => {
+    let ctx;
+    afterEach(() => ctx.close());
+
+    async function saved() {
+        ctx = await startApp();
+        return (await (await ctx.generate()).json());
+    }
+
+    test('serves each text format as an attachment', async () => {
+        const { soundtrackId, tracklist: list } = await saved();
+
+        for (const [format, type] of [['json', 'application/json'], ['m3u', 'audio/x-mpegurl'], ['xspf', 'application/xspf+xml']]) {
+            const res = await ctx.request(`/api/soundtracks/${soundtrackId}/export?format=${format}`);
+            assert.equal(res.status, 200);
+            assert.ok(res.headers.get('content-type').startsWith(type));
+            assert.match(res.headers.get('content-disposition'), new RegExp(`attachment; filename=.*\\.${format}"`));
+            if (format === 'json') assert.deepEqual(await res.json(), list);
+        }
+    });
+
+    test('renders the album sheet as a PNG', async () => {
+        const { soundtrackId } = await saved();
+        const res = await ctx.request(`/api/soundtracks/${soundtrackId}/export?format=png`);
+        const png = Buffer.from(await res.arrayBuffer());
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        assert.equal(png.subarray(1, 4).toString(), 'PNG');
+        assert.equal(png.readUInt32BE(16), 1600);   // IHDR width
+    });
+
+    test('draws a 1200×630 share card from the cover, made once per cover', async () => {
+        const { soundtrackId } = await saved();
+        const res  = await ctx.request(`/api/soundtracks/${soundtrackId}/card`);
+        const card = await Jimp.read(Buffer.from(await res.arrayBuffer()));
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/jpeg');
+        assert.deepEqual([card.width, card.height], [1200, 630]);
+
+        const etag  = res.headers.get('etag');
+        const again = await ctx.request(`/api/soundtracks/${soundtrackId}/card`, { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } });
+        assert.equal(again.status, 304);
+        assert.equal(ctx.upstream.requests.filter(r => r.kind === 'image').length, 1);
+        assert.equal((await ctx.request('/api/soundtracks/doesnotexist/card')).status, 404);
+    });
+
+    test('rejects unknown formats and ids', async () => {
+        const { soundtrackId } = await saved();
+        assert.equal((await ctx.request(`/api/soundtracks/${soundtrackId}/export?format=mp3`)).status, 400);
+        assert.equal((await ctx.request('/api/soundtracks/doesnotexist/export?format=json')).status, 404);
+    });
+});
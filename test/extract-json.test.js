@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const { extractJSON, createTrackStreamParser } = require('../lib/extract-json');
+
+const album = { albumTitle: 'Neon Rain', tracks: [{ title: 'Opening', artist: 'X', duration: '3:00' }] };
+
+test('strategy 1: clean JSON parses directly', () => {
+    assert.deepEqual(extractJSON(JSON.stringify(album)), album);
+});
+
+test('strategy 2: JSON inside a markdown fence', () => {
+    const raw = `Sure! Here it is:\n\`\`\`json\n${JSON.stringify(album, null, 2)}\n\`\`\`\nEnjoy {the} music.`;
+    assert.deepEqual(extractJSON(raw), album);
+});
+
+test('strategy 3: first { to last } around leading and trailing prose', () => {
+    const raw = `Here is your soundtrack: ${JSON.stringify(album)} Let me know if you want changes.`;
+    assert.deepEqual(extractJSON(raw), album);
+});
+
+test('strategy 4: preamble stripped and cut at the first closing brace', () => {
+    // A stray "}" later on defeats strategy 3; the object itself has no nesting
+    const raw = 'Here is the JSON:\n{"albumTitle": "Flat"}\nNote: braces like } are ignored.';
+    assert.deepEqual(extractJSON(raw), { albumTitle: 'Flat' });
+});
+
+test('throws when nothing parses', () => {
+    assert.throws(() => extractJSON('no json here'), /Could not extract valid JSON/);
+    assert.throws(() => extractJSON(''), /Could not extract valid JSON/);
+});
+
+test('stream parser reports meta once and each track as it closes', () => {
+    const text   = JSON.stringify({ albumTitle: 'Neon Rain', genre: 'Noir', tracks: [album.tracks[0], { title: 'B}{', artist: 'Y', duration: '4:00' }] });
+    const parser = createTrackStreamParser();
+    const metas  = [];
+    const tracks = [];
+
+    for (let i = 0; i < text.length; i += 7) {
+        const out = parser.push(text.slice(i, i + 7));
+        if (out.meta) metas.push(out.meta);
+        tracks.push(...out.tracks);
+    }
+
+    assert.deepEqual(metas, [{ albumTitle: 'Neon Rain', genre: 'Noir' }]);
+    assert.deepEqual(tracks.map(t => t.title), ['Opening', 'B}{']);
+});
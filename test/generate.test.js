@@ -0,0 +1,93 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let ctx;
+afterEach(() => ctx.close());
+
+test('returns a validated tracklist and bills the caller', async () => {
+    ctx = await startApp();
+    const res  = await ctx.generate('rain on neon streets');
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.ok(body.tracklist.tracks.length >= 8);
+    assert.equal(typeof body.coverToken, 'string');
+    assert.equal(body.remaining.user, 1);
+
+    const [call] = ctx.upstream.requests;
+    assert.equal(call.headers.authorization, 'Bearer test-key');
+    assert.match(call.body.messages[1].content, /rain on neon streets/);
+});
+
+test('upstream 401 maps to the invalid-key message', async () => {
+    ctx = await startApp();
+    ctx.upstream.replyText({ status: 401 });
+
+    const res = await ctx.generate();
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).error, 'Server API key is invalid.');
+});
+
+test('upstream 402 maps to the exhausted-balance message', async () => {
+    ctx = await startApp();
+    ctx.upstream.replyText({ status: 402 });
+
+    const res = await ctx.generate();
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).error, 'API balance exhausted. Contact the site owner.');
+});
+
+test('an invalid tracklist gets one corrective re-prompt', async () => {
+    ctx = await startApp();
+    ctx.upstream.replyText({ content: '{"albumTitle": "Half an answer"}' });
+
+    const res = await ctx.generate();
+    assert.equal(res.status, 200);
+    const chats = ctx.upstream.requests.filter(r => r.kind === 'text');
+    assert.equal(chats.length, 2);
+
+    const retry = chats[1].body.messages;
+    assert.equal(retry.at(-2).role, 'assistant');
+    assert.match(retry.at(-1).content, /\$\.tracks is required/);
+});
+
+test('gives up after the re-prompt also fails', async () => {
+    ctx = await startApp();
+    ctx.upstream.replyText({ content: 'no json at all' });
+    ctx.upstream.replyText({ content: 'still nothing' });
+
+    const res = await ctx.generate();
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).error, 'AI returned unparseable data — please try again');
+});
+
+test('rejects a missing or oversized vibe', async () => {
+    ctx = await startApp();
+    assert.equal((await ctx.generate('')).status, 400);
+    assert.equal((await ctx.generate('x'.repeat(601))).status, 400);
+    assert.equal(ctx.upstream.requests.length, 0);
+});
+
+test('the stream endpoint emits stages, tracks and done', async () => {
+    ctx = await startApp();
+    const res = await ctx.request('/api/generate/stream', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify({ vibe: 'desert western' }),
+    });
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = [...(await res.text()).matchAll(/event: (\w+)\ndata: (.*)\n\n/g)]
+        .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+    const done   = events.find(e => e.event === 'done').data;
+    const tracks = events.filter(e => e.event === 'track');
+
+    assert.deepEqual(
+        events.filter(e => e.event === 'stage').map(e => e.data.stage),
+        ['queued', 'generating', 'parsed', 'cover_ready'],
+    );
+    assert.equal(events.filter(e => e.event === 'meta').length, 1);
+    assert.equal(tracks.length, done.tracklist.tracks.length);
+    assert.equal(done.remaining.user, 1);
+});
@@ -0,0 +1,83 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { PIXEL_PNG } = require('./support/fake-pollinations');
+
+let ctx;
+afterEach(() => ctx.close());
+
+const imageCalls = () => ctx.upstream.requests.filter(r => r.kind === 'image').length;
+
+async function generateSaved() {
+    const res = await ctx.generate('lighthouse keeper, storm night');
+    assert.equal(res.status, 200);
+    return res.json();
+}
+
+test('every generation is saved and can be re-opened for free', async () => {
+    ctx = await startApp({ QUOTA_USER_LIMIT: '1' });
+    const generated = await generateSaved();
+    assert.equal(generated.permalink, `/s/${generated.soundtrackId}`);
+
+    // The user is now out of quota; re-opening still works and bills nothing
+    for (let i = 0; i < 3; i++) {
+        const res = await ctx.request(`/api/soundtracks/${generated.soundtrackId}`);
+        assert.equal(res.status, 200);
+        const saved = await res.json();
+        assert.equal(saved.vibe, 'lighthouse keeper, storm night');
+        assert.deepEqual(saved.tracklist, generated.tracklist);
+        assert.equal(saved.coverUrl, `/api/soundtracks/${generated.soundtrackId}/cover`);
+    }
+
+    const status = await (await ctx.request('/api/status')).json();
+    assert.equal(status.userRemaining, 0);
+    assert.equal(ctx.upstream.requests.filter(r => r.kind === 'text').length, 1);
+});
+
+test('the cover fetched in the background is kept for the saved soundtrack', async () => {
+    ctx = await startApp();
+    const { soundtrackId, coverToken } = await generateSaved();
+    await ctx.coversFetched();
+
+    assert.equal((await ctx.request(`/api/cover/${coverToken}`)).status, 200);
+    assert.equal(imageCalls(), 1);
+
+    for (let i = 0; i < 2; i++) {
+        const res = await ctx.request(`/api/soundtracks/${soundtrackId}/cover`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(Buffer.from(await res.arrayBuffer()), PIXEL_PNG);
+    }
+    assert.equal(imageCalls(), 1);
+});
+
+test('a cover whose background fetch failed is rendered once on first view', async () => {
+    ctx = await startApp();
+    ctx.upstream.replyImage({ status: 500 });
+    const { soundtrackId } = await generateSaved();
+    await ctx.coversFetched();
+
+    assert.equal((await ctx.request(`/api/soundtracks/${soundtrackId}/cover`)).status, 200);
+    assert.equal((await ctx.request(`/api/soundtracks/${soundtrackId}/cover`)).status, 200);
+    assert.equal(imageCalls(), 2);
+});
+
+test('the permalink page serves the app with the album in its link preview tags; unknown ids are 404', async () => {
+    ctx = await startApp();
+    const tracklist = JSON.parse(ctx.upstream.validContent());
+    tracklist.albumTitle = 'Night & "Day" <Live>';
+    ctx.upstream.replyText({ content: JSON.stringify(tracklist) });
+    const { soundtrackId } = await generateSaved();
+
+    const page = await ctx.request(`/s/${soundtrackId}`);
+    const html = await page.text();
+    assert.equal(page.status, 200);
+    assert.match(html, /<title>Night &amp; &quot;Day&quot; &lt;Live&gt; — CINESONICS<\/title>/);
+    assert.match(html, /<meta property="og:title" content="Night &amp; &quot;Day&quot; &lt;Live&gt;">/);
+    assert.ok(html.includes(`<meta property="og:description" content="${tracklist.genre} · ${tracklist.vibeTag} · ${tracklist.tracks.length} tracks">`));
+    assert.ok(html.includes(`<meta property="og:image" content="${ctx.url}/api/soundtracks/${soundtrackId}/card">`));
+    assert.match(html, /<meta name="twitter:card" content="summary_large_image">/);
+    assert.match(html, /<script src="\/js\/app\.js"/);
+
+    assert.equal((await ctx.request('/s/doesnotexist')).status, 404);
+    assert.equal((await ctx.request('/api/soundtracks/doesnotexist')).status, 404);
+});
@@ -0,0 +1,131 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, configure } = require('../lib/log');
+const { extractJSONWithStrategy } = require('../lib/extract-json');
+const { startApp } = require('./support/app');
+
+let ctx;
+
+/** Route log output into an array of parsed lines for the rest of the test. */
+function captureLogs() {
+    const lines = [];
+    configure({ write: line => lines.push(JSON.parse(line)) });
+    return lines;
+}
+
+/** The value of one series from the /metrics text, or 0 if it isn't there. */
+function sample(text, series) {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+describe('redact', () => {
+    test('hides key / token query parameters, bearer tokens and secret fields', () => {
+        const out = redact({
+            url:      'https://gen.example/image/a%20cat?width=768&key=sk_live_123&seed=4',
+            header:   'Authorization: Bearer abc.def.ghi',
+            ownerKey: 'owner-secret',
+            nested:   { apiKey: 'sk_live_123', safe: 'kept' },
+            err:      Object.assign(new Error('GET /api?token=t0p from upstream'), { status: 503, type: 'upstream_unavailable' }),
+        });
+
+        assert.equal(out.url, 'https://gen.example/image/a%20cat?width=768&key=[redacted]&seed=4');
+        assert.equal(out.header, 'Authorization: Bearer [redacted]');
+        assert.equal(out.ownerKey, '[redacted]');
+        assert.deepEqual(out.nested, { apiKey: '[redacted]', safe: 'kept' });
+        assert.deepEqual(out.err, { message: 'GET /api?token=[redacted] from upstream', status: 503, type: 'upstream_unavailable' });
+    });
+});
+
+describe('extractJSONWithStrategy', () => {
+    test('reports which strategy parsed the response', () => {
+        assert.equal(extractJSONWithStrategy('{"a":1}').strategy, 'direct');
+        assert.equal(extractJSONWithStrategy('Sure!\n```json\n{"a":1}\n```').strategy, 'fence');
+        assert.equal(extractJSONWithStrategy('Here you go: {"a":1} enjoy').strategy, 'braces');
+        assert.deepEqual(extractJSONWithStrategy('Here you go: {"a":1} enjoy').value, { a: 1 });
+    });
+});
+
+describe('request IDs, logs and /metrics', () => {
+    afterEach(() => ctx.close());
+
+    test('every response has an X-Request-Id, echoed from the client when sane', async () => {
+        ctx = await startApp();
+
+        const own = await ctx.request('/api/status', { headers: { 'X-Request-Id': 'trace-abc.123' } });
+        assert.equal(own.headers.get('x-request-id'), 'trace-abc.123');
+
+        const bogus = await ctx.request('/api/status', { headers: { 'X-Request-Id': 'no spaces <please>' } });
+        assert.match(bogus.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const missing = await ctx.request('/api/soundtracks/nope');
+        const body    = await missing.json();
+        assert.equal(missing.status, 404);
+        assert.equal(body.requestId, missing.headers.get('x-request-id'));
+    });
+
+    test('logs are JSON lines carrying the request ID, without the model output or API key', async () => {
+        ctx = await startApp({ LOG_LEVEL: 'info', UPSTREAM_RETRIES: '1' });
+        const lines = captureLogs();
+
+        // Unparseable twice → parse_failure; the text must not reach the logs
+        ctx.upstream.replyText({ content: 'SECRET-VIBE-ECHO not json at all' });
+        ctx.upstream.replyText({ content: 'SECRET-VIBE-ECHO still not json' });
+        const res = await ctx.generate('A vibe');
+        assert.equal(res.status, 500);
+        const requestId = res.headers.get('x-request-id');
+        assert.equal((await res.json()).requestId, requestId);
+
+        const failure = lines.find(l => l.msg === 'Model response was not JSON');
+        assert.equal(failure.requestId, requestId);
+        assert.equal(failure.component, 'generate');
+        assert.ok(lines.some(l => l.msg === 'Request' && l.requestId === requestId && l.route === '/api/generate' && l.status === 500));
+        assert.ok(!JSON.stringify(lines).includes('SECRET-VIBE-ECHO'));
+
+        // The cover URL carries the API key as ?key= — a logged retry must not
+        ctx.upstream.replyImage({ status: 500 });
+        ctx.upstream.replyImage({ status: 500 });
+        assert.equal((await ctx.generate('A vibe')).status, 200);
+        await ctx.coversFetched();
+
+        const retry = lines.find(l => l.msg === 'Upstream answered with an error, retrying');
+        assert.match(retry.url, /key=\[redacted\]/);
+        assert.ok(!JSON.stringify(lines).includes('test-key'));
+    });
+
+    test('/metrics counts requests, generations, extract strategies, rejections and cover tokens', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '1' });
+        const before = await (await ctx.request('/metrics')).text();
+
+        ctx.upstream.replyText({ content: '```json\n' + ctx.upstream.validContent() + '\n```' });
+        const { coverToken } = await (await ctx.generate('Metrics vibe')).json();
+        assert.equal((await ctx.request(`/api/cover/${coverToken}`)).status, 200);
+        assert.equal((await ctx.request('/api/cover/not-a-token')).status, 404);
+        assert.equal((await ctx.generate('Metrics vibe')).status, 429);
+
+        const res = await ctx.request('/metrics');
+        assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        const after = await res.text();
+        const delta = series => sample(after, series) - sample(before, series);
+
+        assert.equal(delta('cinesonics_http_requests_total{method="POST",route="/api/generate",status="200"}'), 1);
+        assert.equal(delta('cinesonics_generate_duration_seconds_count{endpoint="generate",outcome="ok",cache="miss"}'), 1);
+        assert.equal(delta('cinesonics_extract_json_total{strategy="fence"}'), 1);
+        assert.equal(delta('cinesonics_quota_rejections_total{endpoint="/api/generate",type="user_limit"}'), 1);
+        assert.equal(delta('cinesonics_cover_tokens_total{outcome="issued"}'), 1);
+        assert.equal(delta('cinesonics_cover_tokens_total{outcome="served"}'), 1);
+        assert.equal(delta('cinesonics_cover_tokens_total{outcome="not_found"}'), 1);
+        assert.ok(delta('cinesonics_upstream_request_duration_seconds_count{service="text",outcome="2xx"}') >= 1);
+        assert.ok(!after.includes('/api/cover/' + coverToken));
+    });
+
+    test('METRICS_TOKEN protects /metrics', async () => {
+        ctx = await startApp({ METRICS_TOKEN: 'scrape-me' });
+        const denied = await ctx.request('/metrics');
+        assert.equal(denied.status, 401);
+        assert.equal((await denied.json()).type, 'metrics_auth');
+
+        const allowed = await ctx.request('/metrics', { headers: { 'Authorization': 'Bearer scrape-me' } });
+        assert.equal(allowed.status, 200);
+    });
+});
@@ -0,0 +1,119 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuota, loadQuotaPolicy } = require('../lib/quota');
+const { createMemoryStorage } = require('../lib/storage');
+const { startApp } = require('./support/app');
+
+const ip = n => `203.0.113.${n}`;
+
+describe('rate limits over HTTP', () => {
+    let ctx;
+    afterEach(() => ctx.close());
+
+    test('a user gets 429 user_limit after their allowance', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '2', QUOTA_GLOBAL_LIMIT: '10' });
+
+        for (const expected of [1, 0]) {
+            const res = await ctx.generate('heist at dawn', { ip: ip(1) });
+            assert.equal(res.status, 200);
+            assert.equal((await res.json()).remaining.user, expected);
+        }
+
+        const res  = await ctx.generate('heist at dawn', { ip: ip(1) });
+        const body = await res.json();
+        assert.equal(res.status, 429);
+        assert.equal(body.type, 'user_limit');
+
+        // Another user is unaffected
+        assert.equal((await ctx.generate('heist at dawn', { ip: ip(2) })).status, 200);
+    });
+
+    test('the whole site gets 429 global_limit once the global budget is spent', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '5', QUOTA_GLOBAL_LIMIT: '3' });
+
+        for (let n = 1; n <= 3; n++) {
+            assert.equal((await ctx.generate('space opera', { ip: ip(n) })).status, 200);
+        }
+
+        const res  = await ctx.generate('space opera', { ip: ip(9) });
+        const body = await res.json();
+        assert.equal(res.status, 429);
+        assert.equal(body.type, 'global_limit');
+
+        const status = await (await ctx.request('/api/status', { ip: ip(9) })).json();
+        assert.equal(status.globalRemaining, 0);
+        assert.equal(status.userRemaining, 5);
+    });
+
+    test('failed generations are not billed', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '1' });
+        ctx.upstream.replyText({ status: 500 });
+
+        assert.equal((await ctx.generate('x', { ip: ip(1) })).status, 500);
+        const status = await (await ctx.request('/api/status', { ip: ip(1) })).json();
+        assert.equal(status.userRemaining, 1);
+    });
+});
+
+describe('check', () => {
+    test('asks for the whole cost of what is about to be billed', async () => {
+        const quota  = createQuota({ storage: createMemoryStorage(), policy: loadQuotaPolicy({ QUOTA_USER_LIMIT: '2', QUOTA_GLOBAL_LIMIT: '10' }) });
+        const caller = { kind: 'ip', id: ip(1), ip: ip(1) };
+        await quota.consume(caller, 1.75);
+
+        assert.equal(await quota.check(caller, 0.25), null);
+        assert.equal((await quota.check(caller, 0.5)).type, 'user_limit');
+        assert.match((await quota.check(caller)).error, /costs 1 generation, but you have 0\.25 left for today/);
+
+        const site = createQuota({ storage: createMemoryStorage(), policy: loadQuotaPolicy({ QUOTA_USER_LIMIT: '5', QUOTA_GLOBAL_LIMIT: '3' }) });
+        await site.consume({ kind: 'ip', id: ip(2), ip: ip(2) }, 2);
+        assert.equal((await site.check(caller, 2)).type, 'global_limit');
+        assert.equal(await site.check(caller, 1), null);
+    });
+});
+
+describe('resetIfNewDay', () => {
+    let storage;
+    let quota;
+    const caller = { kind: 'ip', id: ip(1), ip: ip(1) };
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 2, 14, 23, 58) });
+        storage = createMemoryStorage();
+        quota   = createQuota({ storage, policy: loadQuotaPolicy({ QUOTA_USER_LIMIT: '2', QUOTA_GLOBAL_LIMIT: '3' }) });
+    });
+    afterEach(() => mock.timers.reset());
+
+    test('counters carry over within the day and clear at midnight', async () => {
+        await quota.consume(caller);
+        await quota.consume(caller);
+        assert.equal((await quota.check(caller)).type, 'user_limit');
+        assert.equal(await storage.get('quota:global'), 2);
+
+        mock.timers.tick(60 * 1000);   // 23:59 — same day
+        await quota.resetIfNewDay();
+        assert.equal(await storage.get('quota:resetDate'), '2026-03-14');
+        assert.equal((await quota.check(caller)).type, 'user_limit');
+
+        mock.timers.tick(2 * 60 * 1000);   // 00:01 next day
+        await quota.resetIfNewDay();
+        assert.equal(await storage.get('quota:resetDate'), '2026-03-15');
+        assert.equal(await storage.get('quota:global'), 0);
+        assert.deepEqual(await storage.keys('quota:user:'), []);
+        assert.equal(await quota.check(caller), null);
+
+        const status = await quota.status(caller);
+        assert.equal(status.userRemaining, 2);
+        assert.equal(status.resetsAt, '2026-03-16T00:00:00.000Z');
+    });
+
+    test('the day boundary follows the policy time zone', async () => {
+        quota = createQuota({ storage, policy: loadQuotaPolicy({ QUOTA_TIMEZONE: 'America/New_York' }) });
+        await quota.consume(caller);   // 19:58 in New York
+
+        mock.timers.tick(10 * 60 * 1000);   // past midnight UTC, still the 14th in New York
+        await quota.resetIfNewDay();
+        assert.equal(await storage.get('quota:resetDate'), '2026-03-14');
+        assert.equal(await storage.get('quota:global'), 1);
+    });
+});
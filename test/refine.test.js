@@ -0,0 +1,113 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffTracklists } = require('../lib/tracklist');
+const { startApp } = require('./support/app');
+
+let ctx;
+
+function refine(body) {
+    return ctx.request('/api/refine', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(body),
+    });
+}
+
+/** A generated soundtrack, plus a model reply that renames its third track. */
+async function generatedWithEdit() {
+    const generated = await (await ctx.generate()).json();
+    const edited    = structuredClone(generated.tracklist);
+    edited.tracks[2].title = 'Darker Still';
+    ctx.upstream.replyText({ content: JSON.stringify(edited) });
+    return generated;
+}
+
+describe('diffTracklists', () => {
+    test('diffs album fields and tracks by position', () => {
+        const track  = (title) => ({ title, artist: 'A', duration: '3:00' });
+        const before = { albumTitle: 'X', albumArtist: 'Y', genre: 'G', vibeTag: 'V', tracks: [track('1'), track('2')] };
+        const after  = { ...before, albumArtist: 'Z', tracks: [track('1'), track('2b'), track('3')] };
+
+        assert.deepEqual(diffTracklists(before, after), {
+            album:  { albumArtist: { from: 'Y', to: 'Z' } },
+            tracks: [
+                { index: 1, change: 'changed', from: track('2'), to: track('2b') },
+                { index: 2, change: 'added', to: track('3') },
+            ],
+        });
+    });
+});
+
+describe('POST /api/refine', () => {
+    afterEach(() => ctx.close());
+
+    test('refines a saved soundtrack at a fractional quota cost', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '2' });
+        const generated = await generatedWithEdit();
+
+        const res  = await refine({ soundtrackId: generated.soundtrackId, instruction: 'make track 3 darker' });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.tracklist.tracks[2].title, 'Darker Still');
+        assert.deepEqual(body.diff.tracks.map(t => [t.index, t.change]), [[2, 'changed']]);
+        assert.equal(body.remaining.user, 0.75);   // 1 generation + 0.25 refine
+
+        const prompt = ctx.upstream.requests.at(-1).body.messages[1].content;
+        assert.match(prompt, /make track 3 darker/);
+        assert.match(prompt, new RegExp(generated.tracklist.albumTitle.replace(/[()]/g, '\\$&')));
+
+        // Saved as a new soundtrack; the original keeps its tracklist
+        assert.notEqual(body.soundtrackId, generated.soundtrackId);
+        assert.equal(body.permalink, `/s/${body.soundtrackId}`);
+        const original = await (await ctx.request(`/api/soundtracks/${generated.soundtrackId}`)).json();
+        assert.deepEqual(original.tracklist, generated.tracklist);
+    });
+
+    test('regenerates one track of a tracklist sent inline', async () => {
+        ctx = await startApp();
+        const generated = await generatedWithEdit();
+
+        const res  = await refine({ tracklist: generated.tracklist, track: 2 });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(body.soundtrackId, null);
+        assert.match(ctx.upstream.requests.at(-1).body.messages[1].content, /Replace track 3 \(/);
+    });
+
+    test('the refine cost is configurable', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '2', QUOTA_REFINE_COST: '0.5' });
+        const generated = await generatedWithEdit();
+
+        const body = await (await refine({ soundtrackId: generated.soundtrackId, instruction: 'rename the artist' })).json();
+        assert.equal(body.remaining.user, 0.5);
+
+        const status = await (await ctx.request('/api/status')).json();
+        assert.equal(status.policy.refineCost, 0.5);
+    });
+
+    test('rejects bad requests without billing', async () => {
+        ctx = await startApp();
+        const { soundtrackId, tracklist } = await (await ctx.generate()).json();
+
+        assert.equal((await refine({ soundtrackId })).status, 400);                                 // nothing to do
+        assert.equal((await refine({ soundtrackId, tracklist, instruction: 'x' })).status, 400);     // both sources
+        assert.equal((await refine({ soundtrackId, instruction: '   ' })).status, 400);
+        assert.equal((await refine({ soundtrackId, track: 99 })).status, 400);
+        assert.equal((await refine({ tracklist: { tracks: [] }, instruction: 'x' })).status, 400);
+        assert.equal((await refine({ soundtrackId: 'doesnotexist', instruction: 'x' })).status, 404);
+
+        const status = await (await ctx.request('/api/status')).json();
+        assert.equal(status.userRemaining, 1);
+    });
+
+    test('is refused once the quota is used up', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '1' });
+        const { soundtrackId } = await (await ctx.generate()).json();
+
+        const res = await refine({ soundtrackId, instruction: 'add two more ambient tracks' });
+        assert.equal(res.status, 429);
+        assert.equal((await res.json()).type, 'user_limit');
+    });
+});
@@ -0,0 +1,115 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderSoundtrack, encodeWav } = require('../lib/render/synth');
+const { startApp } = require('./support/app');
+
+const tracklist = {
+    albumTitle:  'Night: Drive',
+    albumArtist: 'Vanta Choir',
+    genre:       'Synthwave',
+    vibeTag:     'Midnight Pursuit',
+    tracks: [
+        { title: 'Opening/Credits', artist: 'Low Orbit',  duration: '3:00' },
+        { title: 'Chase',           artist: 'M. Okonkwo', duration: '6:00' },
+    ],
+};
+
+describe('synth', () => {
+    test('encodes 16-bit mono PCM with a valid RIFF header', () => {
+        const wav = encodeWav(new Float32Array([0, 1, -1, 2]), 22050);
+        assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+        assert.equal(wav.toString('ascii', 8, 12), 'WAVE');
+        assert.equal(wav.readUInt32LE(24), 22050);
+        assert.equal(wav.readUInt32LE(40), 8);
+        assert.deepEqual([0, 1, 2, 3].map(i => wav.readInt16LE(44 + i * 2)), [0, 32767, -32767, 32767]);
+    });
+
+    test('a mix has one section per track, sized by duration', () => {
+        const [mix] = renderSoundtrack(tracklist, { mode: 'mix', sampleRate: 8000, timeScale: 0.05 });
+        assert.equal(mix.name, 'Night Drive.wav');
+        assert.equal(mix.seconds, 9 + 18 + 0.5);   // 3:00 and 6:00 × 0.05, plus the tail
+        assert.equal(mix.wav.readUInt32LE(40), Math.ceil(mix.seconds * 8000) * 2);
+    });
+
+    test('per-track renders are deterministic and not silent', () => {
+        const opts  = { mode: 'tracks', sampleRate: 8000, timeScale: 0.02 };
+        const first = renderSoundtrack(tracklist, opts);
+        const again = renderSoundtrack(tracklist, opts);
+
+        assert.deepEqual(first.map(f => f.name), ['01 - Opening Credits.wav', '02 - Chase.wav']);
+        assert.ok(first[0].wav.equals(again[0].wav));
+        const samples = first[1].wav.subarray(44);
+        assert.ok(samples.some(byte => byte !== 0));
+    });
+});
+
+describe('POST /api/soundtracks/:id/render', () => {
+    let ctx;
+    afterEach(() => ctx.close());
+
+    async function saved(env) {
+        ctx = await startApp(env);
+        return (await (await ctx.generate()).json()).soundtrackId;
+    }
+
+    function render(id, body) {
+        return ctx.request(`/api/soundtracks/${id}/render`, {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify(body),
+        });
+    }
+
+    async function finished(jobId) {
+        for (let i = 0; i < 200; i++) {
+            const job = await (await ctx.request(`/api/renders/${jobId}`)).json();
+            if (job.status === 'done' || job.status === 'failed') return job;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        throw new Error('render did not finish');
+    }
+
+    test('renders in the background and serves the WAV', async () => {
+        const id  = await saved();
+        const res = await render(id, { mode: 'tracks', sampleRate: 22050, timeScale: 0.01 });
+        const job = await res.json();
+
+        assert.equal(res.status, 202);
+        assert.equal(res.headers.get('location'), `/api/renders/${job.id}`);
+        assert.equal(job.soundtrackId, id);
+
+        const done = await finished(job.id);
+        assert.equal(done.status, 'done');
+        assert.equal(done.progress, 1);
+        assert.ok(done.files.length >= 2);
+
+        const file = await ctx.request(done.files[0].url);
+        const wav  = Buffer.from(await file.arrayBuffer());
+        assert.equal(file.status, 200);
+        assert.equal(file.headers.get('content-type'), 'audio/wav');
+        assert.match(file.headers.get('content-disposition'), /^attachment; filename="01 - .*\.wav"$/);
+        assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+        assert.equal(wav.length, done.files[0].bytes);
+    });
+
+    test('the same options reuse the existing job', async () => {
+        const id    = await saved();
+        const first = await (await render(id, { timeScale: 0.01 })).json();
+        const again = await (await render(id, { timeScale: 0.01, mode: 'mix' })).json();
+        assert.equal(again.id, first.id);
+        await finished(first.id);
+    });
+
+    test('rejects bad options, long renders, unknown ids and a full queue', async () => {
+        const id = await saved({ RENDER_MAX_PENDING: '1' });
+
+        assert.equal((await render(id, { mode: 'stems' })).status, 400);
+        assert.equal((await render(id, { timeScale: 1 })).status, 400);   // over RENDER_MAX_SECONDS
+        assert.equal((await render('doesnotexist', {})).status, 404);
+        assert.equal((await ctx.request('/api/renders/doesnotexist')).status, 404);
+
+        const job = await (await render(id, { timeScale: 0.01 })).json();
+        assert.equal((await render(id, { timeScale: 0.02 })).status, 503);
+        await finished(job.id);
+    });
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SoundtrackScore = require('../public/js/score');
+
+const album = (genre, vibeTag, tracks) => ({ albumTitle: 'A', albumArtist: 'B', genre, vibeTag, tracks });
+
+const tracks = [
+    { title: 'Neon Rain',     artist: 'Low Orbit',   duration: '2:00' },
+    { title: 'Ghost Signal',  artist: 'Vanta Choir', duration: '6:00' },
+    { title: 'Neon Rain',     artist: 'Low Orbit',   duration: '2:00' },
+];
+
+test('the same track always produces the same loop', () => {
+    const list = album('Dark Synthwave', 'Neon Solitude', tracks);
+    assert.deepEqual(SoundtrackScore.trackScore(list, 0), SoundtrackScore.trackScore(list, 2));
+    assert.notDeepEqual(SoundtrackScore.trackScore(list, 0).notes, SoundtrackScore.trackScore(list, 1).notes);
+});
+
+test('longer tracks get longer loops, within 6–18 seconds', () => {
+    const list  = album('Industrial Techno', 'Midnight Pursuit', tracks);
+    const short = SoundtrackScore.trackScore(list, 0);
+    const long  = SoundtrackScore.trackScore(list, 1);
+
+    assert.ok(long.seconds > short.seconds);
+    for (const score of [short, long]) {
+        assert.ok(score.seconds >= 5 && score.seconds <= 19, `${score.seconds}s`);
+        assert.ok(score.notes.every(n => n.time >= 0 && n.time < score.seconds));
+    }
+});
+
+test('tempo, timbre and drums follow the genre before the vibe tag', () => {
+    const techno  = SoundtrackScore.albumStyle(album('Industrial Techno', 'Cosmic Drift'));
+    const ambient = SoundtrackScore.albumStyle(album('Ambient Drone', 'Cosmic Drift'));
+    const byVibe  = SoundtrackScore.albumStyle(album('Something New', 'Cosmic Drift'));
+
+    assert.ok(techno.bpm >= 124 && techno.bpm <= 134);
+    assert.equal(techno.drums, 'four');
+    assert.equal(ambient.drums, null);
+    assert.equal(ambient.lead, 'sine');
+    assert.equal(byVibe.scale, 'lydian');
+});
+
+test('vibe words shift tempo and brightness', () => {
+    const calm  = SoundtrackScore.albumStyle(album('Orchestral Hybrid', 'Slow Solitude'));
+    const chase = SoundtrackScore.albumStyle(album('Orchestral Hybrid', 'Adrenaline Pursuit'));
+    assert.ok(chase.bpm > calm.bpm);
+    assert.ok(chase.cutoff > calm.cutoff);
+});
@@ -0,0 +1,204 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseScreenplay, MAX_SCENES } = require('../lib/screenplay');
+const { escapeHtml } = require('../public/js/html');
+const { startApp } = require('./support/app');
+
+let ctx;
+
+const FOUNTAIN = `Title: The Long Harbor
+Author: M. Vance
+
+FADE IN:
+
+EXT. HARBOR - NIGHT #1#
+
+Fog rolls over the cranes. **MARA** waits by the water.
+
+[[check the crane count]]
+
+CUT TO:
+
+INT. WAREHOUSE - CONTINUOUS
+
+/* cut for time:
+A guard sleeps.
+*/
+Crates to the ceiling. Somewhere, a radio plays.
+`;
+
+const IDENTITY = {
+    albumTitle:  'The Long Harbor (Original Score)',
+    albumArtist: 'Ines Calder',
+    genre:       'Neo-noir Score',
+    vibeTag:     'Fog & Steel',
+    logline:     'A smuggler waits out one last night at the docks.',
+    themes:      ['Mara — a lone clarinet', 'the harbor — low brass swells'],
+};
+
+const CUES = {
+    scenes: [
+        { scene: 1, mood: 'uneasy calm', cues: [
+            { title: 'Cranes in the Fog', duration: '2:10', placement: 'over the opening wide shot' },
+            { title: 'Mara Waits',        duration: '1:30', placement: 'from her close-up to the cut' },
+        ] },
+        { scene: 2, mood: 'coiled tension', cues: [
+            { title: 'Radio in the Dark', duration: '3:05', placement: 'under the radio, rising' },
+        ] },
+    ],
+};
+
+function score(body) {
+    return ctx.request('/api/score', {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(body),
+    });
+}
+
+function replyScore(cues = CUES) {
+    ctx.upstream.replyText({ content: JSON.stringify(IDENTITY) });
+    ctx.upstream.replyText({ content: JSON.stringify(cues) });
+}
+
+const textPrompts = () => ctx.upstream.requests
+    .filter(r => r.kind === 'text')
+    .map(r => r.body.messages.at(-1).content);
+
+describe('parseScreenplay', () => {
+    test('splits Fountain on scene headings and leaves out what never reaches the screen', () => {
+        assert.deepEqual(parseScreenplay(FOUNTAIN), [
+            { heading: 'EXT. HARBOR - NIGHT',         text: 'Fog rolls over the cranes. MARA waits by the water.' },
+            { heading: 'INT. WAREHOUSE - CONTINUOUS', text: 'Crates to the ceiling. Somewhere, a radio plays.' },
+        ]);
+        assert.deepEqual(parseScreenplay('.THE ROOFTOP\nWind.\n').map(s => s.heading), ['THE ROOFTOP']);
+    });
+
+    test('plain text is one scene per paragraph, or per line without blank lines', () => {
+        assert.deepEqual(parseScreenplay('A chase at dawn,\nacross the roofs.\n\nA quiet funeral.').map(s => s.text),
+            ['A chase at dawn, across the roofs.', 'A quiet funeral.']);
+        assert.deepEqual(parseScreenplay('heist at dawn\nrooftop chase\n').map(s => s.text),
+            ['heist at dawn', 'rooftop chase']);
+        assert.deepEqual(parseScreenplay('  \n\n'), []);
+    });
+});
+
+describe('POST /api/score', () => {
+    afterEach(() => ctx.close());
+
+    test('scores each scene with cues under one album identity, at the score cost', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '5', QUOTA_SCORE_COST: '2' });
+        replyScore();
+
+        const res  = await score({ screenplay: FOUNTAIN, options: { era: '1970s' } });
+        const body = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(body.tracklist.tracks.map(t => [t.title, t.artist]), [
+            ['Cranes in the Fog', 'Ines Calder'],
+            ['Mara Waits',        'Ines Calder'],
+            ['Radio in the Dark', 'Ines Calder'],
+        ]);
+        assert.deepEqual(body.cueSheet, {
+            logline: IDENTITY.logline,
+            themes:  IDENTITY.themes,
+            scenes:  [
+                { heading: 'EXT. HARBOR - NIGHT', mood: 'uneasy calm', cues: [
+                    { track: 0, placement: 'over the opening wide shot' },
+                    { track: 1, placement: 'from her close-up to the cut' },
+                ] },
+                { heading: 'INT. WAREHOUSE - CONTINUOUS', mood: 'coiled tension', cues: [
+                    { track: 2, placement: 'under the radio, rising' },
+                ] },
+            ],
+        });
+        assert.equal(body.remaining.user, 3);
+
+        // One identity call, then one call for the cues that repeats the identity
+        const [identityPrompt, cuesPrompt] = textPrompts();
+        assert.match(identityPrompt, /Scene 1 — EXT\. HARBOR - NIGHT/);
+        assert.match(identityPrompt, /1970s/);
+        assert.doesNotMatch(identityPrompt, /crane count|A guard sleeps/);
+        assert.match(cuesPrompt, /The Long Harbor/);
+        assert.match(cuesPrompt, /a lone clarinet/);
+
+        // Saved with its cue sheet
+        const saved = await (await ctx.request(`/api/soundtracks/${body.soundtrackId}`)).json();
+        assert.equal(saved.vibe, IDENTITY.logline);
+        assert.deepEqual(saved.cueSheet, body.cueSheet);
+    });
+
+    test('a heading with quotes comes back as text and stays inside an escaped attribute', async () => {
+        ctx = await startApp();
+        replyScore({ scenes: [CUES.scenes[0]] });
+        const heading = 'ROOF" onmouseover="alert(1)" x="';
+
+        const body = await (await score({ screenplay: `.${heading}\nWind.\n` })).json();
+        assert.equal(body.cueSheet.scenes[0].heading, heading);
+
+        // As the cue sheet shows it
+        const html = `<span title="${escapeHtml(heading)}">${escapeHtml(heading)}</span>`;
+        assert.equal(html.split('"').length, 3);
+        assert.match(html, /^<span title="ROOF&quot; onmouseover=&quot;alert\(1\)&quot; x=&quot;">/);
+        assert.equal(escapeHtml(`<b>Tom & Jerry's</b>`), '&lt;b&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+    });
+
+    test('is refused before calling the model when fewer generations are left than it costs', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '1', QUOTA_SCORE_COST: '2' });
+
+        const res  = await score({ screenplay: FOUNTAIN });
+        const body = await res.json();
+        assert.equal(res.status, 429);
+        assert.equal(body.type, 'user_limit');
+        assert.match(body.error, /costs 2 generations, but you have 1 left/);
+        assert.equal(textPrompts().length, 0);
+
+        const status = await (await ctx.request('/api/status')).json();
+        assert.equal(status.userRemaining, 1);
+    });
+
+    test('re-prompts once when the cues do not match the scenes', async () => {
+        ctx = await startApp();
+        replyScore({ scenes: [CUES.scenes[1], CUES.scenes[0]] });
+        ctx.upstream.replyText({ content: JSON.stringify(CUES) });
+
+        const res = await score({ screenplay: FOUNTAIN });
+        assert.equal(res.status, 200);
+        assert.equal(textPrompts().length, 3);
+        assert.match(textPrompts()[2], /scenes\[0\]\.scene must be 1/);
+    });
+
+    test('rejects too many scenes before calling the model', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '5' });
+        const scenes = Array.from({ length: MAX_SCENES + 1 }, (_, i) => `Scene number ${i + 1}.`).join('\n\n');
+
+        const res  = await score({ screenplay: scenes });
+        const body = await res.json();
+
+        assert.equal(res.status, 400);
+        assert.match(body.error, new RegExp(`${MAX_SCENES + 1} scenes`));
+        assert.equal(textPrompts().length, 0);
+
+        const empty = await score({ screenplay: 'Title: Nothing Yet\n' });
+        assert.equal(empty.status, 400);
+        assert.equal((await score({ screenplay: 'x', options: { mix: 'songs' } })).status, 400);
+    });
+
+    test('a refinement keeps the cue sheet while the track count is unchanged', async () => {
+        ctx = await startApp({ QUOTA_USER_LIMIT: '5' });
+        replyScore();
+        const scored = await (await score({ screenplay: FOUNTAIN })).json();
+
+        const edited = structuredClone(scored.tracklist);
+        edited.tracks[1].title = 'Mara Waits Alone';
+        ctx.upstream.replyText({ content: JSON.stringify(edited) });
+        const refined = await (await ctx.request('/api/refine', {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ soundtrackId: scored.soundtrackId, track: 1 }),
+        })).json();
+
+        assert.equal(refined.tracklist.tracks[1].title, 'Mara Waits Alone');
+        assert.deepEqual(refined.cueSheet, scored.cueSheet);
+    });
+});
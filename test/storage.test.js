@@ -0,0 +1,100 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { createFileStorage, createMemoryStorage, createFileJournal, createFileBlobStore } = require('../lib/storage');
+const { createEventLog, importStoredEvents } = require('../lib/events');
+
+let dir;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'cinesonics-store-'));
+}
+
+describe('file storage', () => {
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('overlapping flushes write one at a time and keep the latest state', async () => {
+        dir = tempDir();
+        const file  = path.join(dir, 'store.json');
+        const store = createFileStorage({ file, flushDelayMs: 0 });
+
+        await store.set('a', 1);
+        const first = store.close();            // write in flight…
+        await store.set('a', 2);
+        const second = store.close();           // …queued behind it
+        await store.set('b', 3);
+        await Promise.all([first, second, store.close()]);
+
+        assert.deepEqual(fs.readdirSync(dir), ['store.json']);   // no temp file left behind
+        const reopened = createFileStorage({ file });
+        assert.equal(await reopened.get('a'), 2);
+        assert.equal(await reopened.get('b'), 3);
+    });
+});
+
+describe('file blob store', () => {
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('saving the same new image several times at once stores it once', async () => {
+        dir = tempDir();
+        const blobs  = createFileBlobStore({ dir });
+        const buffer = Buffer.from('the same cover bytes');
+
+        const hashes = await Promise.all([blobs.put(buffer), blobs.put(buffer), blobs.put(buffer)]);
+        assert.equal(new Set(hashes).size, 1);
+        assert.deepEqual(await blobs.get(hashes[0]), buffer);
+        assert.deepEqual(fs.readdirSync(path.join(dir, hashes[0].slice(0, 2))), [hashes[0]]);   // no temp files left
+    });
+});
+
+describe('event journal', () => {
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('appends one line per event and reads them back after a restart', async () => {
+        dir = tempDir();
+        const file    = path.join(dir, 'events.jsonl');
+        const journal = createFileJournal({ file, retentionMs: DAY_MS });
+        const now     = Date.now();
+
+        await journal.append({ at: now - 2000, kind: 'generate' });
+        await journal.append({ at: now - 1000, kind: 'cover' });
+        await journal.close();
+        assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2);
+
+        const reopened = createFileJournal({ file, retentionMs: DAY_MS });
+        assert.deepEqual((await reopened.since(now - 1500)).map(e => e.kind), ['cover']);
+    });
+
+    test('drops expired events and compacts the file once most lines have expired', async () => {
+        dir = tempDir();
+        const file = path.join(dir, 'events.jsonl');
+        const old  = Date.now() - 2 * DAY_MS;
+        fs.writeFileSync(file, Array.from({ length: 1000 }, (_, i) => `${JSON.stringify({ at: old + i })}\n`).join(''));
+
+        const journal = createFileJournal({ file, retentionMs: DAY_MS });
+        assert.deepEqual(await journal.since(0), []);
+
+        await journal.append({ at: Date.now(), kind: 'generate' });
+        await journal.close();
+        assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+        assert.deepEqual(fs.readdirSync(dir), ['events.jsonl']);
+    });
+
+    test('events kept in the key/value store by earlier versions move to the journal', async () => {
+        dir = tempDir();
+        const storage = createMemoryStorage();
+        const journal = createFileJournal({ file: path.join(dir, 'events.jsonl'), retentionMs: DAY_MS });
+        const at      = Date.now() - 1000;
+        await storage.set(`event:${String(at).padStart(15, '0')}:abcd1234`, { at, kind: 'generate', outcome: 'ok' });
+
+        assert.equal(await importStoredEvents(storage, journal), 1);
+        await createEventLog({ journal }).record({ kind: 'cover', outcome: 'ok' });
+
+        assert.deepEqual(await storage.keys('event:'), []);
+        assert.deepEqual((await journal.since(0)).map(e => e.kind), ['generate', 'cover']);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — App Harness  (tests)
+ * ═══════════════════════════════════════════════
+ *
+ * Starts lib/app.js on an ephemeral port with in-memory storage, pointed
+ * at a fake Pollinations server, and with one proxy hop trusted so tests
+ * can play different users by setting X-Forwarded-For.  The result cache
+ * is off (tests repeat the same vibe) unless a test sets CACHE_TTL_SECONDS,
+ * and upstream errors aren't retried unless a test sets UPSTREAM_RETRIES.
+ * Only warnings and errors are logged, unless a test sets LOG_LEVEL.
+ * Covers are fetched in the background after each generation; await
+ * coversFetched() before counting image requests.
+ */
+
+const path = require('path');
+const os   = require('os');
+const { createApp } = require('../../lib/app');
+const { startFakePollinations } = require('./fake-pollinations');
+
+/**
+ * @param {object} [env] — overrides on top of the test defaults
+ * @returns {Promise<{ url, upstream, storage, covers, request, generate, coversFetched, close }>}
+ */
+async function startApp(env = {}) {
+    const upstream = await startFakePollinations();
+    const built    = createApp({
+        STORAGE_DRIVER:        'memory',
+        AI_PROVIDER:           'pollinations',
+        POLLINATIONS_API_KEY:  'test-key',
+        POLLINATIONS_BASE_URL: upstream.url,
+        TRUST_PROXY_HOPS:      '1',
+        ACCESS_KEYS_FILE:      path.join(os.tmpdir(), 'cinesonics-test-no-keys.json'),
+        CACHE_TTL_SECONDS:     '0',
+        UPSTREAM_RETRIES:      '0',
+        UPSTREAM_BACKOFF_MS:   '10',
+        LOG_LEVEL:             'warn',
+        ...env,
+    });
+
+    const server = await new Promise(resolve => {
+        const s = built.app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    /** fetch() against the app; `ip` becomes the caller's X-Forwarded-For. */
+    function request(pathname, { ip = '203.0.113.1', headers = {}, ...init } = {}) {
+        return fetch(`${url}${pathname}`, { ...init, headers: { 'X-Forwarded-For': ip, ...headers } });
+    }
+
+    function generate(vibe = 'rain on neon streets', { ip } = {}) {
+        return request('/api/generate', {
+            ip,
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ vibe }),
+        });
+    }
+
+    /** Resolves once every background cover fetch has finished. */
+    function coversFetched() {
+        return built.coverTokens.idle();
+    }
+
+    async function close() {
+        await new Promise(resolve => server.close(resolve));
+        await built.close();
+        await upstream.close();
+    }
+
+    return { url, upstream, storage: built.storage, covers: built.covers, request, generate, coversFetched, close };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,102 @@
+/**
+ * ═══════════════════════════════════════════════
+ * CINESONICS — Fake Pollinations Server  (tests)
+ * ═══════════════════════════════════════════════
+ *
+ * A local stand-in for the two upstream endpoints the app calls:
+ *
+ *   POST /v1/chat/completions   — JSON or SSE (when the body asks for stream)
+ *   GET  /image/:prompt         — returns a tiny PNG
+ *
+ * Tests queue replies with replyText() / replyImage(); when the queue is
+ * empty a valid tracklist (or image) is served.  Every request is recorded.
+ */
+
+const http = require('http');
+const { cannedTracklist } = require('../../lib/providers/mock');
+
+// 1×1 transparent PNG
+const PIXEL_PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+    'base64',
+);
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendChat(res, body, { status = 200, content }) {
+    if (status !== 200) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: `fake upstream ${status}` } }));
+    }
+
+    if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (let i = 0; i < content.length; i += 40) {
+        const delta = { choices: [{ delta: { content: content.slice(i, i + 40) } }] };
+        res.write(`data: ${JSON.stringify(delta)}\n\n`);
+    }
+    res.end('data: [DONE]\n\n');
+}
+
+/**
+ * @returns {Promise<{ url, requests, replyText, replyImage, validContent, close }>}
+ */
+async function startFakePollinations() {
+    const requests    = [];
+    const textReplies = [];
+    const imgReplies  = [];
+
+    const validContent = (seed = 'fake') => JSON.stringify(cannedTracklist(seed));
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'POST' && url.pathname === '/v1/chat/completions') {
+            const body = JSON.parse(await readBody(req));
+            requests.push({ kind: 'text', headers: req.headers, body });
+            const reply = textReplies.shift() || { content: validContent() };
+            if (reply.delayMs) await new Promise(resolve => setTimeout(resolve, reply.delayMs));
+            return sendChat(res, body, reply);
+        }
+
+        if (req.method === 'GET' && url.pathname.startsWith('/image/')) {
+            requests.push({ kind: 'image', url });
+            const { status = 200, body = PIXEL_PNG, contentType = 'image/png' } = imgReplies.shift() || {};
+            if (status !== 200) {
+                res.writeHead(status);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': contentType });
+            return res.end(body);
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        /** Queue the next chat reply: { status } for an error, { content } for a completion; delayMs holds it back. */
+        replyText:  reply => textReplies.push(reply),
+        /** Queue the next image reply: { status } for an error, or { body, contentType } instead of the pixel. */
+        replyImage: reply => imgReplies.push(reply),
+        validContent,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { startFakePollinations, PIXEL_PNG };
@@ -0,0 +1,121 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createUpstreamClient } = require('../lib/upstream');
+const { startApp } = require('./support/app');
+
+let ctx;
+
+/** A bare server whose handler the test controls; records when a request's connection closes. */
+async function startServer(handler) {
+    const closed = [];
+    const server = http.createServer((req, res) => {
+        res.on('close', () => closed.push(req.url));
+        handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url:    `http://127.0.0.1:${server.address().port}`,
+        closed,
+        close:  () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        },
+    };
+}
+
+describe('createUpstreamClient', () => {
+    test('a stalled response times out as upstream_unavailable', async () => {
+        const server = await startServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.write('{"tracks": [');   // …and nothing more
+        });
+        const client = createUpstreamClient({ timeoutMs: 100, retries: 0 });
+
+        const res = await client.fetch(`${server.url}/slow`);
+        await assert.rejects(res.json(), { type: 'upstream_unavailable', status: 503 });
+        assert.equal(client.state().failures, 1);
+        await server.close();
+    });
+
+    test('retries 5xx answers, then opens the circuit and recovers after the cooldown', async () => {
+        let healthy = false;
+        let calls   = 0;
+        const server = await startServer((req, res) => {
+            calls++;
+            res.writeHead(healthy ? 200 : 503);
+            res.end();
+        });
+        const client = createUpstreamClient({ retries: 1, backoffMs: 1, threshold: 2, cooldownMs: 50 });
+
+        assert.equal((await client.fetch(server.url)).status, 503);
+        assert.equal(calls, 2);   // first try + one retry
+        assert.equal((await client.fetch(server.url)).status, 503);
+        assert.equal(client.state().circuit, 'open');
+
+        await assert.rejects(client.fetch(server.url), err => err.type === 'upstream_unavailable' && err.retryAfter >= 1);
+        assert.equal(calls, 4);   // failed fast
+
+        healthy = true;
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal(client.state().circuit, 'half-open');
+        assert.equal((await client.fetch(server.url)).status, 200);
+        assert.deepEqual(client.state(), { circuit: 'closed', failures: 0, retryAt: null });
+        await server.close();
+    });
+
+    test("the caller's signal cancels the upstream request", async () => {
+        const server = await startServer(() => {});   // never answers
+        const client = createUpstreamClient({ timeoutMs: 5000 });
+        const caller = new AbortController();
+        setTimeout(() => caller.abort(), 50);
+
+        await assert.rejects(client.fetch(`${server.url}/abandoned`, { signal: caller.signal }), { name: 'AbortError' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(server.closed, ['/abandoned']);
+        assert.equal(client.state().failures, 0);   // not the upstream's fault
+        await server.close();
+    });
+});
+
+describe('hardened upstream calls over HTTP', () => {
+    afterEach(() => ctx.close());
+
+    test('a transient 5xx is retried and the generation succeeds', async () => {
+        ctx = await startApp({ UPSTREAM_RETRIES: '2' });
+        ctx.upstream.replyText({ status: 502 });
+
+        const res = await ctx.generate();
+        assert.equal(res.status, 200);
+        assert.equal(ctx.upstream.requests.filter(r => r.kind === 'text').length, 2);
+    });
+
+    test('a hung upstream answers 503 upstream_unavailable and is not billed', async () => {
+        ctx = await startApp({ UPSTREAM_TIMEOUT_MS: '100' });
+        ctx.upstream.replyText({ content: ctx.upstream.validContent(), delayMs: 400 });
+
+        const res  = await ctx.generate();
+        const body = await res.json();
+        assert.equal(res.status, 503);
+        assert.equal(body.type, 'upstream_unavailable');
+        assert.ok(Number(res.headers.get('retry-after')) >= 1);
+
+        const status = await (await ctx.request('/api/status')).json();
+        assert.equal(status.userRemaining, 2);
+    });
+
+    test('an open circuit fails fast on both endpoints', async () => {
+        ctx = await startApp({ UPSTREAM_BREAKER_THRESHOLD: '1', QUOTA_USER_LIMIT: '5' });
+        ctx.upstream.replyText({ status: 500 });
+        assert.equal((await ctx.generate()).status, 500);
+
+        assert.equal((await ctx.generate()).status, 503);
+        const stream = await ctx.request('/api/generate/stream', {
+            method:  'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body:    JSON.stringify({ vibe: 'rain on neon streets' }),
+        });
+        assert.match(await stream.text(), /event: error\ndata: .*"type":"upstream_unavailable"/);
+        assert.equal(ctx.upstream.requests.length, 1);
+    });
+});